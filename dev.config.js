@@ -53,8 +53,14 @@ const config = {
         // Retrieval settings
         retrieval: {
             topK: parseInt(process.env.MAX_RETRIEVED_POLICIES) || 10,
-            similarityThreshold: 0.7,
-            maxContextLength: 8000
+            // Minimum combined score (0-1) for a policy chunk to count as relevant to a clause
+            similarityThreshold: process.env.RETRIEVAL_SIMILARITY_THRESHOLD !== undefined
+                ? parseFloat(process.env.RETRIEVAL_SIMILARITY_THRESHOLD)
+                : 0.7,
+            // Share of the combined score taken from vector similarity; the rest is BM25
+            vectorWeight: parseFloat(process.env.RETRIEVAL_VECTOR_WEIGHT) || 0.7,
+            // Token budget for the policy context sent to the model
+            maxContextLength: parseInt(process.env.RETRIEVAL_CONTEXT_TOKENS) || 8000
         },
 
         // Analysis settings
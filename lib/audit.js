@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+// Append-only audit trail of policy changes, analyses, exports and applied suggestions. Each
+// entry's hash covers its contents and the previous entry's hash, so editing, removing or
+// reordering an entry breaks every hash after it. Removing entries from the end leaves a valid
+// chain; compare the head hash reported by verify() with one recorded elsewhere to catch that.
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// JSON with object keys sorted, so an entry hashes the same after a round trip through the store
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashEntry({ seq, occurredAt, action, actor, workspaceId, policyIds, resultId, details, prevHash }) {
+    const payload = canonicalJson({ seq, occurredAt, action, actor, workspaceId, policyIds, resultId, details, prevHash });
+    return crypto.createHash('sha256').update(payload, 'utf8').digest('hex');
+}
+
+// Check entries in sequence order and stop at the first one that breaks the chain
+function verifyChain(entries) {
+    let previous = null;
+    let checked = 0;
+
+    for (const entry of entries) {
+        const expectedSeq = previous ? previous.seq + 1 : 1;
+        let problem = null;
+        if (entry.seq !== expectedSeq) {
+            problem = `expected entry ${expectedSeq}; entries are missing`;
+        } else if (entry.prevHash !== (previous ? previous.hash : GENESIS_HASH)) {
+            problem = 'does not link to the previous entry';
+        } else if (hashEntry(entry) !== entry.hash) {
+            problem = 'contents do not match the recorded hash';
+        }
+
+        if (problem) {
+            return {
+                valid: false,
+                checked: checked,
+                head: previous ? previous.hash : GENESIS_HASH,
+                brokenAt: { seq: entry.seq, reason: problem }
+            };
+        }
+        previous = entry;
+        checked++;
+    }
+
+    return { valid: true, checked: checked, head: previous ? previous.hash : GENESIS_HASH, brokenAt: null };
+}
+
+function createAuditLog({ store, logger }) {
+    // Append one entry. `actor` is the user's email (null for the local user when authentication
+    // is off); `details` is any JSON the action needs to be understood later.
+    function record({ action, actor = null, workspaceId = null, policyIds = [], resultId = null, details = {} }) {
+        const entry = store.appendAuditEntry(last => {
+            const next = {
+                seq: last ? last.seq + 1 : 1,
+                occurredAt: new Date().toISOString(),
+                action: action,
+                actor: actor,
+                workspaceId: workspaceId,
+                policyIds: [...new Set(policyIds.filter(Boolean))],
+                resultId: resultId,
+                // Stored as JSON, so hash what will be read back
+                details: JSON.parse(JSON.stringify(details || {})),
+                prevHash: last ? last.hash : GENESIS_HASH
+            };
+            return { ...next, hash: hashEntry(next) };
+        });
+        logger.debug(`Audit #${entry.seq}: ${action}${actor ? ` by ${actor}` : ''}`);
+        return entry;
+    }
+
+    function query({ limit = 100, offset = 0, ...filters } = {}) {
+        return {
+            entries: store.listAuditEntries({ limit, offset, ...filters }),
+            total: store.countAuditEntries(filters)
+        };
+    }
+
+    function verify() {
+        const report = verifyChain(store.iterateAuditEntries());
+        if (!report.valid) {
+            logger.error(`Audit log broken at entry ${report.brokenAt.seq}: ${report.brokenAt.reason}`);
+        }
+        return { ...report, verifiedAt: new Date().toISOString() };
+    }
+
+    return { record, query, verify };
+}
+
+module.exports = {
+    GENESIS_HASH,
+    canonicalJson,
+    hashEntry,
+    verifyChain,
+    createAuditLog
+};
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+
+// Users, roles and the two kinds of bearer token the API accepts: short-lived session tokens
+// (signed JWTs from /api/auth/login, used by the task pane) and API tokens for scripts, which
+// are random strings stored only as their SHA-256 hash. Roles are ordered: an admin can do
+// everything a reviewer can, and a reviewer everything a viewer can.
+
+const ROLES = ['viewer', 'reviewer', 'admin'];
+const API_TOKEN_PREFIX = 'sce_';
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Stands in for a signed-in user when authentication is turned off (ENABLE_AUTH=false)
+const LOCAL_USER = Object.freeze({ id: 'local', email: null, name: 'Local user', role: 'admin', local: true });
+
+class AuthError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+function hasRole(user, role) {
+    return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// What the API shows of a user or token: never the password or token hash
+function publicUser(user) {
+    return { id: user.id, email: user.email, name: user.name, role: user.role, disabled: Boolean(user.disabled), createdAt: user.createdAt };
+}
+
+function publicToken(token) {
+    const { tokenHash, ...rest } = token;
+    return rest;
+}
+
+function createAuth(options) {
+    const { store, logger } = options;
+    const enabled = options.enabled !== false;
+    const sessionHours = options.sessionHours || 12;
+    let secret = options.secret;
+    let dummyHash = null;
+
+    if (enabled && (!secret || secret === 'your-secret-key-here-change-in-production')) {
+        if (options.production) {
+            throw new Error('SESSION_SECRET must be set to a random value when authentication is enabled');
+        }
+        logger.warn('SESSION_SECRET is not set; using a random secret, so sessions end when the server restarts');
+        secret = crypto.randomBytes(32).toString('hex');
+    }
+
+    function validateRole(role) {
+        if (!ROLES.includes(role)) {
+            throw new AuthError(400, `Unknown role "${role}". Use one of: ${ROLES.join(', ')}`);
+        }
+    }
+
+    function validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new AuthError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    async function createUser({ email, name, password, role = 'viewer' }) {
+        validateRole(role);
+        validatePassword(password);
+        const normalized = String(email || '').trim().toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+$/.test(normalized)) {
+            throw new AuthError(400, 'A valid email address is required');
+        }
+        if (store.getUserByEmail(normalized)) {
+            throw new AuthError(409, `A user with email ${normalized} already exists`);
+        }
+
+        return publicUser(store.saveUser({
+            id: crypto.randomUUID(),
+            email: normalized,
+            name: name || normalized,
+            role,
+            passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+            createdAt: new Date().toISOString()
+        }));
+    }
+
+    async function updateUser(id, { name, role, password, disabled }) {
+        const user = store.getUser(id);
+        if (!user) return null;
+        if (role !== undefined) validateRole(role);
+        if (password !== undefined) validatePassword(password);
+
+        // A new password or disabling the user ends every session signed in before
+        const endSessions = password !== undefined || (Boolean(disabled) && !user.disabled);
+        return publicUser(store.updateUser(id, {
+            name: name === undefined ? user.name : name,
+            role: role === undefined ? user.role : role,
+            disabled: disabled === undefined ? user.disabled : Boolean(disabled),
+            passwordHash: password === undefined ? user.passwordHash : await bcrypt.hash(password, BCRYPT_ROUNDS),
+            tokenVersion: endSessions ? user.tokenVersion + 1 : user.tokenVersion
+        }));
+    }
+
+    // Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when there are no users yet
+    async function ensureAdmin(email, password) {
+        if (!enabled || store.countUsers() > 0) return null;
+        if (!email || !password) {
+            logger.warn('Authentication is enabled but no users exist; set ADMIN_EMAIL and ADMIN_PASSWORD to create an admin');
+            return null;
+        }
+        const admin = await createUser({ email, password, name: 'Administrator', role: 'admin' });
+        logger.info(`Created admin user ${admin.email}`);
+        return admin;
+    }
+
+    // Exchange email and password for a session token
+    async function login(email, password) {
+        const user = store.getUserByEmail(String(email || '').trim().toLowerCase());
+        // Unknown users are checked against a dummy hash so timing does not reveal which emails exist
+        dummyHash = dummyHash || await bcrypt.hash(crypto.randomBytes(16).toString('hex'), BCRYPT_ROUNDS);
+        const matches = await bcrypt.compare(String(password || ''), user ? user.passwordHash : dummyHash);
+        if (!user || !matches || user.disabled) {
+            throw new AuthError(401, 'Invalid email or password');
+        }
+
+        const expiresIn = sessionHours * 3600;
+        return {
+            token: jwt.sign({ sub: user.id, role: user.role, ver: user.tokenVersion }, secret, { expiresIn }),
+            expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+            user: publicUser(user)
+        };
+    }
+
+    // API tokens carry a role no higher than their owner's. The token itself is only returned here.
+    function createApiToken(user, { name, role, expiresInDays } = {}) {
+        const tokenRole = role || user.role;
+        validateRole(tokenRole);
+        if (!hasRole(user, tokenRole)) {
+            throw new AuthError(403, `A ${user.role} cannot create a token with the ${tokenRole} role`);
+        }
+
+        const token = API_TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+        const createdAt = new Date();
+        const record = store.saveApiToken({
+            id: crypto.randomUUID(),
+            userId: user.id,
+            name: name || 'API token',
+            role: tokenRole,
+            tokenHash: hashToken(token),
+            createdAt: createdAt.toISOString(),
+            expiresAt: expiresInDays ? new Date(createdAt.getTime() + expiresInDays * 86400000).toISOString() : null
+        });
+        return { token, apiToken: publicToken(record) };
+    }
+
+    // The user behind a bearer token, or null. A disabled owner invalidates every token; a session
+    // token also ends when the user's token version has moved on since it was issued.
+    function resolveToken(token) {
+        if (token.startsWith(API_TOKEN_PREFIX)) {
+            const record = store.getApiTokenByHash(hashToken(token));
+            if (!record || record.revokedAt || (record.expiresAt && record.expiresAt < new Date().toISOString())) {
+                return null;
+            }
+            const owner = store.getUser(record.userId);
+            if (!owner || owner.disabled) return null;
+            store.touchApiToken(record.id, new Date().toISOString());
+            // A token never has more rights than its owner has now
+            const role = hasRole(owner, record.role) ? record.role : owner.role;
+            return { ...publicUser(owner), role, tokenId: record.id };
+        }
+
+        try {
+            const claims = jwt.verify(token, secret);
+            const user = store.getUser(claims.sub);
+            return user && !user.disabled && (claims.ver || 0) === user.tokenVersion ? publicUser(user) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Attach req.user from the Authorization header. GET requests may pass the token as
+    // ?access_token= instead, for downloads and EventSource streams, which cannot set headers.
+    function authenticate(req, res, next) {
+        if (!enabled) {
+            req.user = LOCAL_USER;
+            return next();
+        }
+
+        const header = req.get('authorization') || '';
+        const token = /^Bearer\s+/i.test(header)
+            ? header.replace(/^Bearer\s+/i, '').trim()
+            : req.method === 'GET' && typeof req.query.access_token === 'string' ? req.query.access_token : null;
+        if (!token) {
+            req.user = null;
+            return next();
+        }
+
+        req.user = resolveToken(token);
+        if (!req.user) {
+            return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+        }
+        next();
+    }
+
+    // Route guard: 401 without a signed-in user, 403 when the role is too low
+    function requireRole(role) {
+        return (req, res, next) => {
+            if (!req.user) {
+                return res.status(401).json({ success: false, message: 'Sign in required' });
+            }
+            if (!hasRole(req.user, role)) {
+                return res.status(403).json({ success: false, message: `This action requires the ${role} role` });
+            }
+            next();
+        };
+    }
+
+    return {
+        enabled,
+        ensureAdmin,
+        createUser,
+        updateUser,
+        login,
+        createApiToken,
+        authenticate,
+        requireRole
+    };
+}
+
+module.exports = {
+    ROLES,
+    LOCAL_USER,
+    AuthError,
+    hasRole,
+    publicUser,
+    publicToken,
+    createAuth
+};
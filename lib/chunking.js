@@ -0,0 +1,310 @@
+// Structure-aware chunking for policies and contracts. The text is first split into units at
+// article, section and numbered-clause headings and at defined-term paragraphs; units larger
+// than the chunk size are then split at paragraph, line and sentence boundaries. Every chunk
+// keeps the heading path of the section it came from, e.g. ['Art. 7', '7.2 Limitation of Liability'].
+
+// Bump when the chunk boundaries change, so stored vector indexes are rebuilt
+const CHUNKER_VERSION = 2;
+
+const DEFAULT_SEPARATORS = ['\n\n', '\n', '. ', '! ', '? '];
+
+// Words ending in a period that do not end a sentence ("Sec. 4.2", "e.g. the", "Acme Inc. shall")
+const ABBREVIATIONS = new Set([
+    'art', 'arts', 'sec', 'secs', 'sect', 'para', 'paras', 'cl', 'no', 'nos', 'p', 'pp', 'ch',
+    'e.g', 'i.e', 'cf', 'viz', 'vs', 'v', 'approx', 'incl', 'max', 'min', 'ref',
+    'inc', 'ltd', 'co', 'corp', 'llc', 'plc', 'bros', 'mr', 'mrs', 'ms', 'dr', 'prof', 'st',
+    'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec'
+]);
+
+const ARTICLE_HEADING = /^(?:article|art\.)\s*(\d+|[ivxlcdm]+)\b([.:)]?)\s*[-–—:]?\s*(.*)$/i;
+const SECTION_HEADING = /^(?:section|sec\.|§)\s*(\d+(?:\.\d+)*)\b([.:)]?)\s*[-–—:]?\s*(.*)$/i;
+const NUMBERED_CLAUSE = /^(\d{1,3}(?:\.\d{1,3})*)([.)]?)\s+(["“(]?[A-Z].*)$/;
+const DEFINITION = /^["“']([^"”']{1,80})["”']\s+(?:means|shall mean|has the meaning|includes|refers to)\b/i;
+const MINOR_WORDS = new Set(['a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'in', 'into', 'of', 'on', 'or', 'the', 'to', 'upon', 'with']);
+
+// A short Title Case phrase after a clause number ("7.2 Limitation of Liability") is a heading;
+// a sentence ("7.2 The Supplier shall ...") is clause text and only the number goes in the path.
+function headingTitle(rest) {
+    const title = rest.trim().replace(/[.:]$/, '');
+    if (!title || title.length > 80 || /[.;:,!?]/.test(title)) {
+        return null;
+    }
+    const words = title.split(/\s+/);
+    const titleCase = words.every((word, i) => /^[^a-z]/.test(word) || (i > 0 && MINOR_WORDS.has(word)));
+    return titleCase ? title : null;
+}
+
+function isAllCapsHeading(line) {
+    const letters = line.replace(/[^A-Za-z]/g, '');
+    return letters.length >= 3 && line.length <= 80 && letters === letters.toUpperCase() && !/[.;,]$/.test(line);
+}
+
+// Classify one trimmed line. `standalone` is true when the line is a paragraph on its own.
+// Returns { level, label, kind, hasBody } for headings and defined terms, or null for body
+// text. `hasBody` is false when the line is only a heading. Numbered headings also carry their
+// `number` and `numbering` ('article' or 'section').
+function classifyLine(line, standalone) {
+    const numbered = [
+        { pattern: ARTICLE_HEADING, prefix: 'Art. ', level: () => 0 },
+        { pattern: SECTION_HEADING, prefix: 'Sec. ', level: number => number.split('.').length },
+        { pattern: NUMBERED_CLAUSE, prefix: '', level: number => number.split('.').length }
+    ];
+
+    for (const { pattern, prefix, level } of numbered) {
+        const match = pattern.exec(line);
+        if (!match) continue;
+
+        const [, number, separator, rest] = match;
+        const title = headingTitle(rest);
+        // "Section 4 applies to ..." in running text is not a heading
+        if (rest && title === null && !separator && pattern !== NUMBERED_CLAUSE) continue;
+
+        return {
+            level: level(number),
+            label: `${prefix}${pattern === ARTICLE_HEADING ? number.toUpperCase() : number}${title ? ` ${title}` : ''}`,
+            kind: 'section',
+            hasBody: Boolean(rest) && title === null,
+            number: pattern === ARTICLE_HEADING ? number.toUpperCase() : number,
+            numbering: pattern === ARTICLE_HEADING ? 'article' : 'section',
+            title: title
+        };
+    }
+
+    const definition = DEFINITION.exec(line);
+    if (definition) {
+        return { level: null, label: `"${definition[1]}"`, kind: 'definition', hasBody: true };
+    }
+
+    if (standalone && (isAllCapsHeading(line) || headingTitle(line) !== null && line.length <= 60 && !/[.:]$/.test(line))) {
+        return { level: 0, label: line.replace(/\s+/g, ' '), kind: 'section', hasBody: false };
+    }
+
+    return null;
+}
+
+// Lines with their offsets, marking the ones that form a paragraph by themselves
+function readLines(content) {
+    const lines = [];
+    const pattern = /[^\r\n]*(?:\r\n|\r|\n|$)/g;
+    let match;
+    while ((match = pattern.exec(content)) !== null && match.index < content.length) {
+        const raw = match[0].replace(/[\r\n]+$/, '');
+        lines.push({ text: raw.trim(), start: match.index, end: match.index + raw.length });
+        if (match[0].length === 0) break;
+    }
+    lines.forEach((line, i) => {
+        const blankBefore = i === 0 || lines[i - 1].text === '';
+        const blankAfter = i === lines.length - 1 || lines[i + 1].text === '';
+        line.standalone = blankBefore && blankAfter;
+    });
+    return lines;
+}
+
+// Split the document into units that each start at a heading or defined term. A heading with
+// no text of its own (ARTICLE 7 directly followed by 7.1) is carried into the next unit.
+function splitUnits(content) {
+    const units = [];
+    const path = [];
+    let current = { path: [], kind: 'preamble', start: 0, end: 0, hasBody: false };
+
+    function close(nextStart) {
+        if (current.hasBody) {
+            current.end = nextStart;
+            units.push(current);
+            return null;
+        }
+        return current.start;
+    }
+
+    for (const line of readLines(content)) {
+        if (!line.text) continue;
+
+        const heading = classifyLine(line.text, line.standalone);
+        if (!heading) {
+            current.hasBody = true;
+            continue;
+        }
+
+        const carriedStart = close(line.start);
+        if (heading.kind === 'definition') {
+            current = {
+                path: [...path.map(entry => entry.label), heading.label],
+                kind: 'definition',
+                start: carriedStart === null ? line.start : carriedStart,
+                hasBody: true
+            };
+            continue;
+        }
+
+        while (path.length > 0 && path[path.length - 1].level >= heading.level) {
+            path.pop();
+        }
+        path.push(heading);
+
+        current = {
+            path: path.map(entry => entry.label),
+            kind: 'section',
+            start: carriedStart === null ? line.start : carriedStart,
+            hasBody: heading.hasBody
+        };
+    }
+
+    if (current.hasBody) {
+        current.end = content.length;
+        units.push(current);
+    } else if (units.length > 0) {
+        // Trailing headings without text join the last unit
+        units[units.length - 1].end = content.length;
+    } else if (content.trim()) {
+        units.push({ ...current, end: content.length });
+    }
+    return units;
+}
+
+// The numbered headings of a document in order: [{ numbering, number, title, level, start, end }],
+// with the offsets of the heading line
+function listHeadings(content) {
+    const text = String(content || '');
+    const headings = [];
+    for (const line of readLines(text)) {
+        if (!line.text) continue;
+        const heading = classifyLine(line.text, line.standalone);
+        if (heading && heading.number) {
+            const offset = line.start + text.slice(line.start, line.end).search(/\S/);
+            headings.push({
+                numbering: heading.numbering,
+                number: heading.number,
+                title: heading.title,
+                level: heading.level,
+                start: offset,
+                end: offset + line.text.length
+            });
+        }
+    }
+    return headings;
+}
+
+// Sentence boundaries that skip abbreviations, initials ("U.S.") and decimals ("1.5")
+function splitSentences(text) {
+    const sentences = [];
+    const boundary = /[.!?]+["'”’)\]]*\s+/g;
+    let start = 0;
+    let match;
+    while ((match = boundary.exec(text)) !== null) {
+        const end = match.index + match[0].length;
+        const before = text.slice(start, match.index + 1);
+        const lastWord = (/(\S+)\.$/.exec(before) || [])[1] || '';
+        const next = text.charAt(end);
+
+        const abbreviation = match[0].startsWith('.') && match[0].trim() === '.' &&
+            (ABBREVIATIONS.has(lastWord.toLowerCase().replace(/^[("'“]/, '')) ||
+                /^(?:[A-Za-z]\.)+[A-Za-z]$/.test(lastWord) || /^[A-Z]$/.test(lastWord));
+        if (abbreviation || /[a-z0-9(§]/.test(next)) continue;
+
+        sentences.push(text.slice(start, end));
+        start = end;
+    }
+    if (start < text.length) {
+        sentences.push(text.slice(start));
+    }
+    return sentences;
+}
+
+// Split text at the first separator that breaks it into pieces, falling back to words
+function splitAtSeparator(text, separators) {
+    for (const separator of separators) {
+        if (['. ', '! ', '? '].includes(separator)) {
+            const sentences = splitSentences(text);
+            if (sentences.length > 1) return sentences;
+            continue;
+        }
+        const parts = text.split(separator);
+        if (parts.length > 1) {
+            return parts.map((part, i) => (i < parts.length - 1 ? part + separator : part));
+        }
+    }
+    return text.split(/(?<=\s)/);
+}
+
+// Pack a unit's text into pieces of at most maxSize characters. Pieces start with up to
+// `overlap` characters of whole sentences from the end of the previous piece.
+function packText(text, maxSize, overlap, separators) {
+    if (text.length <= maxSize) {
+        return [text];
+    }
+
+    const atoms = [];
+    (function explode(part, remaining) {
+        if (part.length <= maxSize || remaining.length === 0 && /^\S+\s*$/.test(part)) {
+            atoms.push(part);
+            return;
+        }
+        const pieces = splitAtSeparator(part, remaining);
+        if (pieces.length === 1) {
+            atoms.push(part);
+            return;
+        }
+        const index = remaining.findIndex(separator => part.includes(separator));
+        const rest = index === -1 ? [] : remaining.slice(index + 1);
+        pieces.forEach(piece => explode(piece, rest));
+    })(text, separators);
+
+    const pieces = [];
+    let current = '';
+    for (const atom of atoms) {
+        if (current && (current + atom).length > maxSize) {
+            pieces.push(current.trim());
+            const carried = splitSentences(current).reverse();
+            let tail = '';
+            for (const sentence of carried) {
+                if ((sentence + tail).length > overlap) break;
+                tail = sentence + tail;
+            }
+            current = tail;
+        }
+        current += atom;
+    }
+    if (current.trim()) {
+        pieces.push(current.trim());
+    }
+    return pieces;
+}
+
+// Chunk `content` into [{ text, headingPath, heading, kind, start, end }]. `kind` is 'section',
+// 'definition' or 'preamble' (text before the first heading).
+function chunkDocument(content, options = {}) {
+    const maxSize = options.maxSize || 1000;
+    const overlap = options.overlap === undefined ? 200 : options.overlap;
+    const separators = options.separators || DEFAULT_SEPARATORS;
+    const text = String(content || '');
+
+    const chunks = [];
+    for (const unit of splitUnits(text)) {
+        const unitText = text.slice(unit.start, unit.end);
+        let searchFrom = 0;
+        for (const piece of packText(unitText.trim(), maxSize, overlap, separators)) {
+            if (!/\w/.test(piece)) continue;
+            const offset = unitText.indexOf(piece.slice(0, 40), searchFrom);
+            const start = unit.start + Math.max(offset, 0);
+            searchFrom = Math.max(offset, 0) + 1;
+            chunks.push({
+                text: piece,
+                headingPath: unit.path,
+                heading: unit.path.join(' > '),
+                kind: unit.kind,
+                start: start,
+                end: start + piece.length
+            });
+        }
+    }
+    return chunks;
+}
+
+module.exports = {
+    CHUNKER_VERSION,
+    DEFAULT_SEPARATORS,
+    chunkDocument,
+    splitSentences,
+    classifyLine,
+    listHeadings
+};
@@ -0,0 +1,52 @@
+// Policy citations on model findings. The model is asked to cite the chunk ids of the policy
+// sections it relied on; a citation only stands if that chunk was actually in the prompt.
+
+const PASSAGE_LENGTH = 600;
+
+// sources: the policy chunks sent to the model, as [{ chunkId, policyId, policyName, heading,
+// chunkIndex, text }]
+function createCitationIndex(sources) {
+    return new Map(sources.map(source => [source.chunkId, source]));
+}
+
+// Replace the model's citations on each finding with verified ones carrying the cited passage.
+// Citations naming a chunk that was not retrieved, or the wrong policy for it, are moved to
+// `rejectedCitations` with a reason.
+function verifyCitations(findings, index) {
+    return (findings || []).map(finding => {
+        if (!Array.isArray(finding.citations)) {
+            return finding;
+        }
+
+        const citations = [];
+        const rejectedCitations = [];
+        for (const citation of finding.citations) {
+            const source = index.get(citation.chunkId);
+            if (!source) {
+                rejectedCitations.push({ ...citation, reason: 'not_retrieved' });
+            } else if (citation.policyId && citation.policyId !== source.policyId) {
+                rejectedCitations.push({ ...citation, reason: 'policy_mismatch' });
+            } else if (!citations.some(existing => existing.chunkId === source.chunkId)) {
+                citations.push({
+                    chunkId: source.chunkId,
+                    policyId: source.policyId,
+                    policyName: source.policyName,
+                    heading: source.heading || '',
+                    chunkIndex: source.chunkIndex,
+                    passage: source.text.length > PASSAGE_LENGTH ? `${source.text.slice(0, PASSAGE_LENGTH)}…` : source.text
+                });
+            }
+        }
+
+        const verified = { ...finding, citations };
+        if (rejectedCitations.length > 0) {
+            verified.rejectedCitations = rejectedCitations;
+        }
+        return verified;
+    });
+}
+
+module.exports = {
+    createCitationIndex,
+    verifyCitations
+};
@@ -0,0 +1,214 @@
+const Diff = require('diff');
+const { chunkDocument } = require('./chunking');
+const { diffFindings } = require('./versions');
+
+// Clause-by-clause comparison of two versions of a contract, e.g. our draft and the
+// counterparty's markup. Clauses are paired by identical text first, then by word overlap
+// (clauses under the same heading need less overlap); pairs out of order are `moved`.
+
+const MATCH_THRESHOLD = 0.5;
+const SAME_HEADING_BONUS = 0.25;
+const SEVERITY_WEIGHTS = { high: 3, medium: 2, low: 1 };
+
+// Clause numbers are ignored, so a renumbered clause still counts as unchanged
+const CLAUSE_NUMBER = /^(?:(?:article|art\.|section|sec\.|§)\s*(?:\d+(?:\.\d+)*|[ivxlcdm]+)|\d+(?:\.\d+)*)\b[.):]?\s+/i;
+
+function normalize(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim().replace(CLAUSE_NUMBER, '').toLowerCase();
+}
+
+// Dice coefficient over the distinct words of two texts (0..1)
+function similarity(a, b) {
+    const wordsA = new Set(normalize(a).match(/[a-z0-9]+/g) || []);
+    const wordsB = new Set(normalize(b).match(/[a-z0-9]+/g) || []);
+    if (wordsA.size === 0 && wordsB.size === 0) {
+        return 1;
+    }
+    let shared = 0;
+    for (const word of wordsA) {
+        if (wordsB.has(word)) shared++;
+    }
+    return Math.round(2 * shared / (wordsA.size + wordsB.size) * 1000) / 1000;
+}
+
+// Blocks of consecutive non-blank lines
+function splitParagraphs(text) {
+    const paragraphs = [];
+    for (const match of text.matchAll(/[^\n]*\S[^\n]*(?:\n[^\n]*\S[^\n]*)*/g)) {
+        const leading = match[0].length - match[0].trimStart().length;
+        const paragraph = match[0].trim();
+        paragraphs.push({ heading: '', text: paragraph, start: match.index + leading, end: match.index + leading + paragraph.length });
+    }
+    return paragraphs;
+}
+
+// The clauses of a contract: its structural units (never split for size), or its paragraphs
+// when it has no headings to go by
+function splitClauses(text) {
+    const content = String(text || '');
+    const units = chunkDocument(content, { maxSize: Infinity, overlap: 0 });
+    const clauses = units.length > 1
+        ? units.map(unit => ({ heading: unit.heading, text: unit.text, start: unit.start, end: unit.end }))
+        : splitParagraphs(content);
+    return clauses.map((clause, index) => ({ index, ...clause }));
+}
+
+// Indexes of the pairs (sorted by base clause) that stay in document order. Until the revised
+// order agrees, the pair crossing the most others is taken out as moved; between equals, the
+// one that travelled furthest.
+function inOrderPairs(pairs) {
+    const kept = new Set(pairs.map((_, i) => i));
+    for (;;) {
+        const indexes = [...kept];
+        const crossings = new Map(indexes.map(i => [i, 0]));
+        for (const i of indexes) {
+            for (const j of indexes) {
+                if (i < j && pairs[i].revised.index > pairs[j].revised.index) {
+                    crossings.set(i, crossings.get(i) + 1);
+                    crossings.set(j, crossings.get(j) + 1);
+                }
+            }
+        }
+
+        const displacement = i => Math.abs(pairs[i].base.index - pairs[i].revised.index);
+        const worst = indexes
+            .filter(i => crossings.get(i) > 0)
+            .sort((a, b) => crossings.get(b) - crossings.get(a) || displacement(b) - displacement(a))[0];
+        if (worst === undefined) {
+            return kept;
+        }
+        kept.delete(worst);
+    }
+}
+
+// Pair base clauses with revised clauses. Returns [{ base, revised, score }] for the pairs;
+// clauses left out were removed or added.
+function alignClauses(baseClauses, revisedClauses, { threshold = MATCH_THRESHOLD } = {}) {
+    const pairs = [];
+    const usedBase = new Set();
+    const usedRevised = new Set();
+    const pair = (base, revised, score) => {
+        pairs.push({ base, revised, score });
+        usedBase.add(base.index);
+        usedRevised.add(revised.index);
+    };
+
+    const byText = new Map();
+    for (const clause of revisedClauses) {
+        const key = normalize(clause.text);
+        byText.set(key, [...(byText.get(key) || []), clause]);
+    }
+    for (const base of baseClauses) {
+        const match = (byText.get(normalize(base.text)) || []).find(clause => !usedRevised.has(clause.index));
+        if (match) pair(base, match, 1);
+    }
+
+    const candidates = [];
+    for (const base of baseClauses.filter(clause => !usedBase.has(clause.index))) {
+        for (const revised of revisedClauses.filter(clause => !usedRevised.has(clause.index))) {
+            const sameHeading = Boolean(base.heading) && normalize(base.heading) === normalize(revised.heading);
+            const score = similarity(base.text, revised.text);
+            if (score + (sameHeading ? SAME_HEADING_BONUS : 0) >= threshold) {
+                candidates.push({ base, revised, score, rank: score + (sameHeading ? SAME_HEADING_BONUS : 0) });
+            }
+        }
+    }
+    candidates.sort((a, b) => b.rank - a.rank);
+    for (const { base, revised, score } of candidates) {
+        if (!usedBase.has(base.index) && !usedRevised.has(revised.index)) {
+            pair(base, revised, score);
+        }
+    }
+
+    return pairs.sort((a, b) => a.base.index - b.base.index);
+}
+
+// Word-level redline of a modified clause: [{ type: 'added' | 'removed' | 'unchanged', text }]
+function redline(baseText, revisedText) {
+    return Diff.diffWordsWithSpace(baseText, revisedText).map(part => ({
+        type: part.added ? 'added' : part.removed ? 'removed' : 'unchanged',
+        text: part.value
+    }));
+}
+
+// Compare two contract texts. Each change has a `type` (unchanged, added, removed, modified or
+// moved), the `base` and `revised` clauses, their `similarity`, `textChanged`, and a `redline`
+// when the wording changed. Changes are in the order of the revised contract, removed clauses
+// after the clause that preceded them.
+function compareContracts(baseText, revisedText, options = {}) {
+    const baseClauses = splitClauses(baseText);
+    const revisedClauses = splitClauses(revisedText);
+    const pairs = alignClauses(baseClauses, revisedClauses, options);
+    const inOrder = inOrderPairs(pairs);
+
+    const changes = [];
+    const revisedPosition = new Map();
+    pairs.forEach((match, i) => {
+        const textChanged = normalize(match.base.text) !== normalize(match.revised.text);
+        revisedPosition.set(match.base.index, match.revised.index);
+        changes.push({
+            type: !inOrder.has(i) ? 'moved' : textChanged ? 'modified' : 'unchanged',
+            base: match.base,
+            revised: match.revised,
+            similarity: match.score,
+            textChanged: textChanged,
+            position: match.revised.index,
+            ...(textChanged ? { redline: redline(match.base.text, match.revised.text) } : {})
+        });
+    });
+
+    const matchedRevised = new Set(pairs.map(match => match.revised.index));
+    for (const clause of revisedClauses.filter(clause => !matchedRevised.has(clause.index))) {
+        changes.push({ type: 'added', base: null, revised: clause, similarity: 0, textChanged: true, position: clause.index });
+    }
+
+    let anchor = -1;
+    for (const clause of baseClauses) {
+        if (revisedPosition.has(clause.index)) {
+            anchor = revisedPosition.get(clause.index);
+            continue;
+        }
+        changes.push({ type: 'removed', base: clause, revised: null, similarity: 0, textChanged: true, position: anchor + 0.5 });
+    }
+
+    changes.sort((a, b) => a.position - b.position);
+    const summary = { baseClauses: baseClauses.length, revisedClauses: revisedClauses.length };
+    for (const type of ['unchanged', 'added', 'removed', 'modified', 'moved']) {
+        summary[type] = changes.filter(change => change.type === type).length;
+    }
+
+    return { summary, changes: changes.map(({ position, ...change }) => change) };
+}
+
+function findingWeight(findings) {
+    return findings.reduce((total, finding) => total + (SEVERITY_WEIGHTS[String(finding.severity).toLowerCase()] || 1), 0);
+}
+
+// Whether a change makes compliance better or worse, from the analyses of the clause before and
+// after it (either may be null for added and removed clauses). Resolved issues count for the
+// change and introduced ones against it, weighted by severity; the score breaks ties.
+function assessChange(before, after) {
+    const empty = { complianceScore: null, riskLevel: null, issues: [], suggestions: [] };
+    const findings = diffFindings(before || empty, after || empty);
+    const weightChange = findingWeight(findings.issues.disappeared) - findingWeight(findings.issues.appeared);
+    const scoreChange = before && after ? after.complianceScore - before.complianceScore : null;
+    const direction = weightChange !== 0 ? weightChange : scoreChange || 0;
+
+    return {
+        effect: direction > 0 ? 'better' : direction < 0 ? 'worse' : 'neutral',
+        weightChange: weightChange,
+        scoreBefore: before ? before.complianceScore : null,
+        scoreAfter: after ? after.complianceScore : null,
+        scoreChange: scoreChange,
+        introduced: findings.issues.appeared,
+        resolved: findings.issues.disappeared
+    };
+}
+
+module.exports = {
+    similarity,
+    splitClauses,
+    alignClauses,
+    compareContracts,
+    assessChange
+};
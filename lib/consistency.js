@@ -0,0 +1,342 @@
+const { listHeadings } = require('./chunking');
+const { buildSpan } = require('./locations');
+
+// Contract-internal consistency, worked out from the text alone: the defined-term table
+// ("Services" means ..., (the "Customer")) and the section numbering tree. Reports capitalised
+// terms that are never defined, definitions never used, defined terms written in the wrong
+// case, terms defined twice, references to sections that do not exist and numbering slips.
+
+const SEVERITY_PENALTIES = { high: 3, medium: 2, low: 1 };
+const MAX_PENALTY = 15;
+const MAX_LOCATIONS = 20;
+
+const DEFINITION_PHRASE = /["“‘]([A-Z][^"”’\n]{0,79})["”’]\s+(?:means|shall mean|has the meaning|have the meaning|includes|shall include|refers to|is defined)\b/g;
+const PARENTHESES = /\(([^()\n]*["“‘][A-Z][^()\n]*)\)/g;
+const QUOTED_TERM = /["“‘]([A-Z][^"”’\n]{0,79})["”’]/g;
+// Capitalised words after an article or determiner, the way defined terms are used
+const TERM_CANDIDATE = /\b(?:[Tt]he|[Aa]n?|[Aa]ny|[Ee]ach|[Ss]uch|[Aa]ll|[Nn]o|[Ee]very)\s+((?:[A-Z][a-z]+)(?:\s+(?:of\s+)?[A-Z][a-z]+)*)/g;
+const REFERENCE = /\b(Sections?|Clauses?|Articles?|Sec\.|§)\s*((?:\d+(?:\.\d+)*|[IVXLCDM]+\b)(?:\([a-z0-9]{1,4}\))*(?:\s*(?:,|and|or|to|through|-|–)\s*\d+(?:\.\d+)*(?:\([a-z0-9]{1,4}\))*)*)/g;
+// "Section 230 of the Communications Act" refers to another document
+const EXTERNAL_REFERENCE = /^\s+of\s+(?!this\b)(?:the\s+)?[A-Z]/;
+
+// Capitalised words that are not defined terms
+const NOT_TERMS = new Set([
+    'Section', 'Sections', 'Clause', 'Clauses', 'Article', 'Articles', 'Schedule', 'Schedules',
+    'Exhibit', 'Exhibits', 'Annex', 'Annexes', 'Appendix', 'Appendices', 'Recital', 'Recitals', 'Part',
+    'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October',
+    'November', 'December', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday',
+    'United Kingdom', 'United States', 'European Union', 'European Economic Area'
+]);
+// Legislation is named, not defined ("the Data Protection Act")
+const LEGISLATION = /\b(?:Act|Acts|Regulation|Regulations|Directive|Code|Convention|Treaty)$/;
+
+const ROMAN = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
+
+function romanToNumber(roman) {
+    let total = 0;
+    for (let i = 0; i < roman.length; i++) {
+        const value = ROMAN[roman[i]];
+        total += value < (ROMAN[roman[i + 1]] || 0) ? -value : value;
+    }
+    return total;
+}
+
+// Article numbers compared as integers, so "Article 7" finds "ARTICLE VII"
+function articleNumber(number) {
+    return /^\d+$/.test(number) ? Number(number) : romanToNumber(number.toUpperCase());
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The term, its plural and (for plurals) its singular
+function termForms(term) {
+    const forms = [term, `${term}s`, `${term}es`];
+    if (/[^aeiou]y$/.test(term)) forms.push(`${term.slice(0, -1)}ies`);
+    if (/ies$/.test(term)) forms.push(`${term.slice(0, -3)}y`);
+    if (/s$/.test(term)) forms.push(term.slice(0, -1));
+    return forms;
+}
+
+function formsPattern(term, flags) {
+    const forms = termForms(term).sort((a, b) => b.length - a.length).map(escapeRegExp);
+    return new RegExp(`(?<![\\w-])(?:${forms.join('|')})(?![\\w-])`, flags);
+}
+
+function overlaps(span, others) {
+    return others.some(other => span.start < other.start + other.length && other.start < span.start + span.length);
+}
+
+// Every definition in the document: [{ term, start, length, style: 'means' | 'inline' }], where
+// the span covers the quoted term
+function findDefinitions(text) {
+    const definitions = [];
+    for (const match of text.matchAll(DEFINITION_PHRASE)) {
+        definitions.push({ term: match[1].trim(), start: match.index + 1, length: match[1].length, style: 'means' });
+    }
+    for (const group of text.matchAll(PARENTHESES)) {
+        const offset = group.index + 1;
+        for (const match of group[1].matchAll(QUOTED_TERM)) {
+            const start = offset + match.index + 1;
+            if (!definitions.some(definition => definition.start === start)) {
+                definitions.push({ term: match[1].trim(), start, length: match[1].length, style: 'inline' });
+            }
+        }
+    }
+    return definitions.sort((a, b) => a.start - b.start);
+}
+
+// The defined-term table: one entry per term with where it is defined and used. `miscased`
+// holds uses in a different case ("customer" for "Customer"), except in all-caps headings and
+// on the line that defines the term ("Services" means the services ...).
+function buildDefinedTerms(text) {
+    const definitions = findDefinitions(text);
+    const definitionSpans = definitions.map(({ start, length }) => ({ start, length }));
+    const byTerm = new Map();
+    for (const definition of definitions) {
+        const entry = byTerm.get(definition.term) || { term: definition.term, definitions: [], uses: [], miscased: [] };
+        entry.definitions.push(buildSpan(text, definition.start, definition.length));
+        byTerm.set(definition.term, entry);
+    }
+
+    const terms = [...byTerm.values()];
+    const matches = new Map(terms.map(entry => [entry, [...text.matchAll(formsPattern(entry.term, 'gi'))]
+        .map(match => ({ start: match.index, length: match[0].length, text: match[0] }))
+        .filter(span => !overlaps(span, definitionSpans))]));
+
+    for (const entry of terms) {
+        // A longer defined term containing this one ("Customer Data" and "Customer") owns the match
+        const longer = terms
+            .filter(other => other.term.length > entry.term.length && other.term.toLowerCase().includes(entry.term.toLowerCase()))
+            .flatMap(other => matches.get(other));
+
+        const definingLines = entry.definitions.map(definition => definition.paragraphIndex);
+        for (const span of matches.get(entry)) {
+            if (overlaps(span, longer)) continue;
+            const location = buildSpan(text, span.start, span.length);
+            if (termForms(entry.term).includes(span.text)) {
+                entry.uses.push(location);
+            } else if (span.text !== span.text.toUpperCase() && !definingLines.includes(location.paragraphIndex)) {
+                entry.miscased.push(location);
+            }
+        }
+    }
+    return terms;
+}
+
+// The numbering tree: every numbered heading in order, with the number of its parent section
+function buildSectionTree(text) {
+    return listHeadings(text).map(heading => ({
+        numbering: heading.numbering,
+        number: heading.number,
+        title: heading.title,
+        parent: heading.numbering === 'section' && heading.number.includes('.')
+            ? heading.number.split('.').slice(0, -1).join('.')
+            : null,
+        location: buildSpan(text, heading.start, heading.end - heading.start)
+    }));
+}
+
+function sectionExists(sections, kind, number) {
+    const base = number.replace(/\(.*$/, '');
+    // Drafts number articles either way, so "Article 7" and "Section 7" accept both
+    if (/^[IVXLCDM]+$/.test(base) || (/^art/i.test(kind) && /^\d+$/.test(base))) {
+        const wanted = articleNumber(base);
+        if (sections.some(section => section.numbering === 'article' && articleNumber(section.number) === wanted)) {
+            return true;
+        }
+        return sections.some(section => section.numbering === 'section' && section.number.split('.')[0] === String(wanted));
+    }
+    return sections.some(section => section.number === base || section.number.startsWith(`${base}.`) ||
+        (section.numbering === 'article' && /^\d+$/.test(base) && articleNumber(section.number) === Number(base)));
+}
+
+// Cross-references ("see Section 14.3", "Clauses 4.1 and 4.2") that name no section of the document
+function findBrokenReferences(text, sections) {
+    const headingStarts = new Set(sections.map(section => section.location.start));
+    const broken = new Map();
+    for (const match of text.matchAll(REFERENCE)) {
+        if (headingStarts.has(match.index) || EXTERNAL_REFERENCE.test(text.substr(match.index + match[0].length, 60))) continue;
+
+        const kind = match[1];
+        // Roman numerals are only read as article numbers
+        if (/^[IVXLCDM]+$/.test(match[2].split(/\s|\(/)[0]) && !/^art/i.test(kind)) continue;
+        const listStart = match.index + match[0].indexOf(match[2], kind.length);
+        for (const number of match[2].matchAll(/\d+(?:\.\d+)*(?:\([a-z0-9]{1,4}\))*|[IVXLCDM]+\b/g)) {
+            if (sectionExists(sections, kind, number[0])) continue;
+            const label = `${/^art/i.test(kind) ? 'Article' : 'Section'} ${number[0]}`;
+            const entry = broken.get(label) || { label, locations: [] };
+            entry.locations.push(buildSpan(text, listStart + number.index, number[0].length));
+            broken.set(label, entry);
+        }
+    }
+    return [...broken.values()];
+}
+
+// Section numbers used twice, and siblings that skip a number (3 followed by 5)
+function findNumberingProblems(sections) {
+    const problems = [];
+    const seen = new Map();
+    const highest = new Map();
+    for (const section of sections) {
+        const key = `${section.numbering}:${section.numbering === 'article' ? articleNumber(section.number) : section.number}`;
+        if (seen.has(key)) {
+            problems.push({ kind: 'duplicate', section, previous: seen.get(key) });
+            continue;
+        }
+        seen.set(key, section);
+
+        const position = section.numbering === 'article'
+            ? articleNumber(section.number)
+            : Number(section.number.split('.').pop());
+        // Compared with the highest sibling so far, so a numbered list restarting at 1 is no gap
+        const siblings = `${section.numbering}:${section.parent || ''}`;
+        const previous = highest.get(siblings);
+        if (previous && position > previous.position + 1) {
+            problems.push({ kind: 'gap', section, previous: previous.section });
+        }
+        if (!previous || position > previous.position) {
+            highest.set(siblings, { position, section });
+        }
+    }
+    return problems;
+}
+
+// Capitalised terms used like defined terms ("the Deliverables") that no definition covers
+function findUndefinedTerms(text, definedTerms, sections) {
+    const defined = new Set();
+    for (const entry of definedTerms) {
+        termForms(entry.term).forEach(form => defined.add(form));
+    }
+    const headingLines = sections.map(section => section.location);
+    const undefinedTerms = new Map();
+    for (const match of text.matchAll(TERM_CANDIDATE)) {
+        const term = match[1];
+        const start = match.index + match[0].length - term.length;
+        if (NOT_TERMS.has(term) || NOT_TERMS.has(term.split(' ')[0]) || LEGISLATION.test(term)) continue;
+        if (termForms(term).some(form => defined.has(form))) continue;
+        if (overlaps({ start, length: term.length }, headingLines)) continue;
+
+        const entry = undefinedTerms.get(term) || { term, locations: [] };
+        entry.locations.push(buildSpan(text, start, term.length));
+        undefinedTerms.set(term, entry);
+    }
+    return [...undefinedTerms.values()];
+}
+
+function finding(fields) {
+    return { type: 'Consistency Issue', ...fields, locations: fields.locations.slice(0, MAX_LOCATIONS) };
+}
+
+// Check a contract's defined terms and cross-references. Returns the term table and section
+// tree it built, plus issues, suggestions and a score penalty in the rule engine's shape.
+function checkConsistency(documentText) {
+    const text = String(documentText || '');
+    const definedTerms = buildDefinedTerms(text);
+    const sections = buildSectionTree(text);
+    const issues = [];
+    const suggestions = [];
+
+    for (const entry of definedTerms) {
+        if (entry.definitions.length > 1) {
+            issues.push(finding({
+                ruleId: `duplicate-definition:${entry.term}`,
+                severity: 'medium',
+                title: `"${entry.term}" is defined ${entry.definitions.length} times`,
+                description: 'Keep a single definition so the meaning cannot differ between clauses',
+                locations: entry.definitions
+            }));
+        }
+        if (entry.uses.length === 0) {
+            issues.push(finding({
+                ruleId: `unused-definition:${entry.term}`,
+                severity: 'low',
+                title: `"${entry.term}" is defined but never used`,
+                description: 'Remove the definition or use the term where it is meant',
+                locations: entry.definitions
+            }));
+        }
+        if (entry.miscased.length > 0) {
+            issues.push(finding({
+                ruleId: `term-capitalisation:${entry.term}`,
+                severity: 'low',
+                title: `Defined term "${entry.term}" is not capitalised consistently`,
+                description: `Found ${entry.miscased.length} use(s) in a different case`,
+                locations: entry.miscased
+            }));
+            suggestions.push(finding({
+                ruleId: `term-capitalisation:${entry.term}`,
+                priority: 'low',
+                title: `Write "${entry.term}" as defined`,
+                description: `Apply to ${entry.miscased.length} instance(s), unless the general meaning is intended`,
+                locations: entry.miscased,
+                edits: entry.miscased.slice(0, MAX_LOCATIONS).map(span => ({
+                    ...span,
+                    replacement: termForms(entry.term).find(form => form.toLowerCase() === span.text.toLowerCase())
+                }))
+            }));
+        }
+    }
+
+    for (const entry of findUndefinedTerms(text, definedTerms, sections)) {
+        issues.push(finding({
+            ruleId: `undefined-term:${entry.term}`,
+            severity: 'medium',
+            title: `"${entry.term}" is capitalised but never defined`,
+            description: `Used ${entry.locations.length} time(s); define it or write it in lower case`,
+            locations: entry.locations
+        }));
+    }
+
+    for (const reference of findBrokenReferences(text, sections)) {
+        issues.push(finding({
+            ruleId: `broken-reference:${reference.label}`,
+            severity: 'high',
+            title: `Reference to ${reference.label}, which does not exist`,
+            description: `Referred to ${reference.locations.length} time(s); the document has no such section`,
+            locations: reference.locations
+        }));
+    }
+
+    for (const problem of findNumberingProblems(sections)) {
+        const name = `${problem.section.numbering === 'article' ? 'Article' : 'Section'} ${problem.section.number}`;
+        issues.push(finding(problem.kind === 'duplicate'
+            ? {
+                ruleId: `duplicate-section-number:${name}`,
+                severity: 'medium',
+                title: `${name} is numbered twice`,
+                description: 'Renumber the sections so references are unambiguous',
+                locations: [problem.previous.location, problem.section.location]
+            }
+            : {
+                ruleId: `section-numbering-gap:${name}`,
+                severity: 'low',
+                title: `${name} follows ${problem.previous.number}`,
+                description: 'A number is skipped; check for a deleted section or a numbering slip',
+                locations: [problem.section.location]
+            }));
+    }
+
+    const penalty = Math.min(issues.reduce((total, issue) => total + SEVERITY_PENALTIES[issue.severity], 0), MAX_PENALTY);
+
+    return {
+        definedTerms: definedTerms.map(entry => ({
+            term: entry.term,
+            definitions: entry.definitions,
+            useCount: entry.uses.length,
+            miscasedCount: entry.miscased.length
+        })),
+        sections: sections,
+        issues,
+        suggestions,
+        penalty
+    };
+}
+
+module.exports = {
+    findDefinitions,
+    buildDefinedTerms,
+    buildSectionTree,
+    checkConsistency
+};
@@ -0,0 +1,315 @@
+const path = require('path');
+const fs = require('fs').promises;
+const mammoth = require('mammoth');
+const pdfParse = require('pdf-parse');
+const cheerio = require('cheerio');
+
+class ExtractionError extends Error {
+    constructor(message, extractor) {
+        super(message);
+        this.name = 'ExtractionError';
+        this.extractor = extractor;
+    }
+}
+
+const extractors = {
+    '.txt': extractPlainText,
+    '.docx': extractDocx,
+    '.pdf': extractPdf,
+    '.doc': extractLegacyDoc
+};
+
+// Extract plain text from an uploaded policy file based on its extension
+async function extractText(filePath, originalName = filePath) {
+    const ext = path.extname(originalName).toLowerCase();
+    const extractor = extractors[ext];
+    if (!extractor) {
+        throw new ExtractionError(`Unsupported file type: ${ext || 'none'}`, null);
+    }
+
+    const buffer = await fs.readFile(filePath);
+    const result = await extractor(buffer);
+    const text = normalizeText(result.text);
+
+    if (text.replace(/\s/g, '').length === 0) {
+        throw new ExtractionError('No extractable text found in document', result.extractor);
+    }
+
+    return { text, extractor: result.extractor };
+}
+
+function normalizeText(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Plain text
+async function extractPlainText(buffer) {
+    if (buffer.includes(0)) {
+        throw new ExtractionError('File contains binary data and is not plain text', 'plain-text');
+    }
+
+    return {
+        text: buffer.toString('utf8').replace(/^\uFEFF/, ''),
+        extractor: 'plain-text'
+    };
+}
+
+// DOCX: convert OOXML to HTML with mammoth so that tables and list numbering survive, then flatten
+async function extractDocx(buffer) {
+    let html;
+    try {
+        const result = await mammoth.convertToHtml({ buffer });
+        html = result.value;
+    } catch (error) {
+        throw new ExtractionError(`Could not parse DOCX: ${error.message}`, 'docx');
+    }
+
+    const $ = cheerio.load(html);
+    const lines = [];
+
+    const walk = (elements, listPrefix) => {
+        elements.each((_, element) => {
+            const tag = element.tagName;
+            const $el = $(element);
+
+            if (tag === 'ol' || tag === 'ul') {
+                $el.children('li').each((index, item) => {
+                    const $item = $(item);
+                    const label = tag === 'ol' ? `${listPrefix}${index + 1}.` : '-';
+                    const ownText = $item.clone().children('ol, ul').remove().end().text().trim();
+                    lines.push(`${label} ${ownText}`);
+                    walk($item.children('ol, ul'), tag === 'ol' ? `${listPrefix}${index + 1}.` : listPrefix);
+                });
+            } else if (tag === 'table') {
+                $el.find('tr').each((_, row) => {
+                    const cells = $(row).children('td, th')
+                        .map((_, cell) => $(cell).text().trim())
+                        .get();
+                    lines.push(cells.join('\t'));
+                });
+                lines.push('');
+            } else {
+                lines.push($el.text().trim());
+                lines.push('');
+            }
+        });
+    };
+
+    walk($('body').children(), '');
+
+    return { text: lines.join('\n'), extractor: 'docx' };
+}
+
+// PDF: text layer only, scanned documents without OCR are rejected
+async function extractPdf(buffer) {
+    let data;
+    try {
+        // pdf.js mishandles Node Buffers, so hand it a plain Uint8Array
+        data = await pdfParse(new Uint8Array(buffer));
+    } catch (error) {
+        throw new ExtractionError(`Could not parse PDF: ${error.message || error}`, 'pdf');
+    }
+
+    if (!data.text || data.text.replace(/\s/g, '').length === 0) {
+        throw new ExtractionError('PDF has no text layer (scanned documents are not supported)', 'pdf');
+    }
+
+    return { text: data.text, extractor: 'pdf' };
+}
+
+// Legacy Word 97-2003 (.doc): read the piece table out of the compound file
+async function extractLegacyDoc(buffer) {
+    let streams;
+    try {
+        streams = readCompoundFile(buffer);
+    } catch (error) {
+        throw new ExtractionError(`Could not parse DOC: ${error.message}`, 'doc');
+    }
+
+    const wordDocument = streams.WordDocument;
+    if (!wordDocument || wordDocument.readUInt16LE(0) !== 0xA5EC) {
+        throw new ExtractionError('Could not parse DOC: WordDocument stream missing', 'doc');
+    }
+
+    const flags = wordDocument.readUInt16LE(0x0A);
+    if (flags & 0x0100) {
+        throw new ExtractionError('Encrypted DOC files are not supported', 'doc');
+    }
+
+    const table = streams[(flags & 0x0200) ? '1Table' : '0Table'];
+    const ccpText = wordDocument.readUInt32LE(0x4C);
+    const fcClx = wordDocument.readUInt32LE(0x01A2);
+    const lcbClx = wordDocument.readUInt32LE(0x01A6);
+
+    if (!table || lcbClx === 0 || fcClx + lcbClx > table.length) {
+        throw new ExtractionError('Could not parse DOC: piece table missing', 'doc');
+    }
+
+    const raw = readPieceTable(wordDocument, table.subarray(fcClx, fcClx + lcbClx)).slice(0, ccpText);
+
+    return { text: cleanWordText(raw), extractor: 'doc' };
+}
+
+function readPieceTable(wordDocument, clx) {
+    let offset = 0;
+
+    // Skip Prc entries (property modifiers) preceding the Pcdt
+    while (clx[offset] === 0x01) {
+        offset += 3 + clx.readUInt16LE(offset + 1);
+    }
+
+    if (clx[offset] !== 0x02) {
+        throw new ExtractionError('Could not parse DOC: invalid piece table', 'doc');
+    }
+
+    const lcb = clx.readUInt32LE(offset + 1);
+    const plcPcd = clx.subarray(offset + 5, offset + 5 + lcb);
+    const pieceCount = (lcb - 4) / 12;
+    let text = '';
+
+    for (let i = 0; i < pieceCount; i++) {
+        const cpStart = plcPcd.readUInt32LE(i * 4);
+        const cpEnd = plcPcd.readUInt32LE((i + 1) * 4);
+        const pcdOffset = (pieceCount + 1) * 4 + i * 8;
+        const fcValue = plcPcd.readUInt32LE(pcdOffset + 2);
+        const compressed = (fcValue & 0x40000000) !== 0;
+        const length = cpEnd - cpStart;
+
+        if (compressed) {
+            const fc = (fcValue & 0x3FFFFFFF) / 2;
+            text += wordDocument.subarray(fc, fc + length).toString('latin1');
+        } else {
+            text += wordDocument.subarray(fcValue, fcValue + length * 2).toString('utf16le');
+        }
+    }
+
+    return text;
+}
+
+function cleanWordText(raw) {
+    let text = '';
+    let fieldDepth = 0;
+    const inCode = [];
+
+    for (const char of raw) {
+        const code = char.charCodeAt(0);
+        if (code === 0x13) {
+            fieldDepth++;
+            inCode[fieldDepth] = true;
+        } else if (code === 0x14) {
+            inCode[fieldDepth] = false;
+        } else if (code === 0x15) {
+            fieldDepth = Math.max(fieldDepth - 1, 0);
+        } else if (fieldDepth > 0 && inCode[fieldDepth]) {
+            continue;
+        } else if (code === 0x0D || code === 0x0B || code === 0x0C) {
+            text += '\n';
+        } else if (code === 0x07) {
+            text += '\t';
+        } else if (code >= 0x20 || code === 0x09) {
+            text += char;
+        }
+    }
+
+    return text;
+}
+
+// Minimal reader for Compound File Binary containers (the format behind .doc)
+function readCompoundFile(buffer) {
+    const signature = 'd0cf11e0a1b11ae1';
+    if (buffer.length < 512 || buffer.subarray(0, 8).toString('hex') !== signature) {
+        throw new Error('not an OLE compound document');
+    }
+
+    const sectorSize = 1 << buffer.readUInt16LE(0x1E);
+    const miniSectorSize = 1 << buffer.readUInt16LE(0x20);
+    const fatSectorCount = buffer.readUInt32LE(0x2C);
+    const firstDirSector = buffer.readUInt32LE(0x30);
+    const miniStreamCutoff = buffer.readUInt32LE(0x38);
+    const firstMiniFatSector = buffer.readUInt32LE(0x3C);
+    let difatSector = buffer.readUInt32LE(0x44);
+
+    const END_OF_CHAIN = 0xFFFFFFFE;
+    const sectorOffset = (sector) => (sector + 1) * sectorSize;
+
+    const fatSectors = [];
+    for (let i = 0; i < 109 && fatSectors.length < fatSectorCount; i++) {
+        fatSectors.push(buffer.readUInt32LE(0x4C + i * 4));
+    }
+    while (fatSectors.length < fatSectorCount && difatSector < END_OF_CHAIN) {
+        const base = sectorOffset(difatSector);
+        const entries = sectorSize / 4 - 1;
+        for (let i = 0; i < entries && fatSectors.length < fatSectorCount; i++) {
+            fatSectors.push(buffer.readUInt32LE(base + i * 4));
+        }
+        difatSector = buffer.readUInt32LE(base + entries * 4);
+    }
+
+    const fat = [];
+    for (const sector of fatSectors) {
+        const base = sectorOffset(sector);
+        for (let i = 0; i < sectorSize / 4; i++) {
+            fat.push(buffer.readUInt32LE(base + i * 4));
+        }
+    }
+
+    const readChain = (start, table, readSector) => {
+        const parts = [];
+        const seen = new Set();
+        for (let sector = start; sector < END_OF_CHAIN; sector = table[sector]) {
+            if (seen.has(sector) || sector >= table.length) {
+                throw new Error('corrupt sector chain');
+            }
+            seen.add(sector);
+            parts.push(readSector(sector));
+        }
+        return Buffer.concat(parts);
+    };
+
+    const readSector = (sector) => buffer.subarray(sectorOffset(sector), sectorOffset(sector) + sectorSize);
+    const directory = readChain(firstDirSector, fat, readSector);
+
+    const entries = [];
+    for (let offset = 0; offset + 128 <= directory.length; offset += 128) {
+        const nameLength = directory.readUInt16LE(offset + 0x40);
+        entries.push({
+            name: directory.subarray(offset, offset + Math.max(nameLength - 2, 0)).toString('utf16le'),
+            type: directory[offset + 0x42],
+            start: directory.readUInt32LE(offset + 0x74),
+            size: directory.readUInt32LE(offset + 0x78)
+        });
+    }
+
+    const root = entries[0];
+    const miniStream = root ? readChain(root.start, fat, readSector) : Buffer.alloc(0);
+    const miniFat = [];
+    if (firstMiniFatSector < END_OF_CHAIN) {
+        const miniFatBuffer = readChain(firstMiniFatSector, fat, readSector);
+        for (let i = 0; i < miniFatBuffer.length / 4; i++) {
+            miniFat.push(miniFatBuffer.readUInt32LE(i * 4));
+        }
+    }
+    const readMiniSector = (sector) =>
+        miniStream.subarray(sector * miniSectorSize, (sector + 1) * miniSectorSize);
+
+    const streams = {};
+    for (const entry of entries) {
+        if (entry.type !== 2) continue;
+        const data = entry.size < miniStreamCutoff
+            ? readChain(entry.start, miniFat, readMiniSector)
+            : readChain(entry.start, fat, readSector);
+        streams[entry.name] = data.subarray(0, entry.size);
+    }
+
+    return streams;
+}
+
+module.exports = {
+    ExtractionError,
+    extractText,
+    supportedExtensions: Object.keys(extractors)
+};
@@ -0,0 +1,213 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+class AnalysisTimeoutError extends Error {
+    constructor(timeoutMs) {
+        super(`Analysis timed out after ${timeoutMs} ms`);
+        this.name = 'AnalysisTimeoutError';
+    }
+}
+
+// Run `task(signal)` but give up after timeoutMs, aborting the signal so the work stops too
+function withTimeout(task, timeoutMs) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(new AnalysisTimeoutError(timeoutMs));
+        }, timeoutMs);
+    });
+
+    return Promise.race([task(controller.signal), timeout]).finally(() => clearTimeout(timer));
+}
+
+// Aggregate the per-document outcomes of a job. `documents` are job documents with the stored
+// analysis result attached as `result` (when the document was analysed).
+function summarizeJob(documents, { worstCount = 5, commonIssueCount = 10 } = {}) {
+    const analysed = documents.filter(document => document.status === 'completed' && document.result);
+    const scores = analysed.map(document => document.result.complianceScore);
+
+    const riskLevels = {};
+    for (const document of analysed) {
+        const level = document.result.riskLevel || 'Unknown';
+        riskLevels[level] = (riskLevels[level] || 0) + 1;
+    }
+
+    // Count each issue once per document, keyed by rule id when there is one
+    const issueCounts = new Map();
+    for (const document of analysed) {
+        const seen = new Set();
+        for (const issue of document.result.issues || []) {
+            const key = issue.ruleId || issue.title || issue.type;
+            if (!key || seen.has(key)) continue;
+            seen.add(key);
+
+            const entry = issueCounts.get(key) || { key, title: issue.title || issue.type || key, severity: issue.severity, documentCount: 0 };
+            entry.documentCount++;
+            issueCounts.set(key, entry);
+        }
+    }
+
+    return {
+        documentCount: documents.length,
+        completedCount: analysed.length,
+        failedCount: documents.filter(document => document.status === 'failed').length,
+        timedOutCount: documents.filter(document => document.status === 'timed_out').length,
+        // Completed on the rule-based fallback because the model failed
+        degradedCount: analysed.filter(document => document.result.degraded).length,
+        averageScore: scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+        minScore: scores.length > 0 ? Math.min(...scores) : null,
+        maxScore: scores.length > 0 ? Math.max(...scores) : null,
+        riskLevels: riskLevels,
+        worstOffenders: [...analysed]
+            .sort((a, b) => a.result.complianceScore - b.result.complianceScore)
+            .slice(0, worstCount)
+            .map(document => ({
+                position: document.position,
+                name: document.name,
+                complianceScore: document.result.complianceScore,
+                riskLevel: document.result.riskLevel,
+                resultId: document.resultId,
+                degraded: Boolean(document.result.degraded),
+                issueCount: (document.result.issues || []).length
+            })),
+        commonIssues: [...issueCounts.values()]
+            .sort((a, b) => b.documentCount - a.documentCount || String(a.title).localeCompare(String(b.title)))
+            .slice(0, commonIssueCount)
+    };
+}
+
+// Batch analysis jobs. Documents from every job share one pool of `concurrency` slots and each
+// analysis is cut off after `timeoutMs`. `analyze(text, options, signal, job)` must resolve with a
+// stored analysis result. Progress is published per job through subscribe().
+function createJobRunner(options) {
+    const { store, analyze, logger } = options;
+    const concurrency = Math.max(1, options.concurrency || 5);
+    const timeoutMs = options.timeoutMs || 30000;
+
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    const queue = [];
+    const remaining = new Map();
+    let active = 0;
+
+    function publish(jobId, event, data) {
+        emitter.emit(jobId, event, data);
+    }
+
+    function drain() {
+        while (active < concurrency && queue.length > 0) {
+            const task = queue.shift();
+            active++;
+            task().finally(() => {
+                active--;
+                drain();
+            });
+        }
+    }
+
+    function finishJob(jobId) {
+        const job = store.getJob(jobId);
+        const documents = job.documents.map(document => ({
+            ...document,
+            result: document.resultId ? store.getAnalysisResult(document.resultId) : null
+        }));
+        const summary = summarizeJob(documents);
+
+        store.completeJob(jobId, { status: 'completed', completedAt: new Date().toISOString(), summary });
+        remaining.delete(jobId);
+        publish(jobId, 'job', store.getJob(jobId));
+    }
+
+    async function runDocument(job, position, document) {
+        const startedAt = new Date().toISOString();
+        store.updateJobStatus(job.id, 'running');
+        store.updateJobDocument(job.id, position, { status: 'running', startedAt });
+        publish(job.id, 'document', { position, name: document.name, status: 'running' });
+
+        let update;
+        try {
+            const result = await withTimeout(signal => analyze(document.text, job.options, signal, job), timeoutMs);
+            update = {
+                status: 'completed',
+                resultId: result.id,
+                complianceScore: result.complianceScore,
+                riskLevel: result.riskLevel
+            };
+        } catch (error) {
+            const timedOut = error instanceof AnalysisTimeoutError;
+            if (!timedOut) {
+                logger.error(`Batch job ${job.id} document "${document.name}" failed:`, error);
+            }
+            update = { status: timedOut ? 'timed_out' : 'failed', error: error.message };
+        }
+
+        update.startedAt = startedAt;
+        update.completedAt = new Date().toISOString();
+        store.updateJobDocument(job.id, position, update);
+        publish(job.id, 'document', { position, name: document.name, ...update });
+
+        const left = remaining.get(job.id) - 1;
+        remaining.set(job.id, left);
+        if (left === 0) {
+            finishJob(job.id);
+        }
+    }
+
+    return {
+        // documents: [{ name, text }]; createdBy identifies who submitted the job and workspaceId
+        // the workspace whose policies and rules it is analysed against
+        submit(documents, jobOptions = {}, { createdBy = null, workspaceId = 'default' } = {}) {
+            const job = store.createJob({
+                id: crypto.randomUUID(),
+                createdAt: new Date().toISOString(),
+                options: jobOptions,
+                documents: documents,
+                createdBy: createdBy,
+                workspaceId: workspaceId
+            });
+
+            remaining.set(job.id, documents.length);
+            documents.forEach((document, position) => {
+                queue.push(() => runDocument(job, position, document));
+            });
+            drain();
+
+            logger.info(`Batch job ${job.id} queued with ${documents.length} document(s)`);
+            return job;
+        },
+
+        getJob(id) {
+            return store.getJob(id);
+        },
+
+        isRunning(id) {
+            return remaining.has(id);
+        },
+
+        // listener(event, data): "document" for every status change, "job" once the job is done
+        subscribe(jobId, listener) {
+            emitter.on(jobId, listener);
+            return () => emitter.off(jobId, listener);
+        },
+
+        // Close out jobs left unfinished by a previous process
+        recoverInterrupted() {
+            const ids = store.interruptUnfinishedJobs(new Date().toISOString());
+            ids.forEach(finishJob);
+            return ids;
+        },
+
+        get stats() {
+            return { active, queued: queue.length, concurrency, timeoutMs };
+        }
+    };
+}
+
+module.exports = {
+    AnalysisTimeoutError,
+    withTimeout,
+    summarizeJob,
+    createJobRunner
+};
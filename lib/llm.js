@@ -0,0 +1,248 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const Anthropic = require('@anthropic-ai/sdk');
+
+// Language-model providers. Every provider exposes the same interface:
+//   name, model, supportsEmbeddings
+//   complete(prompt, options)      -> Promise<string>
+//   completeJson(prompt, options)  -> Promise<object>
+//   embed(texts)                   -> Promise<number[][]>
+// Options: maxTokens, temperature, signal (AbortSignal), onText(delta) to stream the response,
+// plus task ('analysis' | 'grammar' | 'terms') and document (the text under review), which only
+// the mock provider uses to pick its canned answer.
+
+const DEFAULT_ANTHROPIC_MODEL = 'claude-3-5-sonnet-20241022';
+const MOCK_EMBEDDING_DIMENSIONS = 256;
+
+class ProviderError extends Error {
+    constructor(message, provider) {
+        super(message);
+        this.name = 'ProviderError';
+        this.provider = provider;
+    }
+}
+
+// Models often wrap JSON in prose or code fences; prefer a fenced block, then take the
+// outermost object
+function parseJsonResponse(text, provider) {
+    const fenced = /```(?:json)?\s*\n([\s\S]*?)```/i.exec(text);
+    const body = fenced && fenced[1].includes('{') ? fenced[1] : text;
+    const start = body.indexOf('{');
+    const end = body.lastIndexOf('}');
+    if (start === -1 || end < start) {
+        throw new ProviderError('Model response did not contain a JSON object', provider);
+    }
+    try {
+        return JSON.parse(body.slice(start, end + 1));
+    } catch (error) {
+        throw new ProviderError(`Model response is not valid JSON: ${error.message}`, provider);
+    }
+}
+
+function numberOr(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+}
+
+function createAnthropicProvider(options) {
+    const client = new Anthropic({ apiKey: options.apiKey });
+    const model = options.model || DEFAULT_ANTHROPIC_MODEL;
+    const defaultMaxTokens = numberOr(options.maxTokens, 4000);
+    const defaultTemperature = numberOr(options.temperature, 0.1);
+
+    const provider = {
+        name: 'anthropic',
+        model: model,
+        supportsEmbeddings: false,
+
+        async complete(prompt, callOptions = {}) {
+            const request = {
+                model: model,
+                max_tokens: numberOr(callOptions.maxTokens, defaultMaxTokens),
+                temperature: numberOr(callOptions.temperature, defaultTemperature),
+                messages: [{ role: 'user', content: prompt }]
+            };
+
+            if (callOptions.onText) {
+                const stream = client.messages.stream(request, { signal: callOptions.signal });
+                stream.on('text', callOptions.onText);
+                const message = await stream.finalMessage();
+                return message.content[0].text;
+            }
+
+            const response = await client.messages.create(request, { signal: callOptions.signal });
+            return response.content[0].text;
+        },
+
+        async completeJson(prompt, callOptions = {}) {
+            return parseJsonResponse(await provider.complete(prompt, callOptions), 'anthropic');
+        },
+
+        async embed() {
+            throw new ProviderError('Anthropic does not provide embeddings; ChromaDB embeds the policy text itself', 'anthropic');
+        }
+    };
+
+    return provider;
+}
+
+// Policy sections the server labelled in an analysis prompt ("[chunk_id: ... | policy_id: ... |
+// policy_name: ...]" followed by the section text)
+function parsePromptSources(prompt) {
+    const sources = [];
+    const pattern = /\[chunk_id: ([^|\]]+) \| policy_id: ([^|\]]+) \| policy_name: ([^\]]*)\]\n([\s\S]*?)(?=\n\[chunk_id: |\n\nDOCUMENT TO ANALYZE:|$)/g;
+    for (const match of String(prompt).matchAll(pattern)) {
+        sources.push({ chunkId: match[1], policyId: match[2], policyName: match[3], text: match[4] });
+    }
+    return sources;
+}
+
+// Deterministic stand-in for a real model. Findings come from a fixture file of patterns: every
+// pattern that matches the document yields its finding, quoted at the match, so the whole
+// analysis path (quotes, locations, edits, streaming) runs without network access. A finding
+// with a `cite` pattern cites the policy sections in the prompt that match it. Key terms come from
+// `terms` entries the same way; `value` may use the pattern's groups ($1).
+function createMockProvider(options = {}) {
+    const fixtures = options.fixtures ||
+        JSON.parse(fs.readFileSync(options.fixturesPath, 'utf8'));
+
+    function analysisResponse(documentText, prompt) {
+        const sources = parsePromptSources(prompt);
+        const analysis = fixtures.analysis || {};
+        const response = { complianceScore: analysis.baseScore || 100, riskLevel: 'Low', issues: [], suggestions: [] };
+
+        for (const entry of analysis.findings || []) {
+            const match = new RegExp(entry.pattern, entry.flags || '').exec(documentText);
+            if (!match) continue;
+
+            const finding = { ...entry.finding, quote: match[0], start: match.index };
+            if (entry.cite) {
+                finding.citations = sources
+                    .filter(source => new RegExp(entry.cite, 'i').test(source.text))
+                    .map(({ chunkId, policyId, policyName }) => ({ chunkId, policyId, policyName }));
+            }
+            if (entry.kind === 'suggestions') {
+                finding.replacement = entry.replacement === undefined ? null : entry.replacement;
+            }
+            response[entry.kind === 'suggestions' ? 'suggestions' : 'issues'].push(finding);
+            response.complianceScore -= entry.penalty || 0;
+        }
+
+        response.complianceScore = Math.max(response.complianceScore, 0);
+        response.riskLevel = response.complianceScore >= 80 ? 'Low' : response.complianceScore >= 60 ? 'Medium' : 'High';
+        return response;
+    }
+
+    function grammarResponse(text) {
+        const issues = [];
+        for (const rule of (fixtures.grammar && fixtures.grammar.rules) || []) {
+            for (const match of text.matchAll(new RegExp(rule.pattern, (rule.flags || '').replace('g', '') + 'g'))) {
+                issues.push({
+                    position: match.index,
+                    length: match[0].length,
+                    issue: rule.issue,
+                    suggestion: rule.suggestion,
+                    severity: rule.severity || 'low',
+                    category: rule.category || 'grammar'
+                });
+            }
+        }
+        return { issues };
+    }
+
+    function termsResponse(text) {
+        const terms = [];
+        for (const entry of fixtures.terms || []) {
+            const match = new RegExp(entry.pattern, entry.flags || '').exec(text);
+            if (!match) continue;
+            terms.push({
+                field: entry.field,
+                value: entry.value === undefined ? match[1] || match[0] : match[0].replace(new RegExp(entry.pattern, entry.flags || ''), entry.value),
+                quote: match[0],
+                confidence: entry.confidence === undefined ? 0.9 : entry.confidence
+            });
+        }
+        return { terms };
+    }
+
+    const provider = {
+        name: 'mock',
+        model: 'mock',
+        supportsEmbeddings: true,
+
+        async complete(prompt, callOptions = {}) {
+            if (callOptions.signal) {
+                callOptions.signal.throwIfAborted();
+            }
+
+            const document = callOptions.document === undefined ? prompt : callOptions.document;
+            const response = callOptions.task === 'grammar' ? grammarResponse(document)
+                : callOptions.task === 'analysis' ? analysisResponse(document, prompt)
+                : callOptions.task === 'terms' ? termsResponse(document)
+                : fixtures.default || {};
+            const text = JSON.stringify(response, null, 2);
+
+            if (callOptions.onText) {
+                for (let i = 0; i < text.length; i += 40) {
+                    callOptions.onText(text.slice(i, i + 40));
+                }
+            }
+            return text;
+        },
+
+        async completeJson(prompt, callOptions = {}) {
+            return parseJsonResponse(await provider.complete(prompt, callOptions), 'mock');
+        },
+
+        // Hashed bag-of-words vectors: texts sharing words end up close together
+        async embed(texts) {
+            return texts.map(text => {
+                const vector = new Array(MOCK_EMBEDDING_DIMENSIONS).fill(0);
+                for (const word of String(text).toLowerCase().match(/[a-z0-9]+/g) || []) {
+                    const hash = crypto.createHash('md5').update(word).digest();
+                    vector[hash.readUInt16BE(0) % MOCK_EMBEDDING_DIMENSIONS] += 1;
+                }
+                const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+                return vector.map(value => value / norm);
+            });
+        }
+    };
+
+    return provider;
+}
+
+// LLM_PROVIDER picks the provider explicitly; otherwise MOCK_AI=true selects the mock and an
+// ANTHROPIC_API_KEY selects Anthropic. Returns null when no provider is configured.
+function createProviderFromEnv(env = process.env, baseDir = process.cwd()) {
+    const name = env.LLM_PROVIDER || (env.MOCK_AI === 'true' ? 'mock' : env.ANTHROPIC_API_KEY ? 'anthropic' : null);
+
+    switch (name) {
+        case null:
+            return null;
+        case 'mock':
+            return createMockProvider({
+                fixturesPath: path.resolve(baseDir, env.MOCK_AI_FIXTURES || 'fixtures/mock-ai.json')
+            });
+        case 'anthropic':
+            if (!env.ANTHROPIC_API_KEY) {
+                throw new ProviderError('LLM_PROVIDER=anthropic requires ANTHROPIC_API_KEY', 'anthropic');
+            }
+            return createAnthropicProvider({
+                apiKey: env.ANTHROPIC_API_KEY,
+                model: env.ANTHROPIC_MODEL,
+                maxTokens: env.ANTHROPIC_MAX_TOKENS,
+                temperature: env.ANTHROPIC_TEMPERATURE
+            });
+        default:
+            throw new ProviderError(`Unknown LLM_PROVIDER "${name}"`, name);
+    }
+}
+
+module.exports = {
+    ProviderError,
+    parseJsonResponse,
+    createAnthropicProvider,
+    createMockProvider,
+    createProviderFromEnv
+};
@@ -0,0 +1,136 @@
+// Character spans inside the analysed document. Offsets are UTF-16 code units into the exact
+// documentText the client sent; paragraphIndex counts line breaks, which matches the order of
+// Word's body.paragraphs because body.text separates paragraphs with a single "\r".
+
+function paragraphIndexAt(text, offset) {
+    const before = text.slice(0, offset);
+    return (before.match(/\r\n|\r|\n/g) || []).length;
+}
+
+function buildSpan(text, start, length) {
+    return {
+        start: start,
+        length: length,
+        text: text.substr(start, length),
+        paragraphIndex: paragraphIndexAt(text, start)
+    };
+}
+
+// Every match of a (global) pattern as a span
+function findSpans(text, pattern, limit = 50) {
+    const flags = pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g';
+    const spans = [];
+    for (const match of text.matchAll(new RegExp(pattern.source, flags))) {
+        if (match[0].length === 0) continue;
+        spans.push(buildSpan(text, match.index, match[0].length));
+        if (spans.length >= limit) break;
+    }
+    return spans;
+}
+
+// Locate a quote reported by the model. The claimed offset is trusted only if the quote is
+// really there; otherwise the occurrence closest to the claimed offset wins, then a
+// whitespace-insensitive search. Returns null when the quote is not in the document.
+function resolveQuotedSpan(text, quote, claimedStart) {
+    if (typeof quote !== 'string' || quote.trim().length === 0) {
+        return null;
+    }
+
+    const hint = Number.isInteger(claimedStart) && claimedStart >= 0 ? claimedStart : 0;
+    if (text.substr(hint, quote.length) === quote) {
+        return buildSpan(text, hint, quote.length);
+    }
+
+    let best = -1;
+    for (let index = text.indexOf(quote); index !== -1; index = text.indexOf(quote, index + 1)) {
+        if (best === -1 || Math.abs(index - hint) < Math.abs(best - hint)) {
+            best = index;
+        }
+    }
+    if (best !== -1) {
+        return buildSpan(text, best, quote.length);
+    }
+
+    const words = quote.trim().split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const match = new RegExp(words.join('\\s+')).exec(text);
+    return match ? buildSpan(text, match.index, match[0].length) : null;
+}
+
+// The sentence or line containing a span, for quoting the clause in reports. Long clauses are
+// cut to a window of maxLength characters around the span.
+function clauseAround(text, location, maxLength = 300) {
+    const spanEnd = location.start + location.length;
+
+    let start = 0;
+    for (const match of text.slice(0, location.start).matchAll(/[.!?;](?=\s)|\r|\n/g)) {
+        start = match.index + 1;
+    }
+    const next = /[.!?;](?=\s|$)|\r|\n/.exec(text.slice(spanEnd));
+    let end = next ? spanEnd + next.index + (/[\r\n]/.test(next[0]) ? 0 : 1) : text.length;
+
+    let prefix = '';
+    let suffix = '';
+    if (end - start > maxLength) {
+        const windowStart = Math.max(start, location.start - Math.floor(Math.max(maxLength - location.length, 0) / 2));
+        if (windowStart > start) prefix = '…';
+        start = windowStart;
+        if (start + maxLength < end) {
+            end = start + maxLength;
+            suffix = '…';
+        }
+    }
+
+    return prefix + text.slice(start, end).trim() + suffix;
+}
+
+// Carry the capitalisation of the original word over to its replacement ("Shall" -> "Will")
+function matchCase(original, replacement) {
+    if (!replacement || !/[a-z]/i.test(original)) return replacement;
+    if (original === original.toUpperCase() && original.length > 1) return replacement.toUpperCase();
+    if (original[0] === original[0].toUpperCase()) return replacement[0].toUpperCase() + replacement.slice(1);
+    return replacement;
+}
+
+// Concrete text edits for a set of spans. Deletions also swallow one following space so the
+// client does not leave a double space behind.
+function buildEdits(text, locations, replacement) {
+    return locations.map(location => {
+        let length = location.length;
+        if (replacement === '' && text[location.start + length] === ' ') {
+            length += 1;
+        }
+        return {
+            ...buildSpan(text, location.start, length),
+            replacement: matchCase(location.text, replacement)
+        };
+    });
+}
+
+// Replace the model's raw quote/start fields on each finding with verified locations. A
+// replacement from the model becomes an edit only when its quote was found in the document.
+function attachModelLocations(text, findings) {
+    return (findings || []).map(finding => {
+        const { quote, start, replacement, ...rest } = finding;
+        const span = resolveQuotedSpan(text, quote, start);
+        const located = {
+            ...rest,
+            locations: span ? [span] : [],
+            locationVerified: Boolean(span)
+        };
+        if (replacement !== undefined) {
+            located.edits = span && typeof replacement === 'string' ? [{ ...span, replacement }] : [];
+        }
+        return located;
+    });
+}
+
+module.exports = {
+    paragraphIndexAt,
+    buildSpan,
+    findSpans,
+    resolveQuotedSpan,
+    matchCase,
+    buildEdits,
+    attachModelLocations,
+    clauseAround
+};
@@ -0,0 +1,426 @@
+const { buildSpan } = require('./locations');
+const { DURATION, DATE, durationFromMatch, parseDate, formatDuration, sentences } = require('./terms');
+const { csvCell } = require('./reports');
+
+// Obligation register: who must do what, triggered by which event, and by when. Each sentence
+// with a modal ("shall", "must", "agrees to", ...) yields one entry per modal; deadlines are read
+// as relative ("within 30 days of the Effective Date") or absolute ("by 31 March 2025") and turned
+// into due dates against the contract's own dates where the trigger names one. The renewal date
+// and the last day to give notice of non-renewal are added as milestones from the key terms.
+
+const MODAL = /\b(shall|must|will|agrees?\s+to|undertakes?\s+to|(?:is|are)\s+(?:required|obliged|obligated)\s+to)(\s+not\b)?/gi;
+const SUBJECT = /(?:^|[^\w'’])((?:(?:[Tt]he|[Ee]ach|[Ee]ither|[Bb]oth|[Nn]either|[Ss]uch)\s+)?(?:[A-Z][\w&'’.-]*(?:\s+(?:[A-Z][\w&'’.-]*|of|&))*|[a-z][\w-]*))\s*$/;
+// Subjects that are not a party: "This Agreement shall be governed by ...", "Invoices shall be paid ..."
+const NOT_A_PARTY = /^(?:(?:this|that|the|such|any|all|each|these|those)\s+)?(?:agreement|contract|term|terms|renewal\s+term|clause|section|schedule|exhibit|annex|appendix|notice|notices|fees?|charges?|payments?|invoices?|amounts?|provisions?|obligations?|liability|it|this|that|which|who|there|they)$/i;
+
+const RELATIVE = new RegExp(
+    `(?:\\b(within|no\\s+later\\s+than|not\\s+later\\s+than|at\\s+least|not\\s+less\\s+than|no\\s+less\\s+than|on|with)\\s+)?` +
+    `${DURATION}(?:['’]s?|s['’])?(?:\\s+(?:prior|advance))?(?:\\s+written)?(\\s+notice)?` +
+    `(?:\\s+(after|of|from|following|before|prior\\s+to)\\s+([^,;]+))?`,
+    'gi'
+);
+const ABSOLUTE = new RegExp(`\\b(by|on\\s+or\\s+before|no\\s+later\\s+than|not\\s+later\\s+than|before|on)\\s+(?:the\\s+)?(?:${DATE})`, 'i');
+const EVENT = /\b(?:upon|following|(?:promptly|immediately)\s+(?:after|following|upon)|after|on)\s+((?:the\s+)?(?:receipt|termination|expiry|expiration|completion|delivery|request|execution|signature|signing|discovery|becoming\s+aware|notice|written\s+request)\b[^,;]*)/i;
+const RECURRENCE = /\b(daily|weekly|monthly|quarterly|annually|yearly|(?:each|every|per)\s+(?:calendar\s+)?(day|week|month|quarter|year))\b/i;
+const RECURRENCE_UNITS = {
+    daily: ['days', 1], day: ['days', 1],
+    weekly: ['weeks', 1], week: ['weeks', 1],
+    monthly: ['months', 1], month: ['months', 1],
+    quarterly: ['months', 3], quarter: ['months', 3],
+    annually: ['years', 1], yearly: ['years', 1], year: ['years', 1]
+};
+
+const EFFECTIVE_DATE = /\b(?:effective\s+date|commencement\s+date|date\s+of\s+this\s+agreement|execution|signature|signing)\b/i;
+const TERM_END = /\b(?:(?:end|expiry|expiration)\s+of\s+(?:the\s+|this\s+)?(?:(?:initial|then[\s-]current|current)\s+)?term|expiry\s+date|expiration\s+date|renewal\s+date)\b/i;
+
+function cleanPhrase(text) {
+    return text.replace(/\s+/g, ' ').replace(/(?:\s*,)+\s*,/g, ',').replace(/^[\s,]+|[\s,.;:]+$/g, '');
+}
+
+// Add (sign 1) or subtract (sign -1) a duration from a YYYY-MM-DD date. Business days skip
+// weekends; months that are too short clamp to their last day. Null for a date that is not one.
+function addDuration(isoDate, duration, sign = 1) {
+    if (!isoDate || !duration || duration.perpetual || !duration.amount) return null;
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    if (Number.isNaN(date.getTime())) return null;
+    const amount = duration.amount * sign;
+
+    switch (duration.unit) {
+        case 'business days': {
+            let remaining = duration.amount;
+            while (remaining > 0) {
+                date.setUTCDate(date.getUTCDate() + sign);
+                if (date.getUTCDay() !== 0 && date.getUTCDay() !== 6) remaining--;
+            }
+            break;
+        }
+        case 'days':
+            date.setUTCDate(date.getUTCDate() + amount);
+            break;
+        case 'weeks':
+            date.setUTCDate(date.getUTCDate() + amount * 7);
+            break;
+        case 'months':
+        case 'years': {
+            const months = duration.unit === 'years' ? amount * 12 : amount;
+            const day = date.getUTCDate();
+            date.setUTCDate(1);
+            date.setUTCMonth(date.getUTCMonth() + months);
+            const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+            date.setUTCDate(Math.min(day, lastDay));
+            break;
+        }
+        default:
+            return null;
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+function termValue(terms, field) {
+    const term = (terms || []).find(candidate => candidate.field === field);
+    return term && term.value !== null ? term : null;
+}
+
+// The dates deadlines are resolved against: the effective date and the last day of the first term
+function buildAnchors(terms, effectiveDate) {
+    const effective = termValue(terms, 'effectiveDate');
+    const term = termValue(terms, 'term');
+    const start = effectiveDate || (effective ? effective.value : null);
+    const renewalDate = start && term ? addDuration(start, term.value) : null;
+    return {
+        effectiveDate: start,
+        expiryDate: renewalDate ? addDuration(renewalDate, { amount: 1, unit: 'days' }, -1) : null,
+        renewalDate: renewalDate
+    };
+}
+
+function resolveTrigger(trigger, anchors) {
+    if (!trigger) return null;
+    const date = parseDate(trigger);
+    if (date) return { date, basis: 'date' };
+    if (EFFECTIVE_DATE.test(trigger) && anchors.effectiveDate) return { date: anchors.effectiveDate, basis: 'effectiveDate' };
+    if (TERM_END.test(trigger) && anchors.expiryDate) return { date: anchors.expiryDate, basis: 'expiryDate' };
+    return null;
+}
+
+// The earliest deadline phrase in the clause: { phrase: { index, text }, deadline, trigger }
+function findDeadline(clause) {
+    let relative = null;
+    for (const match of clause.matchAll(RELATIVE)) {
+        // "60 days' notice of termination" names the notice, not the event it counts from
+        const noticeOf = Boolean(match[4]) && /^of$/i.test(match[5] || '');
+        if (match[1] || (match[5] && !noticeOf)) {
+            relative = {
+                index: match.index,
+                text: match[0],
+                duration: durationFromMatch(match[2], match[3]),
+                relation: noticeOf ? null : match[5],
+                trigger: noticeOf ? null : match[6]
+            };
+            break;
+        }
+    }
+    const absolute = ABSOLUTE.exec(clause);
+
+    if (absolute && (!relative || absolute.index < relative.index)) {
+        return {
+            phrase: { index: absolute.index, text: absolute[0] },
+            deadline: { type: 'absolute', date: parseDate(absolute[0]) },
+            trigger: null
+        };
+    }
+    if (relative) {
+        return {
+            phrase: { index: relative.index, text: relative.text },
+            deadline: {
+                type: 'relative',
+                amount: relative.duration.amount,
+                unit: relative.duration.unit,
+                direction: /\b(?:before|prior)\b/i.test(relative.relation || relative.text) ? 'before' : 'after'
+            },
+            trigger: relative.trigger ? cleanPhrase(relative.trigger) : null
+        };
+    }
+
+    const event = EVENT.exec(clause);
+    return event
+        ? { phrase: { index: event.index, text: event[0] }, deadline: null, trigger: cleanPhrase(event[1]) }
+        : { phrase: null, deadline: null, trigger: null };
+}
+
+function findRecurrence(clause) {
+    const match = RECURRENCE.exec(clause);
+    if (!match) return null;
+    const [unit, interval] = RECURRENCE_UNITS[(match[2] || match[1]).toLowerCase()];
+    return { unit, interval };
+}
+
+// The grammatical subject at the end of `prefix`, skipping a trailing alias such as ("Acme")
+function readSubject(prefix) {
+    const tail = prefix.slice(-80);
+    const match = SUBJECT.exec(tail.replace(/\s*\([^)]*\)\s*$/, ' '));
+    if (!match) return null;
+    return { text: match[1], offset: prefix.length - tail.length + match.index + match[0].indexOf(match[1]) };
+}
+
+// Obligations in `text`. `anchors` come from buildAnchors(); entries without a party are kept
+// only when they carry a deadline or trigger.
+function extractObligations(text, anchors = {}) {
+    const obligations = [];
+
+    for (const sentence of sentences(String(text || ''))) {
+        const modals = [...sentence.text.matchAll(MODAL)];
+        modals.forEach((modal, index) => {
+            const next = modals[index + 1];
+            const clauseStart = modal.index + modal[0].length;
+            let clause = sentence.text.slice(clauseStart, next ? next.index : undefined).split(';')[0];
+            if (next) {
+                // Drop the next obligation's subject ("... and the Customer")
+                const nextSubject = readSubject(clause);
+                if (nextSubject) clause = clause.slice(0, nextSubject.offset).replace(/\s*(?:,|\band\b|\bor\b)\s*$/, '');
+            }
+
+            const subject = readSubject(sentence.text.slice(0, modal.index));
+            const subjectText = subject ? subject.text : null;
+            const isParty = subjectText && !NOT_A_PARTY.test(subjectText) && !/^[a-z][\w-]*$/.test(subjectText);
+            const party = isParty ? subjectText.replace(/^the\s+/i, '') : null;
+            const { phrase, deadline, trigger } = findDeadline(clause);
+            if (!party && !deadline && !trigger) return;
+
+            let action = clause;
+            if (phrase) {
+                action = action.slice(0, phrase.index) + ' ' + action.slice(phrase.index + phrase.text.length);
+            }
+            action = cleanPhrase(action);
+            if (!action) return;
+
+            const resolved = deadline && deadline.type === 'absolute'
+                ? { date: deadline.date, basis: 'date' }
+                : resolveTrigger(trigger, anchors);
+            const dueDate = resolved && deadline && deadline.type === 'relative'
+                ? addDuration(resolved.date, deadline, deadline.direction === 'before' ? -1 : 1)
+                : resolved ? resolved.date : null;
+
+            const spanStart = subject ? subject.offset : modal.index;
+            const spanEnd = clauseStart + clause.replace(/[\s.;:,]+$/, '').length;
+            obligations.push({
+                id: `obligation-${obligations.length + 1}`,
+                kind: modal[2] ? 'prohibition' : 'obligation',
+                party: party,
+                subject: subjectText,
+                modal: modal[0].replace(/\s+/g, ' ').toLowerCase(),
+                action: action,
+                trigger: trigger,
+                deadline: deadline,
+                recurrence: findRecurrence(clause),
+                dueDate: dueDate,
+                dueDateBasis: dueDate ? resolved.basis : null,
+                location: buildSpan(text, sentence.start + spanStart, spanEnd - spanStart)
+            });
+        });
+    }
+    return obligations;
+}
+
+// Renewal or expiry of the term and, for automatic renewals, the last day to give notice
+function buildMilestones(terms, anchors) {
+    if (!anchors.expiryDate) return [];
+    const renewal = termValue(terms, 'renewal');
+    const notice = termValue(terms, 'terminationNotice');
+    const term = termValue(terms, 'term');
+    const automatic = Boolean(renewal && renewal.value.automatic);
+    const period = automatic && renewal.value.period && !renewal.value.period.perpetual ? renewal.value.period : null;
+    const recurrence = period ? { unit: period.unit, interval: period.amount } : null;
+
+    const milestones = [automatic
+        ? {
+            id: 'renewal',
+            type: 'renewal',
+            title: `Contract renews automatically${period ? ` for ${formatDuration(period)}` : ''}`,
+            date: anchors.renewalDate,
+            recurrence: recurrence,
+            location: renewal.location
+        }
+        : {
+            id: 'expiry',
+            type: 'expiry',
+            title: 'Contract term ends',
+            date: anchors.expiryDate,
+            recurrence: null,
+            location: term ? term.location : null
+        }];
+
+    if (automatic && notice && !notice.value.perpetual) {
+        milestones.push({
+            id: 'notice-deadline',
+            type: 'notice-deadline',
+            title: `Last day for notice of non-renewal (${formatDuration(notice.value)} before the term ends)`,
+            date: addDuration(anchors.expiryDate, notice.value, -1),
+            recurrence: recurrence,
+            location: notice.location
+        });
+    }
+    return milestones;
+}
+
+// The register for a document, given its key terms (as returned by mergeTerms) and an optional
+// effective date that overrides the extracted one
+function buildObligationRegister(text, { terms = [], effectiveDate = null } = {}) {
+    const anchors = buildAnchors(terms, effectiveDate);
+    const obligations = extractObligations(text, anchors);
+    return {
+        anchors: anchors,
+        obligations: obligations,
+        milestones: buildMilestones(terms, anchors),
+        summary: {
+            obligations: obligations.filter(item => item.kind === 'obligation').length,
+            prohibitions: obligations.filter(item => item.kind === 'prohibition').length,
+            scheduled: obligations.filter(item => item.dueDate).length,
+            unscheduled: obligations.filter(item => item.deadline && !item.dueDate).length
+        }
+    };
+}
+
+function describeDeadline(item) {
+    const { deadline, trigger } = item;
+    if (!deadline) return trigger ? `upon ${trigger}` : '';
+    if (deadline.type === 'absolute') return `by ${deadline.date}`;
+    const duration = formatDuration(deadline);
+    if (trigger) return `${duration} ${deadline.direction} ${trigger}`;
+    return deadline.direction === 'before' ? `${duration} in advance` : `within ${duration}`;
+}
+
+function describeRecurrence(recurrence) {
+    if (!recurrence) return '';
+    return recurrence.interval === 1
+        ? `every ${recurrence.unit.replace(/s$/, '')}`
+        : `every ${recurrence.interval} ${recurrence.unit}`;
+}
+
+function describeObligation(item) {
+    const who = item.party || item.subject || 'Unassigned';
+    return `${who.charAt(0).toUpperCase()}${who.slice(1)}: ${item.kind === 'prohibition' ? 'must not ' : ''}${item.action}`;
+}
+
+function renderCsv(register) {
+    const rows = [['id', 'type', 'party', 'obligation', 'deadline', 'due_date', 'due_date_basis', 'recurrence', 'clause']];
+    for (const item of register.obligations) {
+        rows.push([
+            item.id, item.kind, item.party, `${item.kind === 'prohibition' ? 'must not ' : ''}${item.action}`,
+            describeDeadline(item), item.dueDate, item.dueDateBasis, describeRecurrence(item.recurrence), item.location.text
+        ]);
+    }
+    for (const item of register.milestones) {
+        rows.push([item.id, item.type, '', item.title, '', item.date, 'key terms', describeRecurrence(item.recurrence),
+            item.location ? item.location.text : '']);
+    }
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// iCalendar (RFC 5545) text values escape backslashes, separators and newlines; lines longer than
+// 75 octets are folded onto continuation lines that start with a space
+function icsText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char, 'utf8');
+        if (size + bytes > 75) {
+            parts.push(current);
+            current = ' ';
+            size = 1;
+        }
+        current += char;
+        size += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n');
+}
+
+const RRULE_FREQUENCIES = { days: 'DAILY', weeks: 'WEEKLY', months: 'MONTHLY', years: 'YEARLY' };
+
+function icsDate(isoDate) {
+    return isoDate.replace(/-/g, '');
+}
+
+function icsEvent(register, { uid, date, summary, description, category, recurrence }, reminderDays) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${uid}.${register.id}@smart-contract-editor`,
+        `DTSTAMP:${new Date(register.createdAt).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`,
+        `DTSTART;VALUE=DATE:${icsDate(date)}`,
+        `DTEND;VALUE=DATE:${icsDate(addDuration(date, { amount: 1, unit: 'days' }))}`,
+        `SUMMARY:${icsText(summary)}`,
+        `DESCRIPTION:${icsText(description)}`,
+        `CATEGORIES:${icsText(category)}`
+    ];
+    if (recurrence && RRULE_FREQUENCIES[recurrence.unit]) {
+        lines.push(`RRULE:FREQ=${RRULE_FREQUENCIES[recurrence.unit]}${recurrence.interval > 1 ? `;INTERVAL=${recurrence.interval}` : ''}`);
+    }
+    if (reminderDays > 0) {
+        lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${icsText(summary)}`, `TRIGGER:-P${reminderDays}D`, 'END:VALARM');
+    }
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+// Obligations with a due date and the milestones become all-day events; a reminder fires
+// `reminderDays` before each (0 for none)
+function renderICalendar(register, { reminderDays = 7, calendarName = 'Contract obligations' } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Smart Contract Editor//Obligation Register//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsText(calendarName)}`
+    ];
+    for (const item of register.obligations.filter(obligation => obligation.dueDate)) {
+        lines.push(...icsEvent(register, {
+            uid: item.id,
+            date: item.dueDate,
+            summary: describeObligation(item),
+            description: `${item.location.text}\nDeadline: ${describeDeadline(item)}`,
+            category: item.kind,
+            recurrence: item.recurrence
+        }, reminderDays));
+    }
+    for (const item of register.milestones) {
+        lines.push(...icsEvent(register, {
+            uid: item.id,
+            date: item.date,
+            summary: item.title,
+            description: item.location ? item.location.text : item.title,
+            category: item.type,
+            recurrence: item.recurrence
+        }, reminderDays));
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+const formats = {
+    ics: { contentType: 'text/calendar; charset=utf-8', extension: 'ics', render: renderICalendar },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', render: renderCsv }
+};
+
+// Render a stored register; returns { body, contentType, extension }
+function renderObligationRegister(register, format, options = {}) {
+    const renderer = formats[format];
+    if (!renderer) {
+        throw new Error(`Unsupported register format "${format}"`);
+    }
+    return { body: renderer.render(register, options), contentType: renderer.contentType, extension: renderer.extension };
+}
+
+module.exports = {
+    addDuration,
+    extractObligations,
+    buildObligationRegister,
+    renderObligationRegister,
+    registerFormats: Object.keys(formats)
+};
@@ -0,0 +1,196 @@
+const Joi = require('joi');
+const { splitClauses, similarity } = require('./compare');
+const { buildSpan } = require('./locations');
+
+// Negotiation playbooks: for each clause type, the preferred position, the fallbacks in the
+// order we concede them, and the walk-away minimum. A position is described by its language
+// and by regular expressions the clause must (`requires`) and must not (`forbids`) match.
+// Reviewing a contract classifies its clauses by type and reports the best tier each meets.
+
+const CLASSIFY_THRESHOLD = 2;
+const LANGUAGE_MATCH = 0.8;
+
+class PlaybookValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid playbook: ${errors.join('; ')}`);
+        this.name = 'PlaybookValidationError';
+        this.errors = errors;
+    }
+}
+
+const pattern = Joi.string().custom((value, helpers) => {
+    try {
+        new RegExp(value, 'i');
+        return value;
+    } catch (error) {
+        return helpers.message(`"${value}" is not a valid regular expression`);
+    }
+});
+
+const checks = {
+    requires: Joi.array().items(pattern).default([]),
+    forbids: Joi.array().items(pattern).default([])
+};
+
+const position = Joi.object({
+    language: Joi.string().required(),
+    notes: Joi.string().allow('').default(''),
+    ...checks
+});
+
+const playbookSchema = Joi.object({
+    name: Joi.string().max(200).required(),
+    description: Joi.string().allow('').default(''),
+    clauses: Joi.array().min(1).unique('clauseType').items(Joi.object({
+        clauseType: Joi.string().pattern(/^[a-z0-9_-]+$/).required(),
+        title: Joi.string().required(),
+        keywords: Joi.array().min(1).items(Joi.string()).required(),
+        escalationContact: Joi.string().allow('').default(''),
+        preferred: position.required(),
+        fallbacks: Joi.array().items(position).default([]),
+        walkAway: Joi.object({
+            description: Joi.string().allow('').default(''),
+            language: Joi.string().allow('').default(''),
+            ...checks
+        }).default(null)
+    })).required()
+});
+
+// The playbook with defaults filled in; throws PlaybookValidationError listing every problem
+function validatePlaybook(data) {
+    const { value, error } = playbookSchema.validate(data, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        throw new PlaybookValidationError(error.details.map(detail => detail.message));
+    }
+    return value;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Best clause type for a contract clause, or null. Keywords found in the clause count 1 each,
+// a keyword or the title in its heading 2, and closeness to the preferred language up to 2.
+function classifyClause(clause, playbook) {
+    let best = null;
+    for (const entry of playbook.clauses) {
+        const terms = entry.keywords.map(keyword => new RegExp(`\\b${escapeRegExp(keyword)}`, 'i'));
+        const keywordHits = terms.filter(term => term.test(clause.text)).length;
+        const inHeading = Boolean(clause.heading) &&
+            [...terms, new RegExp(`\\b${escapeRegExp(entry.title)}\\b`, 'i')].some(term => term.test(clause.heading));
+        const score = keywordHits + (inHeading ? 2 : 0) + 2 * similarity(clause.text, entry.preferred.language);
+
+        if (score >= CLASSIFY_THRESHOLD && (!best || score > best.score)) {
+            best = { entry, score: Math.round(score * 100) / 100 };
+        }
+    }
+    return best;
+}
+
+// Whether a clause meets a position, with the checks it failed. A position without checks is
+// met only by language close to its own.
+function meetsPosition(text, position) {
+    if (position.requires.length === 0 && position.forbids.length === 0) {
+        const close = Boolean(position.language) && similarity(text, position.language) >= LANGUAGE_MATCH;
+        return { met: close, unmet: close ? [] : ['language differs from the playbook wording'] };
+    }
+    const unmet = [
+        ...position.requires.filter(check => !new RegExp(check, 'i').test(text)).map(check => `requires /${check}/`),
+        ...position.forbids.filter(check => new RegExp(check, 'i').test(text)).map(check => `forbids /${check}/`)
+    ];
+    return { met: unmet.length === 0, unmet };
+}
+
+// The positions of a clause type from best to worst
+function ladder(entry) {
+    return [
+        { tier: 'preferred', level: 0, position: entry.preferred },
+        ...entry.fallbacks.map((fallback, i) => ({ tier: 'fallback', level: i + 1, position: fallback })),
+        ...(entry.walkAway ? [{ tier: 'walk_away', level: entry.fallbacks.length + 1, position: entry.walkAway }] : [])
+    ];
+}
+
+// The tier a clause meets and what to propose. Short of the preferred position, the proposal is
+// the first fallback the clause does not already meet (the preferred language when there are no
+// fallbacks). Below the walk-away terms the clause is `unacceptable` and is escalated.
+function assessClause(text, entry) {
+    const rungs = ladder(entry);
+    const preferredCheck = meetsPosition(text, entry.preferred);
+    const met = rungs.find(rung => meetsPosition(text, rung.position).met) || null;
+    const tier = met ? met.tier : 'unacceptable';
+    const level = met ? met.level : rungs.length;
+
+    let proposal = null;
+    if (tier !== 'preferred') {
+        const next = rungs.find(rung => rung.tier === 'fallback' && rung.level < level) ||
+            (entry.fallbacks.length === 0 ? rungs[0] : null);
+        if (next) {
+            proposal = { tier: next.tier, level: next.level, language: next.position.language, notes: next.position.notes || '' };
+        }
+    }
+
+    return {
+        tier,
+        fallbackLevel: tier === 'fallback' ? level : null,
+        unmet: preferredCheck.unmet,
+        proposal,
+        escalate: tier === 'unacceptable',
+        escalationContact: entry.escalationContact || null
+    };
+}
+
+// Review a contract against a playbook. Every classified clause gets a tier; clause types the
+// contract does not cover are listed as `missing`, with the preferred language to add.
+function reviewContract(documentText, playbook) {
+    const text = String(documentText || '');
+    const clauses = [];
+    const covered = new Set();
+
+    for (const clause of splitClauses(text)) {
+        const match = classifyClause(clause, playbook);
+        if (!match) continue;
+
+        covered.add(match.entry.clauseType);
+        clauses.push({
+            clauseIndex: clause.index,
+            heading: clause.heading,
+            clauseType: match.entry.clauseType,
+            title: match.entry.title,
+            classificationScore: match.score,
+            location: buildSpan(text, clause.start, clause.text.length),
+            ...assessClause(clause.text, match.entry)
+        });
+    }
+
+    const missing = playbook.clauses
+        .filter(entry => !covered.has(entry.clauseType))
+        .map(entry => ({
+            clauseType: entry.clauseType,
+            title: entry.title,
+            proposal: { tier: 'preferred', level: 0, language: entry.preferred.language, notes: entry.preferred.notes || '' },
+            escalationContact: entry.escalationContact || null
+        }));
+
+    const summary = { clausesReviewed: clauses.length, missing: missing.length };
+    for (const tier of ['preferred', 'fallback', 'walk_away', 'unacceptable']) {
+        summary[tier] = clauses.filter(clause => clause.tier === tier).length;
+    }
+    summary.escalations = clauses.filter(clause => clause.escalate).length;
+
+    return {
+        playbookId: playbook.id,
+        playbookName: playbook.name,
+        playbookVersion: playbook.version,
+        summary,
+        clauses,
+        missing
+    };
+}
+
+module.exports = {
+    PlaybookValidationError,
+    validatePlaybook,
+    classifyClause,
+    assessClause,
+    reviewContract
+};
@@ -0,0 +1,317 @@
+const Joi = require('joi');
+const { resolveQuotedSpan } = require('./locations');
+
+// Confidential values are swapped for placeholders (PARTY_A, AMOUNT_1, IBAN_1, ...) before any
+// text is sent to the model, and put back in what the model returns. The same value always gets
+// the same placeholder within a document, numbered in order of first appearance, so the model
+// can still reason about "PARTY_A" across clauses. Detection is pattern-based: it catches
+// company names with a legal suffix (and the short names they are defined as), amounts with a
+// currency, bank details, e-mail addresses, phone numbers and street addresses. Anything else
+// confidential (people, project names) goes in the workspace policy's `terms` or `patterns`.
+
+const ENTITY_TYPES = ['party', 'amount', 'iban', 'bank_account', 'email', 'phone', 'address'];
+
+const COMPANY_SUFFIX = '(?:Incorporated|Limited|Corporation|Inc\\.?|Ltd\\.?|LLC|L\\.L\\.C\\.|plc|PLC|GmbH|AG|S\\.A\\.|B\\.V\\.|N\\.V\\.|Corp\\.?|LLP|L\\.P\\.|LP|Pty\\.?\\s+Ltd\\.?|Co\\.)(?![A-Za-z])';
+const CURRENCY_CODE = '(?:USD|EUR|GBP|CHF|JPY|CAD|AUD|INR|CNY|SEK|NOK|DKK)';
+const NUMBER = '\\d{1,3}(?:[,.]\\d{3})*(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?';
+const MAGNITUDE = '(?:\\s?(?:million|billion|thousand|m|bn|k)(?![A-Za-z]))?';
+const STREET = '(?:Street|St\\.?|Avenue|Ave\\.?|Road|Rd\\.?|Boulevard|Blvd\\.?|Lane|Ln\\.?|Drive|Dr\\.?|Way|Place|Pl\\.?|Court|Ct\\.?|Square|Sq\\.?|Parkway|Terrace|Strasse|Straße)';
+
+// In priority order: a span claimed by an earlier detector is not matched again. `group` picks
+// the value out of a match that also includes its label ("Account No: 12345678").
+const DETECTORS = [
+    { type: 'iban', label: 'IBAN', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g },
+    { type: 'bank_account', label: 'ACCOUNT', pattern: /\b(?:account|acct\.?)\s*(?:no\.?|number|#)\s*[:#]?\s*(\d[\d -]{4,30}\d)\b/gi, group: 1 },
+    { type: 'bank_account', label: 'ACCOUNT', pattern: /\bsort\s*code\s*[:#]?\s*(\d{2}-\d{2}-\d{2})\b/gi, group: 1 },
+    { type: 'bank_account', label: 'ACCOUNT', pattern: /\b(?:routing|ABA)\s*(?:no\.?|number|#)?\s*[:#]?\s*(\d{9})\b/gi, group: 1 },
+    { type: 'bank_account', label: 'ACCOUNT', pattern: /\b(?:SWIFT|Swift|BIC)(?:\s*\/\s*BIC)?(?:\s*code)?\s*[:#]?\s*([A-Z]{6}[A-Z0-9]{2}(?:[A-Z0-9]{3})?)\b/g, group: 1 },
+    { type: 'email', label: 'EMAIL', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+    { type: 'phone', label: 'PHONE', pattern: /\b(?:tel(?:ephone)?|phone|fax|mobile)\.?\s*(?:no\.?|number)?\s*[:#]?\s*(\+?[\d ()./-]{6,20}\d)/gi, group: 1 },
+    { type: 'phone', label: 'PHONE', pattern: /(?:\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)|\d{1,4})|\(\d{2,5}\))(?:[\s.-]?\d{2,4}){2,4}\b/g },
+    {
+        type: 'amount',
+        label: 'AMOUNT',
+        pattern: new RegExp(`(?:[$€£¥]\\s?|\\b${CURRENCY_CODE}\\s?)(?:${NUMBER})${MAGNITUDE}`, 'g')
+    },
+    {
+        type: 'amount',
+        label: 'AMOUNT',
+        pattern: new RegExp(`\\b(?:${NUMBER})${MAGNITUDE}\\s?(?:${CURRENCY_CODE}|dollars|euros|pounds(?: sterling)?)\\b`, 'gi')
+    },
+    {
+        type: 'address',
+        label: 'ADDRESS',
+        pattern: new RegExp(`\\b\\d{1,5}[A-Za-z]?\\s+(?:[A-Z][A-Za-z'.-]*\\s+){1,4}${STREET}(?![A-Za-z])` +
+            '(?:,?\\s+(?:Suite|Ste\\.?|Floor|Unit|Apt\\.?)\\s*[\\w-]+)?' +
+            '(?:,\\s*[A-Z][A-Za-z.-]*(?![\\w])(?:\\s+[A-Z][A-Za-z.-]*(?![\\w]))*)*' +
+            '(?:,?\\s+(?:[A-Z]{2}\\s+\\d{5}(?:-\\d{4})?|[A-Z]{1,2}\\d[A-Z\\d]?\\s+\\d[A-Z]{2}|\\d{4,5}))?', 'g')
+    },
+    {
+        type: 'party',
+        label: 'PARTY',
+        pattern: new RegExp(`\\b(?:(?:[A-Z][A-Za-z0-9&'.-]*|&)\\s+){0,4}?[A-Z][A-Za-z0-9&'-]*,?\\s+${COMPANY_SUFFIX}`, 'g')
+    }
+];
+
+// Capitalised words that can run into a company name without being part of it
+const LEADING_WORDS = new Set(['The', 'This', 'That', 'Between', 'And', 'By', 'Of', 'For', 'With', 'From', 'To', 'Agreement',
+    'Customer', 'Supplier', 'Vendor', 'Client', 'Party', 'Seller', 'Buyer', 'Licensor', 'Licensee', 'Contractor', 'Provider']);
+
+// Short names that describe a role rather than identify a company stay readable
+const ROLE_NAMES = new Set(['supplier', 'customer', 'client', 'vendor', 'company', 'contractor', 'licensor', 'licensee',
+    'buyer', 'seller', 'provider', 'service provider', 'purchaser', 'party', 'parties', 'recipient', 'discloser',
+    'disclosing party', 'receiving party', 'lessor', 'lessee', 'landlord', 'tenant', 'employer', 'employee', 'consultant']);
+
+class RedactionPolicyError extends Error {
+    constructor(errors) {
+        super(`Invalid redaction policy: ${errors.join('; ')}`);
+        this.name = 'RedactionPolicyError';
+        this.errors = errors;
+    }
+}
+
+const pattern = Joi.string().custom((value, helpers) => {
+    try {
+        new RegExp(value, 'g');
+        return value;
+    } catch (error) {
+        return helpers.message(`"${value}" is not a valid regular expression`);
+    }
+});
+
+const policySchema = Joi.object({
+    enabled: Joi.boolean().default(true),
+    entities: Joi.array().items(Joi.string().valid(...ENTITY_TYPES)).unique().default(ENTITY_TYPES),
+    terms: Joi.array().items(Joi.string().trim().min(2).max(200)).unique().default([]),
+    patterns: Joi.array().items(Joi.object({
+        label: Joi.string().pattern(/^[A-Z][A-Z0-9_]{1,30}$/).required()
+            .messages({ 'string.pattern.base': '"label" must be upper-case letters, digits or "_", e.g. CUSTOMER_ID' }),
+        pattern: pattern.required()
+    })).default([])
+});
+
+// The policy with defaults filled in; throws RedactionPolicyError listing every problem
+function validateRedactionPolicy(data) {
+    const { value, error } = policySchema.validate(data || {}, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        throw new RedactionPolicyError(error.details.map(detail => detail.message));
+    }
+    return value;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalize(value) {
+    return value.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// PARTY_A ... PARTY_Z, PARTY_AA, ...
+function partyLetter(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+function detectorsFor(policy) {
+    return [
+        ...policy.terms.map(term => ({
+            type: 'term',
+            label: 'TERM',
+            pattern: new RegExp(`(?<![A-Za-z0-9])${escapeRegExp(term)}(?![A-Za-z0-9])`, 'gi'),
+            key: `TERM:${normalize(term)}`
+        })),
+        ...policy.patterns.map(custom => ({ type: 'custom', label: custom.label, pattern: new RegExp(custom.pattern, 'g') })),
+        ...DETECTORS.filter(detector => policy.entities.includes(detector.type))
+    ];
+}
+
+// Company names found by pattern, without capitalised words that ran into them
+function trimParty(value, start) {
+    let trimmed = value;
+    let offset = start;
+    for (let word = /^(\S+)\s+/.exec(trimmed); word && LEADING_WORDS.has(word[1]); word = /^(\S+)\s+/.exec(trimmed)) {
+        trimmed = trimmed.slice(word[0].length);
+        offset += word[0].length;
+    }
+    return { value: trimmed, start: offset };
+}
+
+function findSpans(text, policy) {
+    const spans = [];
+    const overlaps = (start, end) => spans.some(span => start < span.end && end > span.start);
+    const add = (span) => {
+        if (span.value.length > 0 && !overlaps(span.start, span.end)) {
+            spans.push(span);
+        }
+    };
+
+    for (const detector of detectorsFor(policy)) {
+        for (const match of text.matchAll(detector.pattern)) {
+            if (match[0].length === 0) continue;
+            let value = detector.group ? match[detector.group] : match[0];
+            let start = match.index + (detector.group ? match[0].lastIndexOf(value) : 0);
+            if (detector.type === 'party') {
+                ({ value, start } = trimParty(value, start));
+            }
+            add({
+                start: start,
+                end: start + value.length,
+                type: detector.type,
+                label: detector.label,
+                value: value,
+                key: detector.key || `${detector.label}:${normalize(value)}`
+            });
+        }
+    }
+
+    // A company defined by a short name - Acme Widgets Inc. ("Acme") - is redacted under that
+    // name too, with the same placeholder
+    for (const party of spans.filter(span => span.type === 'party')) {
+        const alias = /^,?\s*\(\s*(?:the\s+|hereinafter\s+)?["“']([^"”']{2,60})["”']\s*\)/i.exec(text.slice(party.end));
+        if (!alias || ROLE_NAMES.has(normalize(alias[1]))) continue;
+        const name = new RegExp(`(?<![A-Za-z0-9])${escapeRegExp(alias[1])}(?![A-Za-z0-9])`, 'g');
+        for (const match of text.matchAll(name)) {
+            add({ start: match.index, end: match.index + match[0].length, type: 'party', label: 'PARTY', value: match[0], key: party.key });
+        }
+    }
+
+    return spans.sort((a, b) => a.start - b.start);
+}
+
+// Redact `text` under a validated policy. The returned object carries the redacted text and
+// maps what the model says about it back onto the original document.
+function redactText(text, policy) {
+    const spans = policy.enabled ? findSpans(text, policy) : [];
+
+    const byKey = new Map();
+    const counters = new Map();
+    const segments = [];
+    let redacted = '';
+    let cursor = 0;
+    for (const span of spans) {
+        let replacement = byKey.get(span.key);
+        if (!replacement) {
+            const count = (counters.get(span.label) || 0) + 1;
+            counters.set(span.label, count);
+            replacement = {
+                placeholder: `${span.label}_${span.label === 'PARTY' ? partyLetter(count - 1) : count}`,
+                type: span.type,
+                value: span.value,
+                occurrences: 0
+            };
+            byKey.set(span.key, replacement);
+        }
+        replacement.occurrences++;
+
+        redacted += text.slice(cursor, span.start);
+        segments.push({
+            start: redacted.length,
+            length: replacement.placeholder.length,
+            originalStart: span.start,
+            originalLength: span.end - span.start
+        });
+        redacted += replacement.placeholder;
+        cursor = span.end;
+    }
+    redacted += text.slice(cursor);
+
+    const replacements = [...byKey.values()];
+    const values = new Map(replacements.map(replacement => [replacement.placeholder, replacement.value]));
+    const placeholderPattern = replacements.length > 0
+        ? new RegExp(`\\b(?:${replacements.map(replacement => replacement.placeholder).join('|')})\\b`, 'g')
+        : null;
+
+    // Offset in the original text of an offset in the redacted one; inside a placeholder it
+    // snaps to the start (or, for the end of a span, the end) of the value it stands for
+    function originalOffset(offset, isEnd = false) {
+        let shift = 0;
+        for (const segment of segments) {
+            if (offset <= segment.start) break;
+            if (offset >= segment.start + segment.length) {
+                shift += segment.originalLength - segment.length;
+                continue;
+            }
+            return isEnd ? segment.originalStart + segment.originalLength : segment.originalStart;
+        }
+        return offset + shift;
+    }
+
+    function originalSpan(start, length) {
+        const originalStart = originalOffset(start);
+        return { start: originalStart, length: originalOffset(start + length, true) - originalStart };
+    }
+
+    // The reverse: a span of the original text in the redacted one, widened to whole placeholders
+    function redactedOffset(offset, isEnd = false) {
+        let shift = 0;
+        for (const segment of segments) {
+            if (offset <= segment.originalStart) break;
+            if (offset >= segment.originalStart + segment.originalLength) {
+                shift += segment.length - segment.originalLength;
+                continue;
+            }
+            return isEnd ? segment.start + segment.length : segment.start;
+        }
+        return offset + shift;
+    }
+
+    function redactedSpan(start, length) {
+        const redactedStart = redactedOffset(start);
+        return { start: redactedStart, length: redactedOffset(start + length, true) - redactedStart };
+    }
+
+    // Placeholders in every string of a model response, replaced with the values they stand for
+    function restore(value) {
+        if (!placeholderPattern) return value;
+        if (typeof value === 'string') {
+            return value.replace(placeholderPattern, placeholder => values.get(placeholder));
+        }
+        if (Array.isArray(value)) {
+            return value.map(restore);
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, restore(entry)]));
+        }
+        return value;
+    }
+
+    // A quote of the redacted text becomes the exact original text it covers, so it can be
+    // located in the document even where a short name was replaced
+    function restoreQuote(quote, claimedStart) {
+        const span = placeholderPattern ? resolveQuotedSpan(redacted, quote, claimedStart) : null;
+        if (!span) {
+            return { quote: restore(quote), start: claimedStart };
+        }
+        const original = originalSpan(span.start, span.length);
+        return { quote: text.substr(original.start, original.length), start: original.start };
+    }
+
+    // Model findings ({ quote, start, ... }) with the original values and offsets
+    function restoreFindings(findings) {
+        return (findings || []).map(finding => ({ ...restore(finding), ...restoreQuote(finding.quote, finding.start) }));
+    }
+
+    return {
+        original: text,
+        text: redacted,
+        replacements: replacements,
+        restore,
+        restoreQuote,
+        restoreFindings,
+        originalSpan,
+        redactedSpan,
+        // What results record: null when the policy is off
+        describe: () => policy.enabled ? { entities: policy.entities, replacements: replacements } : null
+    };
+}
+
+module.exports = {
+    ENTITY_TYPES,
+    RedactionPolicyError,
+    validateRedactionPolicy,
+    redactText
+};
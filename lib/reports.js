@@ -0,0 +1,428 @@
+const {
+    Document, Packer, Paragraph, TextRun, HeadingLevel, Footer, Header, AlignmentType, BorderStyle
+} = require('docx');
+const PDFDocument = require('pdfkit');
+
+// Review memos for stored analysis results. buildReport() turns a result into one neutral report
+// model and every format renders that model, so wording, ordering and branding stay identical
+// across HTML, CSV, DOCX and PDF.
+
+const SEVERITY_ORDER = ['high', 'medium', 'low'];
+
+const ENGINE_LABELS = {
+    rag: 'AI analysis with policy retrieval (RAG)',
+    ai: 'AI analysis against policy keywords',
+    rules: 'Rule-based checks only'
+};
+
+// Branding comes from REPORT_* settings so a deployment can put its own name and colour on memos
+function brandingFromEnv(env = process.env) {
+    return {
+        organization: env.REPORT_ORGANIZATION || 'Smart Contract Editor',
+        title: env.REPORT_TITLE || 'Contract Compliance Review',
+        accentColor: /^#[0-9a-f]{6}$/i.test(env.REPORT_ACCENT_COLOR || '') ? env.REPORT_ACCENT_COLOR : '#106ebe',
+        footer: env.REPORT_FOOTER || 'Automated review. Confirm the findings with legal counsel before relying on them.'
+    };
+}
+
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function clausesOf(finding) {
+    if (finding.clauses) return finding.clauses;
+    return (finding.locations || []).map(location => location.text);
+}
+
+function buildReport(result, branding = brandingFromEnv()) {
+    const issues = result.issues || [];
+    const suggestions = result.suggestions || [];
+    const analysis = result.analysis || {};
+    const provenance = result.provenance || {
+        engine: analysis.ragUsed ? 'rag' : analysis.aiAnalyzed ? 'ai' : 'rules',
+        model: null,
+        rulePacks: [],
+        retrievedChunks: null
+    };
+
+    const severities = [...SEVERITY_ORDER];
+    for (const issue of issues) {
+        const severity = String(issue.severity || 'unrated').toLowerCase();
+        if (!severities.includes(severity)) severities.push(severity);
+    }
+
+    const generatedAt = new Date().toISOString();
+
+    return {
+        branding: branding,
+        resultId: result.id,
+        analysisDate: result.analysisDate,
+        generatedAt: generatedAt,
+        complianceScore: result.complianceScore,
+        riskLevel: result.riskLevel || 'Unknown',
+        summary: [
+            ['Compliance score', result.degraded ? `${result.complianceScore}% (rule-based checks only)` : `${result.complianceScore}%`],
+            ['Risk level', result.riskLevel || 'Unknown'],
+            ['Issues', String(issues.length)],
+            ['Suggestions', String(suggestions.length)],
+            ['Words analysed', String(result.wordCount || 0)],
+            ['Analysed on', result.analysisDate]
+        ],
+        issueGroups: severities
+            .map(severity => ({
+                severity: severity,
+                label: `${capitalize(severity)} severity`,
+                items: issues
+                    .filter(issue => String(issue.severity || 'unrated').toLowerCase() === severity)
+                    .map(issue => ({
+                        title: issue.title || issue.type,
+                        type: issue.type || '',
+                        description: issue.description || '',
+                        clauses: clausesOf(issue)
+                    }))
+            }))
+            .filter(group => group.items.length > 0),
+        suggestions: suggestions.map(suggestion => ({
+            title: suggestion.title || suggestion.type,
+            priority: String(suggestion.priority || 'medium').toLowerCase(),
+            description: suggestion.description || '',
+            clauses: clausesOf(suggestion),
+            edits: (suggestion.edits || []).map(edit => ({ from: edit.text, to: edit.replacement }))
+        })),
+        policies: (result.policiesConsulted || []).map(policy => ({
+            name: policy.policyName,
+            detail: policy.sections && policy.sections.length > 0
+                ? `Retrieved: ${policy.sections.join('; ')}`
+                : policy.chunkIndexes
+                ? `Section(s) ${policy.chunkIndexes.map(index => index + 1).join(', ')} retrieved`
+                : 'Whole policy'
+        })),
+        provenance: [
+            ['Analysis engine', ENGINE_LABELS[provenance.engine] || provenance.engine],
+            ...(result.degraded ? [['Degraded', result.degraded.message]] : []),
+            ['AI model', provenance.model || 'Not used'],
+            ['Policy retrieval', provenance.engine === 'rag'
+                ? `${provenance.retrievedChunks === null ? result.policiesAnalyzed || 0 : provenance.retrievedChunks} policy section(s) retrieved from the vector index`
+                : 'Not used'],
+            ['Rule packs', provenance.rulePacks.length > 0 ? provenance.rulePacks.join(', ') : 'Not recorded'],
+            ['Result ID', result.id],
+            ['Report generated', generatedAt]
+        ]
+    };
+}
+
+function describeEdit(edit) {
+    return edit.to === '' ? `Delete "${edit.from}"` : `Replace "${edit.from}" with "${edit.to}"`;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderHtml(report) {
+    const { branding } = report;
+    const rows = pairs => pairs.map(([label, value]) =>
+        `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('');
+    const quotes = clauses => clauses.map(clause => `<blockquote>${escapeHtml(clause)}</blockquote>`).join('');
+
+    let body = `
+<header>
+    <div class="organization">${escapeHtml(branding.organization)}</div>
+    <h1>${escapeHtml(branding.title)}</h1>
+</header>
+<section>
+    <h2>Summary</h2>
+    <table>${rows(report.summary)}</table>
+</section>
+<section>
+    <h2>Issues</h2>`;
+
+    if (report.issueGroups.length === 0) {
+        body += '\n    <p>No issues found.</p>';
+    }
+    for (const group of report.issueGroups) {
+        body += `\n    <h3 class="severity-${escapeHtml(group.severity)}">${escapeHtml(group.label)} (${group.items.length})</h3>`;
+        for (const item of group.items) {
+            body += `
+    <div class="finding">
+        <strong>${escapeHtml(item.title)}</strong>${item.type ? ` <span class="muted">${escapeHtml(item.type)}</span>` : ''}
+        <p>${escapeHtml(item.description)}</p>
+        ${quotes(item.clauses)}
+    </div>`;
+        }
+    }
+
+    body += '\n</section>\n<section>\n    <h2>Suggestions</h2>';
+    if (report.suggestions.length === 0) {
+        body += '\n    <p>No suggestions.</p>';
+    }
+    for (const item of report.suggestions) {
+        body += `
+    <div class="finding">
+        <strong>${escapeHtml(item.title)}</strong> <span class="muted">priority: ${escapeHtml(item.priority)}</span>
+        <p>${escapeHtml(item.description)}</p>
+        ${quotes(item.clauses)}
+        ${item.edits.length > 0 ? `<ul>${item.edits.map(edit => `<li>${escapeHtml(describeEdit(edit))}</li>`).join('')}</ul>` : ''}
+    </div>`;
+    }
+
+    body += `
+</section>
+<section>
+    <h2>Policies consulted</h2>
+    ${report.policies.length > 0
+        ? `<ul>${report.policies.map(policy => `<li>${escapeHtml(policy.name)} <span class="muted">${escapeHtml(policy.detail)}</span></li>`).join('')}</ul>`
+        : '<p>No policies recorded for this analysis.</p>'}
+</section>
+<section>
+    <h2>Provenance</h2>
+    <table>${rows(report.provenance)}</table>
+</section>
+<footer>${escapeHtml(branding.footer)}</footer>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(branding.title)} - ${escapeHtml(report.resultId)}</title>
+<style>
+    body { font-family: 'Segoe UI', Arial, sans-serif; color: #222; max-width: 800px; margin: 40px auto; padding: 0 20px; }
+    header { border-bottom: 3px solid ${branding.accentColor}; margin-bottom: 20px; }
+    .organization { color: ${branding.accentColor}; font-weight: bold; text-transform: uppercase; letter-spacing: 1px; }
+    h2 { color: ${branding.accentColor}; }
+    table { border-collapse: collapse; }
+    th { text-align: left; padding: 4px 16px 4px 0; }
+    .finding { margin: 10px 0 16px; }
+    blockquote { margin: 6px 0; padding: 4px 12px; border-left: 3px solid #ccc; color: #555; font-style: italic; }
+    .muted { color: #777; font-size: 0.9em; }
+    .severity-high { color: #c62828; }
+    .severity-medium { color: #ef6c00; }
+    .severity-low { color: #2e7d32; }
+    footer { margin-top: 40px; border-top: 1px solid #ddd; padding-top: 10px; color: #777; font-size: 0.85em; }
+</style>
+</head>
+<body>${body}
+</body>
+</html>
+`;
+}
+
+// Spreadsheet formulas in exported cells are a known injection vector, so cells that would start
+// one are prefixed with an apostrophe
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv(report) {
+    const rows = [['section', 'level', 'title', 'description', 'clauses']];
+
+    for (const [label, value] of report.summary) {
+        rows.push(['summary', '', label, value, '']);
+    }
+    for (const group of report.issueGroups) {
+        for (const item of group.items) {
+            rows.push(['issue', group.severity, item.title, item.description, item.clauses.join(' | ')]);
+        }
+    }
+    for (const item of report.suggestions) {
+        const description = [item.description, ...item.edits.map(describeEdit)].filter(Boolean).join(' ');
+        rows.push(['suggestion', item.priority, item.title, description, item.clauses.join(' | ')]);
+    }
+    for (const policy of report.policies) {
+        rows.push(['policy', '', policy.name, policy.detail, '']);
+    }
+    for (const [label, value] of report.provenance) {
+        rows.push(['provenance', '', label, value, '']);
+    }
+
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function renderDocx(report) {
+    const { branding } = report;
+    const accent = branding.accentColor.slice(1);
+    const children = [];
+
+    const heading = (text, level = HeadingLevel.HEADING_1) =>
+        new Paragraph({ heading: level, children: [new TextRun({ text, color: accent })] });
+    const labelled = ([label, value]) =>
+        new Paragraph({ children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(String(value))] });
+    const quote = clause => new Paragraph({
+        indent: { left: 400 },
+        border: { left: { style: BorderStyle.SINGLE, size: 12, color: 'CCCCCC', space: 8 } },
+        children: [new TextRun({ text: clause, italics: true, color: '555555' })]
+    });
+
+    children.push(new Paragraph({
+        heading: HeadingLevel.TITLE,
+        children: [new TextRun({ text: branding.title, color: accent })]
+    }));
+    children.push(heading('Summary'));
+    report.summary.forEach(pair => children.push(labelled(pair)));
+
+    children.push(heading('Issues'));
+    if (report.issueGroups.length === 0) {
+        children.push(new Paragraph('No issues found.'));
+    }
+    for (const group of report.issueGroups) {
+        children.push(heading(`${group.label} (${group.items.length})`, HeadingLevel.HEADING_2));
+        for (const item of group.items) {
+            children.push(new Paragraph({
+                children: [new TextRun({ text: item.title, bold: true }), new TextRun({ text: item.type ? `  ${item.type}` : '', color: '777777' })]
+            }));
+            if (item.description) children.push(new Paragraph(item.description));
+            item.clauses.forEach(clause => children.push(quote(clause)));
+        }
+    }
+
+    children.push(heading('Suggestions'));
+    if (report.suggestions.length === 0) {
+        children.push(new Paragraph('No suggestions.'));
+    }
+    for (const item of report.suggestions) {
+        children.push(new Paragraph({
+            children: [new TextRun({ text: item.title, bold: true }), new TextRun({ text: `  priority: ${item.priority}`, color: '777777' })]
+        }));
+        if (item.description) children.push(new Paragraph(item.description));
+        item.clauses.forEach(clause => children.push(quote(clause)));
+        item.edits.forEach(edit => children.push(new Paragraph({ text: describeEdit(edit), bullet: { level: 0 } })));
+    }
+
+    children.push(heading('Policies consulted'));
+    if (report.policies.length === 0) {
+        children.push(new Paragraph('No policies recorded for this analysis.'));
+    }
+    report.policies.forEach(policy => children.push(new Paragraph({ text: `${policy.name} (${policy.detail})`, bullet: { level: 0 } })));
+
+    children.push(heading('Provenance'));
+    report.provenance.forEach(pair => children.push(labelled(pair)));
+
+    const document = new Document({
+        creator: branding.organization,
+        title: branding.title,
+        sections: [{
+            headers: {
+                default: new Header({
+                    children: [new Paragraph({
+                        alignment: AlignmentType.RIGHT,
+                        children: [new TextRun({ text: branding.organization.toUpperCase(), bold: true, color: accent })]
+                    })]
+                })
+            },
+            footers: {
+                default: new Footer({
+                    children: [new Paragraph({ children: [new TextRun({ text: branding.footer, size: 16, color: '777777' })] })]
+                })
+            },
+            children: children
+        }]
+    });
+
+    return Packer.toBuffer(document);
+}
+
+function renderPdf(report) {
+    const { branding } = report;
+
+    return new Promise((resolve, reject) => {
+        const pdf = new PDFDocument({ margin: 50, info: { Title: branding.title, Author: branding.organization } });
+        const chunks = [];
+        pdf.on('data', chunk => chunks.push(chunk));
+        pdf.on('end', () => resolve(Buffer.concat(chunks)));
+        pdf.on('error', reject);
+
+        const heading = (text, size = 15) => {
+            pdf.moveDown(0.8).font('Helvetica-Bold').fontSize(size).fillColor(branding.accentColor).text(text);
+            pdf.moveDown(0.3).font('Helvetica').fontSize(10).fillColor('#222222');
+        };
+        const labelled = ([label, value]) => {
+            pdf.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(value));
+        };
+        const quote = clause => {
+            pdf.font('Helvetica-Oblique').fillColor('#555555').text(clause, { indent: 15 });
+            pdf.font('Helvetica').fillColor('#222222');
+        };
+
+        pdf.font('Helvetica-Bold').fontSize(10).fillColor(branding.accentColor).text(branding.organization.toUpperCase());
+        pdf.fontSize(20).text(branding.title);
+
+        heading('Summary');
+        report.summary.forEach(labelled);
+
+        heading('Issues');
+        if (report.issueGroups.length === 0) {
+            pdf.text('No issues found.');
+        }
+        for (const group of report.issueGroups) {
+            heading(`${group.label} (${group.items.length})`, 12);
+            for (const item of group.items) {
+                pdf.font('Helvetica-Bold').text(item.title).font('Helvetica');
+                if (item.description) pdf.text(item.description);
+                item.clauses.forEach(quote);
+                pdf.moveDown(0.4);
+            }
+        }
+
+        heading('Suggestions');
+        if (report.suggestions.length === 0) {
+            pdf.text('No suggestions.');
+        }
+        for (const item of report.suggestions) {
+            pdf.font('Helvetica-Bold').text(`${item.title} (priority: ${item.priority})`).font('Helvetica');
+            if (item.description) pdf.text(item.description);
+            item.clauses.forEach(quote);
+            item.edits.forEach(edit => pdf.text(`- ${describeEdit(edit)}`, { indent: 15 }));
+            pdf.moveDown(0.4);
+        }
+
+        heading('Policies consulted');
+        if (report.policies.length === 0) {
+            pdf.text('No policies recorded for this analysis.');
+        }
+        report.policies.forEach(policy => pdf.text(`- ${policy.name} (${policy.detail})`));
+
+        heading('Provenance');
+        report.provenance.forEach(labelled);
+
+        pdf.moveDown(2).fontSize(8).fillColor('#777777').text(branding.footer);
+        pdf.end();
+    });
+}
+
+const formats = {
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html', render: renderHtml },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', render: renderCsv },
+    docx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        extension: 'docx',
+        render: renderDocx
+    },
+    pdf: { contentType: 'application/pdf', extension: 'pdf', render: renderPdf }
+};
+
+// Render a stored analysis result; resolves with { body, contentType, extension }
+async function renderReport(result, format, branding = brandingFromEnv()) {
+    const renderer = formats[format];
+    if (!renderer) {
+        throw new Error(`Unsupported report format "${format}"`);
+    }
+
+    const body = await renderer.render(buildReport(result, branding));
+    return { body, contentType: renderer.contentType, extension: renderer.extension };
+}
+
+module.exports = {
+    brandingFromEnv,
+    buildReport,
+    renderReport,
+    csvCell,
+    reportFormats: Object.keys(formats)
+};
@@ -0,0 +1,79 @@
+// Scoring and packing for hybrid policy retrieval. The server runs a vector query and a BM25
+// query for every clause of the document; this module merges the two result lists, drops weak
+// hits and packs the policy context into a token budget.
+
+// Rough token count for budgeting prompts: about four characters per token in English prose
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+// Merge the vector and keyword hits of one clause by chunk id. Hits carry `vectorScore` and/or
+// `keywordScore` (both 0..1); a missing score counts as 0. Returns the hits above `threshold`,
+// best first, with the combined `score`.
+function mergeClauseHits(vectorHits, keywordHits, { vectorWeight = 0.7, threshold = 0 } = {}) {
+    const byId = new Map();
+    for (const hit of [...vectorHits, ...keywordHits]) {
+        const existing = byId.get(hit.id) || { vectorScore: 0, keywordScore: 0 };
+        byId.set(hit.id, {
+            ...existing,
+            ...hit,
+            vectorScore: Math.max(existing.vectorScore, hit.vectorScore || 0),
+            keywordScore: Math.max(existing.keywordScore, hit.keywordScore || 0)
+        });
+    }
+
+    return [...byId.values()]
+        .map(hit => ({ ...hit, score: round(vectorWeight * hit.vectorScore + (1 - vectorWeight) * hit.keywordScore) }))
+        .filter(hit => hit.score >= threshold)
+        .sort((a, b) => b.score - a.score);
+}
+
+// Choose the policy chunks for the prompt. Every clause's best hit is taken first, so late
+// clauses are covered too, then the remaining hits by score, until `budgetTokens` is spent.
+// Each chunk appears once however many clauses matched it.
+// clauses: [{ clauseIndex, heading, start, hits }] with hits from mergeClauseHits().
+// Returns { selected, trace, usedTokens }; trace records every clause/chunk match and whether
+// the chunk made it into the context.
+function packContext(clauses, { budgetTokens = 8000 } = {}) {
+    const bestFirst = clauses.filter(clause => clause.hits.length > 0).map(clause => clause.hits[0]);
+    const rest = clauses.flatMap(clause => clause.hits.slice(1)).sort((a, b) => b.score - a.score);
+
+    const selected = [];
+    const chosen = new Set();
+    let usedTokens = 0;
+    for (const hit of [...bestFirst.sort((a, b) => b.score - a.score), ...rest]) {
+        if (chosen.has(hit.id)) continue;
+        const tokens = estimateTokens(hit.text);
+        if (usedTokens + tokens > budgetTokens) continue;
+        chosen.add(hit.id);
+        selected.push(hit);
+        usedTokens += tokens;
+    }
+
+    const trace = clauses.flatMap(clause => clause.hits.map(hit => ({
+        clauseIndex: clause.clauseIndex,
+        clauseHeading: clause.heading,
+        clauseStart: clause.start,
+        chunkId: hit.id,
+        policyId: hit.policyId,
+        policyName: hit.policyName,
+        chunkIndex: hit.chunkIndex,
+        heading: hit.heading || '',
+        vectorScore: round(hit.vectorScore),
+        keywordScore: round(hit.keywordScore),
+        score: hit.score,
+        included: chosen.has(hit.id)
+    })));
+
+    return { selected, trace, usedTokens };
+}
+
+module.exports = {
+    estimateTokens,
+    mergeClauseHits,
+    packContext
+};
@@ -0,0 +1,376 @@
+const path = require('path');
+const fs = require('fs');
+const { findSpans, buildEdits } = require('./locations');
+
+const SCOPES = ['analysis', 'grammar'];
+const TYPES = ['pattern', 'required'];
+const SEVERITIES = ['low', 'medium', 'high'];
+const DEFAULT_PACK = 'custom';
+// Pack names become file names, so nothing that could leave the rules directory
+const PACK_NAME = /^[a-z0-9_-]{1,64}$/i;
+
+class RuleValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid rule: ${errors.join('; ')}`);
+        this.name = 'RuleValidationError';
+        this.errors = errors;
+    }
+}
+
+// Returns a list of problems with a rule definition (empty when the rule is valid)
+function validateRule(rule) {
+    const errors = [];
+    if (!rule || typeof rule !== 'object') {
+        return ['rule must be an object'];
+    }
+
+    if (typeof rule.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(rule.id)) {
+        errors.push('id must contain only letters, digits, "-" and "_"');
+    }
+    if (!SCOPES.includes(rule.scope)) {
+        errors.push(`scope must be one of ${SCOPES.join(', ')}`);
+    }
+    if (!TYPES.includes(rule.type)) {
+        errors.push(`type must be one of ${TYPES.join(', ')}`);
+    }
+    if (!SEVERITIES.includes(rule.severity)) {
+        errors.push(`severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    if (typeof rule.message !== 'string' || rule.message.trim() === '') {
+        errors.push('message is required');
+    }
+    if (rule.penalty !== undefined && (typeof rule.penalty !== 'number' || rule.penalty < 0)) {
+        errors.push('penalty must be a non-negative number');
+    }
+    if (rule.maxPenalty !== undefined && (typeof rule.maxPenalty !== 'number' || rule.maxPenalty < 0)) {
+        errors.push('maxPenalty must be a non-negative number');
+    }
+    if (rule.replacement !== undefined && rule.replacement !== null && typeof rule.replacement !== 'string') {
+        errors.push('replacement must be a string or null');
+    }
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+        errors.push('enabled must be a boolean');
+    }
+    if (rule.jurisdictions !== undefined &&
+        (!Array.isArray(rule.jurisdictions) || rule.jurisdictions.some(j => typeof j !== 'string'))) {
+        errors.push('jurisdictions must be an array of strings');
+    }
+
+    if (typeof rule.pattern !== 'string' || rule.pattern === '') {
+        errors.push('pattern is required');
+    } else {
+        try {
+            const regex = new RegExp(rule.pattern, rule.flags || '');
+            if (regex.test('')) {
+                errors.push('pattern must not match empty text');
+            }
+        } catch (error) {
+            errors.push(`pattern is not a valid regular expression: ${error.message}`);
+        }
+    }
+
+    return errors;
+}
+
+function normalizeRule(rule) {
+    return {
+        id: rule.id,
+        scope: rule.scope,
+        type: rule.type,
+        pattern: rule.pattern,
+        flags: rule.flags || '',
+        severity: rule.severity,
+        penalty: rule.penalty || 0,
+        maxPenalty: rule.maxPenalty !== undefined ? rule.maxPenalty : 20,
+        message: rule.message,
+        suggestion: rule.suggestion || '',
+        replacement: rule.replacement === undefined ? null : rule.replacement,
+        category: rule.category || (rule.scope === 'grammar' ? 'style' : 'language'),
+        jurisdictions: rule.jurisdictions || [],
+        enabled: rule.enabled !== false
+    };
+}
+
+function compile(rule) {
+    const flags = rule.type === 'pattern' && !rule.flags.includes('g') ? rule.flags + 'g' : rule.flags;
+    return new RegExp(rule.pattern, flags);
+}
+
+function appliesTo(rule, options = {}) {
+    if (!rule.enabled && !options.includeDisabled) return false;
+    if (rule.jurisdictions.length === 0) return true;
+    // A rule limited to jurisdictions stays out of analyses that do not name one
+    if (!options.jurisdiction) return false;
+    return rule.jurisdictions.some(j => j.toLowerCase() === String(options.jurisdiction).toLowerCase());
+}
+
+// Issues, suggestions and score penalty for the analysis-scope rules
+function runAnalysisRules(rules, text) {
+    const issues = [];
+    const suggestions = [];
+    let penalty = 0;
+
+    for (const rule of rules) {
+        const regex = compile(rule);
+
+        if (rule.type === 'required') {
+            if (!regex.test(text)) {
+                issues.push({
+                    type: 'Structure Issue',
+                    ruleId: rule.id,
+                    severity: rule.severity,
+                    title: rule.message,
+                    description: rule.suggestion,
+                    locations: []
+                });
+                penalty += rule.penalty;
+            }
+            continue;
+        }
+
+        const matchCount = (text.match(regex) || []).length;
+        if (matchCount === 0) continue;
+
+        const locations = findSpans(text, regex);
+        issues.push({
+            type: rule.category === 'language' ? 'Language Issue' : `${capitalize(rule.category)} Issue`,
+            ruleId: rule.id,
+            severity: rule.severity,
+            title: rule.message,
+            description: `Found ${matchCount} instance(s)`,
+            locations: locations
+        });
+
+        if (rule.suggestion) {
+            suggestions.push({
+                type: rule.category === 'language' ? 'Language Improvement' : `${capitalize(rule.category)} Improvement`,
+                ruleId: rule.id,
+                priority: rule.severity === 'high' ? 'high' : 'medium',
+                title: rule.suggestion,
+                description: `Apply to ${matchCount} instance(s)`,
+                locations: locations,
+                edits: rule.replacement === null ? [] : buildEdits(text, locations, rule.replacement)
+            });
+        }
+
+        penalty += Math.min(matchCount * rule.penalty, rule.maxPenalty);
+    }
+
+    return { issues, suggestions, penalty };
+}
+
+// Grammar findings in the shape returned by /api/grammar-check
+function runGrammarRules(rules, text) {
+    const grammarIssues = [];
+
+    rules.forEach((rule, ruleIndex) => {
+        const matches = [...text.matchAll(compile(rule))];
+        matches.forEach((match, matchIndex) => {
+            if (match[0].length === 0) return;
+            grammarIssues.push({
+                id: `basic_${ruleIndex}_${matchIndex}_${match.index}`,
+                ruleId: rule.id,
+                position: match.index,
+                length: match[0].length,
+                issue: rule.message,
+                suggestion: rule.suggestion,
+                text: match[0],
+                severity: rule.severity,
+                category: rule.category
+            });
+        });
+    });
+
+    return grammarIssues;
+}
+
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function bumpVersion(version) {
+    const parts = String(version || '1.0.0').split('.').map(part => parseInt(part) || 0);
+    while (parts.length < 3) parts.push(0);
+    parts[2] += 1;
+    return parts.join('.');
+}
+
+// Rule packs are JSON files ({ name, version, description, rules }) in one directory. Every
+// change made through the engine is written back to its pack file with a bumped patch version.
+function createRuleEngine(options = {}) {
+    const directory = options.directory;
+    let packs = new Map();
+
+    function load() {
+        const loaded = new Map();
+        const files = fs.existsSync(directory)
+            ? fs.readdirSync(directory).filter(file => file.endsWith('.json')).sort()
+            : [];
+        const seen = new Set();
+
+        for (const file of files) {
+            const pack = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+            const name = pack.name || path.basename(file, '.json');
+            const rules = [];
+
+            for (const rule of pack.rules || []) {
+                const errors = validateRule(rule);
+                if (errors.length > 0) {
+                    throw new RuleValidationError([`${file} rule "${rule.id}": ${errors.join(', ')}`]);
+                }
+                if (seen.has(rule.id)) {
+                    throw new RuleValidationError([`${file}: duplicate rule id "${rule.id}"`]);
+                }
+                seen.add(rule.id);
+                rules.push(normalizeRule(rule));
+            }
+
+            loaded.set(name, {
+                name: name,
+                version: pack.version || '1.0.0',
+                description: pack.description || '',
+                file: file,
+                rules: rules
+            });
+        }
+
+        packs = loaded;
+    }
+
+    function save(pack) {
+        pack.version = bumpVersion(pack.version);
+        fs.mkdirSync(directory, { recursive: true });
+        const contents = {
+            name: pack.name,
+            version: pack.version,
+            description: pack.description,
+            rules: pack.rules
+        };
+        fs.writeFileSync(path.join(directory, pack.file), JSON.stringify(contents, null, 4) + '\n');
+    }
+
+    function findRule(id) {
+        for (const pack of packs.values()) {
+            const index = pack.rules.findIndex(rule => rule.id === id);
+            if (index !== -1) return { pack, index, rule: pack.rules[index] };
+        }
+        return null;
+    }
+
+    function allRules() {
+        return [...packs.values()].flatMap(pack => pack.rules.map(rule => ({ ...rule, pack: pack.name })));
+    }
+
+    load();
+
+    return {
+        reload: load,
+
+        listPacks() {
+            return [...packs.values()].map(pack => ({
+                name: pack.name,
+                version: pack.version,
+                description: pack.description,
+                ruleCount: pack.rules.length
+            }));
+        },
+
+        listRules(filter = {}) {
+            return allRules().filter(rule =>
+                (!filter.scope || rule.scope === filter.scope) &&
+                (!filter.pack || rule.pack === filter.pack));
+        },
+
+        getRule(id) {
+            const found = findRule(id);
+            return found ? { ...found.rule, pack: found.pack.name } : null;
+        },
+
+        createRule(rule, packName = DEFAULT_PACK) {
+            const errors = validateRule(rule);
+            if (typeof packName !== 'string' || !PACK_NAME.test(packName)) {
+                errors.push('pack must be 1-64 letters, digits, "-" or "_"');
+            }
+            if (findRule(rule && rule.id)) {
+                errors.push(`a rule with id "${rule.id}" already exists`);
+            }
+            if (errors.length > 0) {
+                throw new RuleValidationError(errors);
+            }
+
+            let pack = packs.get(packName);
+            if (!pack) {
+                pack = { name: packName, version: '0.0.0', description: '', file: `${packName}.json`, rules: [] };
+                packs.set(packName, pack);
+            }
+
+            const normalized = normalizeRule(rule);
+            pack.rules.push(normalized);
+            save(pack);
+            return { ...normalized, pack: pack.name };
+        },
+
+        updateRule(id, changes) {
+            const found = findRule(id);
+            if (!found) return null;
+
+            const updated = { ...found.rule, ...changes, id };
+            const errors = validateRule(updated);
+            if (errors.length > 0) {
+                throw new RuleValidationError(errors);
+            }
+
+            found.pack.rules[found.index] = normalizeRule(updated);
+            save(found.pack);
+            return { ...found.pack.rules[found.index], pack: found.pack.name };
+        },
+
+        deleteRule(id) {
+            const found = findRule(id);
+            if (!found) return false;
+
+            found.pack.rules.splice(found.index, 1);
+            save(found.pack);
+            return true;
+        },
+
+        // Dry-run a rule (stored or not) against sample text without changing anything
+        testRule(rule, text) {
+            const errors = validateRule(rule);
+            if (errors.length > 0) {
+                return { valid: false, errors };
+            }
+
+            const normalized = { ...normalizeRule(rule), enabled: true };
+            const result = normalized.scope === 'grammar'
+                ? { issues: runGrammarRules([normalized], text), suggestions: [], penalty: 0 }
+                : runAnalysisRules([normalized], text);
+
+            return {
+                valid: true,
+                errors: [],
+                matches: normalized.type === 'pattern' ? findSpans(text, compile(normalized)) : [],
+                issues: result.issues,
+                suggestions: result.suggestions,
+                penalty: result.penalty
+            };
+        },
+
+        analyze(text, options = {}) {
+            const rules = allRules().filter(rule => rule.scope === 'analysis' && appliesTo(rule, options));
+            return runAnalysisRules(rules, text);
+        },
+
+        checkGrammar(text, options = {}) {
+            const rules = allRules().filter(rule => rule.scope === 'grammar' && appliesTo(rule, options));
+            return runGrammarRules(rules, text);
+        }
+    };
+}
+
+module.exports = {
+    RuleValidationError,
+    validateRule,
+    createRuleEngine,
+    SEVERITIES
+};
@@ -0,0 +1,94 @@
+// Passage search over the policy corpus. Semantic search goes through ChromaDB; this module
+// holds the pieces that do not need it: policy filters, BM25 keyword ranking and context.
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'a', 'an',
+    'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'these', 'those',
+    'what', 'which', 'who', 'our', 'we', 'us', 'do', 'does', 'any', 'as', 'from'
+]);
+
+function tokenize(text) {
+    return (String(text).toLowerCase().match(/[a-z0-9]+/g) || [])
+        .filter(token => !STOP_WORDS.has(token));
+}
+
+// Normalise a comma-separated string or an array of tags to trimmed, lower-case, unique values
+function parseTags(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+// Policies matching { policyId, tag, uploadedAfter, uploadedBefore }. Dates are compared as
+// ISO timestamps, so "2024-01-01" works as a bound.
+function filterPolicies(policies, filters = {}) {
+    const tags = parseTags(filters.tag);
+    return policies.filter(policy =>
+        (!filters.policyId || policy.id === filters.policyId) &&
+        tags.every(tag => (policy.tags || []).includes(tag)) &&
+        (!filters.uploadedAfter || policy.uploadDate >= filters.uploadedAfter) &&
+        (!filters.uploadedBefore || policy.uploadDate <= filters.uploadedBefore));
+}
+
+// Okapi BM25 over a list of passages ({ text, ... }). Returns the passages with a positive
+// score, best first, each with `score` scaled so the best match is 1.
+function bm25Search(passages, query, { limit = 10, k1 = 1.2, b = 0.75 } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0 || passages.length === 0) {
+        return [];
+    }
+
+    const documents = passages.map(passage => {
+        const frequencies = new Map();
+        const tokens = tokenize(passage.text);
+        for (const token of tokens) {
+            frequencies.set(token, (frequencies.get(token) || 0) + 1);
+        }
+        return { passage, frequencies, length: tokens.length };
+    });
+
+    const averageLength = documents.reduce((sum, document) => sum + document.length, 0) / documents.length || 1;
+    const idf = new Map(queryTerms.map(term => {
+        const containing = documents.filter(document => document.frequencies.has(term)).length;
+        return [term, Math.log(1 + (documents.length - containing + 0.5) / (containing + 0.5))];
+    }));
+
+    const scored = documents
+        .map(document => {
+            let score = 0;
+            for (const term of queryTerms) {
+                const frequency = document.frequencies.get(term) || 0;
+                if (frequency === 0) continue;
+                score += idf.get(term) * (frequency * (k1 + 1)) /
+                    (frequency + k1 * (1 - b + b * document.length / averageLength));
+            }
+            return { passage: document.passage, score };
+        })
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+    const best = scored.length > 0 ? scored[0].score : 1;
+    return scored.map(match => ({ ...match.passage, score: Math.round(match.score / best * 1000) / 1000 }));
+}
+
+// Chroma returns L2 distances; map them to a 0..1 similarity where 1 is an exact match
+function distanceToSimilarity(distance) {
+    return Math.round(1 / (1 + Math.max(distance, 0)) * 1000) / 1000;
+}
+
+// The chunks either side of a passage, for showing it in context
+function surroundingContext(chunks, chunkIndex) {
+    return {
+        before: chunkIndex > 0 ? chunks[chunkIndex - 1] : null,
+        after: chunkIndex < chunks.length - 1 ? chunks[chunkIndex + 1] : null
+    };
+}
+
+module.exports = {
+    tokenize,
+    parseTags,
+    filterPolicies,
+    bm25Search,
+    distanceToSimilarity,
+    surroundingContext
+};
@@ -0,0 +1,1009 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+
+// Ordered schema migrations. Never edit an applied migration; append a new one instead.
+const migrations = [
+    {
+        version: 1,
+        name: 'initial_schema',
+        up: `
+            CREATE TABLE policies (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                filename TEXT NOT NULL UNIQUE,
+                path TEXT NOT NULL,
+                content TEXT NOT NULL,
+                content_hash TEXT NOT NULL,
+                extractor TEXT,
+                keywords TEXT NOT NULL DEFAULT '[]',
+                size INTEGER NOT NULL DEFAULT 0,
+                upload_date TEXT NOT NULL,
+                indexed_hash TEXT
+            );
+
+            CREATE TABLE analysis_results (
+                id TEXT PRIMARY KEY,
+                analysis_date TEXT NOT NULL,
+                compliance_score INTEGER,
+                risk_level TEXT,
+                word_count INTEGER,
+                document_length INTEGER,
+                data TEXT NOT NULL
+            );
+
+            CREATE INDEX idx_analysis_results_date ON analysis_results (analysis_date);
+        `
+    },
+    {
+        version: 2,
+        name: 'analysis_jobs',
+        up: `
+            CREATE TABLE analysis_jobs (
+                id TEXT PRIMARY KEY,
+                status TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                completed_at TEXT,
+                options TEXT NOT NULL DEFAULT '{}',
+                summary TEXT
+            );
+
+            CREATE TABLE analysis_job_documents (
+                job_id TEXT NOT NULL REFERENCES analysis_jobs (id) ON DELETE CASCADE,
+                position INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                status TEXT NOT NULL,
+                error TEXT,
+                result_id TEXT,
+                compliance_score INTEGER,
+                risk_level TEXT,
+                started_at TEXT,
+                completed_at TEXT,
+                PRIMARY KEY (job_id, position)
+            );
+
+            CREATE INDEX idx_analysis_jobs_created ON analysis_jobs (created_at);
+        `
+    },
+    {
+        version: 3,
+        name: 'policy_tags',
+        up: `
+            ALTER TABLE policies ADD COLUMN tags TEXT NOT NULL DEFAULT '[]';
+        `
+    },
+    {
+        version: 4,
+        name: 'policy_versions',
+        up: `
+            ALTER TABLE policies ADD COLUMN family_id TEXT;
+            ALTER TABLE policies ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+            ALTER TABLE policies ADD COLUMN status TEXT NOT NULL DEFAULT 'active';
+            ALTER TABLE policies ADD COLUMN effective_date TEXT;
+            ALTER TABLE policies ADD COLUMN uploaded_by TEXT;
+            UPDATE policies SET family_id = id, effective_date = upload_date;
+            CREATE INDEX idx_policies_family ON policies (family_id, version);
+
+            ALTER TABLE analysis_results ADD COLUMN document_text TEXT;
+        `
+    },
+    {
+        version: 5,
+        name: 'term_extractions',
+        up: `
+            CREATE TABLE term_extractions (
+                id TEXT PRIMARY KEY,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL,
+                document_hash TEXT NOT NULL,
+                extractor TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+        `
+    },
+    {
+        version: 6,
+        name: 'playbooks',
+        up: `
+            CREATE TABLE playbooks (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                version INTEGER NOT NULL DEFAULT 1,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+        `
+    },
+    {
+        version: 7,
+        name: 'users_and_api_tokens',
+        up: `
+            CREATE TABLE users (
+                id TEXT PRIMARY KEY,
+                email TEXT NOT NULL UNIQUE,
+                name TEXT NOT NULL,
+                role TEXT NOT NULL,
+                password_hash TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                disabled INTEGER NOT NULL DEFAULT 0
+            );
+
+            CREATE TABLE api_tokens (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+                name TEXT NOT NULL,
+                role TEXT NOT NULL,
+                token_hash TEXT NOT NULL UNIQUE,
+                created_at TEXT NOT NULL,
+                expires_at TEXT,
+                last_used_at TEXT,
+                revoked_at TEXT
+            );
+
+            ALTER TABLE analysis_results ADD COLUMN requested_by TEXT;
+            ALTER TABLE analysis_jobs ADD COLUMN created_by TEXT;
+        `
+    },
+    {
+        version: 8,
+        name: 'workspaces',
+        up: `
+            CREATE TABLE workspaces (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                description TEXT NOT NULL DEFAULT '',
+                status TEXT NOT NULL DEFAULT 'active',
+                created_at TEXT NOT NULL,
+                created_by TEXT,
+                archived_at TEXT,
+                copied_from TEXT
+            );
+
+            -- Everything stored before workspaces existed belongs to the default workspace
+            INSERT INTO workspaces (id, name, created_at) VALUES ('default', 'Default', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+            ALTER TABLE policies ADD COLUMN workspace_id TEXT NOT NULL DEFAULT 'default';
+            ALTER TABLE analysis_results ADD COLUMN workspace_id TEXT NOT NULL DEFAULT 'default';
+            ALTER TABLE analysis_jobs ADD COLUMN workspace_id TEXT NOT NULL DEFAULT 'default';
+            CREATE INDEX idx_policies_workspace ON policies (workspace_id, status);
+            CREATE INDEX idx_analysis_results_workspace ON analysis_results (workspace_id, analysis_date);
+            CREATE INDEX idx_analysis_jobs_workspace ON analysis_jobs (workspace_id, created_at);
+        `
+    },
+    {
+        version: 9,
+        name: 'audit_log',
+        up: `
+            CREATE TABLE audit_log (
+                seq INTEGER PRIMARY KEY,
+                occurred_at TEXT NOT NULL,
+                action TEXT NOT NULL,
+                actor TEXT,
+                workspace_id TEXT,
+                policy_ids TEXT NOT NULL DEFAULT '[]',
+                result_id TEXT,
+                details TEXT NOT NULL DEFAULT '{}',
+                prev_hash TEXT NOT NULL,
+                hash TEXT NOT NULL
+            );
+            CREATE INDEX idx_audit_log_occurred ON audit_log (occurred_at);
+            CREATE INDEX idx_audit_log_actor ON audit_log (actor, occurred_at);
+
+            -- Entries are never changed or removed; the hash chain catches edits that bypass this
+            CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+            BEGIN SELECT RAISE(ABORT, 'The audit log is append-only'); END;
+            CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+            BEGIN SELECT RAISE(ABORT, 'The audit log is append-only'); END;
+        `
+    },
+    {
+        version: 10,
+        name: 'workspace_redaction',
+        up: `
+            -- JSON redaction policy; NULL uses the server default
+            ALTER TABLE workspaces ADD COLUMN redaction TEXT;
+        `
+    },
+    {
+        version: 11,
+        name: 'obligation_registers',
+        up: `
+            CREATE TABLE obligation_registers (
+                id TEXT PRIMARY KEY,
+                created_at TEXT NOT NULL,
+                workspace_id TEXT NOT NULL DEFAULT 'default',
+                document_hash TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+        `
+    },
+    {
+        version: 12,
+        name: 'term_extraction_workspaces',
+        up: `
+            ALTER TABLE term_extractions ADD COLUMN workspace_id TEXT NOT NULL DEFAULT 'default';
+        `
+    },
+    {
+        version: 13,
+        name: 'playbook_workspaces',
+        up: `
+            ALTER TABLE playbooks ADD COLUMN workspace_id TEXT NOT NULL DEFAULT 'default';
+            CREATE INDEX idx_playbooks_workspace ON playbooks (workspace_id, name);
+        `
+    },
+    {
+        // Bumped when a user's password changes or they are disabled; session tokens carry it
+        version: 14,
+        name: 'user_token_versions',
+        up: `
+            ALTER TABLE users ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0;
+        `
+    },
+    {
+        // The options an analysis ran with (jurisdiction, playbook), so a re-analysis can repeat them
+        version: 15,
+        name: 'analysis_result_options',
+        up: `
+            ALTER TABLE analysis_results ADD COLUMN analysis_options TEXT;
+        `
+    }
+];
+
+// Resolve DATABASE_URL (sqlite:<path> or sqlite::memory:) to a file path for better-sqlite3
+function resolveDatabasePath(databaseUrl, baseDir) {
+    const url = databaseUrl || 'sqlite:./data/app.db';
+    if (!url.startsWith('sqlite:')) {
+        throw new Error(`Unsupported DATABASE_URL "${url}". Only sqlite: URLs are supported.`);
+    }
+
+    const location = url.slice('sqlite:'.length).replace(/^\/\/(?=\/)/, '');
+    if (location === ':memory:' || location === '') {
+        return ':memory:';
+    }
+
+    return path.isAbsolute(location) ? location : path.join(baseDir, location);
+}
+
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+function migrate(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )
+    `);
+
+    const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+    const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+        db.transaction(() => {
+            db.exec(migration.up);
+            record.run(migration.version, migration.name, new Date().toISOString());
+        })();
+    }
+
+    return pending.map(migration => migration.version);
+}
+
+function rowToPolicy(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        name: row.name,
+        filename: row.filename,
+        path: row.path,
+        content: row.content,
+        contentHash: row.content_hash,
+        extractor: row.extractor,
+        keywords: JSON.parse(row.keywords),
+        size: row.size,
+        uploadDate: row.upload_date,
+        indexedHash: row.indexed_hash,
+        tags: JSON.parse(row.tags),
+        familyId: row.family_id,
+        version: row.version,
+        status: row.status,
+        effectiveDate: row.effective_date,
+        uploadedBy: row.uploaded_by,
+        workspaceId: row.workspace_id
+    };
+}
+
+function rowToJobDocument(row) {
+    return {
+        position: row.position,
+        name: row.name,
+        status: row.status,
+        error: row.error,
+        resultId: row.result_id,
+        complianceScore: row.compliance_score,
+        riskLevel: row.risk_level,
+        startedAt: row.started_at,
+        completedAt: row.completed_at
+    };
+}
+
+function rowToJob(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        status: row.status,
+        createdAt: row.created_at,
+        completedAt: row.completed_at,
+        options: JSON.parse(row.options),
+        summary: row.summary ? JSON.parse(row.summary) : null,
+        createdBy: row.created_by,
+        workspaceId: row.workspace_id
+    };
+}
+
+// Stored results carry the workspace they were analysed in, also when they predate workspaces
+function rowToResult(row) {
+    if (!row) return null;
+    return { ...JSON.parse(row.data), workspaceId: row.workspace_id };
+}
+
+function rowToWorkspace(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        status: row.status,
+        createdAt: row.created_at,
+        createdBy: row.created_by,
+        archivedAt: row.archived_at,
+        copiedFrom: row.copied_from,
+        redaction: row.redaction ? JSON.parse(row.redaction) : null
+    };
+}
+
+function rowToTermExtraction(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        workspaceId: row.workspace_id,
+        documentHash: row.document_hash,
+        extractor: row.extractor,
+        ...JSON.parse(row.data)
+    };
+}
+
+function rowToObligationRegister(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        createdAt: row.created_at,
+        workspaceId: row.workspace_id,
+        documentHash: row.document_hash,
+        ...JSON.parse(row.data)
+    };
+}
+
+function rowToPlaybook(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        name: row.name,
+        version: row.version,
+        workspaceId: row.workspace_id,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        ...JSON.parse(row.data)
+    };
+}
+
+function rowToUser(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        email: row.email,
+        name: row.name,
+        role: row.role,
+        passwordHash: row.password_hash,
+        createdAt: row.created_at,
+        disabled: Boolean(row.disabled),
+        tokenVersion: row.token_version
+    };
+}
+
+function rowToApiToken(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        userId: row.user_id,
+        name: row.name,
+        role: row.role,
+        tokenHash: row.token_hash,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        lastUsedAt: row.last_used_at,
+        revokedAt: row.revoked_at
+    };
+}
+
+// Every audit filter is optional: a null parameter matches all entries
+const AUDIT_FILTERS = `
+    (@actor IS NULL OR actor = @actor)
+    AND (@action IS NULL OR action = @action)
+    AND (@workspaceId IS NULL OR workspace_id = @workspaceId)
+    AND (@resultId IS NULL OR result_id = @resultId)
+    AND (@policyId IS NULL OR EXISTS (SELECT 1 FROM json_each(policy_ids) WHERE value = @policyId))
+    AND (@from IS NULL OR occurred_at >= @from)
+    AND (@to IS NULL OR occurred_at <= @to)
+`;
+
+function rowToAuditEntry(row) {
+    if (!row) return null;
+    return {
+        seq: row.seq,
+        occurredAt: row.occurred_at,
+        action: row.action,
+        actor: row.actor,
+        workspaceId: row.workspace_id,
+        policyIds: JSON.parse(row.policy_ids),
+        resultId: row.result_id,
+        details: JSON.parse(row.details),
+        prevHash: row.prev_hash,
+        hash: row.hash
+    };
+}
+
+function auditFilters({ actor, action, workspaceId, resultId, policyId, from, to }) {
+    return {
+        actor: actor || null,
+        action: action || null,
+        workspaceId: workspaceId || null,
+        resultId: resultId || null,
+        policyId: policyId || null,
+        from: from || null,
+        to: to || null
+    };
+}
+
+function createStore(options = {}) {
+    const databasePath = resolveDatabasePath(options.databaseUrl, options.baseDir || process.cwd());
+    if (databasePath !== ':memory:') {
+        fs.mkdirSync(path.dirname(databasePath), { recursive: true });
+    }
+
+    const db = new Database(databasePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    const appliedMigrations = migrate(db);
+
+    const statements = {
+        listPolicies: db.prepare('SELECT * FROM policies ORDER BY upload_date'),
+        listPoliciesByStatus: db.prepare('SELECT * FROM policies WHERE status = ? ORDER BY upload_date'),
+        listWorkspacePolicies: db.prepare('SELECT * FROM policies WHERE workspace_id = ? ORDER BY upload_date'),
+        listWorkspacePoliciesByStatus: db.prepare('SELECT * FROM policies WHERE workspace_id = ? AND status = ? ORDER BY upload_date'),
+        listPolicyVersions: db.prepare('SELECT * FROM policies WHERE family_id = ? ORDER BY version'),
+        getLatestPolicyByName: db.prepare(`
+            SELECT * FROM policies WHERE name = ? AND workspace_id = ? ORDER BY version DESC, upload_date DESC LIMIT 1
+        `),
+        getPolicy: db.prepare('SELECT * FROM policies WHERE id = ?'),
+        getPolicyByFilename: db.prepare('SELECT * FROM policies WHERE filename = ?'),
+        insertPolicy: db.prepare(`
+            INSERT INTO policies (id, name, filename, path, content, content_hash, extractor, keywords, size, upload_date, tags,
+                family_id, version, status, effective_date, uploaded_by, workspace_id)
+            VALUES (@id, @name, @filename, @path, @content, @contentHash, @extractor, @keywords, @size, @uploadDate, @tags,
+                @familyId, @version, @status, @effectiveDate, @uploadedBy, @workspaceId)
+        `),
+        updatePolicyContent: db.prepare(`
+            UPDATE policies
+            SET content = @content, content_hash = @contentHash, extractor = @extractor,
+                keywords = @keywords, size = @size, indexed_hash = NULL
+            WHERE id = @id
+        `),
+        markPolicyIndexed: db.prepare('UPDATE policies SET indexed_hash = ? WHERE id = ?'),
+        updatePolicyTags: db.prepare('UPDATE policies SET tags = ? WHERE id = ?'),
+        updatePolicyStatus: db.prepare('UPDATE policies SET status = ? WHERE id = ?'),
+        deletePolicy: db.prepare('DELETE FROM policies WHERE id = ?'),
+        insertResult: db.prepare(`
+            INSERT INTO analysis_results (id, analysis_date, compliance_score, risk_level, word_count, document_length, data, document_text,
+                requested_by, workspace_id, analysis_options)
+            VALUES (@id, @analysisDate, @complianceScore, @riskLevel, @wordCount, @documentLength, @data, @documentText,
+                @requestedBy, @workspaceId, @analysisOptions)
+        `),
+        listResults: db.prepare('SELECT data, workspace_id FROM analysis_results ORDER BY analysis_date DESC LIMIT ? OFFSET ?'),
+        listWorkspaceResults: db.prepare(`
+            SELECT data, workspace_id FROM analysis_results WHERE workspace_id = ? ORDER BY analysis_date DESC LIMIT ? OFFSET ?
+        `),
+        getResult: db.prepare('SELECT data, workspace_id FROM analysis_results WHERE id = ?'),
+        getResultDocument: db.prepare('SELECT document_text FROM analysis_results WHERE id = ?'),
+        getResultOptions: db.prepare('SELECT analysis_options FROM analysis_results WHERE id = ?'),
+        countResults: db.prepare('SELECT COUNT(*) AS count FROM analysis_results'),
+        countWorkspaceResults: db.prepare('SELECT COUNT(*) AS count FROM analysis_results WHERE workspace_id = ?'),
+        insertWorkspace: db.prepare(`
+            INSERT INTO workspaces (id, name, description, created_at, created_by, copied_from, redaction)
+            VALUES (@id, @name, @description, @createdAt, @createdBy, @copiedFrom, @redaction)
+        `),
+        updateWorkspaceRedaction: db.prepare('UPDATE workspaces SET redaction = ? WHERE id = ?'),
+        updateWorkspaceStatus: db.prepare('UPDATE workspaces SET status = ?, archived_at = ? WHERE id = ?'),
+        getWorkspace: db.prepare('SELECT * FROM workspaces WHERE id = ?'),
+        listWorkspaces: db.prepare('SELECT * FROM workspaces ORDER BY created_at, id'),
+        insertTermExtraction: db.prepare(`
+            INSERT INTO term_extractions (id, created_at, updated_at, workspace_id, document_hash, extractor, data)
+            VALUES (@id, @createdAt, @createdAt, @workspaceId, @documentHash, @extractor, @data)
+        `),
+        updateTermExtraction: db.prepare('UPDATE term_extractions SET data = ?, updated_at = ? WHERE id = ? AND workspace_id = ?'),
+        getTermExtraction: db.prepare('SELECT * FROM term_extractions WHERE id = ? AND workspace_id = ?'),
+        insertObligationRegister: db.prepare(`
+            INSERT INTO obligation_registers (id, created_at, workspace_id, document_hash, data)
+            VALUES (@id, @createdAt, @workspaceId, @documentHash, @data)
+        `),
+        getObligationRegister: db.prepare('SELECT * FROM obligation_registers WHERE id = ?'),
+        insertPlaybook: db.prepare(`
+            INSERT INTO playbooks (id, name, version, workspace_id, created_at, updated_at, data)
+            VALUES (@id, @name, 1, @workspaceId, @createdAt, @createdAt, @data)
+        `),
+        updatePlaybook: db.prepare(`
+            UPDATE playbooks SET name = @name, version = version + 1, updated_at = @updatedAt, data = @data
+            WHERE id = @id AND workspace_id = @workspaceId
+        `),
+        listPlaybooks: db.prepare('SELECT * FROM playbooks WHERE workspace_id = ? ORDER BY name'),
+        getPlaybook: db.prepare('SELECT * FROM playbooks WHERE id = ? AND workspace_id = ?'),
+        deletePlaybook: db.prepare('DELETE FROM playbooks WHERE id = ? AND workspace_id = ?'),
+        insertUser: db.prepare(`
+            INSERT INTO users (id, email, name, role, password_hash, created_at)
+            VALUES (@id, @email, @name, @role, @passwordHash, @createdAt)
+        `),
+        updateUser: db.prepare(`
+            UPDATE users SET name = @name, role = @role, password_hash = @passwordHash, disabled = @disabled,
+                token_version = @tokenVersion
+            WHERE id = @id
+        `),
+        getUser: db.prepare('SELECT * FROM users WHERE id = ?'),
+        getUserByEmail: db.prepare('SELECT * FROM users WHERE email = ?'),
+        listUsers: db.prepare('SELECT * FROM users ORDER BY email'),
+        countUsers: db.prepare('SELECT COUNT(*) AS count FROM users'),
+        insertApiToken: db.prepare(`
+            INSERT INTO api_tokens (id, user_id, name, role, token_hash, created_at, expires_at)
+            VALUES (@id, @userId, @name, @role, @tokenHash, @createdAt, @expiresAt)
+        `),
+        getApiToken: db.prepare('SELECT * FROM api_tokens WHERE id = ?'),
+        getApiTokenByHash: db.prepare('SELECT * FROM api_tokens WHERE token_hash = ?'),
+        listApiTokens: db.prepare('SELECT * FROM api_tokens WHERE user_id = ? ORDER BY created_at'),
+        touchApiToken: db.prepare('UPDATE api_tokens SET last_used_at = ? WHERE id = ?'),
+        revokeApiToken: db.prepare('UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL'),
+        insertJob: db.prepare(`
+            INSERT INTO analysis_jobs (id, status, created_at, options, created_by, workspace_id)
+            VALUES (@id, @status, @createdAt, @options, @createdBy, @workspaceId)
+        `),
+        insertJobDocument: db.prepare(`
+            INSERT INTO analysis_job_documents (job_id, position, name, status)
+            VALUES (@jobId, @position, @name, @status)
+        `),
+        updateJobDocument: db.prepare(`
+            UPDATE analysis_job_documents
+            SET status = @status, error = @error, result_id = @resultId, compliance_score = @complianceScore,
+                risk_level = @riskLevel, started_at = @startedAt, completed_at = @completedAt
+            WHERE job_id = @jobId AND position = @position
+        `),
+        updateJobStatus: db.prepare('UPDATE analysis_jobs SET status = ? WHERE id = ?'),
+        completeJob: db.prepare('UPDATE analysis_jobs SET status = @status, completed_at = @completedAt, summary = @summary WHERE id = @id'),
+        getJob: db.prepare('SELECT * FROM analysis_jobs WHERE id = ?'),
+        getJobDocuments: db.prepare('SELECT * FROM analysis_job_documents WHERE job_id = ? ORDER BY position'),
+        listJobs: db.prepare('SELECT * FROM analysis_jobs ORDER BY created_at DESC LIMIT ? OFFSET ?'),
+        listWorkspaceJobs: db.prepare('SELECT * FROM analysis_jobs WHERE workspace_id = ? ORDER BY created_at DESC LIMIT ? OFFSET ?'),
+        countJobs: db.prepare('SELECT COUNT(*) AS count FROM analysis_jobs'),
+        countWorkspaceJobs: db.prepare('SELECT COUNT(*) AS count FROM analysis_jobs WHERE workspace_id = ?'),
+        insertAuditEntry: db.prepare(`
+            INSERT INTO audit_log (seq, occurred_at, action, actor, workspace_id, policy_ids, result_id, details, prev_hash, hash)
+            VALUES (@seq, @occurredAt, @action, @actor, @workspaceId, @policyIds, @resultId, @details, @prevHash, @hash)
+        `),
+        getLastAuditEntry: db.prepare('SELECT * FROM audit_log ORDER BY seq DESC LIMIT 1'),
+        getAuditEntry: db.prepare('SELECT * FROM audit_log WHERE seq = ?'),
+        listAllAuditEntries: db.prepare('SELECT * FROM audit_log ORDER BY seq'),
+        listAuditEntries: db.prepare(`
+            SELECT * FROM audit_log
+            WHERE ${AUDIT_FILTERS}
+            ORDER BY seq DESC LIMIT @limit OFFSET @offset
+        `),
+        countAuditEntries: db.prepare(`SELECT COUNT(*) AS count FROM audit_log WHERE ${AUDIT_FILTERS}`),
+        unfinishedJobs: db.prepare("SELECT id FROM analysis_jobs WHERE status IN ('queued', 'running')"),
+        interruptJobDocuments: db.prepare(`
+            UPDATE analysis_job_documents
+            SET status = 'failed', error = 'Interrupted by a server restart', completed_at = ?
+            WHERE job_id = ? AND status IN ('queued', 'running')
+        `)
+    };
+
+    return {
+        databasePath,
+        appliedMigrations,
+
+        // All versions, or only those with the given status ('active', 'scheduled', 'superseded', 'archived'),
+        // across every workspace unless `workspaceId` is given
+        listPolicies({ status, workspaceId } = {}) {
+            let rows;
+            if (workspaceId) {
+                rows = status
+                    ? statements.listWorkspacePoliciesByStatus.all(workspaceId, status)
+                    : statements.listWorkspacePolicies.all(workspaceId);
+            } else {
+                rows = status ? statements.listPoliciesByStatus.all(status) : statements.listPolicies.all();
+            }
+            return rows.map(rowToPolicy);
+        },
+
+        listPolicyVersions(familyId) {
+            return statements.listPolicyVersions.all(familyId).map(rowToPolicy);
+        },
+
+        getLatestPolicyByName(name, workspaceId = 'default') {
+            return rowToPolicy(statements.getLatestPolicyByName.get(name, workspaceId));
+        },
+
+        getPolicy(id) {
+            return rowToPolicy(statements.getPolicy.get(id));
+        },
+
+        getPolicyByFilename(filename) {
+            return rowToPolicy(statements.getPolicyByFilename.get(filename));
+        },
+
+        insertPolicy(policy) {
+            const contentHash = policy.contentHash || hashContent(policy.content);
+            statements.insertPolicy.run({
+                id: policy.id,
+                name: policy.name,
+                filename: policy.filename,
+                path: policy.path,
+                content: policy.content,
+                contentHash: contentHash,
+                extractor: policy.extractor || null,
+                keywords: JSON.stringify(policy.keywords || []),
+                size: policy.size || 0,
+                uploadDate: policy.uploadDate,
+                tags: JSON.stringify(policy.tags || []),
+                familyId: policy.familyId || policy.id,
+                version: policy.version || 1,
+                status: policy.status || 'active',
+                effectiveDate: policy.effectiveDate || policy.uploadDate,
+                uploadedBy: policy.uploadedBy || null,
+                workspaceId: policy.workspaceId || 'default'
+            });
+            return this.getPolicy(policy.id);
+        },
+
+        updatePolicyContent(id, fields) {
+            const contentHash = hashContent(fields.content);
+            statements.updatePolicyContent.run({
+                id,
+                content: fields.content,
+                contentHash: contentHash,
+                extractor: fields.extractor || null,
+                keywords: JSON.stringify(fields.keywords || []),
+                size: fields.size || 0
+            });
+            return this.getPolicy(id);
+        },
+
+        markPolicyIndexed(id, contentHash) {
+            statements.markPolicyIndexed.run(contentHash, id);
+        },
+
+        updatePolicyStatus(id, status) {
+            statements.updatePolicyStatus.run(status, id);
+            return this.getPolicy(id);
+        },
+
+        updatePolicyTags(id, tags) {
+            statements.updatePolicyTags.run(JSON.stringify(tags), id);
+            return this.getPolicy(id);
+        },
+
+        deletePolicy(id) {
+            return statements.deletePolicy.run(id).changes > 0;
+        },
+
+        // `documentText` and `options` are kept apart from the result data so the analysis can be
+        // re-run later the same way
+        saveAnalysisResult(result, documentText = null, options = null) {
+            statements.insertResult.run({
+                id: result.id,
+                analysisDate: result.analysisDate,
+                complianceScore: result.complianceScore,
+                riskLevel: result.riskLevel,
+                wordCount: result.wordCount,
+                documentLength: result.documentLength,
+                data: JSON.stringify(result),
+                documentText: documentText,
+                requestedBy: result.requestedBy || null,
+                workspaceId: result.workspaceId || 'default',
+                analysisOptions: options ? JSON.stringify(options) : null
+            });
+            return result;
+        },
+
+        getAnalysisDocument(id) {
+            const row = statements.getResultDocument.get(id);
+            return row ? row.document_text : null;
+        },
+
+        // Results stored before options were kept ran with none
+        getAnalysisOptions(id) {
+            const row = statements.getResultOptions.get(id);
+            return row && row.analysis_options ? JSON.parse(row.analysis_options) : {};
+        },
+
+        listAnalysisResults({ limit = 100, offset = 0, workspaceId } = {}) {
+            const rows = workspaceId
+                ? statements.listWorkspaceResults.all(workspaceId, limit, offset)
+                : statements.listResults.all(limit, offset);
+            return rows.map(rowToResult);
+        },
+
+        getAnalysisResult(id) {
+            return rowToResult(statements.getResult.get(id));
+        },
+
+        countAnalysisResults(workspaceId) {
+            return (workspaceId ? statements.countWorkspaceResults.get(workspaceId) : statements.countResults.get()).count;
+        },
+
+        // Workspaces partition policies, results and jobs; 'default' always exists
+        saveWorkspace(workspace) {
+            statements.insertWorkspace.run({
+                id: workspace.id,
+                name: workspace.name,
+                description: workspace.description || '',
+                createdAt: workspace.createdAt,
+                createdBy: workspace.createdBy || null,
+                copiedFrom: workspace.copiedFrom || null,
+                redaction: workspace.redaction ? JSON.stringify(workspace.redaction) : null
+            });
+            return this.getWorkspace(workspace.id);
+        },
+
+        // null goes back to the server's default redaction policy
+        updateWorkspaceRedaction(id, redaction) {
+            statements.updateWorkspaceRedaction.run(redaction ? JSON.stringify(redaction) : null, id);
+            return this.getWorkspace(id);
+        },
+
+        updateWorkspaceStatus(id, status, archivedAt = null) {
+            statements.updateWorkspaceStatus.run(status, archivedAt, id);
+            return this.getWorkspace(id);
+        },
+
+        getWorkspace(id) {
+            return rowToWorkspace(statements.getWorkspace.get(id));
+        },
+
+        listWorkspaces() {
+            return statements.listWorkspaces.all().map(rowToWorkspace);
+        },
+
+        // Extracted key terms: `terms` plus any extra fields (degraded, rejected) are kept as JSON.
+        // Reads and updates only see the extractions of the given workspace.
+        saveTermExtraction({ id, createdAt, workspaceId = 'default', documentHash, extractor, ...data }) {
+            statements.insertTermExtraction.run({ id, createdAt, workspaceId, documentHash, extractor, data: JSON.stringify(data) });
+            return this.getTermExtraction(id, workspaceId);
+        },
+
+        updateTermExtraction(id, workspaceId, terms, updatedAt) {
+            const row = statements.getTermExtraction.get(id, workspaceId);
+            if (!row) return null;
+            statements.updateTermExtraction.run(JSON.stringify({ ...JSON.parse(row.data), terms }), updatedAt, id, workspaceId);
+            return this.getTermExtraction(id, workspaceId);
+        },
+
+        getTermExtraction(id, workspaceId = 'default') {
+            return rowToTermExtraction(statements.getTermExtraction.get(id, workspaceId));
+        },
+
+        // Obligation registers: obligations, milestones and the dates they were resolved against, as JSON
+        saveObligationRegister({ id, createdAt, workspaceId = 'default', documentHash, ...data }) {
+            statements.insertObligationRegister.run({ id, createdAt, workspaceId, documentHash, data: JSON.stringify(data) });
+            return this.getObligationRegister(id);
+        },
+
+        getObligationRegister(id) {
+            return rowToObligationRegister(statements.getObligationRegister.get(id));
+        },
+
+        // Negotiation playbooks: the clause entries are kept as JSON; every update bumps the version.
+        // Each workspace has its own; the others' are not found.
+        savePlaybook({ id, name, createdAt, workspaceId = 'default', ...data }) {
+            statements.insertPlaybook.run({ id, name, createdAt, workspaceId, data: JSON.stringify(data) });
+            return this.getPlaybook(id, workspaceId);
+        },
+
+        updatePlaybook(id, workspaceId, { name, ...data }, updatedAt) {
+            const result = statements.updatePlaybook.run({ id, workspaceId, name, updatedAt, data: JSON.stringify(data) });
+            return result.changes > 0 ? this.getPlaybook(id, workspaceId) : null;
+        },
+
+        listPlaybooks(workspaceId = 'default') {
+            return statements.listPlaybooks.all(workspaceId).map(rowToPlaybook);
+        },
+
+        getPlaybook(id, workspaceId = 'default') {
+            return rowToPlaybook(statements.getPlaybook.get(id, workspaceId));
+        },
+
+        deletePlaybook(id, workspaceId) {
+            return statements.deletePlaybook.run(id, workspaceId).changes > 0;
+        },
+
+        // Users and their API tokens; tokens are looked up by the hash of the secret
+        saveUser(user) {
+            statements.insertUser.run(user);
+            return this.getUser(user.id);
+        },
+
+        updateUser(id, { name, role, passwordHash, disabled, tokenVersion }) {
+            statements.updateUser.run({ id, name, role, passwordHash, disabled: disabled ? 1 : 0, tokenVersion });
+            return this.getUser(id);
+        },
+
+        getUser(id) {
+            return rowToUser(statements.getUser.get(id));
+        },
+
+        getUserByEmail(email) {
+            return rowToUser(statements.getUserByEmail.get(email));
+        },
+
+        listUsers() {
+            return statements.listUsers.all().map(rowToUser);
+        },
+
+        countUsers() {
+            return statements.countUsers.get().count;
+        },
+
+        saveApiToken(token) {
+            statements.insertApiToken.run(token);
+            return this.getApiToken(token.id);
+        },
+
+        getApiToken(id) {
+            return rowToApiToken(statements.getApiToken.get(id));
+        },
+
+        getApiTokenByHash(tokenHash) {
+            return rowToApiToken(statements.getApiTokenByHash.get(tokenHash));
+        },
+
+        listApiTokens(userId) {
+            return statements.listApiTokens.all(userId).map(rowToApiToken);
+        },
+
+        touchApiToken(id, usedAt) {
+            statements.touchApiToken.run(usedAt, id);
+        },
+
+        revokeApiToken(id, revokedAt) {
+            return statements.revokeApiToken.run(revokedAt, id).changes > 0;
+        },
+
+        // Run `fn` (which calls methods of this store) so that all of its writes land or none do
+        transaction(fn) {
+            return db.transaction(fn)();
+        },
+
+        createJob(job) {
+            db.transaction(() => {
+                statements.insertJob.run({
+                    id: job.id,
+                    status: 'queued',
+                    createdAt: job.createdAt,
+                    options: JSON.stringify(job.options || {}),
+                    createdBy: job.createdBy || null,
+                    workspaceId: job.workspaceId || 'default'
+                });
+                job.documents.forEach((document, position) => {
+                    statements.insertJobDocument.run({ jobId: job.id, position, name: document.name, status: 'queued' });
+                });
+            })();
+            return this.getJob(job.id);
+        },
+
+        updateJobDocument(jobId, position, fields) {
+            statements.updateJobDocument.run({
+                jobId,
+                position,
+                status: fields.status,
+                error: fields.error || null,
+                resultId: fields.resultId || null,
+                complianceScore: fields.complianceScore === undefined ? null : fields.complianceScore,
+                riskLevel: fields.riskLevel || null,
+                startedAt: fields.startedAt || null,
+                completedAt: fields.completedAt || null
+            });
+        },
+
+        updateJobStatus(id, status) {
+            statements.updateJobStatus.run(status, id);
+        },
+
+        completeJob(id, { status, completedAt, summary }) {
+            statements.completeJob.run({ id, status, completedAt, summary: JSON.stringify(summary) });
+        },
+
+        // A job with its documents, or null when it does not exist
+        getJob(id) {
+            const job = rowToJob(statements.getJob.get(id));
+            if (job) {
+                job.documents = statements.getJobDocuments.all(id).map(rowToJobDocument);
+            }
+            return job;
+        },
+
+        listJobs({ limit = 20, offset = 0, workspaceId } = {}) {
+            const rows = workspaceId
+                ? statements.listWorkspaceJobs.all(workspaceId, limit, offset)
+                : statements.listJobs.all(limit, offset);
+            return rows.map(rowToJob);
+        },
+
+        countJobs(workspaceId) {
+            return (workspaceId ? statements.countWorkspaceJobs.get(workspaceId) : statements.countJobs.get()).count;
+        },
+
+        // Audit entries are appended in one immediate transaction: `seal(last)` receives the newest
+        // entry (or null) and returns the next one, hashed, so no other writer can slip in between
+        appendAuditEntry(seal) {
+            return db.transaction(() => {
+                const entry = seal(rowToAuditEntry(statements.getLastAuditEntry.get()));
+                statements.insertAuditEntry.run({
+                    ...entry,
+                    policyIds: JSON.stringify(entry.policyIds),
+                    details: JSON.stringify(entry.details)
+                });
+                return rowToAuditEntry(statements.getAuditEntry.get(entry.seq));
+            }).immediate();
+        },
+
+        // Newest first; filters: actor, action, workspaceId, resultId, policyId, from, to (ISO 8601)
+        listAuditEntries({ limit = 100, offset = 0, ...filters } = {}) {
+            return statements.listAuditEntries.all({ ...auditFilters(filters), limit, offset }).map(rowToAuditEntry);
+        },
+
+        countAuditEntries(filters = {}) {
+            return statements.countAuditEntries.get(auditFilters(filters)).count;
+        },
+
+        // Every entry in chain order, read lazily so large logs can be verified
+        *iterateAuditEntries() {
+            for (const row of statements.listAllAuditEntries.iterate()) {
+                yield rowToAuditEntry(row);
+            }
+        },
+
+        // Document texts only live in memory while a job runs, so unfinished work cannot resume
+        // after a restart. Returns the ids of the jobs that were cut short.
+        interruptUnfinishedJobs(completedAt) {
+            const ids = statements.unfinishedJobs.all().map(row => row.id);
+            for (const id of ids) {
+                statements.interruptJobDocuments.run(completedAt, id);
+            }
+            return ids;
+        },
+
+        close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = {
+    createStore,
+    hashContent,
+    resolveDatabasePath,
+    migrations
+};
@@ -0,0 +1,115 @@
+// Helpers for streaming analysis progress to the task pane over Server-Sent Events
+
+// Switch an Express response into an SSE stream. compression() buffers output, so every
+// event is flushed explicitly.
+function openEventStream(res) {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+    });
+
+    return {
+        get closed() {
+            return closed;
+        },
+
+        send(event, data) {
+            if (closed) return;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            if (typeof res.flush === 'function') res.flush();
+        },
+
+        end() {
+            if (closed) return;
+            closed = true;
+            res.end();
+        }
+    };
+}
+
+// Pulls complete objects out of the "issues" and "suggestions" arrays of a JSON document
+// while the model is still writing it. Text before the first "{" (prose, code fences) is
+// ignored. push() returns the findings completed by the new text.
+function createFindingExtractor(arrayKeys = ['issues', 'suggestions']) {
+    let buffer = '';
+    let position = 0;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let stringStart = -1;
+    let lastKey = null;
+    let arrayKey = null;
+    let objectStart = -1;
+
+    return {
+        push(delta) {
+            buffer += delta;
+            const completed = [];
+
+            for (; position < buffer.length; position++) {
+                const char = buffer[position];
+
+                if (inString) {
+                    if (escaped) {
+                        escaped = false;
+                    } else if (char === '\\') {
+                        escaped = true;
+                    } else if (char === '"') {
+                        inString = false;
+                        if (depth === 1) {
+                            lastKey = buffer.slice(stringStart + 1, position);
+                        }
+                    }
+                    continue;
+                }
+
+                if (char === '"' && depth > 0) {
+                    inString = true;
+                    stringStart = position;
+                } else if (char === '{' || (char === '[' && depth > 0)) {
+                    if (char === '[' && depth === 1 && arrayKeys.includes(lastKey)) {
+                        arrayKey = lastKey;
+                    } else if (char === '{' && depth === 2 && arrayKey) {
+                        objectStart = position;
+                    }
+                    depth++;
+                } else if ((char === '}' || char === ']') && depth > 0) {
+                    depth--;
+                    if (char === '}' && depth === 2 && arrayKey && objectStart !== -1) {
+                        try {
+                            completed.push({
+                                kind: arrayKey,
+                                finding: JSON.parse(buffer.slice(objectStart, position + 1))
+                            });
+                        } catch (error) {
+                            // Malformed object; the final validated parse will deal with it
+                        }
+                        objectStart = -1;
+                    } else if (char === ']' && depth === 1) {
+                        arrayKey = null;
+                    }
+                }
+            }
+
+            return completed;
+        },
+
+        get text() {
+            return buffer;
+        }
+    };
+}
+
+module.exports = {
+    openEventStream,
+    createFindingExtractor
+};
@@ -0,0 +1,136 @@
+const Joi = require('joi');
+const { parseJsonResponse } = require('./llm');
+const { TERM_FIELDS } = require('./terms');
+
+// Schemas for the JSON the model returns, plus a request helper that validates the response and,
+// when it does not fit, sends the validation errors back to the model for a bounded number of
+// repair attempts.
+
+const severity = Joi.string().valid('low', 'medium', 'high').insensitive();
+
+const citations = Joi.array().items(Joi.object({
+    chunkId: Joi.string().required(),
+    policyId: Joi.string().allow(''),
+    policyName: Joi.string().allow('')
+}));
+
+const analysisSchema = Joi.object({
+    complianceScore: Joi.number().min(0).max(100).required(),
+    riskLevel: Joi.string().valid('Low', 'Medium', 'High').insensitive().required(),
+    issues: Joi.array().items(Joi.object({
+        type: Joi.string().required(),
+        severity: severity.required(),
+        title: Joi.string().required(),
+        description: Joi.string().allow('').default(''),
+        quote: Joi.string().allow('').default(''),
+        start: Joi.number().integer().min(-1).default(-1),
+        citations: citations
+    })).required(),
+    suggestions: Joi.array().items(Joi.object({
+        type: Joi.string().required(),
+        priority: severity.required(),
+        title: Joi.string().required(),
+        description: Joi.string().allow('').default(''),
+        quote: Joi.string().allow('').default(''),
+        start: Joi.number().integer().min(-1).default(-1),
+        replacement: Joi.string().allow('', null).default(null),
+        citations: citations
+    })).required()
+});
+
+const grammarSchema = Joi.object({
+    issues: Joi.array().items(Joi.object({
+        position: Joi.number().integer().min(0).required(),
+        length: Joi.number().integer().min(1).required(),
+        issue: Joi.string().required(),
+        suggestion: Joi.string().allow('').default(''),
+        severity: severity.default('low'),
+        category: Joi.string().valid('grammar', 'spelling', 'punctuation', 'style').insensitive().default('grammar')
+    })).required()
+});
+
+const termsSchema = Joi.object({
+    terms: Joi.array().items(Joi.object({
+        field: Joi.string().valid(...TERM_FIELDS.map(field => field.name)).required(),
+        value: Joi.string().allow('').required(),
+        quote: Joi.string().allow('').default(''),
+        confidence: Joi.number().min(0).max(1).default(0.5)
+    })).required()
+});
+
+class StructuredOutputError extends Error {
+    constructor(errors, attempts) {
+        super(`Model output failed validation after ${attempts} attempt(s): ${errors.join('; ')}`);
+        this.name = 'StructuredOutputError';
+        this.errors = errors;
+        this.attempts = attempts;
+    }
+}
+
+// Returns { value, errors }; value has enums normalised, scores rounded and defaults filled in
+function validateStructured(schema, data) {
+    const { value, error } = schema.validate(data, { abortEarly: false, stripUnknown: true });
+    if (error) {
+        return { value: null, errors: error.details.map(detail => detail.message) };
+    }
+    if (typeof value.complianceScore === 'number') {
+        value.complianceScore = Math.round(value.complianceScore);
+    }
+    return { value, errors: [] };
+}
+
+function repairPrompt(prompt, responseText, errors) {
+    return `${prompt}
+
+Your previous response was:
+${responseText}
+
+It was rejected because:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply with only the corrected JSON object, with no commentary or code fences.`;
+}
+
+// Ask the model for JSON matching `schema`. Resolves with { value, attempts }; rejects with a
+// StructuredOutputError once maxRepairs repair requests have also failed. Provider errors
+// (network, abort) are not retried here. Only the first attempt is streamed through onText.
+async function requestStructured(llm, prompt, schema, options = {}) {
+    const { maxRepairs = 1, onRepair, ...callOptions } = options;
+    let currentPrompt = prompt;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+        const responseText = await llm.complete(currentPrompt, attempt === 1 ? callOptions : { ...callOptions, onText: undefined });
+
+        let parsed = null;
+        try {
+            parsed = parseJsonResponse(responseText, llm.name);
+        } catch (parseError) {
+            errors = [parseError.message];
+        }
+
+        if (parsed) {
+            const validated = validateStructured(schema, parsed);
+            if (validated.value) {
+                return { value: validated.value, attempts: attempt };
+            }
+            errors = validated.errors;
+        }
+
+        if (attempt <= maxRepairs) {
+            if (onRepair) onRepair(errors, attempt);
+            currentPrompt = repairPrompt(prompt, responseText, errors);
+        }
+    }
+
+    throw new StructuredOutputError(errors, maxRepairs + 1);
+}
+
+module.exports = {
+    analysisSchema,
+    grammarSchema,
+    termsSchema,
+    StructuredOutputError,
+    validateStructured,
+    requestStructured
+};
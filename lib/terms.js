@@ -0,0 +1,406 @@
+const { buildSpan, resolveQuotedSpan } = require('./locations');
+const { splitSentences } = require('./chunking');
+
+// Key commercial terms of a contract as typed fields. Rule extractors find the common phrasings;
+// a model can add its own candidates (as strings, parsed with the same parsers as user edits),
+// and the two are merged per field. Every term keeps the span it came from and a confidence.
+
+const TERM_FIELDS = [
+    { name: 'parties', label: 'Parties', type: 'parties' },
+    { name: 'effectiveDate', label: 'Effective date', type: 'date' },
+    { name: 'term', label: 'Term', type: 'duration' },
+    { name: 'renewal', label: 'Renewal', type: 'renewal' },
+    { name: 'terminationNotice', label: 'Termination notice', type: 'duration' },
+    { name: 'governingLaw', label: 'Governing law', type: 'text' },
+    { name: 'liabilityCap', label: 'Liability cap', type: 'cap' },
+    { name: 'paymentTerms', label: 'Payment terms', type: 'duration' },
+    { name: 'confidentialityDuration', label: 'Confidentiality duration', type: 'duration' }
+];
+
+class TermValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid term values: ${errors.join('; ')}`);
+        this.name = 'TermValidationError';
+        this.errors = errors;
+    }
+}
+
+const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, fifteen: 15, eighteen: 18, twenty: 20, thirty: 30, 'forty-five': 45,
+    forty: 40, sixty: 60, ninety: 90
+};
+const NUMBER = `(?:\\d+|${Object.keys(NUMBER_WORDS).join('|')})(?:\\s*\\(\\d+\\))?`;
+const UNIT = '(?:business|calendar)?\\s*(?:days?|weeks?|months?|years?)';
+const DURATION = `(${NUMBER})[\\s-]*(${UNIT})`;
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH = `(${MONTHS.map(month => `${month.slice(0, 3)}(?:${month.slice(3)}|\\.)?`).join('|')})`;
+const DATE_PATTERNS = [
+    { pattern: `(\\d{4})-(\\d{2})-(\\d{2})`, parts: match => [match[1], match[2], match[3]] },
+    { pattern: `(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:day\\s+of\\s+)?${MONTH},?\\s+(\\d{4})`, parts: match => [match[3], monthNumber(match[2]), match[1]] },
+    { pattern: `${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})`, parts: match => [match[3], monthNumber(match[1]), match[2]] }
+];
+const DATE = DATE_PATTERNS.map(({ pattern }) => pattern).join('|');
+const CURRENCIES = { '$': 'USD', 'us$': 'USD', usd: 'USD', '€': 'EUR', eur: 'EUR', '£': 'GBP', gbp: 'GBP' };
+
+function monthNumber(name) {
+    return MONTHS.findIndex(month => month.startsWith(name.toLowerCase().slice(0, 3))) + 1;
+}
+
+function parseNumber(text) {
+    const bracketed = /\((\d+)\)/.exec(text);
+    if (bracketed) return parseInt(bracketed[1], 10);
+    const digits = /\d+/.exec(text);
+    if (digits) return parseInt(digits[0], 10);
+    return NUMBER_WORDS[text.trim().toLowerCase()] || null;
+}
+
+function durationFromMatch(amountText, unitText) {
+    const unit = unitText.toLowerCase().replace(/\s+/g, ' ').replace(/^calendar /, '').trim();
+    return { amount: parseNumber(amountText), unit: unit.endsWith('s') ? unit : `${unit}s` };
+}
+
+function parseDuration(text) {
+    if (/perpetu|indefinite/i.test(text)) {
+        return { perpetual: true };
+    }
+    const match = new RegExp(DURATION, 'i').exec(text);
+    return match ? durationFromMatch(match[1], match[2]) : null;
+}
+
+function parseDate(text) {
+    for (const { pattern, parts } of DATE_PATTERNS) {
+        const match = new RegExp(pattern, 'i').exec(text);
+        if (!match) continue;
+        const [year, month, day] = parts(match).map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCMonth() === month - 1 && date.getUTCDate() === day) {
+            return date.toISOString().slice(0, 10);
+        }
+    }
+    return null;
+}
+
+function parseCap(text) {
+    if (/unlimited|no\s+(?:cap|limit)/i.test(text)) {
+        return { unlimited: true };
+    }
+    const money = /(US\$|\$|€|£|USD|EUR|GBP)\s?([\d,]+(?:\.\d+)?)(?:\s*(million|thousand))?/i.exec(text);
+    const amount = money ? parseFloat(money[2].replace(/,/g, '')) * (/million/i.test(money[3] || '') ? 1e6 : /thousand/i.test(money[3] || '') ? 1e3 : 1) : null;
+    return {
+        unlimited: false,
+        amount: amount,
+        currency: money ? CURRENCIES[money[1].toLowerCase()] : null,
+        description: text.trim().replace(/[.;]$/, '')
+    };
+}
+
+// Parse a value written as text (a user's edit or a model's answer) into the field's type.
+// Throws for text that does not fit; empty text clears the field.
+function parseTermValue(fieldName, input) {
+    const field = TERM_FIELDS.find(candidate => candidate.name === fieldName);
+    if (!field) {
+        throw new TermValidationError([`unknown field "${fieldName}"`]);
+    }
+    const text = input === null || input === undefined ? '' : String(input).trim();
+    if (!text) {
+        return null;
+    }
+
+    let value;
+    switch (field.type) {
+        case 'parties':
+            value = text.split(/\s*(?:;|\n)\s*/).filter(Boolean);
+            break;
+        case 'date':
+            value = parseDate(text);
+            break;
+        case 'duration':
+            value = parseDuration(text);
+            break;
+        case 'renewal':
+            value = /^(?:no|none|manual|not automatic)/i.test(text)
+                ? { automatic: false, period: null }
+                : { automatic: true, period: parseDuration(text) };
+            break;
+        case 'cap':
+            value = parseCap(text);
+            break;
+        default:
+            value = text.replace(/\.$/, '');
+    }
+
+    if (value === null) {
+        throw new TermValidationError([`${field.label}: could not read "${text}" as a ${field.type}`]);
+    }
+    return value;
+}
+
+function formatDuration(duration) {
+    if (!duration) return '';
+    if (duration.perpetual) return 'Perpetual';
+    const unit = duration.amount === 1 ? duration.unit.replace(/s$/, '') : duration.unit;
+    return `${duration.amount} ${unit}`;
+}
+
+// Human-readable form of a typed value; parseTermValue() reads it back
+function formatTermValue(fieldName, value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const field = TERM_FIELDS.find(candidate => candidate.name === fieldName);
+    switch (field && field.type) {
+        case 'parties':
+            return value.join('; ');
+        case 'duration':
+            return formatDuration(value);
+        case 'renewal':
+            return value.automatic ? `Automatic${value.period ? `, ${formatDuration(value.period)}` : ''}` : 'Not automatic';
+        case 'cap':
+            return value.unlimited ? 'Unlimited' : value.description;
+        default:
+            return String(value);
+    }
+}
+
+// Lines split into sentences, with offsets
+function sentences(text) {
+    const result = [];
+    for (const line of text.matchAll(/[^\n]+/g)) {
+        let start = line.index;
+        for (const sentence of splitSentences(line[0])) {
+            result.push({ text: sentence, start });
+            start += sentence.length;
+        }
+    }
+    return result;
+}
+
+function candidate(text, start, matched, value, confidence) {
+    return { value, confidence, location: buildSpan(text, start, matched.length) };
+}
+
+// First match of `pattern` in the text, or in the first sentence that also matches `context`
+function findMatch(text, pattern, context) {
+    if (!context) {
+        const match = pattern.exec(text);
+        return match ? { match, start: match.index } : null;
+    }
+    for (const sentence of sentences(text)) {
+        if (!context.test(sentence.text)) continue;
+        const match = pattern.exec(sentence.text);
+        if (match) return { match, start: sentence.start + match.index };
+    }
+    return null;
+}
+
+const PARTY_NAME = `(?:the\\s+)?[A-Z][\\w&'’.-]*(?: +(?:[A-Z][\\w&'’.-]*|&|of))*`;
+
+const EXTRACTORS = {
+    parties(text) {
+        const found = findMatch(text, new RegExp(`\\bbetween\\s+(${PARTY_NAME})(?:,[^;]{0,120}?)?(?:\\s*\\([^)]*\\))?,?\\s+and\\s+(${PARTY_NAME})`));
+        if (!found) return null;
+        const names = [found.match[1], found.match[2]]
+            .map(name => name.replace(/^the\s+/, '').replace(/(?<!\b(?:Inc|Ltd|Co|Corp|L\.P|S\.A|N\.V))\.$/, ''));
+        return candidate(text, found.start, found.match[0], names, 0.85);
+    },
+
+    effectiveDate(text) {
+        const found = findMatch(text, new RegExp(`(?:effective\\s+(?:as\\s+of|from|on)|dated(?:\\s+as\\s+of)?|commenc\\w*\\s+on|Effective\\s+Date["”]?\\s+(?:is|means|shall\\s+be)|made\\s+(?:and\\s+entered\\s+into\\s+)?(?:on|as\\s+of))\\s+(?:the\\s+)?(?:${DATE})`, 'i'));
+        if (found) {
+            return candidate(text, found.start, found.match[0], parseDate(found.match[0]), 0.9);
+        }
+        // A date near the top of the contract is likely, but not certainly, its date
+        const early = findMatch(text.slice(0, 500), new RegExp(DATE, 'i'));
+        return early ? candidate(text, early.start, early.match[0], parseDate(early.match[0]), 0.4) : null;
+    },
+
+    term(text) {
+        const found = findMatch(text, new RegExp(`\\b(?:initial\\s+)?term\\b[^.;\\n]{0,60}?\\b(?:is|of|for|be)\\s+(?:a\\s+period\\s+of\\s+)?${DURATION}`, 'i')) ||
+            findMatch(text, new RegExp(`(?:remain\\s+in\\s+(?:full\\s+)?(?:force|effect)(?:\\s+and\\s+effect)?|continue)\\s+for\\s+(?:a\\s+period\\s+of\\s+)?${DURATION}`, 'i'));
+        return found ? candidate(text, found.start, found.match[0], durationFromMatch(found.match[1], found.match[2]), 0.8) : null;
+    },
+
+    renewal(text) {
+        const automatic = findMatch(text, new RegExp(`automatic(?:ally)?\\s+renew\\w*(?:[^.;\\n]{0,60}?\\b(?:for|by)\\s+(?:(?:successive|additional|further|an?)\\s+)*(?:periods?\\s+of\\s+)?${DURATION})?`, 'i'));
+        if (automatic) {
+            const period = automatic.match[1] ? durationFromMatch(automatic.match[1], automatic.match[2]) : null;
+            return candidate(text, automatic.start, automatic.match[0], { automatic: true, period }, 0.85);
+        }
+        const manual = findMatch(text, /\b(?:may\s+be\s+renewed|renew\w*\s+by\s+mutual)[^.;]*/i);
+        return manual ? candidate(text, manual.start, manual.match[0], { automatic: false, period: null }, 0.6) : null;
+    },
+
+    terminationNotice(text) {
+        const found = findMatch(text,
+            new RegExp(`(?:${DURATION}['’]?s?\\s+(?:prior\\s+|advance\\s+)?(?:written\\s+)?notice|notice\\s+of\\s+(?:at\\s+least\\s+|not\\s+less\\s+than\\s+)?${DURATION})`, 'i'),
+            /terminat/i);
+        if (!found) return null;
+        const [amount, unit] = found.match[1] ? [found.match[1], found.match[2]] : [found.match[3], found.match[4]];
+        return candidate(text, found.start, found.match[0], durationFromMatch(amount, unit), 0.85);
+    },
+
+    governingLaw(text) {
+        const found = findMatch(text, /governed\s+by\s+(?:and\s+construed\s+in\s+accordance\s+with\s+)?(?:the\s+)?laws?\s+of\s+(?:the\s+)?(?:(?:State|Commonwealth|Province)\s+of\s+)?([A-Z][A-Za-z'-]*(?:\s+(?:and\s+)?[A-Z][A-Za-z'-]*)*)/);
+        return found ? candidate(text, found.start, found.match[0], found.match[1], 0.9) : null;
+    },
+
+    liabilityCap(text) {
+        const unlimited = findMatch(text, /unlimited\s+liability|liability\s+(?:is|shall\s+be|will\s+be)\s+unlimited/i);
+        if (unlimited) {
+            return candidate(text, unlimited.start, unlimited.match[0], { unlimited: true }, 0.8);
+        }
+        const found = findMatch(text,
+            /(?:(?:shall|will|does)\s+not\s+exceed|(?:is|are|be)\s+(?:capped|limited)\s+(?:at|to)|capped\s+at|limited\s+to)\s+([^.;]+(?:\.\d[^.;]*)*)/i,
+            /liabilit/i);
+        if (!found) return null;
+        const value = parseCap(found.match[1]);
+        return candidate(text, found.start, found.match[0], value, value.amount !== null || /fees|charges/i.test(found.match[1]) ? 0.8 : 0.6);
+    },
+
+    paymentTerms(text) {
+        const found = findMatch(text, new RegExp(`\\b(?:payable|paid|due|pay)\\s+(?:in\\s+full\\s+)?within\\s+${DURATION}`, 'i'));
+        if (found) {
+            return candidate(text, found.start, found.match[0], durationFromMatch(found.match[1], found.match[2]), 0.85);
+        }
+        const net = findMatch(text, /\bnet\s+(\d{1,3})\b/i);
+        return net ? candidate(text, net.start, net.match[0], { amount: parseInt(net.match[1], 10), unit: 'days' }, 0.8) : null;
+    },
+
+    confidentialityDuration(text) {
+        const perpetual = findMatch(text, /\b(?:in\s+perpetuity|perpetual(?:ly)?|indefinitely)\b/i, /confidential/i);
+        const found = findMatch(text, new RegExp(`(?:for\\s+(?:a\\s+period\\s+of\\s+)?|survive\\s+(?:for\\s+)?|period\\s+of\\s+)${DURATION}`, 'i'), /confidential/i);
+        if (found) {
+            return candidate(text, found.start, found.match[0], durationFromMatch(found.match[1], found.match[2]), 0.8);
+        }
+        return perpetual ? candidate(text, perpetual.start, perpetual.match[0], { perpetual: true }, 0.7) : null;
+    }
+};
+
+// Rule-based candidates: { fieldName: { value, confidence, location } } for the fields found
+function extractTermsWithRules(text) {
+    const found = {};
+    for (const field of TERM_FIELDS) {
+        const result = EXTRACTORS[field.name](String(text || ''));
+        if (result && result.value !== null) {
+            found[field.name] = { ...result, source: 'rules' };
+        }
+    }
+    return found;
+}
+
+// Model candidates from [{ field, value, quote, confidence }]. Values that do not parse are
+// dropped; a quote that is not in the document halves the confidence.
+function readModelTerms(text, modelTerms) {
+    const found = {};
+    const rejected = [];
+    for (const term of modelTerms || []) {
+        let value;
+        try {
+            value = parseTermValue(term.field, term.value);
+        } catch (error) {
+            rejected.push({ field: term.field, value: term.value, reason: error.message });
+            continue;
+        }
+        if (value === null || found[term.field]) continue;
+
+        const location = resolveQuotedSpan(text, term.quote);
+        found[term.field] = {
+            value,
+            confidence: location ? term.confidence : term.confidence / 2,
+            location,
+            source: 'model'
+        };
+    }
+    return { found, rejected };
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// One term per field. Agreeing candidates raise the confidence; when they disagree the model's
+// wins if its quote was found, and the other is kept under `alternatives`.
+function mergeTerms(ruleTerms, modelTerms = {}) {
+    return TERM_FIELDS.map(field => {
+        const fromRules = ruleTerms[field.name];
+        const fromModel = modelTerms[field.name];
+        let chosen = fromModel || fromRules || null;
+        let alternatives = [];
+
+        if (fromRules && fromModel) {
+            if (sameValue(fromRules.value, fromModel.value)) {
+                chosen = {
+                    ...fromModel,
+                    location: fromModel.location || fromRules.location,
+                    confidence: Math.min(Math.max(fromRules.confidence, fromModel.confidence) + 0.1, 0.99),
+                    source: 'rules+model'
+                };
+            } else {
+                chosen = fromModel.location ? fromModel : fromRules;
+                const other = chosen === fromModel ? fromRules : fromModel;
+                alternatives = [{ value: other.value, display: formatTermValue(field.name, other.value), source: other.source }];
+            }
+        }
+
+        return {
+            field: field.name,
+            label: field.label,
+            type: field.type,
+            value: chosen ? chosen.value : null,
+            display: chosen ? formatTermValue(field.name, chosen.value) : '',
+            confidence: chosen ? Math.round(chosen.confidence * 100) / 100 : 0,
+            source: chosen ? chosen.source : null,
+            location: chosen ? chosen.location : null,
+            alternatives: alternatives
+        };
+    });
+}
+
+// Apply a user's corrections ({ fieldName: text }) to extracted terms. Throws
+// TermValidationError listing every value that could not be read.
+function applyTermEdits(terms, edits) {
+    const errors = [];
+    const parsed = {};
+    for (const [name, input] of Object.entries(edits || {})) {
+        try {
+            parsed[name] = parseTermValue(name, input);
+        } catch (error) {
+            errors.push(...(error.errors || [error.message]));
+        }
+    }
+    if (errors.length > 0) {
+        throw new TermValidationError(errors);
+    }
+
+    return terms.map(term => {
+        if (!(term.field in parsed)) {
+            return term;
+        }
+        return {
+            ...term,
+            value: parsed[term.field],
+            display: formatTermValue(term.field, parsed[term.field]),
+            confidence: parsed[term.field] === null ? 0 : 1,
+            source: 'user',
+            extracted: term.source === 'user' ? term.extracted : { value: term.value, source: term.source, confidence: term.confidence }
+        };
+    });
+}
+
+module.exports = {
+    TERM_FIELDS,
+    TermValidationError,
+    DURATION,
+    DATE,
+    durationFromMatch,
+    parseDate,
+    formatDuration,
+    sentences,
+    parseTermValue,
+    formatTermValue,
+    extractTermsWithRules,
+    readModelTerms,
+    mergeTerms,
+    applyTermEdits
+};
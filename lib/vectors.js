@@ -0,0 +1,80 @@
+// In-memory stand-in for the ChromaDB collection, used with the mock provider so the RAG path
+// works without a vector database. It implements the subset of the collection API the server
+// calls (upsert, get, delete, query) and, like Chroma's default, ranks by squared L2 distance.
+
+function matchesWhere(metadata, where) {
+    if (!where) return true;
+    return Object.entries(where).every(([key, condition]) => {
+        if (condition && typeof condition === 'object' && Array.isArray(condition.$in)) {
+            return condition.$in.includes(metadata[key]);
+        }
+        return metadata[key] === condition;
+    });
+}
+
+function squaredDistance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += (a[i] - b[i]) ** 2;
+    }
+    return sum;
+}
+
+// embed(texts) must resolve with one vector per text
+function createMemoryCollection(embed) {
+    const records = new Map();
+
+    function select(where) {
+        return [...records.entries()].filter(([, record]) => matchesWhere(record.metadata, where));
+    }
+
+    return {
+        async upsert({ ids, documents, metadatas, embeddings }) {
+            const vectors = embeddings || await embed(documents);
+            ids.forEach((id, i) => {
+                records.set(id, { document: documents[i], metadata: metadatas[i], embedding: vectors[i] });
+            });
+        },
+
+        async get({ where, limit } = {}) {
+            const selected = select(where).slice(0, limit || undefined);
+            return {
+                ids: selected.map(([id]) => id),
+                documents: selected.map(([, record]) => record.document),
+                metadatas: selected.map(([, record]) => record.metadata)
+            };
+        },
+
+        async delete({ where } = {}) {
+            for (const [id] of select(where)) {
+                records.delete(id);
+            }
+        },
+
+        async query({ queryTexts, queryEmbeddings, nResults = 10, where }) {
+            const vectors = queryEmbeddings || await embed(queryTexts);
+            const candidates = select(where);
+            const result = { ids: [], documents: [], metadatas: [], distances: [] };
+
+            for (const vector of vectors) {
+                const ranked = candidates
+                    .map(([id, record]) => ({ id, record, distance: squaredDistance(vector, record.embedding) }))
+                    .sort((a, b) => a.distance - b.distance)
+                    .slice(0, nResults);
+                result.ids.push(ranked.map(match => match.id));
+                result.documents.push(ranked.map(match => match.record.document));
+                result.metadatas.push(ranked.map(match => match.record.metadata));
+                result.distances.push(ranked.map(match => match.distance));
+            }
+            return result;
+        },
+
+        async count() {
+            return records.size;
+        }
+    };
+}
+
+module.exports = {
+    createMemoryCollection
+};
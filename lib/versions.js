@@ -0,0 +1,94 @@
+const Diff = require('diff');
+
+// Policy versions: a family is every upload of the same policy, numbered from 1. This module
+// holds the comparisons; storage and activation live in the store and the server.
+
+// Public fields of a policy version (everything but the content)
+function describeVersion(policy) {
+    return {
+        id: policy.id,
+        familyId: policy.familyId,
+        version: policy.version,
+        name: policy.name,
+        status: policy.status,
+        effectiveDate: policy.effectiveDate,
+        uploadDate: policy.uploadDate,
+        uploadedBy: policy.uploadedBy,
+        size: policy.size,
+        contentHash: policy.contentHash
+    };
+}
+
+// Line diff between two versions. `changes` lists runs of added, removed and unchanged lines;
+// unchanged runs longer than `context` lines are cut down to their edges.
+function diffPolicyVersions(from, to, { context = 2 } = {}) {
+    const parts = Diff.diffLines(from.content, to.content);
+    const summary = { addedLines: 0, removedLines: 0, unchangedLines: 0 };
+    const changes = [];
+
+    for (const part of parts) {
+        const lines = part.value.replace(/\n$/, '').split('\n');
+        const type = part.added ? 'added' : part.removed ? 'removed' : 'unchanged';
+        summary[`${type}Lines`] += lines.length;
+
+        if (type !== 'unchanged') {
+            changes.push({ type, lines });
+        } else if (lines.length > context * 2 + 1) {
+            changes.push({
+                type,
+                lines: [...lines.slice(0, context), ...lines.slice(-context)],
+                skippedLines: lines.length - context * 2
+            });
+        } else {
+            changes.push({ type, lines });
+        }
+    }
+
+    return {
+        from: describeVersion(from),
+        to: describeVersion(to),
+        identical: from.contentHash === to.contentHash,
+        summary,
+        changes
+    };
+}
+
+function findingKey(finding) {
+    return finding.ruleId || `${finding.type || ''}|${finding.title || ''}`.toLowerCase();
+}
+
+// Compare the findings of two analyses of the same document. Findings are matched by rule id,
+// or by type and title for model findings.
+function diffFindings(before, after) {
+    const compare = (kind) => {
+        const beforeKeys = new Set((before[kind] || []).map(findingKey));
+        const afterKeys = new Set((after[kind] || []).map(findingKey));
+        const summarize = finding => ({
+            title: finding.title || finding.type,
+            type: finding.type,
+            severity: finding.severity || finding.priority,
+            ...(finding.ruleId ? { ruleId: finding.ruleId } : {})
+        });
+        return {
+            appeared: (after[kind] || []).filter(finding => !beforeKeys.has(findingKey(finding))).map(summarize),
+            disappeared: (before[kind] || []).filter(finding => !afterKeys.has(findingKey(finding))).map(summarize),
+            unchanged: [...afterKeys].filter(key => beforeKeys.has(key)).length
+        };
+    };
+
+    return {
+        scoreBefore: before.complianceScore,
+        scoreAfter: after.complianceScore,
+        scoreChange: after.complianceScore - before.complianceScore,
+        riskBefore: before.riskLevel,
+        riskAfter: after.riskLevel,
+        issues: compare('issues'),
+        suggestions: compare('suggestions')
+    };
+}
+
+module.exports = {
+    describeVersion,
+    diffPolicyVersions,
+    diffFindings
+};
@@ -0,0 +1,266 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { createRuleEngine } = require('./rules');
+
+// Workspaces keep separate policy corpora side by side: each has its own upload folder, vector
+// collection, rule packs and result history. The default workspace uses the original locations
+// (UPLOAD_DIR/policies, RULES_DIR and the policy_documents collection), so installations from
+// before workspaces keep working unchanged; others live under a workspaces/<id> subfolder.
+
+const DEFAULT_WORKSPACE = 'default';
+const WORKSPACE_ID_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$/;
+const BASE_COLLECTION = 'policy_documents';
+
+class WorkspaceError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'WorkspaceError';
+        this.status = status;
+    }
+}
+
+// "Sales Legal (EMEA)" -> "sales-legal-emea"
+function slugify(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40).replace(/-+$/, '');
+}
+
+function collectionName(id) {
+    return id === DEFAULT_WORKSPACE ? BASE_COLLECTION : `${BASE_COLLECTION}_${id}`;
+}
+
+// uploadRoot and rulesRoot are UPLOAD_DIR and RULES_DIR. openCollection(name) resolves with the
+// vector collection of that name, or null while no vector store is available. Copies are recorded
+// in the audit log when one is given.
+function createWorkspaces(options) {
+    const { store, logger, uploadRoot, rulesRoot, openCollection, audit = null } = options;
+    const contexts = new Map();
+
+    function locate(id) {
+        return id === DEFAULT_WORKSPACE
+            ? { uploadDir: path.join(uploadRoot, 'policies'), rulesDir: rulesRoot }
+            : { uploadDir: path.join(uploadRoot, 'workspaces', id, 'policies'), rulesDir: path.join(rulesRoot, 'workspaces', id) };
+    }
+
+    // Everything a request needs to work inside one workspace. `policies` caches the active
+    // policy versions, the only ones analyses and searches see; call refresh() after changes.
+    async function buildContext(workspace) {
+        const { uploadDir, rulesDir } = locate(workspace.id);
+        fs.mkdirSync(uploadDir, { recursive: true });
+
+        let collection = null;
+        try {
+            collection = await openCollection(collectionName(workspace.id));
+        } catch (error) {
+            logger.warn(`Vector collection for workspace ${workspace.id} unavailable:`, error.message);
+        }
+
+        const context = {
+            id: workspace.id,
+            workspace: workspace,
+            uploadDir: uploadDir,
+            rulesDir: rulesDir,
+            collection: collection,
+            ruleEngine: createRuleEngine({ directory: rulesDir }),
+            policies: [],
+            refresh() {
+                context.policies = store.listPolicies({ status: 'active', workspaceId: workspace.id });
+                return context.policies;
+            }
+        };
+        context.refresh();
+        return context;
+    }
+
+    // The context of a workspace, or null when it does not exist. Contexts are built once.
+    function open(id) {
+        const workspace = store.getWorkspace(id);
+        if (!workspace) {
+            return Promise.resolve(null);
+        }
+        if (!contexts.has(id)) {
+            const pending = buildContext(workspace);
+            pending.catch(() => contexts.delete(id));
+            contexts.set(id, pending);
+        }
+        return contexts.get(id).then(context => {
+            context.workspace = workspace;
+            return context;
+        });
+    }
+
+    function validateNew({ id, name }) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new WorkspaceError(400, 'A workspace name is required');
+        }
+        const workspaceId = id === undefined ? slugify(name) : id;
+        if (typeof workspaceId !== 'string' || !WORKSPACE_ID_PATTERN.test(workspaceId)) {
+            throw new WorkspaceError(400, 'Workspace id must be 1-40 lower-case letters, digits or "-", not starting or ending with "-"');
+        }
+        if (store.getWorkspace(workspaceId)) {
+            throw new WorkspaceError(409, `Workspace "${workspaceId}" already exists`);
+        }
+        return workspaceId;
+    }
+
+    function copyRulePacks(fromId, toId) {
+        const from = locate(fromId).rulesDir;
+        const to = locate(toId).rulesDir;
+        fs.mkdirSync(to, { recursive: true });
+        const files = fs.existsSync(from) ? fs.readdirSync(from).filter(file => file.endsWith('.json')) : [];
+        for (const file of files) {
+            fs.copyFileSync(path.join(from, file), path.join(to, file));
+        }
+    }
+
+    // A new workspace starts without policies or results and with a copy of the default rule packs
+    function create({ id, name, description }, createdBy = null) {
+        const workspaceId = validateNew({ id, name });
+        copyRulePacks(DEFAULT_WORKSPACE, workspaceId);
+        const workspace = store.saveWorkspace({
+            id: workspaceId,
+            name: name.trim(),
+            description: description,
+            createdAt: new Date().toISOString(),
+            createdBy: createdBy
+        });
+        logger.info(`Created workspace ${workspace.id}`);
+        return workspace;
+    }
+
+    // Copy the source's rule packs, redaction policy, playbooks and active policy versions (files
+    // included, effective dates kept) into a new workspace. Results and version history stay
+    // behind. Files are copied first and the records written in one transaction, so a failure
+    // leaves nothing behind and the id free. Resolves with the new workspace's context and its
+    // policies, which still need indexing in the new collection.
+    async function copy(sourceId, { id, name, description }, createdBy = null) {
+        const source = store.getWorkspace(sourceId);
+        if (!source) {
+            throw new WorkspaceError(404, `Workspace "${sourceId}" not found`);
+        }
+        const workspaceId = validateNew({ id, name });
+        const { uploadDir, rulesDir } = locate(workspaceId);
+        const now = new Date().toISOString();
+
+        let planned = [];
+        let copied;
+        try {
+            fs.mkdirSync(uploadDir, { recursive: true });
+            copyRulePacks(sourceId, workspaceId);
+            planned = store.listPolicies({ status: 'active', workspaceId: sourceId }).map(policy => {
+                const policyId = crypto.randomUUID();
+                // File names are unique across workspaces, like the ids
+                const filename = `${Date.now()}_${policyId.slice(0, 8)}_${policy.name.replace(/[^a-zA-Z0-9.-]/g, '_')}`;
+                const filePath = path.join(uploadDir, filename);
+                try {
+                    fs.copyFileSync(policy.path, filePath);
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                    throw new WorkspaceError(409, `The file of policy "${policy.name}" is missing from workspace "${sourceId}"`);
+                }
+                return { policy, policyId, filename, filePath };
+            });
+
+            copied = store.transaction(() => {
+                store.saveWorkspace({
+                    id: workspaceId,
+                    name: name.trim(),
+                    description: description === undefined ? source.description : description,
+                    createdAt: now,
+                    createdBy: createdBy,
+                    copiedFrom: sourceId,
+                    redaction: source.redaction
+                });
+
+                const inserted = planned.map(({ policy, policyId, filename, filePath }) => store.insertPolicy({
+                    id: policyId,
+                    name: policy.name,
+                    filename: filename,
+                    path: filePath,
+                    content: policy.content,
+                    extractor: policy.extractor,
+                    keywords: policy.keywords,
+                    size: policy.size,
+                    uploadDate: now,
+                    tags: policy.tags,
+                    familyId: policyId,
+                    version: 1,
+                    status: 'active',
+                    effectiveDate: policy.effectiveDate,
+                    uploadedBy: createdBy,
+                    workspaceId: workspaceId
+                }));
+
+                for (const { id: playbookId, name: playbookName, version, workspaceId: from, createdAt, updatedAt, ...playbook } of store.listPlaybooks(sourceId)) {
+                    store.savePlaybook({ id: crypto.randomUUID(), name: playbookName, createdAt: now, workspaceId: workspaceId, ...playbook });
+                }
+                return inserted;
+            });
+        } catch (error) {
+            fs.rmSync(path.dirname(uploadDir), { recursive: true, force: true });
+            fs.rmSync(rulesDir, { recursive: true, force: true });
+            throw error;
+        }
+
+        if (audit) {
+            copied.forEach((inserted, i) => audit.record({
+                action: 'policy.upload',
+                actor: createdBy,
+                workspaceId: workspaceId,
+                policyIds: [inserted.id],
+                details: {
+                    name: inserted.name,
+                    familyId: inserted.familyId,
+                    version: inserted.version,
+                    status: inserted.status,
+                    effectiveDate: inserted.effectiveDate,
+                    contentHash: inserted.contentHash,
+                    previousVersionId: null,
+                    copiedFrom: { workspaceId: sourceId, policyId: planned[i].policy.id }
+                }
+            }));
+            audit.record({
+                action: 'workspace.copy',
+                actor: createdBy,
+                workspaceId: workspaceId,
+                policyIds: copied.map(policy => policy.id),
+                details: { sourceId: sourceId, name: name.trim(), redaction: source.redaction || null }
+            });
+        }
+        logger.info(`Copied workspace ${sourceId} to ${workspaceId} (${copied.length} policies)`);
+        return { context: await open(workspaceId), policies: copied };
+    }
+
+    // Archived workspaces keep their files, policies and results but accept no further changes
+    function archive(id) {
+        const workspace = store.getWorkspace(id);
+        if (!workspace) {
+            throw new WorkspaceError(404, `Workspace "${id}" not found`);
+        }
+        if (id === DEFAULT_WORKSPACE) {
+            throw new WorkspaceError(400, 'The default workspace cannot be archived');
+        }
+        if (workspace.status === 'archived') {
+            throw new WorkspaceError(409, `Workspace "${id}" is already archived`);
+        }
+        logger.info(`Archived workspace ${id}`);
+        return store.updateWorkspaceStatus(id, 'archived', new Date().toISOString());
+    }
+
+    return {
+        open,
+        create,
+        copy,
+        archive,
+        list: () => store.listWorkspaces(),
+        get: (id) => store.getWorkspace(id)
+    };
+}
+
+module.exports = {
+    DEFAULT_WORKSPACE,
+    WorkspaceError,
+    collectionName,
+    slugify,
+    createWorkspaces
+};
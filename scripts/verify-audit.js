@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+
+// Check the audit log's hash chain in the database named by DATABASE_URL.
+// Exits with status 1 when an entry was altered or removed.
+//   npm run audit:verify
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { createStore } = require('../lib/store');
+const { createAuditLog } = require('../lib/audit');
+
+function main() {
+    const store = createStore({
+        databaseUrl: process.env.DATABASE_URL,
+        baseDir: path.join(__dirname, '..')
+    });
+    const audit = createAuditLog({ store: store, logger: console });
+
+    try {
+        const report = audit.verify();
+        if (report.valid) {
+            console.log(`Audit log intact: ${report.checked} entries, head ${report.head}`);
+            return 0;
+        }
+        console.log(`Audit log broken at entry ${report.brokenAt.seq}: ${report.brokenAt.reason}`);
+        console.log(`${report.checked} entries before it verified, ending at ${report.head}`);
+        return 1;
+    } finally {
+        store.close();
+    }
+}
+
+process.exitCode = main();
@@ -7,11 +7,36 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const winston = require('winston');
+const cron = require('node-cron');
 const { ChromaClient } = require('chromadb');
-const Anthropic = require('@anthropic-ai/sdk');
+const { extractText } = require('./lib/extractors');
+const { createStore, hashContent } = require('./lib/store');
+const { attachModelLocations, clauseAround } = require('./lib/locations');
+const { RuleValidationError } = require('./lib/rules');
+const { openEventStream, createFindingExtractor } = require('./lib/streaming');
+const { createJobRunner } = require('./lib/jobs');
+const { createProviderFromEnv } = require('./lib/llm');
+const { createMemoryCollection } = require('./lib/vectors');
+const { analysisSchema, grammarSchema, termsSchema, requestStructured, StructuredOutputError } = require('./lib/structured');
+const { chunkDocument, CHUNKER_VERSION } = require('./lib/chunking');
+const { mergeClauseHits, packContext } = require('./lib/retrieval');
+const { createCitationIndex, verifyCitations } = require('./lib/citations');
+const { describeVersion, diffPolicyVersions, diffFindings } = require('./lib/versions');
+const { compareContracts, assessChange } = require('./lib/compare');
+const { TERM_FIELDS, TermValidationError, extractTermsWithRules, readModelTerms, mergeTerms, applyTermEdits } = require('./lib/terms');
+const { checkConsistency } = require('./lib/consistency');
+const { buildObligationRegister, renderObligationRegister, registerFormats } = require('./lib/obligations');
+const { createAuth, AuthError, hasRole, publicUser, publicToken } = require('./lib/auth');
+const { createWorkspaces, WorkspaceError, DEFAULT_WORKSPACE } = require('./lib/workspaces');
+const { createAuditLog } = require('./lib/audit');
+const { ENTITY_TYPES, RedactionPolicyError, validateRedactionPolicy, redactText } = require('./lib/redaction');
+const { PlaybookValidationError, validatePlaybook, reviewContract } = require('./lib/playbooks');
+const { renderReport, reportFormats } = require('./lib/reports');
+const { parseTags, filterPolicies, bm25Search, distanceToSimilarity, surroundingContext } = require('./lib/search');
 require('dotenv').config();
+const ragConfig = require('./dev.config').rag;
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -35,9 +60,9 @@ const logger = winston.createLogger({
     ]
 });
 
-// Initialize ChromaDB client
+// Initialize ChromaDB client. Each workspace has its own collection, opened once ChromaDB is reachable.
 let chromaClient = null;
-let policyCollection = null;
+let chromaAvailable = false;
 
 try {
     chromaClient = new ChromaClient({
@@ -47,16 +72,40 @@ try {
     logger.warn('ChromaDB client initialization failed:', error.message);
 }
 
-// Initialize Anthropic client
-let anthropic = null;
-if (process.env.ANTHROPIC_API_KEY) {
-    try {
-        anthropic = new Anthropic({
-            apiKey: process.env.ANTHROPIC_API_KEY
-        });
-    } catch (error) {
-        logger.warn('Anthropic client initialization failed:', error.message);
+// Initialize the language-model provider (Anthropic, or the offline mock with MOCK_AI=true)
+let llm = null;
+try {
+    llm = createProviderFromEnv(process.env, __dirname);
+} catch (error) {
+    logger.warn('LLM provider initialization failed:', error.message);
+}
+
+// How many times an invalid model response is sent back to the model for correction
+const MAX_REPAIR_ATTEMPTS = process.env.MODEL_REPAIR_ATTEMPTS === undefined ? 1
+    : Math.max(parseInt(process.env.MODEL_REPAIR_ATTEMPTS) || 0, 0);
+
+// Document clauses sent to the vector store per query during retrieval
+const VECTOR_QUERY_BATCH = 50;
+
+// The mock provider brings its own in-memory vector store, so the RAG path runs without ChromaDB
+const useMemoryVectors = Boolean(llm && llm.name === 'mock');
+
+function vectorSearchAvailable() {
+    return useMemoryVectors || chromaAvailable;
+}
+
+// The vector collection for one workspace, or null while there is no vector store
+async function openPolicyCollection(name) {
+    if (useMemoryVectors) {
+        return createMemoryCollection(texts => llm.embed(texts));
     }
+    if (!chromaAvailable) {
+        return null;
+    }
+    return chromaClient.getOrCreateCollection({
+        name: name,
+        metadata: { "description": "Legal policy documents for compliance analysis" }
+    });
 }
 
 // Security middleware
@@ -85,6 +134,8 @@ if (process.env.NODE_ENV === 'production') {
 
 // General middleware
 app.use(compression());
+// Tokens passed as ?access_token= are kept out of the access log
+morgan.token('url', req => (req.originalUrl || req.url).replace(/([?&]access_token=)[^&]*/, '$1[redacted]'));
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
 app.use(cors({
     origin: process.env.CORS_ORIGIN === '*' ? true : process.env.CORS_ORIGIN?.split(',') || ['http://localhost:3000'],
@@ -94,11 +145,10 @@ app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// File upload configuration
+// File upload configuration: policies go to the upload folder of the request's workspace
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        const uploadDir = path.join(__dirname, process.env.UPLOAD_DIR || 'uploads', 'policies');
-        cb(null, uploadDir);
+        cb(null, req.workspace.uploadDir);
     },
     filename: (req, file, cb) => {
         const timestamp = Date.now();
@@ -107,42 +157,148 @@ const storage = multer.diskStorage({
     }
 });
 
+const fileFilter = (req, file, cb) => {
+    const allowedTypes = (process.env.ALLOWED_FILE_TYPES || '.txt,.doc,.docx,.pdf').split(',');
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (allowedTypes.includes(ext)) {
+        cb(null, true);
+    } else {
+        cb(new Error(`Invalid file type. Only ${allowedTypes.join(', ')} files are allowed.`));
+    }
+};
+
 const upload = multer({
     storage: storage,
     limits: {
         fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024,
         files: 10
     },
-    fileFilter: (req, file, cb) => {
-        const allowedTypes = (process.env.ALLOWED_FILE_TYPES || '.txt,.doc,.docx,.pdf').split(',');
-        const ext = path.extname(file.originalname).toLowerCase();
-        if (allowedTypes.includes(ext)) {
-            cb(null, true);
-        } else {
-            cb(new Error(`Invalid file type. Only ${allowedTypes.join(', ')} files are allowed.`));
+    fileFilter: fileFilter
+});
+
+// Contracts submitted to a batch job are extracted and then removed from disk straight away.
+// One job takes at most MAX_BATCH_DOCUMENTS documents, as files or as JSON.
+const MAX_BATCH_DOCUMENTS = parseInt(process.env.MAX_BATCH_DOCUMENTS) || 200;
+const batchUpload = multer({
+    storage: multer.diskStorage({
+        destination: path.join(__dirname, process.env.UPLOAD_DIR || 'uploads', 'batch'),
+        filename: (req, file, cb) => {
+            cb(null, `${Date.now()}_${generateId()}${path.extname(file.originalname).toLowerCase()}`);
+        }
+    }),
+    limits: {
+        fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024,
+        files: MAX_BATCH_DOCUMENTS
+    },
+    fileFilter: fileFilter
+});
+
+// Persistent storage for policies and analysis results
+const store = createStore({
+    databaseUrl: process.env.DATABASE_URL,
+    baseDir: __dirname
+});
+
+// Hash-chained, append-only record of policy changes, workspace copies, redaction policy changes,
+// analyses, exports and applied suggestions
+const audit = createAuditLog({ store: store, logger: logger });
+
+// Policies, rule packs, vector collections and results are kept per workspace; each workspace
+// context caches its active policy versions, the only ones analyses and searches see
+const workspaces = createWorkspaces({
+    store: store,
+    logger: logger,
+    uploadRoot: path.join(__dirname, process.env.UPLOAD_DIR || 'uploads'),
+    rulesRoot: path.resolve(__dirname, process.env.RULES_DIR || 'rules'),
+    openCollection: openPolicyCollection,
+    audit: audit
+});
+
+// Every /api request is authenticated from its bearer token; routes then require a role:
+// viewer (read), reviewer (analyse) or admin (manage policies, rules, playbooks, users and workspaces).
+// ENABLE_AUTH=false treats every request as a local admin, for development only.
+const auth = createAuth({
+    store: store,
+    logger: logger,
+    enabled: process.env.ENABLE_AUTH !== 'false',
+    secret: process.env.SESSION_SECRET,
+    sessionHours: parseInt(process.env.SESSION_HOURS) || 12,
+    production: process.env.NODE_ENV === 'production'
+});
+const { requireRole } = auth;
+app.use('/api', auth.authenticate);
+// Lets tests and maintenance scripts bootstrap users without going through startServer
+app.locals.auth = auth;
+
+// Every other /api request works inside one workspace, chosen with the X-Workspace header or
+// ?workspace= (default: "default"). Archived workspaces are read-only. All of these routes need
+// a signed-in user, so anonymous requests get their 401 before anything is said about workspaces.
+const WORKSPACE_FREE_ROUTES = /^\/(health|auth|users|workspaces|audit)(\/|$)/;
+app.use('/api', async (req, res, next) => {
+    if (WORKSPACE_FREE_ROUTES.test(req.path)) {
+        return next();
+    }
+    if (!req.user) {
+        return res.status(401).json({ success: false, message: 'Sign in required' });
+    }
+
+    try {
+        const id = req.get('x-workspace') || (typeof req.query.workspace === 'string' ? req.query.workspace : DEFAULT_WORKSPACE);
+        req.workspace = await workspaces.open(id);
+        if (!req.workspace) {
+            return res.status(404).json({ success: false, message: `Workspace "${id}" not found` });
+        }
+        if (req.workspace.workspace.status === 'archived' && req.method !== 'GET') {
+            return res.status(409).json({ success: false, message: `Workspace "${id}" is archived and read-only` });
         }
+        next();
+    } catch (error) {
+        next(error);
     }
 });
 
-// In-memory storage for metadata and results
-let policies = [];
-let analysisResults = [];
+// Batch analysis jobs share MAX_CONCURRENT_ANALYSIS slots; each document gets ANALYSIS_TIMEOUT_MS
+const batchAnalysisEnabled = process.env.ENABLE_BATCH_ANALYSIS !== 'false';
+const searchEndpointEnabled = process.env.ENABLE_SEARCH_ENDPOINT !== 'false';
+const exportEnabled = process.env.ENABLE_EXPORT !== 'false';
+// Redaction before model calls, for workspaces without a policy of their own
+const defaultRedactionPolicy = validateRedactionPolicy({
+    enabled: process.env.ENABLE_REDACTION !== 'false',
+    entities: process.env.REDACTION_ENTITIES
+        ? process.env.REDACTION_ENTITIES.split(',').map(entity => entity.trim()).filter(Boolean)
+        : ENTITY_TYPES
+});
+const maxComparedClauses = parseInt(process.env.COMPARE_MAX_ANALYZED_CLAUSES) || 20;
+const jobRunner = createJobRunner({
+    store: store,
+    logger: logger,
+    concurrency: parseInt(process.env.MAX_CONCURRENT_ANALYSIS) || 5,
+    timeoutMs: parseInt(process.env.ANALYSIS_TIMEOUT_MS) || 30000,
+    analyze: async (documentText, options, signal, job) => {
+        const workspace = await workspaces.open(job.workspaceId);
+        const analysisResult = await performEnhancedAnalysis(documentText, workspace, options, { signal });
+        reviewAgainstPlaybook(documentText, analysisResult, workspace, options);
+        return recordAnalysisResult(documentText, analysisResult, { workspace, requestedBy: job.createdBy, options });
+    }
+});
 
-// Initialize ChromaDB collection
+// Check that ChromaDB is reachable; workspace collections are opened on first use
 async function initializeChromaDB() {
+    if (useMemoryVectors) {
+        logger.info('Using the in-memory vector store of the mock AI provider');
+        return true;
+    }
+
     if (!chromaClient) {
         logger.warn('ChromaDB client not available, running in basic mode');
         return false;
     }
 
     try {
-        policyCollection = await chromaClient.getOrCreateCollection({
-            name: "policy_documents",
-            metadata: { "description": "Legal policy documents for compliance analysis" }
-        });
+        await chromaClient.heartbeat();
+        chromaAvailable = true;
 
-        logger.info('ChromaDB collection initialized successfully');
-        await loadExistingPolicies();
+        logger.info('ChromaDB connection initialized successfully');
         return true;
     } catch (error) {
         logger.error('Failed to initialize ChromaDB:', error);
@@ -150,42 +306,123 @@ async function initializeChromaDB() {
     }
 }
 
-// Load existing policies into ChromaDB
+// Reconcile each active workspace's upload directory with the store and index anything its
+// vector collection is missing
 async function loadExistingPolicies() {
     try {
-        const uploadsDir = path.join(__dirname, process.env.UPLOAD_DIR || 'uploads', 'policies');
-        const files = await fs.readdir(uploadsDir).catch(() => []);
+        let loaded = 0;
+        for (const { id, status } of workspaces.list()) {
+            if (status === 'active') {
+                loaded += await loadWorkspacePolicies(await workspaces.open(id));
+            }
+        }
 
-        for (const file of files) {
-            const filePath = path.join(uploadsDir, file);
-            try {
-                const content = await fs.readFile(filePath, 'utf8');
-                const policy = {
+        await activateScheduledPolicies();
+        logger.info(`Loaded ${loaded} existing policies`);
+    } catch (error) {
+        logger.error('Error loading existing policies:', error);
+    }
+}
+
+async function loadWorkspacePolicies(workspace) {
+    const files = await fs.readdir(workspace.uploadDir).catch(() => []);
+    const knownPolicies = new Map(store.listPolicies({ workspaceId: workspace.id }).map(policy => [policy.filename, policy]));
+
+    for (const file of files) {
+        const filePath = path.join(workspace.uploadDir, file);
+        let policy = knownPolicies.get(file);
+        knownPolicies.delete(file);
+
+        try {
+            const { text: content, extractor } = await extractText(filePath, policy ? policy.name : file);
+            const contentHash = hashContent(content);
+
+            if (!policy) {
+                const stats = await fs.stat(filePath);
+                policy = store.insertPolicy({
                     id: generateId(),
                     name: file,
                     filename: file,
                     path: filePath,
                     content: content,
-                    uploadDate: new Date().toISOString(),
-                    size: content.length,
+                    extractor: extractor,
+                    uploadDate: stats.mtime.toISOString(),
+                    size: stats.size,
+                    keywords: extractKeywords(content),
+                    workspaceId: workspace.id
+                });
+                audit.record({
+                    action: 'policy.upload',
+                    actor: null,
+                    workspaceId: workspace.id,
+                    policyIds: [policy.id],
+                    details: {
+                        name: policy.name,
+                        familyId: policy.familyId,
+                        version: policy.version,
+                        status: policy.status,
+                        effectiveDate: policy.effectiveDate,
+                        contentHash: policy.contentHash,
+                        previousVersionId: null,
+                        source: 'disk'
+                    }
+                });
+                logger.info(`Registered policy found on disk: ${file}`);
+            } else if (policy.contentHash !== contentHash) {
+                const previousContentHash = policy.contentHash;
+                policy = store.updatePolicyContent(policy.id, {
+                    content: content,
+                    extractor: extractor,
+                    size: policy.size,
                     keywords: extractKeywords(content)
-                };
-
-                policies.push(policy);
+                });
+                audit.record({
+                    action: 'policy.update',
+                    actor: null,
+                    workspaceId: workspace.id,
+                    policyIds: [policy.id],
+                    details: {
+                        name: policy.name,
+                        version: policy.version,
+                        contentHash: policy.contentHash,
+                        previousContentHash: previousContentHash,
+                        source: 'disk'
+                    }
+                });
+                logger.info(`Policy content changed on disk: ${policy.name}`);
+            }
 
-                if (policyCollection) {
-                    const chunks = chunkDocument(content, policy.name);
-                    await addPolicyToChromaDB(policy, chunks);
-                }
-            } catch (fileError) {
-                logger.warn(`Could not load existing policy ${file}:`, fileError.message);
+            if (workspace.collection && policy.status === 'active' && !(await isPolicyIndexed(workspace, policy))) {
+                await indexPolicy(workspace, policy);
             }
+        } catch (fileError) {
+            logger.warn(`Could not load existing policy ${file}:`, fileError.message);
         }
+    }
 
-        logger.info(`Loaded ${policies.length} existing policies`);
-    } catch (error) {
-        logger.error('Error loading existing policies:', error);
+    // Policies whose file has disappeared are dropped from the store and the vector index
+    for (const orphan of knownPolicies.values()) {
+        logger.warn(`Policy file missing, removing from store: ${orphan.name}`);
+        store.deletePolicy(orphan.id);
+        audit.record({
+            action: 'policy.delete',
+            actor: null,
+            workspaceId: workspace.id,
+            policyIds: [orphan.id],
+            details: {
+                name: orphan.name,
+                familyId: orphan.familyId,
+                version: orphan.version,
+                restoredVersionId: null,
+                source: 'disk'
+            }
+        });
+        if (workspace.collection) {
+            await workspace.collection.delete({ where: { "policy_id": orphan.id } }).catch(() => {});
+        }
     }
+
+    return workspace.refresh().length;
 }
 
 // Basic routes
@@ -216,13 +453,328 @@ app.get('/commands.html', (req, res) => {
     `);
 });
 
+// Authentication. The task pane signs in with email and password and sends the session token
+// as a bearer token; scripts use API tokens created here instead.
+app.post('/api/auth/login',
+    [
+        body('email').isString().notEmpty().withMessage('Email is required'),
+        body('password').isString().notEmpty().withMessage('Password is required')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const session = await auth.login(req.body.email, req.body.password);
+            logger.info(`User ${session.user.email} signed in`);
+            res.json({ success: true, ...session });
+        } catch (error) {
+            if (error instanceof AuthError) {
+                logger.warn(`Failed sign-in for ${req.body.email}`);
+            }
+            handleAuthError(res, error, 'signing in');
+        }
+    }
+);
+
+app.get('/api/auth/me', requireRole('viewer'), (req, res) => {
+    res.json({ success: true, authEnabled: auth.enabled, user: req.user });
+});
+
+app.get('/api/auth/tokens', requireRole('viewer'), (req, res) => {
+    const tokens = req.user.local ? [] : store.listApiTokens(req.user.id);
+    res.json({ success: true, tokens: tokens.map(publicToken) });
+});
+
+// The token is only shown in this response; store it somewhere safe
+app.post('/api/auth/tokens', requireRole('viewer'),
+    [
+        body('name').optional().isString().isLength({ max: 100 }),
+        body('role').optional().isString(),
+        body('expiresInDays').optional().isInt({ min: 1, max: 3650 }).withMessage('expiresInDays must be between 1 and 3650')
+    ],
+    (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+            if (req.user.local) {
+                return res.status(400).json({ success: false, message: 'API tokens require authentication (ENABLE_AUTH)' });
+            }
+            if (req.user.tokenId) {
+                return res.status(403).json({ success: false, message: 'API tokens cannot create further tokens' });
+            }
+
+            const created = auth.createApiToken(req.user, {
+                name: req.body.name,
+                role: req.body.role,
+                expiresInDays: req.body.expiresInDays ? parseInt(req.body.expiresInDays) : null
+            });
+            logger.info(`User ${req.user.email} created API token ${created.apiToken.id} (${created.apiToken.role})`);
+            res.status(201).json({ success: true, ...created });
+        } catch (error) {
+            handleAuthError(res, error, 'creating API token');
+        }
+    }
+);
+
+// Users revoke their own tokens; admins can revoke anyone's
+app.delete('/api/auth/tokens/:id', requireRole('viewer'), (req, res) => {
+    const token = store.getApiToken(req.params.id);
+    if (!token || (token.userId !== req.user.id && !hasRole(req.user, 'admin'))) {
+        return res.status(404).json({ success: false, message: 'API token not found' });
+    }
+    store.revokeApiToken(token.id, new Date().toISOString());
+    logger.info(`API token ${token.id} revoked by ${identify(req.user) || 'local user'}`);
+    res.json({ success: true, message: 'API token revoked' });
+});
+
+// User management
+app.get('/api/users', requireRole('admin'), (req, res) => {
+    const users = store.listUsers().map(publicUser);
+    res.json({ success: true, users, totalCount: users.length });
+});
+
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+        const user = await auth.createUser(req.body);
+        logger.info(`User ${user.email} (${user.role}) created by ${identify(req.user) || 'local user'}`);
+        res.status(201).json({ success: true, user });
+    } catch (error) {
+        handleAuthError(res, error, 'creating user');
+    }
+});
+
+// Change a user's name, role or password, or disable them. The last active admin cannot be
+// demoted or disabled.
+app.patch('/api/users/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const { name, role, password, disabled } = req.body;
+        const target = store.getUser(req.params.id);
+        if (!target) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const losesAdmin = target.role === 'admin' && !target.disabled && ((role && role !== 'admin') || disabled);
+        const activeAdmins = store.listUsers().filter(user => user.role === 'admin' && !user.disabled);
+        if (losesAdmin && activeAdmins.length === 1) {
+            return res.status(400).json({ success: false, message: 'At least one active admin is required' });
+        }
+
+        const user = await auth.updateUser(target.id, { name, role, password, disabled });
+        logger.info(`User ${user.email} updated by ${identify(req.user) || 'local user'}`);
+        res.json({ success: true, user });
+    } catch (error) {
+        handleAuthError(res, error, 'updating user');
+    }
+});
+
+function handleAuthError(res, error, action) {
+    if (error instanceof AuthError) {
+        return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    logger.error(`Error ${action}:`, error);
+    res.status(500).json({
+        success: false,
+        message: `Error ${action}: ` + error.message
+    });
+}
+
+// The identity recorded on policies, analyses and jobs: the user's email, or null when
+// authentication is off
+function identify(user) {
+    return user && !user.local ? user.email : null;
+}
+
+// Workspace management. Every other /api route works inside the workspace the request selects.
+function describeWorkspace(workspace) {
+    return {
+        ...workspace,
+        policyCount: store.listPolicies({ status: 'active', workspaceId: workspace.id }).length,
+        resultCount: store.countAnalysisResults(workspace.id)
+    };
+}
+
+app.get('/api/workspaces', requireRole('viewer'), (req, res) => {
+    try {
+        const list = workspaces.list()
+            .filter(workspace => req.query.include === 'all' || workspace.status === 'active')
+            .map(describeWorkspace);
+        res.json({ success: true, workspaces: list, totalCount: list.length });
+    } catch (error) {
+        handleWorkspaceError(res, error, 'listing workspaces');
+    }
+});
+
+app.get('/api/workspaces/:id', requireRole('viewer'), (req, res) => {
+    const workspace = workspaces.get(req.params.id);
+    if (!workspace) {
+        return res.status(404).json({ success: false, message: 'Workspace not found' });
+    }
+    res.json({ success: true, workspace: describeWorkspace(workspace) });
+});
+
+// Create an empty workspace: `name`, optional `id` (default: derived from the name) and `description`
+app.post('/api/workspaces', requireRole('admin'), (req, res) => {
+    try {
+        const { id, name, description } = req.body;
+        const workspace = workspaces.create({ id, name, description }, identify(req.user));
+        res.status(201).json({ success: true, workspace: describeWorkspace(workspace) });
+    } catch (error) {
+        handleWorkspaceError(res, error, 'creating workspace');
+    }
+});
+
+// Copy a workspace's active policies and rule packs into a new workspace, indexed in its own collection
+app.post('/api/workspaces/:id/copy', requireRole('admin'), async (req, res) => {
+    try {
+        const { id, name, description } = req.body;
+        const { context, policies } = await workspaces.copy(req.params.id, { id, name, description }, identify(req.user));
+        if (context.collection) {
+            for (const policy of policies) {
+                await indexPolicy(context, policy).catch(error =>
+                    logger.warn(`Could not index copied policy ${policy.name}:`, error.message));
+            }
+            context.refresh();
+        }
+        res.status(201).json({ success: true, workspace: describeWorkspace(context.workspace) });
+    } catch (error) {
+        handleWorkspaceError(res, error, 'copying workspace');
+    }
+});
+
+// Archive a workspace: its policies and results stay readable, but nothing can be added or analysed
+app.delete('/api/workspaces/:id', requireRole('admin'), (req, res) => {
+    try {
+        const workspace = workspaces.archive(req.params.id);
+        res.json({ success: true, message: 'Workspace archived successfully', workspace: describeWorkspace(workspace) });
+    } catch (error) {
+        handleWorkspaceError(res, error, 'archiving workspace');
+    }
+});
+
+// Redaction policy of a workspace: what is replaced with placeholders before text goes to the
+// model. `source` says whether the workspace has its own policy or uses the server default.
+function describeRedactionPolicy(workspace) {
+    return {
+        source: workspace.redaction ? 'workspace' : 'default',
+        policy: workspace.redaction || defaultRedactionPolicy
+    };
+}
+
+function getChangeableWorkspace(id) {
+    const workspace = workspaces.get(id);
+    if (!workspace) {
+        throw new WorkspaceError(404, `Workspace "${id}" not found`);
+    }
+    if (workspace.status === 'archived') {
+        throw new WorkspaceError(409, `Workspace "${id}" is archived and read-only`);
+    }
+    return workspace;
+}
+
+app.get('/api/workspaces/:id/redaction', requireRole('viewer'), (req, res) => {
+    const workspace = workspaces.get(req.params.id);
+    if (!workspace) {
+        return res.status(404).json({ success: false, message: 'Workspace not found' });
+    }
+    res.json({ success: true, redaction: describeRedactionPolicy(workspace) });
+});
+
+// Replace the policy: { enabled, entities, terms: ["Project Falcon"], patterns: [{ label, pattern }] }
+app.put('/api/workspaces/:id/redaction', requireRole('admin'), (req, res) => {
+    try {
+        getChangeableWorkspace(req.params.id);
+        const policy = validateRedactionPolicy(req.body);
+        const workspace = store.updateWorkspaceRedaction(req.params.id, policy);
+        audit.record({
+            action: 'workspace.redaction',
+            actor: identify(req.user),
+            workspaceId: workspace.id,
+            details: { policy: policy }
+        });
+        logger.info(`Updated redaction policy of workspace ${workspace.id}`);
+        res.json({ success: true, redaction: describeRedactionPolicy(workspace) });
+    } catch (error) {
+        handleWorkspaceError(res, error, 'updating redaction policy');
+    }
+});
+
+// Go back to the server default
+app.delete('/api/workspaces/:id/redaction', requireRole('admin'), (req, res) => {
+    try {
+        getChangeableWorkspace(req.params.id);
+        const workspace = store.updateWorkspaceRedaction(req.params.id, null);
+        audit.record({
+            action: 'workspace.redaction',
+            actor: identify(req.user),
+            workspaceId: workspace.id,
+            details: { policy: null }
+        });
+        res.json({ success: true, redaction: describeRedactionPolicy(workspace) });
+    } catch (error) {
+        handleWorkspaceError(res, error, 'resetting redaction policy');
+    }
+});
+
+function handleWorkspaceError(res, error, action) {
+    if (error instanceof WorkspaceError) {
+        return res.status(error.status).json({ success: false, message: error.message });
+    }
+    if (error instanceof RedactionPolicyError) {
+        return res.status(400).json({ success: false, message: error.message, errors: error.errors });
+    }
+
+    logger.error(`Error ${action}:`, error);
+    res.status(500).json({
+        success: false,
+        message: `Error ${action}: ` + error.message
+    });
+}
+
+// Records of other workspaces are answered as not found
+function getWorkspacePolicy(req) {
+    const policy = store.getPolicy(req.params.id);
+    return policy && policy.workspaceId === req.workspace.id ? policy : null;
+}
+
+function getWorkspaceResult(req, id) {
+    const result = store.getAnalysisResult(id);
+    return result && result.workspaceId === req.workspace.id ? result : null;
+}
+
+function getWorkspaceJob(req) {
+    const job = jobRunner.getJob(req.params.id);
+    return job && job.workspaceId === req.workspace.id ? job : null;
+}
+
 // Policy management endpoints
-app.post('/api/policies/upload', upload.array('policies'),
-    [body('policies').optional()],
+// Uploading a file under the name of an existing policy (or with `familyId`) adds a new version
+// of that policy. `effectiveDate` (ISO 8601) defaults to now; a future date schedules the version.
+app.post('/api/policies/upload', requireRole('admin'), upload.array('policies'),
+    [
+        body('policies').optional(),
+        body('familyId').optional().isString(),
+        body('effectiveDate').optional().isISO8601().withMessage('effectiveDate must be an ISO 8601 date'),
+        body('uploadedBy').optional().isString().isLength({ max: 200 })
+    ],
     async (req, res) => {
         try {
             const errors = validationResult(req);
             if (!errors.isEmpty()) {
+                await Promise.all((req.files || []).map(file => fs.unlink(file.path).catch(() => {})));
                 return res.status(400).json({ success: false, errors: errors.array() });
             }
 
@@ -233,51 +785,128 @@ app.post('/api/policies/upload', upload.array('policies'),
                 });
             }
 
+            if (req.body.familyId && req.files.length > 1) {
+                await Promise.all(req.files.map(file => fs.unlink(file.path).catch(() => {})));
+                return res.status(400).json({
+                    success: false,
+                    message: 'Upload one file at a time when adding a version to a policy family'
+                });
+            }
+
             const uploadedPolicies = [];
+            const rejectedFiles = [];
 
             for (const file of req.files) {
+                let content;
+                let extractor;
+                try {
+                    ({ text: content, extractor } = await extractText(file.path, file.originalname));
+                } catch (extractionError) {
+                    logger.warn(`Rejected policy file ${file.originalname}: ${extractionError.message}`);
+                    rejectedFiles.push({
+                        name: file.originalname,
+                        error: extractionError.message
+                    });
+                    await fs.unlink(file.path).catch(() => {});
+                    continue;
+                }
+
                 try {
-                    const content = await fs.readFile(file.path, 'utf8');
-                    const policy = {
-                        id: generateId(),
+                    const family = req.body.familyId
+                        ? store.listPolicyVersions(req.body.familyId).filter(version => version.workspaceId === req.workspace.id)
+                        : (() => {
+                            const latest = store.getLatestPolicyByName(file.originalname, req.workspace.id);
+                            return latest ? store.listPolicyVersions(latest.familyId) : [];
+                        })();
+                    if (req.body.familyId && family.length === 0) {
+                        throw new Error(`Unknown policy family ${req.body.familyId}`);
+                    }
+
+                    const uploadDate = new Date().toISOString();
+                    const effectiveDate = req.body.effectiveDate ? new Date(req.body.effectiveDate).toISOString() : uploadDate;
+                    const id = generateId();
+                    const previous = family[family.length - 1];
+                    let policy = store.insertPolicy({
+                        id: id,
                         name: file.originalname,
                         filename: file.filename,
                         path: file.path,
                         content: content,
-                        uploadDate: new Date().toISOString(),
+                        extractor: extractor,
+                        uploadDate: uploadDate,
                         size: file.size,
-                        keywords: extractKeywords(content)
-                    };
-
-                    policies.push(policy);
-
-                    // Add to ChromaDB if available
-                    if (policyCollection) {
-                        try {
-                            const chunks = chunkDocument(content, policy.name);
-                            await addPolicyToChromaDB(policy, chunks);
-                        } catch (chromaError) {
-                            logger.warn('Could not add to ChromaDB:', chromaError.message);
-                        }
+                        keywords: extractKeywords(content),
+                        tags: req.body.tags !== undefined ? parseTags(req.body.tags) : previous ? previous.tags : [],
+                        familyId: previous ? previous.familyId : id,
+                        version: previous ? previous.version + 1 : 1,
+                        status: effectiveDate > uploadDate ? 'scheduled' : 'active',
+                        effectiveDate: effectiveDate,
+                        uploadedBy: identify(req.user) || req.body.uploadedBy || null,
+                        workspaceId: req.workspace.id
+                    });
+
+                    if (policy.status !== 'scheduled') {
+                        policy = await activatePolicyVersion(req.workspace, policy);
                     }
 
+                    audit.record({
+                        action: 'policy.upload',
+                        actor: identify(req.user),
+                        workspaceId: req.workspace.id,
+                        policyIds: [policy.id],
+                        details: {
+                            name: policy.name,
+                            familyId: policy.familyId,
+                            version: policy.version,
+                            status: policy.status,
+                            effectiveDate: policy.effectiveDate,
+                            contentHash: policy.contentHash,
+                            previousVersionId: previous ? previous.id : null
+                        }
+                    });
+
                     uploadedPolicies.push({
                         id: policy.id,
                         name: policy.name,
                         uploadDate: policy.uploadDate,
                         size: policy.size,
-                        keywordCount: policy.keywords.length
+                        extractor: policy.extractor,
+                        characterCount: content.length,
+                        keywordCount: policy.keywords.length,
+                        tags: policy.tags,
+                        familyId: policy.familyId,
+                        version: policy.version,
+                        status: policy.status,
+                        effectiveDate: policy.effectiveDate,
+                        uploadedBy: policy.uploadedBy,
+                        previousVersionId: previous ? previous.id : null
                     });
                 } catch (fileError) {
                     logger.error(`Error processing file ${file.filename}:`, fileError);
+                    rejectedFiles.push({
+                        name: file.originalname,
+                        error: fileError.message
+                    });
+                    await fs.unlink(file.path).catch(() => {});
                 }
             }
 
-            logger.info(`Uploaded ${uploadedPolicies.length} policies`);
+            if (uploadedPolicies.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'None of the uploaded files could be processed',
+                    policies: [],
+                    rejected: rejectedFiles
+                });
+            }
+
+            logger.info(`Uploaded ${uploadedPolicies.length} policies to workspace ${req.workspace.id}`);
             res.json({
                 success: true,
-                message: `Uploaded ${uploadedPolicies.length} policy document(s)`,
-                policies: uploadedPolicies
+                message: `Uploaded ${uploadedPolicies.length} policy document(s)` +
+                    (rejectedFiles.length > 0 ? `, rejected ${rejectedFiles.length}` : ''),
+                policies: uploadedPolicies,
+                rejected: rejectedFiles
             });
         } catch (error) {
             logger.error('Policy upload error:', error);
@@ -289,21 +918,31 @@ app.post('/api/policies/upload', upload.array('policies'),
     }
 );
 
-app.get('/api/policies', (req, res) => {
+// Active policy versions; ?include=all lists every version, including scheduled and archived ones
+app.get('/api/policies', requireRole('viewer'), (req, res) => {
     try {
-        const policyList = policies.map(policy => ({
+        const listed = req.query.include === 'all' ? store.listPolicies({ workspaceId: req.workspace.id }) : req.workspace.policies;
+        const policyList = listed.map(policy => ({
             id: policy.id,
             name: policy.name,
             uploadDate: policy.uploadDate,
             size: policy.size,
-            keywordCount: policy.keywords.length
+            extractor: policy.extractor,
+            keywordCount: policy.keywords.length,
+            tags: policy.tags,
+            familyId: policy.familyId,
+            version: policy.version,
+            status: policy.status,
+            effectiveDate: policy.effectiveDate,
+            uploadedBy: policy.uploadedBy
         }));
 
         res.json({
             success: true,
             policies: policyList,
-            totalCount: policies.length,
-            vectorDbStatus: policyCollection ? 'connected' : 'disconnected'
+            totalCount: policyList.length,
+            workspaceId: req.workspace.id,
+            vectorDbStatus: req.workspace.collection ? 'connected' : 'disconnected'
         });
     } catch (error) {
         logger.error('Error fetching policies:', error);
@@ -314,45 +953,103 @@ app.get('/api/policies', (req, res) => {
     }
 });
 
-app.delete('/api/policies/:id', async (req, res) => {
-    try {
-        const policyId = req.params.id;
-        const policyIndex = policies.findIndex(p => p.id === policyId);
-
-        if (policyIndex === -1) {
-            return res.status(404).json({
-                success: false,
-                message: 'Policy not found'
-            });
-        }
-
-        const policy = policies[policyIndex];
+// Replace a policy's tags, e.g. { "tags": ["liability", "vendor"] }
+app.patch('/api/policies/:id', requireRole('admin'),
+    [body('tags').isArray().withMessage('tags must be an array of strings')],
+    (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
 
-        // Remove from ChromaDB
-        if (policyCollection) {
-            try {
-                await policyCollection.delete({
-                    where: { "policy_id": policyId }
+            const policies = req.workspace.policies;
+            const policyIndex = policies.findIndex(p => p.id === req.params.id);
+            if (policyIndex === -1) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Policy not found'
                 });
-            } catch (chromaError) {
-                logger.warn('Could not delete from ChromaDB:', chromaError);
             }
-        }
 
-        // Delete file
-        try {
-            await fs.unlink(policy.path);
-        } catch (fileError) {
-            logger.warn('Could not delete policy file:', fileError.message);
+            const previousTags = policies[policyIndex].tags;
+            const policy = store.updatePolicyTags(req.params.id, parseTags(req.body.tags));
+            policies[policyIndex].tags = policy.tags;
+            audit.record({
+                action: 'policy.update',
+                actor: identify(req.user),
+                workspaceId: req.workspace.id,
+                policyIds: [policy.id],
+                details: { name: policy.name, version: policy.version, tags: policy.tags, previousTags: previousTags }
+            });
+
+            res.json({
+                success: true,
+                policy: {
+                    id: policy.id,
+                    name: policy.name,
+                    tags: policy.tags
+                }
+            });
+        } catch (error) {
+            logger.error('Error updating policy:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error updating policy'
+            });
+        }
+    }
+);
+
+// Archive a policy version. Its file and record are kept for the version history; if it was the
+// active version, the newest earlier version still in effect becomes active again.
+app.delete('/api/policies/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const policy = getWorkspacePolicy(req);
+        if (!policy || policy.status === 'archived') {
+            return res.status(404).json({
+                success: false,
+                message: 'Policy not found'
+            });
         }
 
-        // Remove from array
-        policies.splice(policyIndex, 1);
+        await deindexPolicy(req.workspace, policy);
+        store.updatePolicyStatus(policy.id, 'archived');
+
+        let restored = null;
+        if (policy.status === 'active') {
+            const now = new Date().toISOString();
+            const fallback = store.listPolicyVersions(policy.familyId)
+                .filter(version => version.status === 'superseded' && version.effectiveDate <= now)
+                .pop();
+            if (fallback) {
+                restored = await activatePolicyVersion(req.workspace, fallback);
+            }
+        }
+        req.workspace.refresh();
+        audit.record({
+            action: 'policy.delete',
+            actor: identify(req.user),
+            workspaceId: req.workspace.id,
+            policyIds: [policy.id],
+            details: {
+                name: policy.name,
+                familyId: policy.familyId,
+                version: policy.version,
+                restoredVersionId: restored ? restored.id : null
+            }
+        });
 
-        logger.info(`Deleted policy: ${policy.name}`);
+        logger.info(`Archived policy: ${policy.name} v${policy.version}` +
+            (restored ? ` (v${restored.version} is active again)` : ''));
         res.json({
             success: true,
-            message: 'Policy deleted successfully'
+            message: 'Policy archived successfully',
+            restoredVersion: restored ? describeVersion(restored) : null
         });
     } catch (error) {
         logger.error('Policy deletion error:', error);
@@ -363,8 +1060,132 @@ app.delete('/api/policies/:id', async (req, res) => {
     }
 });
 
+// Every version in the policy's family, oldest first
+app.get('/api/policies/:id/versions', requireRole('viewer'), (req, res) => {
+    try {
+        const policy = getWorkspacePolicy(req);
+        if (!policy) {
+            return res.status(404).json({ success: false, message: 'Policy not found' });
+        }
+
+        const versions = store.listPolicyVersions(policy.familyId).map(describeVersion);
+        res.json({
+            success: true,
+            familyId: policy.familyId,
+            versions: versions,
+            totalCount: versions.length
+        });
+    } catch (error) {
+        logger.error('Error listing policy versions:', error);
+        res.status(500).json({ success: false, message: 'Error listing policy versions' });
+    }
+});
+
+// Line diff from another version of the same policy (`against`, a version id or number;
+// default the previous version) to this one
+app.get('/api/policies/:id/diff', requireRole('viewer'),
+    [query('against').optional().isString()],
+    (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ success: false, message: 'Invalid input', errors: errors.array() });
+            }
+
+            const policy = getWorkspacePolicy(req);
+            if (!policy) {
+                return res.status(404).json({ success: false, message: 'Policy not found' });
+            }
+
+            const versions = store.listPolicyVersions(policy.familyId);
+            const against = req.query.against;
+            const base = against === undefined
+                ? versions.filter(version => version.version < policy.version).pop()
+                : versions.find(version => version.id === against || String(version.version) === against);
+
+            if (!base) {
+                return res.status(404).json({
+                    success: false,
+                    message: against === undefined ? 'This is the first version of the policy' : 'Version not found in this policy family'
+                });
+            }
+
+            res.json({ success: true, diff: diffPolicyVersions(base, policy) });
+        } catch (error) {
+            logger.error('Error diffing policy versions:', error);
+            res.status(500).json({ success: false, message: 'Error diffing policy versions' });
+        }
+    }
+);
+
+// Re-run stored analyses that consulted any version of this policy's family against the current
+// active policies, and report the findings that appeared or disappeared. `resultIds` picks the
+// analyses explicitly; otherwise the most recent `limit` (default 10) are used.
+app.post('/api/policies/:id/reanalyze', requireRole('reviewer'),
+    [
+        body('resultIds').optional().isArray({ max: 50 }).withMessage('resultIds must be an array of at most 50 ids'),
+        body('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ success: false, message: 'Invalid input', errors: errors.array() });
+            }
+
+            const policy = getWorkspacePolicy(req);
+            if (!policy) {
+                return res.status(404).json({ success: false, message: 'Policy not found' });
+            }
+
+            const versionIds = new Set(store.listPolicyVersions(policy.familyId).map(version => version.id));
+            const candidates = req.body.resultIds
+                ? req.body.resultIds.map(id => getWorkspaceResult(req, id)).filter(Boolean)
+                : store.listAnalysisResults({ limit: 500, workspaceId: req.workspace.id })
+                    .filter(result => (result.policiesConsulted || []).some(consulted => versionIds.has(consulted.policyId)))
+                    .slice(0, req.body.limit || 10);
+
+            const comparisons = [];
+            const skipped = [];
+            for (const previous of candidates) {
+                const documentText = store.getAnalysisDocument(previous.id);
+                if (!documentText) {
+                    skipped.push({ resultId: previous.id, reason: 'Document text was not stored with this analysis' });
+                    continue;
+                }
+
+                // Same jurisdiction and playbook as before, so only the policy change shows in the diff
+                const options = store.getAnalysisOptions(previous.id);
+                const analysisResult = await performEnhancedAnalysis(documentText, req.workspace, options);
+                reviewAgainstPlaybook(documentText, analysisResult, req.workspace, options);
+                const current = recordAnalysisResult(documentText, { ...analysisResult, reanalysisOf: previous.id }, {
+                    workspace: req.workspace,
+                    requestedBy: identify(req.user),
+                    options: options
+                });
+                comparisons.push({
+                    resultId: previous.id,
+                    newResultId: current.id,
+                    ...diffFindings(previous, current)
+                });
+            }
+
+            logger.info(`Re-analysed ${comparisons.length} stored analysis result(s) for policy ${policy.name} v${policy.version}`);
+            res.json({
+                success: true,
+                policy: describeVersion(policy),
+                comparisons: comparisons,
+                skipped: skipped
+            });
+        } catch (error) {
+            logger.error('Re-analysis error:', error);
+            res.status(500).json({ success: false, message: 'Error re-analysing documents: ' + error.message });
+        }
+    }
+);
+
 // Document analysis endpoint
-app.post('/api/analyze',
+app.post('/api/analyze', requireRole('reviewer'),
     [body('documentText').notEmpty().withMessage('Document text is required')],
     async (req, res) => {
         try {
@@ -379,202 +1200,1441 @@ app.post('/api/analyze',
 
             const { documentText, options = {} } = req.body;
 
-            if (policies.length === 0) {
+            if (req.workspace.policies.length === 0) {
                 return res.status(400).json({
                     success: false,
                     message: 'No policies uploaded. Please upload policy documents first.'
                 });
             }
 
+            if (options.playbookId && !store.getPlaybook(options.playbookId, req.workspace.id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unknown playbook "${options.playbookId}"`
+                });
+            }
+
             // Perform analysis
-            const analysisResult = await performEnhancedAnalysis(documentText, policies, options);
+            const analysisResult = await performEnhancedAnalysis(documentText, req.workspace, options);
+            reviewAgainstPlaybook(documentText, analysisResult, req.workspace, options);
+            const result = recordAnalysisResult(documentText, analysisResult, {
+                workspace: req.workspace,
+                requestedBy: identify(req.user),
+                options: options
+            });
 
-            // Store result
-            const result = {
-                id: generateId(),
-                analysisDate: new Date().toISOString(),
-                documentLength: documentText.length,
-                wordCount: documentText.split(/\s+/).length,
-                ...analysisResult
-            };
+            res.json({
+                success: true,
+                result: result
+            });
+        } catch (error) {
+            logger.error('Analysis error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error analyzing document: ' + error.message
+            });
+        }
+    }
+);
+
+// Streaming variant of /api/analyze. Progress is sent as Server-Sent Events:
+//   stage   { stage, status, ... }        chunking, retrieval, model, rules, scoring, playbook
+//   finding { kind, source, finding }     issues/suggestions as soon as they are known
+//   result  { result }                    the stored result, same shape as /api/analyze
+//   error   { message }
+// Closing the connection aborts the model call and skips the remaining stages.
+app.post('/api/analyze/stream', requireRole('reviewer'),
+    [body('documentText').notEmpty().withMessage('Document text is required')],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid input',
+                errors: errors.array()
+            });
+        }
+
+        const { documentText, options = {} } = req.body;
+
+        if (req.workspace.policies.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No policies uploaded. Please upload policy documents first.'
+            });
+        }
+
+        if (options.playbookId && !store.getPlaybook(options.playbookId, req.workspace.id)) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown playbook "${options.playbookId}"`
+            });
+        }
+
+        const events = openEventStream(res);
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                controller.abort();
+            }
+        });
+
+        try {
+            const analysisResult = await performEnhancedAnalysis(documentText, req.workspace, options, {
+                signal: controller.signal,
+                onProgress: events.send
+            });
+            events.send('stage', {
+                stage: 'scoring',
+                status: 'completed',
+                complianceScore: analysisResult.complianceScore,
+                riskLevel: analysisResult.riskLevel
+            });
+            reviewAgainstPlaybook(documentText, analysisResult, req.workspace, options, { onProgress: events.send });
+
+            const result = recordAnalysisResult(documentText, analysisResult, {
+                workspace: req.workspace,
+                requestedBy: identify(req.user),
+                options: options
+            });
+            events.send('result', { result });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                logger.info('Streaming analysis cancelled by client');
+            } else {
+                logger.error('Streaming analysis error:', error);
+                events.send('error', { message: 'Error analyzing document: ' + error.message });
+            }
+        } finally {
+            events.end();
+        }
+    }
+);
+
+// Compare two versions of a contract clause by clause. The base is `baseText` or the document of a
+// stored analysis (`baselineResultId`); only changed clauses are analysed, at most
+// COMPARE_MAX_ANALYZED_CLAUSES of them, and each change says whether it makes compliance better
+// or worse.
+app.post('/api/compare', requireRole('reviewer'),
+    [
+        body('revisedText').notEmpty().withMessage('Revised text is required'),
+        body('baseText').optional().isString(),
+        body('baselineResultId').optional().isString()
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const { revisedText, baselineResultId, options = {} } = req.body;
+            let baseText = req.body.baseText;
+            if (!baseText && baselineResultId) {
+                if (!getWorkspaceResult(req, baselineResultId)) {
+                    return res.status(404).json({ success: false, message: 'Baseline analysis not found' });
+                }
+                baseText = store.getAnalysisDocument(baselineResultId);
+                if (!baseText) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'The baseline analysis was stored without its document text; analyse the baseline again first'
+                    });
+                }
+            }
+            if (!baseText) {
+                return res.status(400).json({ success: false, message: 'Provide baseText or baselineResultId' });
+            }
+
+            if (req.workspace.policies.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No policies uploaded. Please upload policy documents first.'
+                });
+            }
+
+            const comparison = compareContracts(baseText, revisedText);
+            let analyzed = 0;
+            for (const change of comparison.changes) {
+                if (!change.textChanged) continue;
+                if (analyzed >= maxComparedClauses) {
+                    change.assessment = null;
+                    continue;
+                }
+                analyzed++;
 
-            analysisResults.push(result);
+                const before = change.base ? await analyzeClause(change.base.text, req.workspace, options) : null;
+                const after = change.revised ? await analyzeClause(change.revised.text, req.workspace, options) : null;
+                change.assessment = assessChange(before, after);
+                change.degraded = Boolean((before && before.degraded) || (after && after.degraded));
+            }
 
-            // Keep only last 100 results to manage memory
-            if (analysisResults.length > 100) {
-                analysisResults = analysisResults.slice(-100);
+            const assessed = comparison.changes.filter(change => change.assessment);
+            for (const effect of ['better', 'worse', 'neutral']) {
+                comparison.summary[effect] = assessed.filter(change => change.assessment.effect === effect).length;
             }
+            comparison.summary.analyzedChanges = analyzed;
+            comparison.summary.skippedChanges = comparison.changes.filter(change => change.assessment === null).length;
 
-            logger.info(`Analysis completed for ${result.wordCount} word document`);
+            logger.info(`Compared contracts: ${comparison.summary.modified} modified, ${comparison.summary.added} added, ` +
+                `${comparison.summary.removed} removed, ${comparison.summary.moved} moved clause(s)`);
             res.json({
                 success: true,
-                result: result
+                baselineResultId: baselineResultId || null,
+                comparison: comparison
             });
         } catch (error) {
-            logger.error('Analysis error:', error);
+            logger.error('Comparison error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Error analyzing document: ' + error.message
+                message: 'Error comparing documents: ' + error.message
             });
         }
     }
 );
 
-// Grammar check endpoint
-app.post('/api/grammar-check',
-    [body('text').notEmpty().withMessage('Text is required')],
+// Extract the contract's key commercial terms (parties, dates, term, renewal, notice, law,
+// liability cap, payment, confidentiality). The rules always run; the model adds its reading
+// unless `options.useModel` is false. The extraction is stored so corrections can be saved.
+app.post('/api/terms', requireRole('reviewer'),
+    [body('documentText').notEmpty().withMessage('Document text is required')],
     async (req, res) => {
         try {
             const errors = validationResult(req);
             if (!errors.isEmpty()) {
                 return res.status(400).json({
                     success: false,
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const { documentText, options = {} } = req.body;
+            const extraction = await extractKeyTerms(documentText, req.workspace, options);
+            const saved = store.saveTermExtraction({
+                id: generateId(),
+                createdAt: new Date().toISOString(),
+                workspaceId: req.workspace.id,
+                documentHash: hashContent(documentText),
+                ...extraction
+            });
+
+            logger.info(`Extracted ${saved.terms.filter(term => term.value !== null).length} of ${TERM_FIELDS.length} key terms (${saved.extractor})`);
+            res.json({ success: true, extraction: saved });
+        } catch (error) {
+            logger.error('Term extraction error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error extracting key terms: ' + error.message
+            });
+        }
+    }
+);
+
+app.get('/api/terms/:id', requireRole('viewer'), (req, res) => {
+    const extraction = store.getTermExtraction(req.params.id, req.workspace.id);
+    if (!extraction) {
+        return res.status(404).json({ success: false, message: 'Term extraction not found' });
+    }
+    res.json({ success: true, extraction });
+});
+
+// Save corrections: `fields` maps field names to the value as text ("30 days", "2025-01-31",
+// "Acme Inc.; Beta Ltd."); an empty string clears the field
+app.patch('/api/terms/:id', requireRole('reviewer'),
+    [body('fields').isObject().withMessage('fields must be an object of field names to values')],
+    (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid input',
                     errors: errors.array()
                 });
             }
 
-            const { text } = req.body;
-            const grammarIssues = await performAdvancedGrammarCheck(text);
+            const extraction = store.getTermExtraction(req.params.id, req.workspace.id);
+            if (!extraction) {
+                return res.status(404).json({ success: false, message: 'Term extraction not found' });
+            }
 
+            const terms = applyTermEdits(extraction.terms, req.body.fields);
             res.json({
                 success: true,
-                issues: grammarIssues,
-                issueCount: grammarIssues.length
+                extraction: store.updateTermExtraction(extraction.id, req.workspace.id, terms, new Date().toISOString())
             });
         } catch (error) {
-            logger.error('Grammar check error:', error);
+            if (error instanceof TermValidationError) {
+                return res.status(400).json({ success: false, message: 'Invalid term values', errors: error.errors });
+            }
+            logger.error('Error saving term corrections:', error);
+            res.status(500).json({ success: false, message: 'Error saving term corrections' });
+        }
+    }
+);
+
+// Obligation register: who must do what and by when, from `documentText` or the document of a
+// stored analysis (`resultId`). Deadlines are resolved against the key terms of a stored term
+// extraction (`termsId`, so corrections count) or the rule-based reading of the document;
+// `effectiveDate` overrides the effective date found.
+app.post('/api/obligations', requireRole('reviewer'),
+    [
+        body('documentText').optional().isString(),
+        body('resultId').optional().isString(),
+        body('termsId').optional().isString(),
+        body('effectiveDate').optional()
+            .matches(/^\d{4}-\d{2}-\d{2}$/)
+            .custom(value => new Date(`${value}T00:00:00Z`).toISOString().startsWith(value))
+            .withMessage('effectiveDate must be a date (YYYY-MM-DD)')
+    ],
+    (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const { resultId, termsId, effectiveDate } = req.body;
+            let documentText = req.body.documentText;
+            if (!documentText && resultId) {
+                if (!getWorkspaceResult(req, resultId)) {
+                    return res.status(404).json({ success: false, message: 'Analysis result not found' });
+                }
+                documentText = store.getAnalysisDocument(resultId);
+                if (!documentText) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'The analysis was stored without its document text; analyse the document again first'
+                    });
+                }
+            }
+            if (!documentText) {
+                return res.status(400).json({ success: false, message: 'Provide documentText or resultId' });
+            }
+
+            let terms;
+            if (termsId) {
+                const extraction = store.getTermExtraction(termsId, req.workspace.id);
+                if (!extraction) {
+                    return res.status(404).json({ success: false, message: 'Term extraction not found' });
+                }
+                terms = extraction.terms;
+            } else {
+                terms = mergeTerms(extractTermsWithRules(documentText));
+            }
+
+            const register = store.saveObligationRegister({
+                id: generateId(),
+                createdAt: new Date().toISOString(),
+                workspaceId: req.workspace.id,
+                documentHash: hashContent(documentText),
+                resultId: resultId || null,
+                termsId: termsId || null,
+                ...buildObligationRegister(documentText, { terms, effectiveDate: effectiveDate || null })
+            });
+
+            logger.info(`Extracted ${register.obligations.length} obligation(s), ${register.summary.scheduled} with a due date`);
+            res.json({ success: true, register: register });
+        } catch (error) {
+            logger.error('Obligation extraction error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Error checking grammar: ' + error.message
+                message: 'Error extracting obligations: ' + error.message
             });
         }
     }
 );
 
-// Results endpoints
-app.get('/api/results', (req, res) => {
-    try {
-        const results = analysisResults.map(result => ({
-            id: result.id,
-            analysisDate: result.analysisDate,
-            complianceScore: result.complianceScore,
-            issueCount: result.issues ? result.issues.length : 0,
-            suggestionCount: result.suggestions ? result.suggestions.length : 0,
-            wordCount: result.wordCount,
-            riskLevel: result.riskLevel
-        }));
+function getWorkspaceRegister(req) {
+    const register = store.getObligationRegister(req.params.id);
+    return register && register.workspaceId === req.workspace.id ? register : null;
+}
 
-        res.json({
+app.get('/api/obligations/:id', requireRole('viewer'), (req, res) => {
+    const register = getWorkspaceRegister(req);
+    if (!register) {
+        return res.status(404).json({ success: false, message: 'Obligation register not found' });
+    }
+    res.json({ success: true, register });
+});
+
+// The register as an iCalendar feed (ics, the default) or a spreadsheet (csv). Calendar events
+// carry a reminder `reminderDays` before the due date (default 7, 0 for none).
+app.get('/api/obligations/:id/export', requireRole('viewer'),
+    requireFeature(exportEnabled, 'Export is disabled (ENABLE_EXPORT=false)'),
+    [
+        query('format').optional().isIn(registerFormats).withMessage(`format must be one of ${registerFormats.join(', ')}`),
+        query('reminderDays').optional().isInt({ min: 0, max: 365 }).toInt()
+    ],
+    (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const register = getWorkspaceRegister(req);
+            if (!register) {
+                return res.status(404).json({ success: false, message: 'Obligation register not found' });
+            }
+
+            const format = req.query.format || 'ics';
+            const options = req.query.reminderDays === undefined ? {} : { reminderDays: req.query.reminderDays };
+            const file = renderObligationRegister(register, format, options);
+            audit.record({
+                action: 'obligations.export',
+                actor: identify(req.user),
+                workspaceId: req.workspace.id,
+                resultId: register.resultId,
+                details: { registerId: register.id, format: format }
+            });
+
+            res.set('Content-Type', file.contentType);
+            res.attachment(`obligations-${register.id}.${file.extension}`);
+            res.send(file.body);
+        } catch (error) {
+            logger.error('Error exporting obligations:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error exporting obligations: ' + error.message
+            });
+        }
+    }
+);
+
+// Defined terms and cross-references on their own: the defined-term table, the numbering tree
+// and the inconsistencies found. Needs no policies, model or vector store.
+app.post('/api/consistency', requireRole('reviewer'),
+    [body('documentText').notEmpty().withMessage('Document text is required')],
+    (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const { penalty, ...consistency } = checkConsistency(req.body.documentText);
+            res.json({ success: true, ...consistency });
+        } catch (error) {
+            logger.error('Consistency check error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error checking consistency: ' + error.message
+            });
+        }
+    }
+);
+
+// Negotiation playbooks, stored per workspace next to the policies. A playbook lists clause types with the
+// preferred language, the fallbacks in the order they may be conceded, the walk-away terms and
+// who to escalate to; see lib/playbooks.js for the format.
+app.get('/api/playbooks', requireRole('viewer'), (req, res) => {
+    try {
+        const playbooks = store.listPlaybooks(req.workspace.id);
+        res.json({
+            success: true,
+            playbooks: playbooks.map(({ clauses, ...playbook }) => ({ ...playbook, clauseTypes: clauses.map(clause => clause.clauseType) })),
+            totalCount: playbooks.length
+        });
+    } catch (error) {
+        logger.error('Error fetching playbooks:', error);
+        res.status(500).json({ success: false, message: 'Error fetching playbooks' });
+    }
+});
+
+app.get('/api/playbooks/:id', requireRole('viewer'), (req, res) => {
+    const playbook = store.getPlaybook(req.params.id, req.workspace.id);
+    if (!playbook) {
+        return res.status(404).json({ success: false, message: 'Playbook not found' });
+    }
+    res.json({ success: true, playbook });
+});
+
+app.post('/api/playbooks', requireRole('admin'), (req, res) => {
+    try {
+        const playbook = store.savePlaybook({
+            id: generateId(),
+            createdAt: new Date().toISOString(),
+            workspaceId: req.workspace.id,
+            ...validatePlaybook(req.body)
+        });
+        logger.info(`Created playbook ${playbook.id} (${playbook.name})`);
+        res.status(201).json({ success: true, playbook });
+    } catch (error) {
+        handlePlaybookError(res, error, 'creating');
+    }
+});
+
+app.put('/api/playbooks/:id', requireRole('admin'), (req, res) => {
+    try {
+        const playbook = store.updatePlaybook(req.params.id, req.workspace.id, validatePlaybook(req.body), new Date().toISOString());
+        if (!playbook) {
+            return res.status(404).json({ success: false, message: 'Playbook not found' });
+        }
+        logger.info(`Updated playbook ${playbook.id} to version ${playbook.version}`);
+        res.json({ success: true, playbook });
+    } catch (error) {
+        handlePlaybookError(res, error, 'updating');
+    }
+});
+
+app.delete('/api/playbooks/:id', requireRole('admin'), (req, res) => {
+    try {
+        if (!store.deletePlaybook(req.params.id, req.workspace.id)) {
+            return res.status(404).json({ success: false, message: 'Playbook not found' });
+        }
+        logger.info(`Deleted playbook ${req.params.id}`);
+        res.json({ success: true, message: 'Playbook deleted successfully' });
+    } catch (error) {
+        handlePlaybookError(res, error, 'deleting');
+    }
+});
+
+// Classify the contract's clauses against a playbook without running the policy analysis
+app.post('/api/playbooks/:id/review', requireRole('reviewer'),
+    [body('documentText').notEmpty().withMessage('Document text is required')],
+    (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const playbook = store.getPlaybook(req.params.id, req.workspace.id);
+            if (!playbook) {
+                return res.status(404).json({ success: false, message: 'Playbook not found' });
+            }
+
+            res.json({ success: true, review: reviewContract(req.body.documentText, playbook) });
+        } catch (error) {
+            logger.error('Playbook review error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error reviewing document against playbook: ' + error.message
+            });
+        }
+    }
+);
+
+function handlePlaybookError(res, error, action) {
+    if (error instanceof PlaybookValidationError) {
+        return res.status(400).json({
+            success: false,
+            message: error.message,
+            errors: error.errors
+        });
+    }
+
+    logger.error(`Error ${action} playbook:`, error);
+    res.status(500).json({
+        success: false,
+        message: `Error ${action} playbook: ` + error.message
+    });
+}
+
+// The text exactly as the model would receive it under this workspace's redaction policy
+app.post('/api/redaction/preview', requireRole('reviewer'),
+    [body('text').notEmpty().withMessage('Text is required')],
+    (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    errors: errors.array()
+                });
+            }
+
+            const redaction = redactForModel(req.body.text, req.workspace);
+            res.json({
+                success: true,
+                text: redaction.text,
+                redaction: redaction.describe()
+            });
+        } catch (error) {
+            logger.error('Redaction preview error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error previewing redaction: ' + error.message
+            });
+        }
+    }
+);
+
+// Grammar check endpoint
+app.post('/api/grammar-check', requireRole('reviewer'),
+    [body('text').notEmpty().withMessage('Text is required')],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    errors: errors.array()
+                });
+            }
+
+            const { text, options = {} } = req.body;
+            const grammar = await performAdvancedGrammarCheck(text, req.workspace, options);
+
+            res.json({
+                success: true,
+                checker: grammar.checker,
+                degraded: grammar.degraded,
+                redaction: grammar.redaction,
+                issues: grammar.issues,
+                issueCount: grammar.issues.length
+            });
+        } catch (error) {
+            logger.error('Grammar check error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error checking grammar: ' + error.message
+            });
+        }
+    }
+);
+
+// Rule management endpoints
+app.get('/api/rules', requireRole('viewer'), (req, res) => {
+    try {
+        const rules = req.workspace.ruleEngine.listRules({ scope: req.query.scope, pack: req.query.pack });
+        res.json({
+            success: true,
+            packs: req.workspace.ruleEngine.listPacks(),
+            rules: rules,
+            totalCount: rules.length
+        });
+    } catch (error) {
+        logger.error('Error fetching rules:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching rules'
+        });
+    }
+});
+
+// Reviewers may dry-run stored rules. A draft rule brings its own regular expression, which runs
+// synchronously on the shared event loop, so like creating one it takes an admin.
+app.post('/api/rules/test', requireRole('reviewer'),
+    [body('text').isString().notEmpty().withMessage('Sample text is required')],
+    (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { ruleId, rule, text } = req.body;
+        if (!ruleId && rule && !hasRole(req.user, 'admin')) {
+            return res.status(403).json({ success: false, message: 'Testing a draft rule requires the admin role' });
+        }
+        const candidate = ruleId ? req.workspace.ruleEngine.getRule(ruleId) : rule;
+        if (!candidate) {
+            return res.status(ruleId ? 404 : 400).json({
+                success: false,
+                message: ruleId ? 'Rule not found' : 'Provide a rule or ruleId to test'
+            });
+        }
+
+        res.json({
+            success: true,
+            result: req.workspace.ruleEngine.testRule(candidate, text)
+        });
+    }
+);
+
+app.get('/api/rules/:id', requireRole('viewer'), (req, res) => {
+    const rule = req.workspace.ruleEngine.getRule(req.params.id);
+    if (!rule) {
+        return res.status(404).json({
+            success: false,
+            message: 'Rule not found'
+        });
+    }
+
+    res.json({ success: true, rule: rule });
+});
+
+app.post('/api/rules', requireRole('admin'), (req, res) => {
+    try {
+        const { pack, ...rule } = req.body;
+        const created = req.workspace.ruleEngine.createRule(rule, pack);
+        logger.info(`Created rule ${created.id} in pack ${created.pack} of workspace ${req.workspace.id}`);
+        res.status(201).json({ success: true, rule: created });
+    } catch (error) {
+        handleRuleError(res, error, 'creating');
+    }
+});
+
+app.put('/api/rules/:id', requireRole('admin'), (req, res) => {
+    try {
+        const { pack, ...changes } = req.body;
+        const updated = req.workspace.ruleEngine.updateRule(req.params.id, changes);
+        if (!updated) {
+            return res.status(404).json({
+                success: false,
+                message: 'Rule not found'
+            });
+        }
+
+        logger.info(`Updated rule ${updated.id}`);
+        res.json({ success: true, rule: updated });
+    } catch (error) {
+        handleRuleError(res, error, 'updating');
+    }
+});
+
+app.delete('/api/rules/:id', requireRole('admin'), (req, res) => {
+    try {
+        if (!req.workspace.ruleEngine.deleteRule(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Rule not found'
+            });
+        }
+
+        logger.info(`Deleted rule ${req.params.id}`);
+        res.json({ success: true, message: 'Rule deleted successfully' });
+    } catch (error) {
+        handleRuleError(res, error, 'deleting');
+    }
+});
+
+function handleRuleError(res, error, action) {
+    if (error instanceof RuleValidationError) {
+        return res.status(400).json({
+            success: false,
+            message: error.message,
+            errors: error.errors
+        });
+    }
+
+    logger.error(`Error ${action} rule:`, error);
+    res.status(500).json({
+        success: false,
+        message: `Error ${action} rule: ` + error.message
+    });
+}
+
+// Results endpoints
+app.get('/api/results', requireRole('viewer'), (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        const offset = parseInt(req.query.offset) || 0;
+        const results = store.listAnalysisResults({ limit, offset, workspaceId: req.workspace.id }).map(result => ({
+            id: result.id,
+            analysisDate: result.analysisDate,
+            complianceScore: result.complianceScore,
+            issueCount: result.issues ? result.issues.length : 0,
+            suggestionCount: result.suggestions ? result.suggestions.length : 0,
+            wordCount: result.wordCount,
+            riskLevel: result.riskLevel
+        }));
+
+        res.json({
+            success: true,
+            results: results,
+            totalCount: store.countAnalysisResults(req.workspace.id),
+            limit: limit,
+            offset: offset
+        });
+    } catch (error) {
+        logger.error('Error fetching results:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching results'
+        });
+    }
+});
+
+app.get('/api/results/:id', requireRole('viewer'), (req, res) => {
+    try {
+        const result = getWorkspaceResult(req, req.params.id);
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: 'Analysis result not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            result: result
+        });
+    } catch (error) {
+        logger.error('Error fetching result:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching result'
+        });
+    }
+});
+
+// Review memo for a stored result as html (default), csv, docx or pdf
+app.get('/api/results/:id/export', requireRole('viewer'),
+    requireFeature(exportEnabled, 'Export is disabled (ENABLE_EXPORT=false)'),
+    [query('format').optional().isIn(reportFormats).withMessage(`format must be one of ${reportFormats.join(', ')}`)],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const result = getWorkspaceResult(req, req.params.id);
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Analysis result not found'
+                });
+            }
+
+            const format = req.query.format || 'html';
+            const report = await renderReport(result, format);
+            audit.record({
+                action: 'result.export',
+                actor: identify(req.user),
+                workspaceId: req.workspace.id,
+                policyIds: (result.policiesConsulted || []).map(policy => policy.policyId),
+                resultId: result.id,
+                details: { format: format }
+            });
+
+            res.set('Content-Type', report.contentType);
+            res.attachment(`compliance-report-${result.id}.${report.extension}`);
+            res.send(report.body);
+        } catch (error) {
+            logger.error('Error exporting result:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error exporting result: ' + error.message
+            });
+        }
+    }
+);
+
+// Suggestions are applied inside Word, so the task pane reports what it applied for the audit log:
+// `suggestions` are indexes into the result's suggestions, `applied`/`skipped` count the edits
+app.post('/api/results/:id/applied-suggestions', requireRole('reviewer'),
+    [
+        body('suggestions').isArray({ min: 1 }).withMessage('suggestions must be a non-empty array of indexes'),
+        body('suggestions.*').isInt({ min: 0 }).toInt(),
+        body('applied').optional().isInt({ min: 0 }).toInt(),
+        body('skipped').optional().isInt({ min: 0 }).toInt()
+    ],
+    (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const result = getWorkspaceResult(req, req.params.id);
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Analysis result not found'
+                });
+            }
+
+            const suggestions = result.suggestions || [];
+            const unknown = req.body.suggestions.filter(index => index >= suggestions.length);
+            if (unknown.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unknown suggestion index(es): ${unknown.join(', ')}`
+                });
+            }
+
+            const entry = audit.record({
+                action: 'suggestions.apply',
+                actor: identify(req.user),
+                workspaceId: req.workspace.id,
+                policyIds: req.body.suggestions.flatMap(index => (suggestions[index].citations || []).map(citation => citation.policyId)),
+                resultId: result.id,
+                details: {
+                    suggestions: req.body.suggestions.map(index => ({ index: index, title: suggestions[index].title })),
+                    applied: req.body.applied === undefined ? null : req.body.applied,
+                    skipped: req.body.skipped === undefined ? null : req.body.skipped
+                }
+            });
+
+            res.json({ success: true, auditSeq: entry.seq });
+        } catch (error) {
+            logger.error('Error recording applied suggestions:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error recording applied suggestions: ' + error.message
+            });
+        }
+    }
+);
+
+// Audit log, across workspaces. Filters: user (email), policyId, resultId, action, workspaceId and
+// from/to (ISO 8601; a date alone covers the whole day). Newest entries first.
+app.get('/api/audit', requireRole('admin'),
+    [
+        query('user').optional().isString(),
+        query('policyId').optional().isString(),
+        query('resultId').optional().isString(),
+        query('action').optional().isString(),
+        query('workspaceId').optional().isString(),
+        query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+        query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date')
+    ],
+    (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+            const offset = parseInt(req.query.offset) || 0;
+            const { to } = req.query;
+            const { entries, total } = audit.query({
+                actor: req.query.user,
+                policyId: req.query.policyId,
+                resultId: req.query.resultId,
+                action: req.query.action,
+                workspaceId: req.query.workspaceId,
+                from: req.query.from ? new Date(req.query.from).toISOString() : null,
+                to: to ? (/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : new Date(to).toISOString()) : null,
+                limit: limit,
+                offset: offset
+            });
+
+            res.json({
+                success: true,
+                entries: entries,
+                totalCount: total,
+                limit: limit,
+                offset: offset
+            });
+        } catch (error) {
+            logger.error('Error fetching audit log:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching audit log'
+            });
+        }
+    }
+);
+
+// Recompute the hash chain; `valid: false` names the first entry that was altered or removed
+app.get('/api/audit/verify', requireRole('admin'), (req, res) => {
+    try {
+        res.json({ success: true, verification: audit.verify() });
+    } catch (error) {
+        logger.error('Error verifying audit log:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error verifying audit log: ' + error.message
+        });
+    }
+});
+
+// Routes behind a feature flag answer 404 while the flag is off
+function requireFeature(enabled, message) {
+    return (req, res, next) => {
+        if (!enabled) {
+            return res.status(404).json({
+                success: false,
+                message: message
+            });
+        }
+        next();
+    };
+}
+
+// Health check endpoint
+app.get('/api/health', async (req, res) => {
+    try {
+        const health = {
+            status: 'healthy',
+            timestamp: new Date().toISOString(),
+            version: '2.0.0',
+            environment: process.env.NODE_ENV || 'development',
+            services: {
+                chromadb: vectorSearchAvailable() ? 'connected' : 'disconnected',
+                anthropic: llm && llm.name === 'anthropic' ? 'configured' : 'not_configured',
+                llm: llm ? `${llm.name} (${llm.model})` : 'not_configured',
+                server: 'running'
+            },
+            stats: {
+                policiesLoaded: store.listPolicies({ status: 'active' }).length,
+                workspaces: workspaces.list().length,
+                analysisResultsStored: store.countAnalysisResults(),
+                batchJobs: jobRunner.stats,
+                uptime: process.uptime()
+            },
+            memory: process.memoryUsage()
+        };
+
+        res.json({
+            success: true,
+            health: health
+        });
+    } catch (error) {
+        logger.error('Health check error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Health check failed'
+        });
+    }
+});
+
+// Passage search over the uploaded policies. Uses ChromaDB when it is connected and falls back
+// to BM25 keyword ranking otherwise; `mode` in the response says which one answered.
+app.get('/api/search', requireRole('viewer'),
+    requireFeature(searchEndpointEnabled, 'Search is disabled (ENABLE_SEARCH_ENDPOINT=false)'),
+    [
+        query('q').trim().notEmpty().withMessage('Search query (q) is required'),
+        query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50'),
+        query('uploadedAfter').optional().isISO8601().withMessage('uploadedAfter must be an ISO 8601 date'),
+        query('uploadedBefore').optional().isISO8601().withMessage('uploadedBefore must be an ISO 8601 date')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid input',
+                    errors: errors.array()
+                });
+            }
+
+            const filters = {
+                policyId: req.query.policyId,
+                tag: req.query.tag,
+                uploadedAfter: req.query.uploadedAfter,
+                uploadedBefore: req.query.uploadedBefore
+            };
+            const limit = parseInt(req.query.limit) || 10;
+            const { mode, passages } = await searchPolicyPassages(req.workspace, req.query.q, filters, limit);
+
+            res.json({
+                success: true,
+                query: req.query.q,
+                mode: mode,
+                passages: passages,
+                totalCount: passages.length
+            });
+        } catch (error) {
+            logger.error('Search error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Error searching policies: ' + error.message
+            });
+        }
+    }
+);
+
+// Batch analysis jobs. Documents come either as JSON ({ documents: [{ name, text }], options })
+// or as multipart "documents" files (with an optional JSON "options" field).
+const requireBatchAnalysis = requireFeature(batchAnalysisEnabled, 'Batch analysis is disabled (ENABLE_BATCH_ANALYSIS=false)');
+
+async function collectBatchDocuments(req) {
+    const documents = [];
+    const rejected = [];
+
+    if (req.files && req.files.length > 0) {
+        for (const file of req.files) {
+            try {
+                const { text } = await extractText(file.path, file.originalname);
+                documents.push({ name: file.originalname, text });
+            } catch (extractionError) {
+                rejected.push({ name: file.originalname, error: extractionError.message });
+            } finally {
+                await fs.unlink(file.path).catch(() => {});
+            }
+        }
+        return { documents, rejected };
+    }
+
+    (Array.isArray(req.body.documents) ? req.body.documents : []).forEach((document, index) => {
+        const name = document && typeof document.name === 'string' && document.name.trim()
+            ? document.name.trim()
+            : `Document ${index + 1}`;
+        if (!document || typeof document.text !== 'string' || document.text.trim() === '') {
+            rejected.push({ name, error: 'Document text is required' });
+        } else {
+            documents.push({ name, text: document.text });
+        }
+    });
+    return { documents, rejected };
+}
+
+function parseJobOptions(value) {
+    if (typeof value !== 'string') {
+        return value && typeof value === 'object' ? value : {};
+    }
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+app.post('/api/jobs', requireRole('reviewer'), requireBatchAnalysis, batchUpload.array('documents'), async (req, res) => {
+    try {
+        const options = parseJobOptions(req.body.options);
+        if (options === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'options must be a JSON object'
+            });
+        }
+
+        if (Array.isArray(req.body.documents) && req.body.documents.length > MAX_BATCH_DOCUMENTS) {
+            return res.status(400).json({
+                success: false,
+                message: `A batch job takes at most ${MAX_BATCH_DOCUMENTS} documents`
+            });
+        }
+
+        const { documents, rejected } = await collectBatchDocuments(req);
+
+        if (documents.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No documents to analyze',
+                rejected: rejected
+            });
+        }
+
+        if (req.workspace.policies.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No policies uploaded. Please upload policy documents first.'
+            });
+        }
+
+        if (options.playbookId && !store.getPlaybook(options.playbookId, req.workspace.id)) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown playbook "${options.playbookId}"`
+            });
+        }
+
+        const job = jobRunner.submit(documents, options, { createdBy: identify(req.user), workspaceId: req.workspace.id });
+
+        res.status(202).json({
             success: true,
-            results: results,
-            totalCount: results.length
+            job: job,
+            rejected: rejected
         });
     } catch (error) {
-        logger.error('Error fetching results:', error);
+        logger.error('Batch job submission error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error fetching results'
+            message: 'Error creating batch job: ' + error.message
         });
     }
 });
 
-app.get('/api/results/:id', (req, res) => {
+app.get('/api/jobs', requireRole('viewer'), requireBatchAnalysis, (req, res) => {
     try {
-        const result = analysisResults.find(r => r.id === req.params.id);
-        if (!result) {
-            return res.status(404).json({
-                success: false,
-                message: 'Analysis result not found'
-            });
-        }
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = parseInt(req.query.offset) || 0;
 
         res.json({
             success: true,
-            result: result
+            jobs: store.listJobs({ limit, offset, workspaceId: req.workspace.id }),
+            totalCount: store.countJobs(req.workspace.id),
+            limit: limit,
+            offset: offset
         });
     } catch (error) {
-        logger.error('Error fetching result:', error);
+        logger.error('Error fetching jobs:', error);
         res.status(500).json({
             success: false,
-            message: 'Error fetching result'
+            message: 'Error fetching jobs'
         });
     }
 });
 
-// Health check endpoint
-app.get('/api/health', async (req, res) => {
+app.get('/api/jobs/:id', requireRole('viewer'), requireBatchAnalysis, (req, res) => {
     try {
-        const health = {
-            status: 'healthy',
-            timestamp: new Date().toISOString(),
-            version: '2.0.0',
-            environment: process.env.NODE_ENV || 'development',
-            services: {
-                chromadb: policyCollection ? 'connected' : 'disconnected',
-                anthropic: anthropic ? 'configured' : 'not_configured',
-                server: 'running'
-            },
-            stats: {
-                policiesLoaded: policies.length,
-                analysisResultsStored: analysisResults.length,
-                uptime: process.uptime()
-            },
-            memory: process.memoryUsage()
-        };
+        const job = getWorkspaceJob(req);
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Job not found'
+            });
+        }
 
         res.json({
             success: true,
-            health: health
+            job: job
         });
     } catch (error) {
-        logger.error('Health check error:', error);
+        logger.error('Error fetching job:', error);
         res.status(500).json({
             success: false,
-            message: 'Health check failed'
+            message: 'Error fetching job'
+        });
+    }
+});
+
+// Server-Sent Events for one job: a "job" snapshot first, then a "document" event for every
+// status change and a final "job" event with the summary
+app.get('/api/jobs/:id/events', requireRole('viewer'), requireBatchAnalysis, (req, res) => {
+    const job = getWorkspaceJob(req);
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            message: 'Job not found'
         });
     }
+
+    const events = openEventStream(res);
+    events.send('job', job);
+    if (!jobRunner.isRunning(job.id)) {
+        return events.end();
+    }
+
+    const unsubscribe = jobRunner.subscribe(job.id, (event, data) => {
+        events.send(event, data);
+        if (event === 'job') {
+            unsubscribe();
+            events.end();
+        }
+    });
+    res.on('close', unsubscribe);
 });
 
-// Enhanced analysis functions
-async function performEnhancedAnalysis(documentText, policies, options) {
+// Wrap an analysis in the stored result record returned by the analyze endpoints. The quoted
+// clauses and provenance are kept so reports can be rendered later without the document.
+function recordAnalysisResult(documentText, analysisResult, { workspace, requestedBy = null, options = {} }) {
+    const result = {
+        id: generateId(),
+        analysisDate: new Date().toISOString(),
+        workspaceId: workspace.id,
+        requestedBy: requestedBy,
+        documentLength: documentText.length,
+        wordCount: documentText.split(/\s+/).length,
+        ...analysisResult,
+        issues: withClauses(documentText, analysisResult.issues),
+        suggestions: withClauses(documentText, analysisResult.suggestions),
+        degraded: analysisResult.degraded || null,
+        provenance: describeProvenance(analysisResult, workspace)
+    };
+
+    store.saveAnalysisResult(result, documentText, options);
+    audit.record({
+        action: 'analysis',
+        actor: requestedBy,
+        workspaceId: workspace.id,
+        policyIds: (result.policiesConsulted || []).map(policy => policy.policyId),
+        resultId: result.id,
+        details: {
+            documentHash: hashContent(documentText),
+            complianceScore: result.complianceScore,
+            riskLevel: result.riskLevel,
+            policyVersions: (result.policiesConsulted || []).map(policy => ({ policyId: policy.policyId, version: policy.version })),
+            engine: result.provenance.engine,
+            model: result.provenance.model,
+            rulePacks: result.provenance.rulePacks,
+            reanalysisOf: result.reanalysisOf || null
+        }
+    });
+    logger.info(`Analysis completed for ${result.wordCount} word document`);
+    return result;
+}
+
+// Playbook mode: with `options.playbookId`, the result also carries the playbook review (the tier
+// each clause meets and the fallback to propose). A playbook deleted since the request was
+// validated is skipped with a warning rather than failing the analysis.
+function reviewAgainstPlaybook(documentText, analysisResult, workspace, options, hooks = {}) {
+    if (!options || !options.playbookId) {
+        return;
+    }
+    const playbook = store.getPlaybook(options.playbookId, workspace.id);
+    if (!playbook) {
+        logger.warn(`Playbook ${options.playbookId} not found; skipping playbook review`);
+        return;
+    }
+
+    reportProgress(hooks, 'stage', { stage: 'playbook', status: 'started', playbookId: playbook.id });
+    analysisResult.playbook = reviewContract(documentText, playbook);
+    reportProgress(hooks, 'stage', { stage: 'playbook', status: 'completed', summary: analysisResult.playbook.summary });
+}
+
+// Analysis of a single clause for /api/compare. Rules that check the whole contract for a
+// required section are left out, since a lone clause never contains them all, and so are the
+// consistency checks, since its terms and references are defined elsewhere.
+async function analyzeClause(text, workspace, options) {
+    const documentLevel = new Set(workspace.ruleEngine.listRules({ scope: 'analysis' })
+        .filter(rule => rule.type === 'required')
+        .map(rule => rule.id));
+    const clauseLevel = finding => !documentLevel.has(finding.ruleId) && finding.type !== 'Consistency Issue';
+    const result = await performEnhancedAnalysis(text, workspace, options);
+    return {
+        ...result,
+        issues: (result.issues || []).filter(clauseLevel),
+        suggestions: (result.suggestions || []).filter(clauseLevel)
+    };
+}
+
+function withClauses(documentText, findings) {
+    return (findings || []).map(finding => {
+        if (!finding.locations || finding.locations.length === 0) {
+            return finding;
+        }
+        const clauses = finding.locations.slice(0, 3).map(location => clauseAround(documentText, location));
+        return { ...finding, clauses: [...new Set(clauses)] };
+    });
+}
+
+function describeProvenance(analysisResult, workspace) {
+    const analysis = analysisResult.analysis || {};
+    return {
+        workspace: workspace.id,
+        engine: analysis.ragUsed ? 'rag' : analysis.aiAnalyzed ? 'ai' : 'rules',
+        model: analysis.aiAnalyzed && llm ? `${llm.name}/${llm.model}` : null,
+        degraded: analysisResult.degraded ? analysisResult.degraded.reason : null,
+        rulePacks: workspace.ruleEngine.listPacks().map(pack => `${pack.name}@${pack.version}`),
+        retrievedChunks: (analysisResult.policiesConsulted || [])
+            .reduce((count, policy) => count + (policy.chunkIndexes || []).length, 0)
+    };
+}
+
+// Policies behind an analysis: retrieved chunks grouped per policy, or whole policies
+function describeConsultedPolicies(relevantPolicies, policies) {
+    const byPolicy = new Map();
+    for (const { metadata, distance, score } of relevantPolicies) {
+        const policy = policies.find(candidate => candidate.id === metadata.policy_id);
+        const entry = byPolicy.get(metadata.policy_id) || {
+            policyId: metadata.policy_id,
+            policyName: metadata.policy_name,
+            version: policy ? policy.version : null,
+            chunkIndexes: [],
+            sections: [],
+            bestDistance: distance,
+            bestScore: score
+        };
+        entry.chunkIndexes.push(metadata.chunk_index);
+        entry.bestScore = Math.max(entry.bestScore, score);
+        if (metadata.heading_path && !entry.sections.includes(metadata.heading_path)) {
+            entry.sections.push(metadata.heading_path);
+        }
+        if (distance !== undefined) {
+            entry.bestDistance = entry.bestDistance === undefined ? distance : Math.min(entry.bestDistance, distance);
+        }
+        byPolicy.set(metadata.policy_id, entry);
+    }
+    return [...byPolicy.values()];
+}
+
+// Enhanced analysis functions. The document is checked against the policies, collection and
+// rules of one workspace context. `hooks` is optional: onProgress(event, data) receives stage,
+// finding and reset events, and an aborted signal stops the analysis between stages.
+// When a configured model fails, the rule-based result is returned marked `degraded` so its
+// score is never mistaken for a model score.
+async function performEnhancedAnalysis(documentText, workspace, options, hooks = {}) {
+    let degraded = null;
     try {
         // Try RAG analysis first if available
-        if (policyCollection && anthropic) {
-            return await performRAGAnalysis(documentText, options);
-        } else if (anthropic) {
-            return await performAIAnalysis(documentText, policies, options);
+        if (workspace.collection && llm) {
+            return await performRAGAnalysis(documentText, workspace, options, hooks);
+        } else if (llm) {
+            return await performAIAnalysis(documentText, workspace, options, hooks);
         }
     } catch (error) {
+        if (hooks.signal && hooks.signal.aborted) {
+            throw error;
+        }
         logger.error('Enhanced analysis failed, falling back to basic:', error);
+        degraded = {
+            reason: error instanceof StructuredOutputError ? 'invalid_model_output' : 'model_unavailable',
+            message: 'AI analysis failed; the score and findings come from the rule-based checks only',
+            error: error.message
+        };
+        // Model findings streamed so far are not part of the result
+        reportProgress(hooks, 'reset', { source: 'model' });
+        reportProgress(hooks, 'stage', { stage: 'fallback', status: 'started', reason: degraded.reason, message: error.message });
     }
 
     // Fallback to basic analysis
-    return await performBasicAnalysis(documentText, policies, options);
+    const result = await performBasicAnalysis(documentText, workspace.policies, workspace.ruleEngine, options, hooks);
+    if (degraded) {
+        result.degraded = degraded;
+    }
+    return result;
+}
+
+function reportProgress(hooks, event, data) {
+    if (hooks.signal) {
+        hooks.signal.throwIfAborted();
+    }
+    if (hooks.onProgress) {
+        hooks.onProgress(event, data);
+    }
 }
 
-async function performRAGAnalysis(documentText, options) {
+async function performRAGAnalysis(documentText, workspace, options, hooks = {}) {
     try {
-        // 1. Retrieve relevant policy chunks
-        const relevantPolicies = await retrieveRelevantPolicies(documentText);
+        // 1. Retrieve relevant policy chunks, only ever from this workspace
+        const retrieval = await retrieveRelevantPolicies(documentText, workspace, hooks);
+        const relevantPolicies = retrieval.chunks;
 
-        // 2. Analyze with Claude
-        const claudeAnalysis = await analyzeWithClaude(documentText, relevantPolicies, options);
+        // 2. Analyze with the language model, which only sees the redacted document
+        const redaction = redactForModel(documentText, workspace);
+        const modelAnalysis = await analyzeWithModel(redaction, relevantPolicies, options, hooks);
 
         // 3. Combine with rule-based analysis
-        const basicAnalysis = await performBasicAnalysis(documentText, [], options);
+        const basicAnalysis = await performBasicAnalysis(documentText, [], workspace.ruleEngine, options, hooks);
 
         return {
-            complianceScore: claudeAnalysis.complianceScore,
+            complianceScore: modelAnalysis.complianceScore,
             issues: [
-                ...claudeAnalysis.issues,
+                ...modelAnalysis.issues,
                 ...basicAnalysis.issues
             ],
             suggestions: [
-                ...claudeAnalysis.suggestions,
+                ...modelAnalysis.suggestions,
                 ...basicAnalysis.suggestions
             ].slice(0, 25),
-            riskLevel: claudeAnalysis.riskLevel,
+            riskLevel: modelAnalysis.riskLevel,
             policiesAnalyzed: relevantPolicies.length,
+            policiesConsulted: describeConsultedPolicies(relevantPolicies, workspace.policies),
+            retrieval: { ...retrieval.summary, trace: retrieval.trace },
+            redaction: redaction.describe(),
             analysis: {
                 wordCount: documentText.split(/\s+/).length,
                 characterCount: documentText.length,
@@ -590,52 +2650,235 @@ async function performRAGAnalysis(documentText, options) {
     }
 }
 
-async function retrieveRelevantPolicies(documentText, topK = 10) {
-    try {
-        const docChunks = chunkDocument(documentText, 'current_document');
-        const allResults = [];
+async function searchPolicyPassages(workspace, queryText, filters, limit) {
+    const { policies, collection } = workspace;
+    const candidates = filterPolicies(policies, filters);
+    if (candidates.length === 0) {
+        return { mode: collection ? 'semantic' : 'keyword', passages: [] };
+    }
 
-        for (const chunk of docChunks.slice(0, 3)) {
-            const results = await policyCollection.query({
-                queryTexts: [chunk],
-                nResults: Math.ceil(topK / 3),
+    if (collection) {
+        try {
+            const filtered = candidates.length < policies.length;
+            const results = await collection.query({
+                queryTexts: [redactForModel(queryText, workspace).text],
+                nResults: limit,
+                where: filtered ? { "policy_id": { "$in": candidates.map(policy => policy.id) } } : undefined,
                 include: ['documents', 'metadatas', 'distances']
             });
 
-            if (results.documents && results.documents[0]) {
-                for (let i = 0; i < results.documents[0].length; i++) {
-                    allResults.push({
-                        document: results.documents[0][i],
-                        metadata: results.metadatas[0][i],
-                        distance: results.distances[0][i]
-                    });
-                }
-            }
+            const passages = (results.documents[0] || []).map((text, i) => {
+                const metadata = results.metadatas[0][i];
+                const policy = candidates.find(p => p.id === metadata.policy_id);
+                return formatPassage(policy, metadata.chunk_index, text, {
+                    score: distanceToSimilarity(results.distances[0][i]),
+                    distance: results.distances[0][i],
+                    policyName: metadata.policy_name,
+                    heading: metadata.heading_path
+                });
+            });
+            return { mode: 'semantic', passages };
+        } catch (error) {
+            logger.warn('Semantic search failed, falling back to keyword search:', error.message);
         }
+    }
 
-        return allResults
-            .sort((a, b) => a.distance - b.distance)
-            .slice(0, topK);
+    const allPassages = candidates.flatMap(policy =>
+        getPolicyChunks(policy).map((chunk, chunkIndex) => ({ policy, chunkIndex, text: chunk.text })));
+    const passages = bm25Search(allPassages, queryText, { limit })
+        .map(match => formatPassage(match.policy, match.chunkIndex, match.text, { score: match.score }));
+    return { mode: 'keyword', passages };
+}
 
-    } catch (error) {
-        logger.error('Error retrieving relevant policies:', error);
-        return [];
+function formatPassage(policy, chunkIndex, text, extra) {
+    const chunks = policy ? getPolicyChunks(policy) : [];
+    const chunk = chunks[chunkIndex];
+    return {
+        policyId: policy ? policy.id : null,
+        policyName: policy ? policy.name : extra.policyName,
+        tags: policy ? policy.tags : [],
+        chunkIndex: chunkIndex,
+        totalChunks: chunks.length,
+        heading: chunk ? chunk.heading : extra.heading || '',
+        text: text,
+        score: extra.score,
+        ...(extra.distance !== undefined ? { distance: extra.distance } : {}),
+        context: surroundingContext(chunks.map(entry => entry.text), chunkIndex)
+    };
+}
+
+// Chunks of a policy exactly as they are indexed ({ text, heading, headingPath, ... }), cached
+// per content hash
+const policyChunkCache = new Map();
+
+function getPolicyChunks(policy) {
+    const cached = policyChunkCache.get(policy.id);
+    if (cached && cached.contentHash === policy.contentHash) {
+        return cached.chunks;
+    }
+
+    const chunks = chunkDocument(policy.content, ragConfig.chunking);
+    policyChunkCache.set(policy.id, { contentHash: policy.contentHash, chunks });
+    return chunks;
+}
+
+// Hybrid retrieval: every clause of the document is matched against the policy chunks by vector
+// similarity and by BM25, the two are merged per chunk and weak hits are dropped. Returns the
+// chunks packed for the prompt plus a trace of which clause matched which chunk.
+async function retrieveRelevantPolicies(documentText, workspace, hooks = {}) {
+    const { topK, similarityThreshold, maxContextLength, vectorWeight } = ragConfig.retrieval;
+
+    reportProgress(hooks, 'stage', { stage: 'chunking', status: 'started' });
+    const clauses = chunkDocument(documentText, ragConfig.chunking);
+    reportProgress(hooks, 'stage', { stage: 'chunking', status: 'completed', documentChunks: clauses.length });
+    reportProgress(hooks, 'stage', { stage: 'retrieval', status: 'started' });
+
+    const policyPassages = workspace.policies.flatMap(policy => getPolicyChunks(policy).map((chunk, chunkIndex) => ({
+        id: `${policy.id}_chunk_${chunkIndex}`,
+        text: chunk.text,
+        policyId: policy.id,
+        policyName: policy.name,
+        chunkIndex: chunkIndex,
+        heading: chunk.heading
+    })));
+
+    // Vector queries are embedded by the model provider, so they get the redacted clause; keyword
+    // search runs locally on the original
+    const redaction = redactForModel(documentText, workspace);
+
+    const queries = clauses.map(clause => {
+        const span = redaction.redactedSpan(clause.start, clause.end - clause.start);
+        return redaction.text.substr(span.start, span.length);
+    });
+    const keywordHits = clauses.map(clause => bm25Search(policyPassages, clause.text, { limit: topK })
+        .map(passage => ({ ...passage, keywordScore: passage.score })));
+    const vectorHits = clauses.map(() => []);
+
+    // Clauses are searched a batch at a time. A batch whose vector search fails keeps its keyword
+    // matches and is counted in the summary; the other batches are unaffected.
+    const unsearched = [];
+    for (let from = 0; from < clauses.length; from += VECTOR_QUERY_BATCH) {
+        if (hooks.signal) {
+            hooks.signal.throwIfAborted();
+        }
+
+        const indexes = clauses.slice(from, from + VECTOR_QUERY_BATCH).map((clause, i) => from + i);
+        try {
+            const found = await queryPolicyVectors(workspace.collection, indexes.map(index => queries[index]), topK);
+            const batchHits = indexes.map((index, i) => found[i]);
+
+            // Keyword matches the vector query did not return still need a vector score
+            const missing = indexes.map((index, i) => keywordHits[index]
+                .filter(hit => !batchHits[i].some(vectorHit => vectorHit.id === hit.id))
+                .map(hit => hit.id));
+            const missingIds = [...new Set(missing.flat())];
+            const pending = indexes.map((index, i) => i).filter(i => missing[i].length > 0);
+            if (pending.length > 0) {
+                const scored = await queryPolicyVectors(workspace.collection, pending.map(i => queries[indexes[i]]), missingIds.length,
+                    { "chunk_id": { "$in": missingIds } });
+                pending.forEach((i, n) => batchHits[i].push(...scored[n].filter(hit => missing[i].includes(hit.id))));
+            }
+
+            indexes.forEach((index, i) => { vectorHits[index] = batchHits[i]; });
+        } catch (error) {
+            if (hooks.signal && hooks.signal.aborted) {
+                throw error;
+            }
+            logger.warn(`Vector search failed for clauses ${from + 1}-${from + indexes.length}; using keyword matches only:`, error.message);
+            unsearched.push(...indexes);
+        }
     }
+
+    const clauseHits = clauses.map((clause, clauseIndex) => ({
+        clauseIndex: clauseIndex,
+        heading: clause.heading,
+        start: clause.start,
+        hits: mergeClauseHits(vectorHits[clauseIndex], keywordHits[clauseIndex], { vectorWeight, threshold: similarityThreshold })
+    }));
+
+    const { selected, trace, usedTokens } = packContext(clauseHits, { budgetTokens: maxContextLength });
+    const chunks = selected.map(hit => ({
+        id: hit.id,
+        document: hit.text,
+        metadata: hit.metadata || {
+            policy_id: hit.policyId,
+            policy_name: hit.policyName,
+            chunk_index: hit.chunkIndex,
+            heading_path: hit.heading
+        },
+        distance: hit.distance,
+        score: hit.score
+    }));
+
+    reportProgress(hooks, 'stage', {
+        stage: 'retrieval',
+        status: 'completed',
+        policyChunksFound: chunks.length,
+        clausesWithoutVectorSearch: unsearched.length
+    });
+    return {
+        chunks: chunks,
+        trace: trace,
+        summary: {
+            clausesSearched: clauses.length,
+            clausesMatched: clauseHits.filter(clause => clause.hits.length > 0).length,
+            // Clauses whose vector search failed, matched by keywords alone
+            clausesWithoutVectorSearch: unsearched.length,
+            matches: trace.length,
+            chunksIncluded: chunks.length,
+            contextTokens: usedTokens,
+            budgetTokens: maxContextLength,
+            similarityThreshold: similarityThreshold
+        }
+    };
+}
+
+// One list of hits per query text, from a single round trip
+async function queryPolicyVectors(collection, texts, nResults, where) {
+    const results = await collection.query({
+        queryTexts: texts,
+        nResults: nResults,
+        where: where,
+        include: ['documents', 'metadatas', 'distances']
+    });
+
+    return texts.map((text, query) => (results.documents[query] || []).map((document, i) => {
+        const metadata = results.metadatas[query][i];
+        return {
+            id: `${metadata.policy_id}_chunk_${metadata.chunk_index}`,
+            text: document,
+            policyId: metadata.policy_id,
+            policyName: metadata.policy_name,
+            chunkIndex: metadata.chunk_index,
+            heading: metadata.heading_path,
+            metadata: metadata,
+            distance: results.distances[query][i],
+            vectorScore: distanceToSimilarity(results.distances[query][i])
+        };
+    }));
 }
 
-async function analyzeWithClaude(documentText, relevantPolicies, options) {
+async function analyzeWithModel(redaction, relevantPolicies, options, hooks = {}) {
     try {
-        const policyContext = relevantPolicies
-            .map(p => `Policy: ${p.metadata.policy_name}\nSection: ${p.document}`)
+        const sources = relevantPolicies.map(p => ({
+            chunkId: p.id,
+            policyId: p.metadata.policy_id,
+            policyName: p.metadata.policy_name,
+            heading: p.metadata.heading_path,
+            chunkIndex: p.metadata.chunk_index,
+            text: p.document
+        }));
+        const policyContext = sources
+            .map(source => `[chunk_id: ${source.chunkId} | policy_id: ${source.policyId} | policy_name: ${source.policyName}]\nSection: ${source.heading || 'Untitled'}\n${source.text}`)
             .join('\n\n');
 
         const prompt = `You are a legal compliance expert. Analyze this contract for policy compliance and provide improvement suggestions.
 
-POLICY CONTEXT:
+POLICY CONTEXT (each section is labelled with its chunk_id, policy_id and policy_name):
 ${policyContext}
 
 DOCUMENT TO ANALYZE:
-${documentText}
+${redaction.text}
 
 Provide analysis in JSON format:
 {
@@ -646,7 +2889,10 @@ Provide analysis in JSON format:
       "type": "<string>",
       "severity": "<low/medium/high>",
       "title": "<string>",
-      "description": "<string>"
+      "description": "<string>",
+      "quote": "<exact text copied verbatim from the document, or empty if the issue is about something missing>",
+      "start": <character offset of the quote in the document, or -1>,
+      "citations": [{ "chunkId": "<chunk_id of a POLICY CONTEXT section this finding rests on>", "policyId": "<its policy_id>", "policyName": "<its policy_name>" }]
     }
   ],
   "suggestions": [
@@ -654,43 +2900,31 @@ Provide analysis in JSON format:
       "type": "<string>",
       "priority": "<low/medium/high>",
       "title": "<string>",
-      "description": "<string>"
+      "description": "<string>",
+      "quote": "<exact document text the suggestion applies to, or empty>",
+      "start": <character offset of the quote in the document, or -1>,
+      "replacement": "<text that should replace the quote verbatim, or null if this is not a direct text edit>",
+      "citations": [{ "chunkId": "<chunk_id>", "policyId": "<policy_id>", "policyName": "<policy_name>" }]
     }
   ]
-}`;
+}
 
-        const response = await anthropic.messages.create({
-            model: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20241022',
-            max_tokens: parseInt(process.env.ANTHROPIC_MAX_TOKENS) || 4000,
-            temperature: parseFloat(process.env.ANTHROPIC_TEMPERATURE) || 0.1,
-            messages: [{ role: 'user', content: prompt }]
-        });
+Cite only sections from POLICY CONTEXT, using their labels exactly. Leave "citations" empty when a finding does not rest on a policy section.`;
 
-        return JSON.parse(response.content[0].text);
+        return await requestModelAnalysis(prompt, redaction, hooks, sources);
 
     } catch (error) {
-        logger.error('Claude API error:', error);
-        return {
-            complianceScore: 60,
-            riskLevel: 'Medium',
-            issues: [{
-                type: 'Analysis Error',
-                severity: 'medium',
-                title: 'AI analysis unavailable',
-                description: 'Using basic analysis only'
-            }],
-            suggestions: [{
-                type: 'General',
-                priority: 'medium',
-                title: 'Manual review recommended',
-                description: 'Please have document reviewed by legal counsel'
-            }]
-        };
+        if (!(hooks.signal && hooks.signal.aborted)) {
+            logger.error('Model analysis error:', error);
+        }
+        throw error;
     }
 }
 
-async function performAIAnalysis(documentText, policies, options) {
+async function performAIAnalysis(documentText, workspace, options, hooks = {}) {
     try {
+        const policies = workspace.policies;
+        const redaction = redactForModel(documentText, workspace);
         const policyContext = policies.map(p => `Policy: ${p.name}\nKeywords: ${p.keywords.join(', ')}`).join('\n');
 
         const prompt = `You are a legal compliance expert. Analyze this contract and provide improvement suggestions.
@@ -699,7 +2933,7 @@ AVAILABLE POLICIES:
 ${policyContext}
 
 DOCUMENT TO ANALYZE:
-${documentText}
+${redaction.text}
 
 Provide analysis in JSON format:
 {
@@ -710,7 +2944,9 @@ Provide analysis in JSON format:
       "type": "<string>",
       "severity": "<low/medium/high>",
       "title": "<string>",
-      "description": "<string>"
+      "description": "<string>",
+      "quote": "<exact text copied verbatim from the document, or empty if the issue is about something missing>",
+      "start": <character offset of the quote in the document, or -1>
     }
   ],
   "suggestions": [
@@ -718,19 +2954,18 @@ Provide analysis in JSON format:
       "type": "<string>",
       "priority": "<low/medium/high>",
       "title": "<string>",
-      "description": "<string>"
+      "description": "<string>",
+      "quote": "<exact document text the suggestion applies to, or empty>",
+      "start": <character offset of the quote in the document, or -1>,
+      "replacement": "<text that should replace the quote verbatim, or null if this is not a direct text edit>"
     }
   ]
 }`;
 
-        const response = await anthropic.messages.create({
-            model: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20241022',
-            max_tokens: parseInt(process.env.ANTHROPIC_MAX_TOKENS) || 4000,
-            temperature: parseFloat(process.env.ANTHROPIC_TEMPERATURE) || 0.1,
-            messages: [{ role: 'user', content: prompt }]
-        });
-
-        const result = JSON.parse(response.content[0].text);
+        const result = await requestModelAnalysis(prompt, redaction, hooks);
+        result.redaction = redaction.describe();
+        result.policiesAnalyzed = policies.length;
+        result.policiesConsulted = policies.map(policy => ({ policyId: policy.id, policyName: policy.name, version: policy.version }));
         result.analysis = {
             aiAnalyzed: true,
             ragUsed: false
@@ -744,12 +2979,77 @@ Provide analysis in JSON format:
     }
 }
 
-async function performAdvancedGrammarCheck(text) {
+// Send an analysis prompt to the model. When progress is being reported the response is streamed
+// and every issue/suggestion is emitted as soon as its JSON object is complete. A response that
+// needs repairing was streamed unvalidated, so a `reset` withdraws its findings and the repaired
+// ones are emitted once they have been validated. `sources` are
+// the policy chunks in the prompt; findings may only cite those. The prompt quotes the redacted
+// document, so findings get their original values back before they are located.
+async function requestModelAnalysis(prompt, redaction, hooks = {}, sources = []) {
+    const documentText = redaction.original;
+    reportProgress(hooks, 'stage', { stage: 'model', status: 'started' });
+    const citationIndex = createCitationIndex(sources);
+
+    let onText;
+    if (hooks.onProgress) {
+        const extractor = createFindingExtractor();
+        onText = (delta) => {
+            for (const { kind, finding } of extractor.push(delta)) {
+                hooks.onProgress('finding', {
+                    kind,
+                    source: 'model',
+                    finding: verifyCitations(attachModelLocations(documentText, redaction.restoreFindings([finding])), citationIndex)[0]
+                });
+            }
+        };
+    }
+
+    const { value: result, attempts } = await requestStructured(llm, prompt, analysisSchema, {
+        task: 'analysis',
+        document: redaction.text,
+        signal: hooks.signal,
+        onText: onText,
+        maxRepairs: MAX_REPAIR_ATTEMPTS,
+        onRepair: (errors, attempt) => {
+            logger.warn(`Model analysis failed validation (attempt ${attempt}): ${errors.join('; ')}`);
+            if (attempt === 1) {
+                reportProgress(hooks, 'reset', { source: 'model' });
+            }
+            reportProgress(hooks, 'stage', { stage: 'model', status: 'repairing', errors });
+        }
+    });
+    result.repairAttempts = attempts - 1;
+    result.issues = verifyCitations(attachModelLocations(documentText, redaction.restoreFindings(result.issues)), citationIndex);
+    result.suggestions = verifyCitations(attachModelLocations(documentText, redaction.restoreFindings(result.suggestions)), citationIndex);
+    if (attempts > 1 && hooks.onProgress) {
+        // Repair attempts are not streamed
+        result.issues.forEach(finding => hooks.onProgress('finding', { kind: 'issues', source: 'model', finding }));
+        result.suggestions.forEach(finding => hooks.onProgress('finding', { kind: 'suggestions', source: 'model', finding }));
+    }
+    const rejected = [...result.issues, ...result.suggestions]
+        .reduce((count, finding) => count + (finding.rejectedCitations || []).length, 0);
+    if (rejected > 0) {
+        logger.warn(`Rejected ${rejected} model citation(s) that did not match a retrieved policy section`);
+    }
+
+    reportProgress(hooks, 'stage', {
+        stage: 'model',
+        status: 'completed',
+        issueCount: result.issues.length,
+        suggestionCount: result.suggestions.length
+    });
+    return result;
+}
+
+async function performAdvancedGrammarCheck(text, workspace, options = {}) {
+    const ruleEngine = workspace.ruleEngine;
     try {
-        if (!anthropic) {
-            return checkGrammarBasic(text);
+        if (!llm) {
+            return { checker: 'rules', issues: checkGrammarBasic(text, ruleEngine, options), degraded: null, redaction: null };
         }
 
+        const redaction = redactForModel(text, workspace);
+
         const prompt = `Analyze this text for grammar, spelling, and style issues. Return JSON:
 {
   "issues": [
@@ -764,94 +3064,56 @@ async function performAdvancedGrammarCheck(text) {
   ]
 }
 
-TEXT: ${text}`;
+TEXT: ${redaction.text}`;
 
-        const response = await anthropic.messages.create({
-            model: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20241022',
-            max_tokens: 3000,
+        const { value } = await requestStructured(llm, prompt, grammarSchema, {
+            task: 'grammar',
+            document: redaction.text,
+            maxTokens: 3000,
             temperature: 0.1,
-            messages: [{ role: 'user', content: prompt }]
+            maxRepairs: MAX_REPAIR_ATTEMPTS
         });
-
-        const result = JSON.parse(response.content[0].text);
-        return result.issues || [];
+        const issues = value.issues
+            .filter(issue => issue.position < redaction.text.length)
+            .map(issue => {
+                const span = redaction.originalSpan(issue.position, issue.length);
+                return { ...redaction.restore(issue), position: span.start, length: span.length };
+            });
+        return { checker: 'ai', issues: issues, degraded: null, redaction: redaction.describe() };
 
     } catch (error) {
         logger.error('Advanced grammar check error:', error);
-        return checkGrammarBasic(text);
+        return {
+            checker: 'rules',
+            issues: checkGrammarBasic(text, ruleEngine, options),
+            degraded: {
+                reason: error instanceof StructuredOutputError ? 'invalid_model_output' : 'model_unavailable',
+                message: 'AI grammar check failed; only the rule-based checks ran',
+                error: error.message
+            },
+            redaction: null
+        };
     }
 }
 
-async function performBasicAnalysis(documentText, policies, options) {
+async function performBasicAnalysis(documentText, policies, ruleEngine, options, hooks = {}) {
     const issues = [];
     const suggestions = [];
     let complianceScore = 100;
 
-    // Language analysis
-    const languageRules = [
-        {
-            pattern: /\bshall\b/gi,
-            issue: "Use of 'shall' - ambiguous legal term",
-            suggestion: "Replace 'shall' with 'will', 'must', or 'agrees to' for clarity",
-            severity: 'low',
-            penalty: 2
-        },
-        {
-            pattern: /\bhereby\b/gi,
-            issue: "Unnecessary use of 'hereby'",
-            suggestion: "Remove 'hereby' for cleaner, modern language",
-            severity: 'low',
-            penalty: 1
-        },
-        {
-            pattern: /[.]{2,}/g,
-            issue: "Multiple consecutive periods",
-            suggestion: "Use single periods for proper punctuation",
-            severity: 'medium',
-            penalty: 2
-        }
-    ];
-
-    for (const rule of languageRules) {
-        const matches = documentText.match(rule.pattern);
-        if (matches && matches.length > 0) {
-            issues.push({
-                type: 'Language Issue',
-                severity: rule.severity,
-                title: rule.issue,
-                description: `Found ${matches.length} instance(s)`
-            });
-
-            suggestions.push({
-                type: 'Language Improvement',
-                priority: rule.severity === 'high' ? 'high' : 'medium',
-                title: rule.suggestion,
-                description: `Apply to ${matches.length} instance(s)`
-            });
-
-            complianceScore -= Math.min(matches.length * rule.penalty, 20);
-        }
-    }
+    reportProgress(hooks, 'stage', { stage: 'rules', status: 'started' });
 
-    // Structure analysis
-    const essentialSections = [
-        { name: 'Parties', patterns: [/parties/i, /party/i], required: true },
-        { name: 'Term/Duration', patterns: [/term/i, /duration/i, /expir/i], required: true },
-        { name: 'Termination', patterns: [/terminat/i, /end/i, /cancel/i], required: true }
-    ];
+    // Configurable language and structure rules
+    const ruleResult = ruleEngine.analyze(documentText, options);
+    issues.push(...ruleResult.issues);
+    suggestions.push(...ruleResult.suggestions);
+    complianceScore -= ruleResult.penalty;
 
-    for (const section of essentialSections) {
-        const hasSection = section.patterns.some(pattern => pattern.test(documentText));
-        if (!hasSection && section.required) {
-            issues.push({
-                type: 'Structure Issue',
-                severity: 'high',
-                title: `Missing ${section.name} section`,
-                description: `Contract should include ${section.name.toLowerCase()} information`
-            });
-            complianceScore -= 10;
-        }
-    }
+    // Defined terms and cross-references
+    const consistency = checkConsistency(documentText);
+    issues.push(...consistency.issues);
+    suggestions.push(...consistency.suggestions);
+    complianceScore -= consistency.penalty;
 
     // Policy compliance (basic keyword matching)
     for (const policy of policies) {
@@ -871,26 +3133,41 @@ async function performBasicAnalysis(documentText, policies, options) {
                 type: 'Policy Compliance',
                 severity: 'high',
                 title: `Missing key terms from ${policy.name}`,
-                description: `Document may not comply with policy requirements`
+                description: `Document may not comply with policy requirements`,
+                locations: []
             });
 
             suggestions.push({
                 type: 'Policy Alignment',
                 priority: 'high',
                 title: `Add required terms from ${policy.name}`,
-                description: `Consider including: ${missingKeywords.slice(0, 3).join(', ')}`
+                description: `Consider including: ${missingKeywords.slice(0, 3).join(', ')}`,
+                locations: [],
+                edits: []
             });
 
             complianceScore -= Math.min(missingKeywords.length * 3, 15);
         }
     }
 
+    if (hooks.onProgress) {
+        issues.forEach(finding => hooks.onProgress('finding', { kind: 'issues', source: 'rules', finding }));
+        suggestions.slice(0, 20).forEach(finding => hooks.onProgress('finding', { kind: 'suggestions', source: 'rules', finding }));
+    }
+    reportProgress(hooks, 'stage', {
+        stage: 'rules',
+        status: 'completed',
+        issueCount: issues.length,
+        suggestionCount: Math.min(suggestions.length, 20)
+    });
+
     return {
         complianceScore: Math.max(Math.round(complianceScore), 0),
         issues: issues,
         suggestions: suggestions.slice(0, 20),
         riskLevel: complianceScore >= 80 ? 'Low' : complianceScore >= 60 ? 'Medium' : 'High',
         policiesAnalyzed: policies.length,
+        policiesConsulted: policies.map(policy => ({ policyId: policy.id, policyName: policy.name, version: policy.version })),
         analysis: {
             wordCount: documentText.split(/\s+/).length,
             characterCount: documentText.length,
@@ -902,72 +3179,188 @@ async function performBasicAnalysis(documentText, policies, options) {
     };
 }
 
-function checkGrammarBasic(text) {
-    const grammarIssues = [];
+// Rule-based terms, merged with the model's reading when a model is configured. A failing model
+// leaves the rule-based terms, marked `degraded` like analyses are.
+async function extractKeyTerms(documentText, workspace, options = {}) {
+    const ruleTerms = extractTermsWithRules(documentText);
+    if (!llm || options.useModel === false) {
+        return { extractor: 'rules', terms: mergeTerms(ruleTerms), degraded: null, rejected: [], redaction: null };
+    }
+
+    // The model reads the redacted contract; its values and quotes are restored before parsing
+    const redaction = redactForModel(documentText, workspace);
+
+    const fields = TERM_FIELDS.map(field => `- ${field.name} (${field.label}, ${field.type})`).join('\n');
+    const prompt = `Extract the key commercial terms of this contract. Fields:
+${fields}
+
+Return JSON:
+{
+  "terms": [
+    { "field": "<field name>", "value": "<the value as plain text, e.g. 30 days, 2024-03-01, England and Wales, Acme Inc.; Beta Ltd.>", "quote": "<exact text from the contract it comes from>", "confidence": <0-1> }
+  ]
+}
+Leave out fields the contract does not state.
+
+CONTRACT:
+${redaction.text}`;
 
-    const grammarRules = [
-        {
-            pattern: /\s{2,}/g,
-            issue: 'Multiple consecutive spaces',
-            suggestion: 'Use single spaces between words',
-            category: 'formatting',
-            severity: 'low'
-        },
-        {
-            pattern: /([a-z])([A-Z])/g,
-            issue: 'Missing space between words',
-            suggestion: 'Add space between words',
-            category: 'formatting',
-            severity: 'medium'
-        },
-        {
-            pattern: /\s+([,.;:!?])/g,
-            issue: 'Space before punctuation',
-            suggestion: 'Remove space before punctuation marks',
-            category: 'punctuation',
-            severity: 'low'
-        },
-        {
-            pattern: /([.!?])([a-zA-Z])/g,
-            issue: 'Missing space after sentence-ending punctuation',
-            suggestion: 'Add space after sentence-ending punctuation',
-            category: 'punctuation',
-            severity: 'medium'
+    try {
+        const { value } = await requestStructured(llm, prompt, termsSchema, {
+            task: 'terms',
+            document: redaction.text,
+            maxTokens: 2000,
+            temperature: 0,
+            maxRepairs: MAX_REPAIR_ATTEMPTS
+        });
+        const { found, rejected } = readModelTerms(documentText, value.terms.map(term => ({
+            ...redaction.restore(term),
+            quote: redaction.restoreQuote(term.quote).quote
+        })));
+        if (rejected.length > 0) {
+            logger.warn(`Dropped ${rejected.length} model term value(s) that could not be parsed`);
         }
-    ];
+        return { extractor: 'rules+model', terms: mergeTerms(ruleTerms, found), degraded: null, rejected, redaction: redaction.describe() };
+    } catch (error) {
+        logger.error('Model term extraction error:', error);
+        return {
+            extractor: 'rules',
+            terms: mergeTerms(ruleTerms),
+            degraded: {
+                reason: error instanceof StructuredOutputError ? 'invalid_model_output' : 'model_unavailable',
+                message: 'AI term extraction failed; only the rule-based extractors ran',
+                error: error.message
+            },
+            rejected: [],
+            redaction: null
+        };
+    }
+}
 
-    grammarRules.forEach((rule, ruleIndex) => {
-        const matches = [...text.matchAll(rule.pattern)];
-        matches.forEach((match, matchIndex) => {
-            grammarIssues.push({
-                id: `basic_${ruleIndex}_${matchIndex}_${match.index}`,
-                position: match.index,
-                length: match[0].length,
-                issue: rule.issue,
-                suggestion: rule.suggestion,
-                text: match[0],
-                severity: rule.severity,
-                category: rule.category
-            });
+// The document as the model may see it, under the workspace's redaction policy
+function redactForModel(text, workspace) {
+    return redactText(text, workspace.workspace.redaction || defaultRedactionPolicy);
+}
+
+function checkGrammarBasic(text, ruleEngine, options = {}) {
+    return ruleEngine.checkGrammar(text, options).slice(0, 50);
+}
+
+// ChromaDB helper functions. A policy is only ever indexed in its own workspace's collection.
+async function indexPolicy(workspace, policy) {
+    await workspace.collection.delete({ where: { "policy_id": policy.id } });
+    const chunks = getPolicyChunks(policy);
+    if (await addPolicyToChromaDB(workspace.collection, policy, chunks)) {
+        store.markPolicyIndexed(policy.id, indexSignature(policy));
+        policy.indexedHash = indexSignature(policy);
+    }
+}
+
+async function deindexPolicy(workspace, policy) {
+    policyChunkCache.delete(policy.id);
+    if (!workspace.collection) {
+        return;
+    }
+    try {
+        await workspace.collection.delete({ where: { "policy_id": policy.id } });
+        store.markPolicyIndexed(policy.id, null);
+    } catch (error) {
+        logger.warn(`Could not remove policy ${policy.name} from the vector index:`, error.message);
+    }
+}
+
+// Make a version the active one in its family: the previously active version is superseded and
+// leaves the vector index, and this one is indexed
+async function activatePolicyVersion(workspace, policy) {
+    for (const version of store.listPolicyVersions(policy.familyId)) {
+        if (version.id !== policy.id && version.status === 'active') {
+            await deindexPolicy(workspace, version);
+            store.updatePolicyStatus(version.id, 'superseded');
+        }
+    }
+
+    let activated = store.updatePolicyStatus(policy.id, 'active');
+    if (workspace.collection) {
+        try {
+            await indexPolicy(workspace, activated);
+            activated = store.getPolicy(policy.id);
+        } catch (error) {
+            logger.warn('Could not add to ChromaDB:', error.message);
+        }
+    }
+
+    workspace.refresh();
+    return activated;
+}
+
+// Promote scheduled versions whose effective date has passed (run at startup and periodically)
+async function activateScheduledPolicies() {
+    const now = new Date().toISOString();
+    const due = store.listPolicies({ status: 'scheduled' })
+        .filter(policy => policy.effectiveDate <= now)
+        .sort((a, b) => a.version - b.version);
+
+    for (const policy of due) {
+        const workspace = await workspaces.open(policy.workspaceId);
+        if (workspace.workspace.status === 'archived') continue;
+        const activated = await activatePolicyVersion(workspace, policy);
+        audit.record({
+            action: 'policy.activate',
+            actor: null,
+            workspaceId: workspace.id,
+            policyIds: [activated.id],
+            details: {
+                name: activated.name,
+                familyId: activated.familyId,
+                version: activated.version,
+                status: activated.status,
+                effectiveDate: activated.effectiveDate,
+                contentHash: activated.contentHash
+            }
         });
-    });
+        logger.info(`Policy ${policy.name} v${policy.version} took effect in workspace ${workspace.id}`);
+    }
+    return due.length;
+}
+
+// What the stored vectors were built from: the content and the chunker that split it
+function indexSignature(policy) {
+    return `${policy.contentHash}:chunker-${CHUNKER_VERSION}`;
+}
+
+// A policy is indexed when its current content hash was embedded and the vectors are still present
+async function isPolicyIndexed(workspace, policy) {
+    if (policy.indexedHash !== indexSignature(policy)) {
+        return false;
+    }
 
-    return grammarIssues.slice(0, 50);
+    try {
+        const existing = await workspace.collection.get({
+            where: { "policy_id": policy.id },
+            limit: 1
+        });
+        return existing.ids.length > 0;
+    } catch (error) {
+        logger.warn(`Could not check vectors for policy ${policy.name}:`, error.message);
+        return false;
+    }
 }
 
-// ChromaDB helper functions
-async function addPolicyToChromaDB(policy, chunks) {
+async function addPolicyToChromaDB(collection, policy, chunks) {
     try {
         const documents = [];
         const metadatas = [];
         const ids = [];
 
         chunks.forEach((chunk, index) => {
-            documents.push(chunk);
+            documents.push(chunk.text);
             metadatas.push({
                 policy_id: policy.id,
                 policy_name: policy.name,
                 chunk_index: index,
+                heading_path: chunk.heading,
+                section_kind: chunk.kind,
+                char_start: chunk.start,
                 chunk_id: `${policy.id}_chunk_${index}`,
                 upload_date: policy.uploadDate,
                 total_chunks: chunks.length
@@ -975,52 +3368,20 @@ async function addPolicyToChromaDB(policy, chunks) {
             ids.push(`${policy.id}_chunk_${index}`);
         });
 
-        await policyCollection.add({
+        await collection.upsert({
             documents: documents,
             metadatas: metadatas,
             ids: ids
         });
 
         logger.info(`Added policy "${policy.name}" to ChromaDB (${chunks.length} chunks)`);
+        return true;
     } catch (error) {
         logger.error('Error adding policy to ChromaDB:', error);
+        return false;
     }
 }
 
-function chunkDocument(content, docName, chunkSize = null, overlap = null) {
-    const maxSize = chunkSize || parseInt(process.env.MAX_CHUNK_SIZE) || 1000;
-    const overlapSize = overlap || parseInt(process.env.CHUNK_OVERLAP) || 200;
-
-    const chunks = [];
-    const sentences = content.split(/[.!?]+/).filter(s => s.trim().length > 0);
-
-    let currentChunk = '';
-    let currentSize = 0;
-
-    for (const sentence of sentences) {
-        const sentenceWithPeriod = sentence.trim() + '.';
-
-        if (currentSize + sentenceWithPeriod.length > maxSize && currentChunk.length > 0) {
-            chunks.push(currentChunk.trim());
-
-            // Add overlap
-            const words = currentChunk.split(/\s+/);
-            const overlapWords = words.slice(-Math.floor(overlapSize / 10));
-            currentChunk = overlapWords.join(' ') + ' ' + sentenceWithPeriod;
-            currentSize = currentChunk.length;
-        } else {
-            currentChunk += ' ' + sentenceWithPeriod;
-            currentSize = currentChunk.length;
-        }
-    }
-
-    if (currentChunk.trim().length > 0) {
-        chunks.push(currentChunk.trim());
-    }
-
-    return chunks.filter(chunk => chunk.length > 50);
-}
-
 // Utility functions
 function generateId() {
     return Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
@@ -1101,11 +3462,13 @@ const createDirectories = async () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
     logger.info('SIGTERM received, shutting down gracefully');
+    store.close();
     process.exit(0);
 });
 
 process.on('SIGINT', () => {
     logger.info('SIGINT received, shutting down gracefully');
+    store.close();
     process.exit(0);
 });
 
@@ -1115,8 +3478,8 @@ const startServer = async () => {
         logger.info('Starting Smart Contract Editor Server...');
 
         // Check environment
-        if (!process.env.ANTHROPIC_API_KEY) {
-            logger.warn('ANTHROPIC_API_KEY not set - AI analysis will be limited');
+        if (!llm) {
+            logger.warn('No AI provider configured (set ANTHROPIC_API_KEY or MOCK_AI=true) - AI analysis will be limited');
         }
 
         // Create directories
@@ -1131,13 +3494,31 @@ const startServer = async () => {
             logger.warn('ChromaDB not available - using basic analysis mode');
         }
 
+        // Sync stored policies with the upload directory (and the vector index when available)
+        await loadExistingPolicies();
+
+        await auth.ensureAdmin(process.env.ADMIN_EMAIL, process.env.ADMIN_PASSWORD);
+        if (!auth.enabled) {
+            logger.warn('Authentication is disabled (ENABLE_AUTH=false); every request is treated as an admin');
+        }
+
+        // Scheduled policy versions take effect within a few minutes of their effective date
+        cron.schedule('*/5 * * * *', () => {
+            activateScheduledPolicies().catch(error => logger.error('Error activating scheduled policies:', error));
+        });
+
+        const interruptedJobs = jobRunner.recoverInterrupted();
+        if (interruptedJobs.length > 0) {
+            logger.warn(`Closed ${interruptedJobs.length} batch job(s) interrupted by the last shutdown`);
+        }
+
         // Start HTTP server
         const server = app.listen(PORT, () => {
             logger.info(`Server running on http://localhost:${PORT}`);
             logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-            logger.info(`Policies loaded: ${policies.length}`);
-            logger.info(`AI Analysis: ${anthropic ? 'Enabled' : 'Disabled'}`);
-            logger.info(`Vector Search: ${policyCollection ? 'Enabled' : 'Disabled'}`);
+            logger.info(`Policies loaded: ${store.listPolicies({ status: 'active' }).length} in ${workspaces.list().length} workspace(s)`);
+            logger.info(`AI Analysis: ${llm ? `Enabled (${llm.name})` : 'Disabled'}`);
+            logger.info(`Vector Search: ${vectorSearchAvailable() ? 'Enabled' : 'Disabled'}`);
         });
 
         // Handle server errors
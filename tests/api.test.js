@@ -1,7 +1,19 @@
+const path = require('path');
+const fs = require('fs');
 const request = require('supertest');
+
+process.env.DATABASE_URL = 'sqlite::memory:';
+// Access control is covered in auth.test.js
+process.env.ENABLE_AUTH = 'false';
+// Keep the suite offline and deterministic: analysis uses the rule-based path only
+delete process.env.ANTHROPIC_API_KEY;
 const app = require('../server');
 
 describe('Smart Contract Editor API', () => {
+    beforeAll(() => {
+        fs.mkdirSync(path.join(__dirname, '..', 'uploads', 'policies'), { recursive: true });
+    });
+
     test('Health check endpoint', async () => {
         const response = await request(app)
             .get('/api/health')
@@ -17,4 +29,275 @@ describe('Smart Contract Editor API', () => {
 
         expect(response.body.success).toBe(true);
     });
+
+    test('Policy upload extracts text and rejects unparseable files', async () => {
+        const response = await request(app)
+            .post('/api/policies/upload')
+            .attach('policies', path.join(__dirname, 'fixtures', 'policy.docx'))
+            .attach('policies', Buffer.from('not a pdf'), 'broken.pdf')
+            .expect(200);
+
+        expect(response.body.policies).toHaveLength(1);
+        expect(response.body.policies[0].extractor).toBe('docx');
+        expect(response.body.rejected).toEqual([
+            { name: 'broken.pdf', error: expect.stringMatching(/Could not parse PDF/) }
+        ]);
+
+        await request(app)
+            .delete(`/api/policies/${response.body.policies[0].id}`)
+            .expect(200);
+    });
+
+    test('Policy upload fails when no file can be parsed', async () => {
+        const response = await request(app)
+            .post('/api/policies/upload')
+            .attach('policies', Buffer.from([0x00, 0x01, 0x02]), 'binary.txt')
+            .expect(400);
+
+        expect(response.body.success).toBe(false);
+        expect(response.body.rejected[0].name).toBe('binary.txt');
+    });
+
+    test('Rule-based findings carry the offending spans', async () => {
+        const upload = await request(app)
+            .post('/api/policies/upload')
+            .attach('policies', path.join(__dirname, 'fixtures', 'policy.txt'))
+            .expect(200);
+
+        const documentText = 'Agreement between the parties.\n\nThe term is one year. Either party may terminate.\nThe Supplier shall deliver.';
+        const response = await request(app)
+            .post('/api/analyze')
+            .send({ documentText })
+            .expect(200);
+
+        const shallIssue = response.body.result.issues.find(issue => /shall/.test(issue.title));
+        expect(shallIssue.locations).toEqual([{
+            start: documentText.indexOf('shall'),
+            length: 5,
+            text: 'shall',
+            paragraphIndex: 3
+        }]);
+        expect(shallIssue.clauses).toEqual(['The Supplier shall deliver.']);
+
+        const report = await request(app)
+            .get(`/api/results/${response.body.result.id}/export?format=csv`)
+            .expect(200)
+            .expect('Content-Type', /text\/csv/)
+            .expect('Content-Disposition', new RegExp(`compliance-report-${response.body.result.id}\\.csv`));
+        expect(report.text).toContain('The Supplier shall deliver.');
+
+        await request(app)
+            .get(`/api/results/${response.body.result.id}/export?format=xls`)
+            .expect(400);
+
+        await request(app)
+            .delete(`/api/policies/${upload.body.policies[0].id}`)
+            .expect(200);
+    });
+
+    test('Streaming analysis reports stages, findings and the stored result', async () => {
+        const upload = await request(app)
+            .post('/api/policies/upload')
+            .attach('policies', path.join(__dirname, 'fixtures', 'policy.txt'))
+            .expect(200);
+
+        const response = await request(app)
+            .post('/api/analyze/stream')
+            .send({ documentText: 'The Supplier shall deliver.' })
+            .buffer(true)
+            .parse((res, callback) => {
+                let data = '';
+                res.on('data', chunk => { data += chunk; });
+                res.on('end', () => callback(null, data));
+            })
+            .expect(200)
+            .expect('Content-Type', /text\/event-stream/);
+
+        const events = response.body.trim().split('\n\n').map(block => {
+            const [eventLine, dataLine] = block.split('\n');
+            return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+        });
+
+        const stages = events.filter(e => e.event === 'stage').map(e => `${e.data.stage}:${e.data.status}`);
+        expect(stages).toEqual(['rules:started', 'rules:completed', 'scoring:completed']);
+        expect(events.some(e => e.event === 'finding' && e.data.finding.ruleId === 'shall-ambiguous')).toBe(true);
+
+        const last = events[events.length - 1];
+        expect(last.event).toBe('result');
+        const stored = await request(app)
+            .get(`/api/results/${last.data.result.id}`)
+            .expect(200);
+        expect(stored.body.result.complianceScore).toBe(last.data.result.complianceScore);
+
+        await request(app)
+            .delete(`/api/policies/${upload.body.policies[0].id}`)
+            .expect(200);
+    });
+
+    test('Batch jobs analyse every document and report a summary', async () => {
+        const upload = await request(app)
+            .post('/api/policies/upload')
+            .attach('policies', path.join(__dirname, 'fixtures', 'policy.txt'))
+            .expect(200);
+
+        const submitted = await request(app)
+            .post('/api/jobs')
+            .send({
+                documents: [
+                    { name: 'clean.txt', text: 'The parties agree. The term is one year. Either party may terminate.' },
+                    { name: 'vague.txt', text: 'The Supplier shall hereby deliver..' },
+                    { name: 'empty.txt', text: '' }
+                ]
+            })
+            .expect(202);
+
+        expect(submitted.body.rejected).toEqual([{ name: 'empty.txt', error: 'Document text is required' }]);
+        const jobId = submitted.body.job.id;
+
+        let job;
+        for (let attempt = 0; attempt < 50; attempt++) {
+            job = (await request(app).get(`/api/jobs/${jobId}`).expect(200)).body.job;
+            if (job.status === 'completed') break;
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+
+        expect(job.documents.map(document => document.status)).toEqual(['completed', 'completed']);
+        expect(job.summary.completedCount).toBe(2);
+        expect(job.summary.worstOffenders[0].name).toBe('vague.txt');
+        expect(job.summary.commonIssues.length).toBeGreaterThan(0);
+
+        await request(app)
+            .delete(`/api/policies/${upload.body.policies[0].id}`)
+            .expect(200);
+    });
+
+    test('Batch jobs refuse more JSON documents than MAX_BATCH_DOCUMENTS', async () => {
+        const documents = Array.from({ length: 201 }, (_, index) => ({ name: `${index}.txt`, text: 'The term is one year.' }));
+        const response = await request(app)
+            .post('/api/jobs')
+            .send({ documents })
+            .expect(400);
+
+        expect(response.body.message).toBe('A batch job takes at most 200 documents');
+    });
+
+    test('Policy search falls back to keyword ranking and honours tag filters', async () => {
+        const upload = await request(app)
+            .post('/api/policies/upload')
+            .field('tags', 'Records, retention')
+            .attach('policies', path.join(__dirname, 'fixtures', 'policy.txt'))
+            .expect(200);
+
+        const policyId = upload.body.policies[0].id;
+        expect(upload.body.policies[0].tags).toEqual(['records', 'retention']);
+
+        const response = await request(app)
+            .get('/api/search')
+            .query({ q: 'how long are records retained?', tag: 'retention' })
+            .expect(200);
+
+        expect(response.body.mode).toBe('keyword');
+        expect(response.body.passages[0]).toMatchObject({
+            policyId: policyId,
+            policyName: 'policy.txt',
+            chunkIndex: 0,
+            score: 1,
+            context: { before: null, after: null }
+        });
+        expect(response.body.passages[0].text).toMatch(/retained for seven years/);
+
+        await request(app)
+            .patch(`/api/policies/${policyId}`)
+            .send({ tags: ['finance'] })
+            .expect(200);
+
+        const filtered = await request(app)
+            .get('/api/search')
+            .query({ q: 'records', tag: 'retention' })
+            .expect(200);
+        expect(filtered.body.passages).toEqual([]);
+
+        await request(app).get('/api/search').expect(400);
+
+        await request(app)
+            .delete(`/api/policies/${policyId}`)
+            .expect(200);
+    });
+
+    test('Contract comparison analyses only the changed clauses', async () => {
+        const upload = await request(app)
+            .post('/api/policies/upload')
+            .attach('policies', path.join(__dirname, 'fixtures', 'policy.txt'))
+            .expect(200);
+
+        const baseText = '1. Delivery\nThe Supplier will deliver the goods within ten days.\n\n2. Payment\nThe Customer pays within thirty days.';
+        const analysis = await request(app).post('/api/analyze').send({ documentText: baseText }).expect(200);
+
+        const revisedText = '1. Delivery\nThe Supplier shall hereby deliver the goods within ten days.\n\n2. Payment\nThe Customer pays within thirty days.';
+        const response = await request(app)
+            .post('/api/compare')
+            .send({ baselineResultId: analysis.body.result.id, revisedText })
+            .expect(200);
+
+        const { summary, changes } = response.body.comparison;
+        expect(summary).toMatchObject({ modified: 1, unchanged: 1, worse: 1, better: 0, analyzedChanges: 1 });
+        expect(changes[0].type).toBe('modified');
+        expect(changes[0].redline.filter(part => part.type !== 'unchanged')).toEqual([
+            { type: 'removed', text: 'will' },
+            { type: 'added', text: 'shall' },
+            { type: 'added', text: 'hereby ' }
+        ]);
+        expect(changes[0].assessment.effect).toBe('worse');
+        expect(changes[0].assessment.introduced.map(issue => issue.ruleId).sort()).toEqual(['hereby-unnecessary', 'shall-ambiguous']);
+        expect(changes[1]).toMatchObject({ type: 'unchanged' });
+        expect(changes[1].assessment).toBeUndefined();
+
+        await request(app).post('/api/compare').send({ revisedText }).expect(400);
+        await request(app).post('/api/compare').send({ baselineResultId: 'missing', revisedText }).expect(404);
+
+        await request(app)
+            .delete(`/api/policies/${upload.body.policies[0].id}`)
+            .expect(200);
+    });
+
+    test('Rules can be listed and dry-run against sample text', async () => {
+        const list = await request(app)
+            .get('/api/rules?scope=analysis')
+            .expect(200);
+
+        expect(list.body.packs.map(pack => pack.name)).toContain('default');
+        expect(list.body.rules.every(rule => rule.scope === 'analysis')).toBe(true);
+
+        const response = await request(app)
+            .post('/api/rules/test')
+            .send({ ruleId: 'shall-ambiguous', text: 'Supplier shall deliver.' })
+            .expect(200);
+
+        expect(response.body.result.matches).toHaveLength(1);
+
+        const invalid = await request(app)
+            .post('/api/rules')
+            .send({ id: 'broken', scope: 'analysis', type: 'pattern', pattern: '(', severity: 'low', message: 'x' })
+            .expect(400);
+
+        expect(invalid.body.errors[0]).toMatch(/regular expression/);
+
+        const traversal = await request(app)
+            .post('/api/rules')
+            .send({ id: 'escape', scope: 'analysis', type: 'pattern', pattern: 'x', severity: 'low', message: 'x', pack: '../../server' })
+            .expect(400);
+
+        expect(traversal.body.errors).toEqual([expect.stringMatching(/^pack must be/)]);
+    });
+
+    test('Consistency check builds the term table and flags broken references', async () => {
+        const response = await request(app)
+            .post('/api/consistency')
+            .send({ documentText: '1. Scope\nThe Supplier (the "Vendor") delivers as set out in Section 9.\n\n2. Fees\nThe Vendor invoices monthly.' })
+            .expect(200);
+
+        expect(response.body.definedTerms).toEqual([expect.objectContaining({ term: 'Vendor', useCount: 1 })]);
+        expect(response.body.sections.map(section => section.number)).toEqual(['1', '2']);
+        expect(response.body.issues.map(issue => issue.ruleId)).toEqual(['undefined-term:Supplier', 'broken-reference:Section 9']);
+    });
 });
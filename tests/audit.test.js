@@ -0,0 +1,201 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { spawnSync } = require('child_process');
+const Database = require('better-sqlite3');
+const request = require('supertest');
+const { createStore } = require('../lib/store');
+const { createAuditLog, canonicalJson } = require('../lib/audit');
+
+process.env.DATABASE_URL = 'sqlite::memory:';
+// Access control is covered in auth.test.js
+process.env.ENABLE_AUTH = 'false';
+process.env.MOCK_AI = 'true';
+process.env.RETRIEVAL_SIMILARITY_THRESHOLD = '0.5';
+delete process.env.ANTHROPIC_API_KEY;
+const app = require('../server');
+
+const silent = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('Audit log chain', () => {
+    let tmpDir;
+    let databaseUrl;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+        databaseUrl = `sqlite:${path.join(tmpDir, 'app.db')}`;
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    function seed() {
+        const store = createStore({ databaseUrl });
+        const audit = createAuditLog({ store, logger: silent });
+        audit.record({ action: 'policy.upload', actor: 'admin@example.com', policyIds: ['p1'], details: { name: 'Privacy.docx' } });
+        audit.record({ action: 'analysis', actor: 'reviewer@example.com', policyIds: ['p1', 'p2'], resultId: 'r1', details: { complianceScore: 80 } });
+        audit.record({ action: 'result.export', actor: 'reviewer@example.com', policyIds: ['p2'], resultId: 'r1', details: { format: 'pdf' } });
+        return { store, audit };
+    }
+
+    test('Entries link to the previous hash and can be filtered by user and policy', () => {
+        const { store, audit } = seed();
+
+        const { entries, total } = audit.query({ actor: 'reviewer@example.com' });
+        expect(total).toBe(2);
+        expect(entries.map(entry => entry.action)).toEqual(['result.export', 'analysis']);
+        expect(entries[1].prevHash).toBe(audit.query({ action: 'policy.upload' }).entries[0].hash);
+        expect(audit.query({ policyId: 'p1' }).entries.map(entry => entry.seq)).toEqual([2, 1]);
+        expect(audit.query({ to: '2000-01-01T00:00:00.000Z' }).total).toBe(0);
+
+        expect(audit.verify()).toMatchObject({ valid: true, checked: 3, head: entries[0].hash, brokenAt: null });
+        expect(canonicalJson({ b: [1, { d: 1, c: undefined }], a: 'x' })).toBe('{"a":"x","b":[1,{"d":1}]}');
+        store.close();
+    });
+
+    test('The store refuses changes and verification catches edits made around it', () => {
+        seed().store.close();
+
+        const db = new Database(path.join(tmpDir, 'app.db'));
+        expect(() => db.prepare('UPDATE audit_log SET actor = ? WHERE seq = 2').run('someone@example.com')).toThrow(/append-only/);
+        expect(() => db.prepare('DELETE FROM audit_log WHERE seq = 2').run()).toThrow(/append-only/);
+
+        db.exec('DROP TRIGGER audit_log_no_update');
+        db.prepare("UPDATE audit_log SET details = '{\"complianceScore\":95}' WHERE seq = 2").run();
+        db.close();
+
+        const store = createStore({ databaseUrl });
+        expect(createAuditLog({ store, logger: silent }).verify()).toMatchObject({
+            valid: false,
+            checked: 1,
+            brokenAt: { seq: 2, reason: 'contents do not match the recorded hash' }
+        });
+        store.close();
+
+        const verify = spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'verify-audit.js')], {
+            env: { ...process.env, DATABASE_URL: databaseUrl },
+            encoding: 'utf8'
+        });
+        expect(verify.status).toBe(1);
+        expect(verify.stdout).toMatch(/broken at entry 2/);
+    });
+
+    test('Removed entries are reported as missing', () => {
+        seed().store.close();
+
+        const db = new Database(path.join(tmpDir, 'app.db'));
+        db.exec('DROP TRIGGER audit_log_no_delete');
+        db.prepare('DELETE FROM audit_log WHERE seq = 2').run();
+        db.close();
+
+        const store = createStore({ databaseUrl });
+        expect(createAuditLog({ store, logger: silent }).verify().brokenAt).toEqual({
+            seq: 3,
+            reason: 'expected entry 2; entries are missing'
+        });
+        store.close();
+    });
+});
+
+describe('Audit API', () => {
+    beforeAll(() => {
+        fs.mkdirSync(path.join(__dirname, '..', 'uploads', 'policies'), { recursive: true });
+    });
+
+    afterAll(() => {
+        for (const id of ['audit-source', 'audit-copy']) {
+            fs.rmSync(path.join(__dirname, '..', 'uploads', 'workspaces', id), { recursive: true, force: true });
+            fs.rmSync(path.join(__dirname, '..', 'rules', 'workspaces', id), { recursive: true, force: true });
+        }
+    });
+
+    test('Uploads, analyses, exports, applied suggestions and deletions are recorded', async () => {
+        const upload = await request(app)
+            .post('/api/policies/upload')
+            .attach('policies', path.join(__dirname, 'fixtures', 'policy.txt'))
+            .expect(200);
+        const policyId = upload.body.policies[0].id;
+
+        const analysis = await request(app)
+            .post('/api/analyze')
+            .send({ documentText: 'The Supplier accepts unlimited liability.\nRecords are retained and the Supplier will use best efforts to deliver.' })
+            .expect(200);
+        const result = analysis.body.result;
+        const suggestion = result.suggestions.findIndex(item => item.title === 'Replace "best efforts"');
+
+        await request(app).get(`/api/results/${result.id}/export?format=csv`).expect(200);
+        await request(app)
+            .post(`/api/results/${result.id}/applied-suggestions`)
+            .send({ suggestions: [result.suggestions.length] })
+            .expect(400);
+        await request(app)
+            .post(`/api/results/${result.id}/applied-suggestions`)
+            .send({ suggestions: [suggestion], applied: 1, skipped: 0 })
+            .expect(200);
+        await request(app).delete(`/api/policies/${policyId}`).expect(200);
+
+        const log = await request(app).get(`/api/audit?policyId=${policyId}`).expect(200);
+        expect(log.body.entries.map(entry => entry.action)).toEqual(['policy.delete', 'result.export', 'analysis', 'policy.upload']);
+        const analysed = log.body.entries.find(entry => entry.action === 'analysis');
+        expect(analysed).toMatchObject({
+            resultId: result.id,
+            workspaceId: 'default',
+            details: {
+                complianceScore: result.complianceScore,
+                policyVersions: [{ policyId, version: 1 }],
+                model: 'mock/mock',
+                rulePacks: result.provenance.rulePacks
+            }
+        });
+
+        const applied = await request(app).get(`/api/audit?resultId=${result.id}&action=suggestions.apply`).expect(200);
+        expect(applied.body.entries[0].details).toEqual({
+            suggestions: [{ index: suggestion, title: 'Replace "best efforts"' }],
+            applied: 1,
+            skipped: 0
+        });
+
+        const today = new Date().toISOString().slice(0, 10);
+        const byDate = await request(app).get(`/api/audit?from=${today}&to=${today}`).expect(200);
+        expect(byDate.body.totalCount).toBe(5);
+        await request(app).get('/api/audit?from=yesterday').expect(400);
+
+        const verification = await request(app).get('/api/audit/verify').expect(200);
+        expect(verification.body.verification).toMatchObject({ valid: true, checked: 5 });
+    });
+
+    test('Redaction policy changes and workspace copies are recorded', async () => {
+        await request(app).post('/api/workspaces').send({ id: 'audit-source', name: 'Audit Source' }).expect(201);
+        const upload = await request(app)
+            .post('/api/policies/upload')
+            .set('X-Workspace', 'audit-source')
+            .attach('policies', path.join(__dirname, 'fixtures', 'policy.txt'))
+            .expect(200);
+        const policyId = upload.body.policies[0].id;
+
+        const redaction = { enabled: true, entities: ['email'], terms: ['Project Falcon'], patterns: [] };
+        await request(app).put('/api/workspaces/audit-source/redaction').send(redaction).expect(200);
+        await request(app).delete('/api/workspaces/audit-source/redaction').expect(200);
+        const changes = await request(app).get('/api/audit?action=workspace.redaction&workspaceId=audit-source').expect(200);
+        expect(changes.body.entries.map(entry => entry.details.policy)).toEqual([null, expect.objectContaining({ terms: ['Project Falcon'] })]);
+
+        await request(app).post('/api/workspaces/audit-source/copy').send({ id: 'audit-copy', name: 'Audit Copy' }).expect(201);
+        const copied = await request(app).get('/api/audit?workspaceId=audit-copy').expect(200);
+        expect(copied.body.entries.map(entry => entry.action)).toEqual(['workspace.copy', 'policy.upload']);
+        const [copy, copiedUpload] = copied.body.entries;
+        expect(copiedUpload.details).toMatchObject({
+            name: 'policy.txt',
+            version: 1,
+            status: 'active',
+            copiedFrom: { workspaceId: 'audit-source', policyId }
+        });
+        expect(copy).toMatchObject({
+            policyIds: copiedUpload.policyIds,
+            details: { sourceId: 'audit-source', name: 'Audit Copy', redaction: null }
+        });
+
+        const verification = await request(app).get('/api/audit/verify').expect(200);
+        expect(verification.body.verification.valid).toBe(true);
+    });
+});
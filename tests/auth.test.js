@@ -0,0 +1,184 @@
+const path = require('path');
+const fs = require('fs');
+const request = require('supertest');
+
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.ENABLE_AUTH = 'true';
+process.env.SESSION_SECRET = 'test-secret';
+delete process.env.ANTHROPIC_API_KEY;
+delete process.env.MOCK_AI;
+const app = require('../server');
+
+async function signIn(email, password) {
+    const response = await request(app).post('/api/auth/login').send({ email, password }).expect(200);
+    return response.body.token;
+}
+
+describe('Authentication and roles', () => {
+    let admin;
+    let reviewer;
+    let viewer;
+
+    beforeAll(async () => {
+        fs.mkdirSync(path.join(__dirname, '..', 'uploads', 'policies'), { recursive: true });
+        // startServer creates the first admin from ADMIN_EMAIL / ADMIN_PASSWORD; tests do it directly
+        await app.locals.auth.ensureAdmin('admin@example.com', 'admin-password');
+    });
+
+    test('Requests without a token are refused; health stays public', async () => {
+        await request(app).get('/api/health').expect(200);
+        await request(app).get('/api/results').expect(401);
+        await request(app).post('/api/analyze').send({ documentText: 'x' }).expect(401);
+        await request(app).get('/api/results').set('Authorization', 'Bearer not-a-token').expect(401);
+        // Workspaces are not looked up, or given away, before the request is authenticated
+        await request(app).get('/api/results').set('X-Workspace', 'no-such-workspace').expect(401);
+        await request(app).get('/api/policies?workspace=no-such-workspace').expect(401);
+        await request(app).post('/api/auth/login').send({ email: 'nobody@example.com', password: 'wrong-password' }).expect(401);
+    });
+
+    test('Admins manage users; each role reaches only its routes', async () => {
+        admin = await signIn('admin@example.com', 'admin-password');
+
+        const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${admin}`).expect(200);
+        expect(me.body.user).toMatchObject({ email: 'admin@example.com', role: 'admin' });
+        expect(me.body.user.passwordHash).toBeUndefined();
+
+        for (const [email, role] of [['reviewer@example.com', 'reviewer'], ['viewer@example.com', 'viewer']]) {
+            await request(app)
+                .post('/api/users')
+                .set('Authorization', `Bearer ${admin}`)
+                .send({ email, password: `${role}-password`, role })
+                .expect(201);
+        }
+        reviewer = await signIn('reviewer@example.com', 'reviewer-password');
+        viewer = await signIn('viewer@example.com', 'viewer-password');
+
+        await request(app).get('/api/users').set('Authorization', `Bearer ${reviewer}`).expect(403);
+        await request(app)
+            .post('/api/policies/upload')
+            .set('Authorization', `Bearer ${reviewer}`)
+            .attach('policies', path.join(__dirname, 'fixtures', 'policy.txt'))
+            .expect(403);
+
+        const upload = await request(app)
+            .post('/api/policies/upload')
+            .set('Authorization', `Bearer ${admin}`)
+            .attach('policies', path.join(__dirname, 'fixtures', 'policy.txt'))
+            .expect(200);
+        expect(upload.body.policies[0].uploadedBy).toBe('admin@example.com');
+
+        await request(app).delete(`/api/policies/${upload.body.policies[0].id}`).set('Authorization', `Bearer ${viewer}`).expect(403);
+        await request(app).post('/api/analyze').set('Authorization', `Bearer ${viewer}`).send({ documentText: 'Text' }).expect(403);
+
+        // Draft patterns run on the shared event loop, so only admins may try them out
+        const draft = { id: 'draft', scope: 'analysis', type: 'pattern', pattern: '(a+)+$', severity: 'low', message: 'x' };
+        await request(app)
+            .post('/api/rules/test')
+            .set('Authorization', `Bearer ${reviewer}`)
+            .send({ rule: draft, text: 'aaaa' })
+            .expect(403);
+        await request(app)
+            .post('/api/rules/test')
+            .set('Authorization', `Bearer ${reviewer}`)
+            .send({ ruleId: 'shall-ambiguous', text: 'Supplier shall deliver.' })
+            .expect(200);
+        await request(app)
+            .post('/api/rules/test')
+            .set('Authorization', `Bearer ${admin}`)
+            .send({ rule: draft, text: 'aaaa' })
+            .expect(200);
+
+        const analysis = await request(app)
+            .post('/api/analyze')
+            .set('Authorization', `Bearer ${reviewer}`)
+            .send({ documentText: 'The Supplier shall deliver the goods.' })
+            .expect(200);
+        expect(analysis.body.result.requestedBy).toBe('reviewer@example.com');
+
+        const stored = await request(app)
+            .get(`/api/results/${analysis.body.result.id}`)
+            .set('Authorization', `Bearer ${viewer}`)
+            .expect(200);
+        expect(stored.body.result.requestedBy).toBe('reviewer@example.com');
+    });
+
+    test('API tokens authenticate scripts, are capped at the owner\'s role and can be revoked', async () => {
+        await request(app)
+            .post('/api/auth/tokens')
+            .set('Authorization', `Bearer ${viewer}`)
+            .send({ role: 'admin' })
+            .expect(403);
+
+        const created = await request(app)
+            .post('/api/auth/tokens')
+            .set('Authorization', `Bearer ${reviewer}`)
+            .send({ name: 'CI', role: 'viewer' })
+            .expect(201);
+        const { token, apiToken } = created.body;
+        expect(token).toMatch(/^sce_/);
+        expect(apiToken.tokenHash).toBeUndefined();
+
+        await request(app).get('/api/results').set('Authorization', `Bearer ${token}`).expect(200);
+        // The token was issued with the viewer role, below its owner's
+        await request(app).post('/api/analyze').set('Authorization', `Bearer ${token}`).send({ documentText: 'Text' }).expect(403);
+        // Downloads can pass the token in the query string
+        await request(app).get(`/api/results?access_token=${token}`).expect(200);
+
+        const listed = await request(app).get('/api/auth/tokens').set('Authorization', `Bearer ${reviewer}`).expect(200);
+        expect(listed.body.tokens).toEqual([expect.objectContaining({ id: apiToken.id, name: 'CI', lastUsedAt: expect.any(String) })]);
+
+        await request(app).delete(`/api/auth/tokens/${apiToken.id}`).set('Authorization', `Bearer ${viewer}`).expect(404);
+        await request(app).delete(`/api/auth/tokens/${apiToken.id}`).set('Authorization', `Bearer ${reviewer}`).expect(200);
+        await request(app).get('/api/results').set('Authorization', `Bearer ${token}`).expect(401);
+    });
+
+    test('Disabled users lose access and the last admin cannot be demoted', async () => {
+        const users = await request(app).get('/api/users').set('Authorization', `Bearer ${admin}`).expect(200);
+        const byEmail = Object.fromEntries(users.body.users.map(user => [user.email, user]));
+
+        await request(app)
+            .patch(`/api/users/${byEmail['admin@example.com'].id}`)
+            .set('Authorization', `Bearer ${admin}`)
+            .send({ role: 'viewer' })
+            .expect(400);
+
+        await request(app)
+            .patch(`/api/users/${byEmail['viewer@example.com'].id}`)
+            .set('Authorization', `Bearer ${admin}`)
+            .send({ disabled: true })
+            .expect(200);
+        await request(app).get('/api/results').set('Authorization', `Bearer ${viewer}`).expect(401);
+
+        // Enabling the user again does not bring back sessions from before
+        await request(app)
+            .patch(`/api/users/${byEmail['viewer@example.com'].id}`)
+            .set('Authorization', `Bearer ${admin}`)
+            .send({ disabled: false })
+            .expect(200);
+        await request(app).get('/api/results').set('Authorization', `Bearer ${viewer}`).expect(401);
+    });
+
+    test('A password change ends the sessions signed in with the old one', async () => {
+        const before = await signIn('reviewer@example.com', 'reviewer-password');
+        const users = await request(app).get('/api/users').set('Authorization', `Bearer ${admin}`).expect(200);
+        const user = users.body.users.find(entry => entry.email === 'reviewer@example.com');
+
+        await request(app)
+            .patch(`/api/users/${user.id}`)
+            .set('Authorization', `Bearer ${admin}`)
+            .send({ name: 'Renamed Reviewer' })
+            .expect(200);
+        await request(app).get('/api/results').set('Authorization', `Bearer ${before}`).expect(200);
+
+        await request(app)
+            .patch(`/api/users/${user.id}`)
+            .set('Authorization', `Bearer ${admin}`)
+            .send({ password: 'new-reviewer-password' })
+            .expect(200);
+        await request(app).get('/api/results').set('Authorization', `Bearer ${before}`).expect(401);
+        await request(app).get('/api/results').set('Authorization', `Bearer ${reviewer}`).expect(401);
+
+        const after = await signIn('reviewer@example.com', 'new-reviewer-password');
+        await request(app).get('/api/results').set('Authorization', `Bearer ${after}`).expect(200);
+    });
+});
@@ -0,0 +1,74 @@
+const { chunkDocument, splitSentences } = require('../lib/chunking');
+
+const agreement = `MASTER SERVICES AGREEMENT
+
+This Agreement is made between Acme Inc. and Beta Ltd. on 1 Jan. 2024.
+
+ARTICLE 1 DEFINITIONS
+
+"Affiliate" means any entity controlling a party, e.g. a parent company.
+"Fees" means the amounts set out in Sec. 4.2 of Schedule 1.
+
+ARTICLE 7
+
+7.1 Scope
+The Supplier shall provide the Services in the U.S. at a cost of $1,250.50 per month.
+
+7.2 Limitation of Liability
+The Supplier's liability is capped at 1.5 times the annual Fees. Neither party excludes liability for fraud.
+
+7.3 This Section survives termination of the Agreement.
+`;
+
+describe('Legal-structure chunking', () => {
+    test('Chunks follow articles, numbered clauses and defined terms', () => {
+        const chunks = chunkDocument(agreement);
+
+        expect(chunks.map(chunk => [chunk.kind, chunk.heading])).toEqual([
+            ['section', 'MASTER SERVICES AGREEMENT'],
+            ['definition', 'Art. 1 DEFINITIONS > "Affiliate"'],
+            ['definition', 'Art. 1 DEFINITIONS > "Fees"'],
+            ['section', 'Art. 7 > 7.1 Scope'],
+            ['section', 'Art. 7 > 7.2 Limitation of Liability'],
+            ['section', 'Art. 7 > 7.3']
+        ]);
+        expect(chunks[4].headingPath).toEqual(['Art. 7', '7.2 Limitation of Liability']);
+        expect(chunks[4].text).toMatch(/^7\.2 Limitation of Liability\nThe Supplier's liability is capped at 1\.5 times/);
+        expect(chunks[3].text).toMatch(/^ARTICLE 7\n\n7\.1 Scope/);
+
+        for (const chunk of chunks) {
+            expect(agreement.slice(chunk.start, chunk.end)).toBe(chunk.text);
+        }
+    });
+
+    test('Sentences are not split at abbreviations, initials or decimals', () => {
+        expect(splitSentences('See Sec. 4.2 and e.g. the U.S. rules. Pay $1.50 now. Then stop! Ok')).toEqual([
+            'See Sec. 4.2 and e.g. the U.S. rules. ',
+            'Pay $1.50 now. ',
+            'Then stop! ',
+            'Ok'
+        ]);
+    });
+
+    test('Long sections are split at sentences with whole-sentence overlap', () => {
+        const sentences = Array.from({ length: 30 }, (_, i) => `Obligation ${i} applies under Art. ${i} of the Schedule.`);
+        const chunks = chunkDocument(`4.1 Obligations\n${sentences.join(' ')}`, { maxSize: 300, overlap: 100 });
+
+        expect(chunks.length).toBeGreaterThan(3);
+        for (const chunk of chunks) {
+            expect(chunk.text.length).toBeLessThanOrEqual(300);
+            expect(chunk.heading).toBe('4.1 Obligations');
+        }
+        // Each piece opens with the last sentence(s) of the previous one
+        const lastSentence = splitSentences(chunks[0].text).pop().trim();
+        expect(chunks[1].text.startsWith(lastSentence)).toBe(true);
+        expect(chunks[1].text).toMatch(/^Obligation \d+ applies/);
+    });
+
+    test('Unstructured text becomes a preamble chunk', () => {
+        expect(chunkDocument('plain text without any headings. another sentence.')).toEqual([
+            expect.objectContaining({ kind: 'preamble', heading: '', headingPath: [] })
+        ]);
+        expect(chunkDocument('')).toEqual([]);
+    });
+});
@@ -0,0 +1,42 @@
+const { createCitationIndex, verifyCitations } = require('../lib/citations');
+
+describe('Policy citations', () => {
+    const index = createCitationIndex([
+        { chunkId: 'p1_chunk_0', policyId: 'p1', policyName: 'Liability Policy', heading: 'Art. 7 > 7.2 Cap', chunkIndex: 0, text: 'Liability is capped at the fees paid.' },
+        { chunkId: 'p2_chunk_3', policyId: 'p2', policyName: 'Retention Policy', heading: '', chunkIndex: 3, text: 'x'.repeat(700) }
+    ]);
+
+    test('Citations of retrieved chunks are kept with their passage', () => {
+        const [finding] = verifyCitations([{
+            title: 'Uncapped liability',
+            citations: [
+                { chunkId: 'p1_chunk_0', policyId: 'p1', policyName: 'wrong name is corrected' },
+                { chunkId: 'p1_chunk_0' },
+                { chunkId: 'p2_chunk_3' }
+            ]
+        }], index);
+
+        expect(finding.citations).toEqual([
+            { chunkId: 'p1_chunk_0', policyId: 'p1', policyName: 'Liability Policy', heading: 'Art. 7 > 7.2 Cap', chunkIndex: 0, passage: 'Liability is capped at the fees paid.' },
+            expect.objectContaining({ chunkId: 'p2_chunk_3', passage: `${'x'.repeat(600)}…` })
+        ]);
+        expect(finding.rejectedCitations).toBeUndefined();
+    });
+
+    test('Citations that do not match a retrieved chunk are rejected', () => {
+        const [finding, ruleFinding] = verifyCitations([
+            {
+                title: 'Made-up basis',
+                citations: [{ chunkId: 'p9_chunk_1', policyId: 'p9' }, { chunkId: 'p1_chunk_0', policyId: 'p2' }]
+            },
+            { title: 'Rule finding without citations' }
+        ], index);
+
+        expect(finding.citations).toEqual([]);
+        expect(finding.rejectedCitations).toEqual([
+            { chunkId: 'p9_chunk_1', policyId: 'p9', reason: 'not_retrieved' },
+            { chunkId: 'p1_chunk_0', policyId: 'p2', reason: 'policy_mismatch' }
+        ]);
+        expect(ruleFinding).toEqual({ title: 'Rule finding without citations' });
+    });
+});
@@ -0,0 +1,66 @@
+const { splitClauses, compareContracts, assessChange } = require('../lib/compare');
+
+const draft = `1. Parties
+This Agreement is between Acme Inc. and Beta Ltd.
+
+2. Payment
+Invoices are payable within thirty days of receipt.
+
+3. Liability
+The Supplier's liability is capped at the annual Fees.
+
+4. Confidentiality
+Each party keeps the other's information confidential.`;
+
+const markup = `1. Parties
+This Agreement is between Acme Inc. and Beta Ltd.
+
+2. Confidentiality
+Each party keeps the other's information confidential.
+
+3. Payment
+Invoices are payable within ninety days of receipt.
+
+4. Audit
+The Customer may audit the Supplier once a year.`;
+
+describe('Contract comparison', () => {
+    test('Clauses are aligned and classified as unchanged, modified, moved, added or removed', () => {
+        const { summary, changes } = compareContracts(draft, markup);
+
+        expect(summary).toEqual({ baseClauses: 4, revisedClauses: 4, unchanged: 1, added: 1, removed: 1, modified: 1, moved: 1 });
+        expect(changes.map(change => [change.type, change.base && change.base.heading, change.revised && change.revised.heading])).toEqual([
+            ['unchanged', '1 Parties', '1 Parties'],
+            ['moved', '4 Confidentiality', '2 Confidentiality'],
+            ['modified', '2 Payment', '3 Payment'],
+            ['removed', '3 Liability', null],
+            ['added', null, '4 Audit']
+        ]);
+        // Renumbering alone is not a change of wording
+        expect(changes[1].textChanged).toBe(false);
+        expect(changes[2].redline.filter(part => part.type !== 'unchanged')).toEqual([
+            { type: 'removed', text: '2' },
+            { type: 'added', text: '3' },
+            { type: 'removed', text: 'thirty' },
+            { type: 'added', text: 'ninety' }
+        ]);
+    });
+
+    test('Text without headings is compared paragraph by paragraph', () => {
+        expect(splitClauses('First paragraph here.\n\n  Second one,\nover two lines.\n').map(clause => clause.text)).toEqual([
+            'First paragraph here.',
+            'Second one,\nover two lines.'
+        ]);
+    });
+
+    test('Changes are better or worse by the severity of the issues they resolve or introduce', () => {
+        const high = { type: 'Liability', title: 'Uncapped liability', severity: 'high' };
+        const low = { ruleId: 'shall-ambiguous', title: 'Shall', severity: 'low' };
+
+        expect(assessChange({ complianceScore: 70, issues: [high], suggestions: [] }, { complianceScore: 95, issues: [low], suggestions: [] }))
+            .toMatchObject({ effect: 'better', weightChange: 2, scoreChange: 25, resolved: [expect.objectContaining({ title: 'Uncapped liability' })] });
+        expect(assessChange(null, { complianceScore: 90, issues: [low], suggestions: [] }))
+            .toMatchObject({ effect: 'worse', weightChange: -1, scoreBefore: null, scoreChange: null });
+        expect(assessChange({ complianceScore: 100, issues: [], suggestions: [] }, null)).toMatchObject({ effect: 'neutral' });
+    });
+});
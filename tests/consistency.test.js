@@ -0,0 +1,75 @@
+const { findDefinitions, buildDefinedTerms, checkConsistency } = require('../lib/consistency');
+
+const contract = `SERVICES AGREEMENT
+
+This Agreement is made between Acme Inc. (the "Customer") and Beta Ltd. (the "Supplier", and together the "Parties").
+
+1. Definitions
+"Services" means the services described in Schedule 1.
+"Deliverables" means the reports delivered under Section 3.
+
+2. Services
+The Supplier shall provide the Services to the customer. Each Party shall comply with Section 4.2 and Clauses 3.1 and 7.
+The Supplier Personnel must follow the Data Protection Act. See Section 230 of the Communications Act.
+
+3. Payment
+3.1 Fees
+The Customer shall pay all invoices within thirty days.
+3.3 Late Payment
+Interest accrues on late amounts.
+
+3. Term
+This Agreement lasts two years.`;
+
+describe('Consistency checks', () => {
+    test('Definitions are read from "means" clauses and parenthesised quotes', () => {
+        expect(findDefinitions(contract).map(definition => [definition.term, definition.style])).toEqual([
+            ['Customer', 'inline'],
+            ['Supplier', 'inline'],
+            ['Parties', 'inline'],
+            ['Services', 'means'],
+            ['Deliverables', 'means']
+        ]);
+
+        const terms = Object.fromEntries(buildDefinedTerms(contract).map(entry => [entry.term, entry]));
+        expect(terms.Customer.uses).toHaveLength(1);
+        expect(terms.Customer.miscased.map(span => span.text)).toEqual(['customer']);
+        // "Each Party" uses "Parties"; the lower-case "services" in its own definition is not a slip
+        expect(terms.Parties.uses.map(span => span.text)).toEqual(['Party']);
+        expect(terms.Services.miscased).toEqual([]);
+    });
+
+    test('Every inconsistency is reported with its spans', () => {
+        const { issues, suggestions, sections } = checkConsistency(contract);
+        const byRule = Object.fromEntries(issues.map(issue => [issue.ruleId, issue]));
+
+        expect(Object.keys(byRule).sort()).toEqual([
+            'broken-reference:Section 4.2',
+            'broken-reference:Section 7',
+            'duplicate-section-number:Section 3',
+            'section-numbering-gap:Section 3.3',
+            'term-capitalisation:Customer',
+            'undefined-term:Supplier Personnel',
+            'unused-definition:Deliverables'
+        ]);
+
+        const reference = byRule['broken-reference:Section 4.2'];
+        expect(reference).toMatchObject({ type: 'Consistency Issue', severity: 'high' });
+        expect(contract.substr(reference.locations[0].start, reference.locations[0].length)).toBe('4.2');
+        expect(byRule['duplicate-section-number:Section 3'].locations.map(span => span.text)).toEqual(['3. Payment', '3. Term']);
+
+        expect(sections.map(section => [section.number, section.parent])).toEqual([
+            ['1', null], ['2', null], ['3', null], ['3.1', '3'], ['3.3', '3'], ['3', null]
+        ]);
+        expect(suggestions[0].edits).toEqual([expect.objectContaining({ text: 'customer', replacement: 'Customer' })]);
+    });
+
+    test('A consistent contract has no findings', () => {
+        const clean = `1. Definitions
+"Fees" means the amounts in Section 2.
+
+2. Payment
+Acme Inc. (the "Buyer") pays the Fees. The Buyer may dispute them under Clause 1.`;
+        expect(checkConsistency(clean)).toMatchObject({ issues: [], penalty: 0 });
+    });
+});
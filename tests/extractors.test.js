@@ -0,0 +1,59 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { extractText, ExtractionError } = require('../lib/extractors');
+
+const fixture = (name) => path.join(__dirname, 'fixtures', name);
+
+describe('Policy text extraction', () => {
+    let tmpDir;
+
+    beforeAll(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'extractors-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('Plain text files are read as UTF-8', async () => {
+        const result = await extractText(fixture('policy.txt'));
+
+        expect(result.extractor).toBe('plain-text');
+        expect(result.text).toContain('retained for seven years');
+    });
+
+    test('DOCX keeps paragraphs, list numbering and table cells', async () => {
+        const result = await extractText(fixture('policy.docx'));
+
+        expect(result.extractor).toBe('docx');
+        expect(result.text).toContain('1. Personal data must be encrypted at rest.');
+        expect(result.text).toContain('1.1. Keys are rotated yearly.');
+        expect(result.text).toContain('2. Breaches are reported within 72 hours.');
+        expect(result.text).toContain('Liability cap\t1,000,000 USD');
+    });
+
+    test('PDF text layer is extracted', async () => {
+        const result = await extractText(fixture('policy.pdf'));
+
+        expect(result.extractor).toBe('pdf');
+        expect(result.text).toContain('records kept for seven years');
+    });
+
+    test('Binary content in a .txt file is rejected', async () => {
+        const filePath = path.join(tmpDir, 'binary.txt');
+        fs.writeFileSync(filePath, Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x00, 0x00]));
+
+        await expect(extractText(filePath)).rejects.toThrow(ExtractionError);
+    });
+
+    test('Malformed PDF and DOC files are rejected with a clear message', async () => {
+        const pdfPath = path.join(tmpDir, 'broken.pdf');
+        const docPath = path.join(tmpDir, 'broken.doc');
+        fs.writeFileSync(pdfPath, 'not a pdf');
+        fs.writeFileSync(docPath, 'not a word document');
+
+        await expect(extractText(pdfPath)).rejects.toThrow(/Could not parse PDF/);
+        await expect(extractText(docPath)).rejects.toThrow(/not an OLE compound document/);
+    });
+});
@@ -0,0 +1,134 @@
+const { createStore } = require('../lib/store');
+const { createJobRunner, summarizeJob } = require('../lib/jobs');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+function waitForJob(runner, jobId) {
+    return new Promise(resolve => {
+        const unsubscribe = runner.subscribe(jobId, (event, data) => {
+            if (event === 'job') {
+                unsubscribe();
+                resolve(data);
+            }
+        });
+    });
+}
+
+describe('Batch analysis jobs', () => {
+    let store;
+
+    beforeEach(() => {
+        store = createStore({ databaseUrl: 'sqlite::memory:' });
+    });
+
+    afterEach(() => {
+        store.close();
+    });
+
+    test('Runs documents with bounded concurrency and summarises the outcome', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        const runner = createJobRunner({
+            store,
+            logger,
+            concurrency: 2,
+            timeoutMs: 50,
+            analyze: async (text, options, signal) => {
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                try {
+                    if (text === 'hang') {
+                        await new Promise(resolve => signal.addEventListener('abort', resolve));
+                    }
+                    if (text === 'broken') {
+                        throw new Error('model unavailable');
+                    }
+                    await new Promise(resolve => setTimeout(resolve, 5));
+                    const score = parseInt(text);
+                    return store.saveAnalysisResult({
+                        id: `result-${text}`,
+                        analysisDate: new Date().toISOString(),
+                        complianceScore: score,
+                        riskLevel: score >= 80 ? 'Low' : 'High',
+                        degraded: score < 50 ? { reason: 'model_unavailable' } : null,
+                        issues: score < 80
+                            ? [{ ruleId: 'section-term', title: 'Missing term' }, { ruleId: 'section-term', title: 'Missing term' }]
+                            : []
+                    });
+                } finally {
+                    running--;
+                }
+            }
+        });
+
+        const texts = ['90', '40', 'hang', '70', 'broken', '85'];
+        const job = runner.submit(texts.map((text, index) => ({ name: `contract-${index}.txt`, text })));
+        expect(job.documents.map(document => document.status)).toEqual(texts.map(() => 'queued'));
+
+        const finished = await waitForJob(runner, job.id);
+
+        expect(maxRunning).toBe(2);
+        expect(finished.status).toBe('completed');
+        expect(finished.documents.map(document => document.status))
+            .toEqual(['completed', 'completed', 'timed_out', 'completed', 'failed', 'completed']);
+        expect(finished.documents[4].error).toBe('model unavailable');
+
+        expect(finished.summary).toMatchObject({
+            documentCount: 6,
+            completedCount: 4,
+            failedCount: 1,
+            timedOutCount: 1,
+            degradedCount: 1,
+            averageScore: 71,
+            minScore: 40,
+            maxScore: 90,
+            riskLevels: { Low: 2, High: 2 }
+        });
+        expect(finished.summary.worstOffenders.map(offender => offender.name).slice(0, 2))
+            .toEqual(['contract-1.txt', 'contract-3.txt']);
+        expect(finished.summary.worstOffenders[0].degraded).toBe(true);
+        expect(finished.summary.commonIssues).toEqual([
+            { key: 'section-term', title: 'Missing term', severity: undefined, documentCount: 2 }
+        ]);
+        expect(store.getJob(job.id).summary).toEqual(finished.summary);
+    });
+
+    test('Jobs cut short by a restart are closed with failed documents', () => {
+        store.createJob({ id: 'job1', createdAt: new Date().toISOString(), documents: [{ name: 'a.txt' }] });
+        const runner = createJobRunner({ store, logger, analyze: async () => null });
+
+        expect(runner.recoverInterrupted()).toEqual(['job1']);
+
+        const job = store.getJob('job1');
+        expect(job.status).toBe('completed');
+        expect(job.documents[0]).toMatchObject({ status: 'failed', error: 'Interrupted by a server restart' });
+        expect(job.summary.failedCount).toBe(1);
+    });
+
+    test('Summary of a job with no analysed documents has no scores', () => {
+        expect(summarizeJob([{ position: 0, name: 'a', status: 'failed' }])).toMatchObject({
+            completedCount: 0,
+            averageScore: null,
+            worstOffenders: [],
+            commonIssues: []
+        });
+    });
+
+    test('Issues without a title are counted under their rule id', () => {
+        const documents = ['a', 'b'].map((name, position) => ({
+            position,
+            name,
+            status: 'completed',
+            result: {
+                complianceScore: 70,
+                riskLevel: 'Medium',
+                issues: [{ ruleId: 'no-title', severity: 'low' }, { title: 'Missing clause', severity: 'high' }]
+            }
+        }));
+
+        expect(summarizeJob(documents).commonIssues.map(issue => [issue.key, issue.title, issue.documentCount])).toEqual([
+            ['Missing clause', 'Missing clause', 2],
+            ['no-title', 'no-title', 2]
+        ]);
+    });
+});
@@ -0,0 +1,64 @@
+const { parseJsonResponse, createMockProvider, createProviderFromEnv, ProviderError } = require('../lib/llm');
+const { createMemoryCollection } = require('../lib/vectors');
+
+describe('LLM providers', () => {
+    const fixtures = {
+        analysis: {
+            baseScore: 90,
+            findings: [
+                { kind: 'issues', pattern: 'unlimited', penalty: 30, finding: { title: 'Uncapped' } },
+                { kind: 'suggestions', pattern: 'asap', replacement: 'within 5 days', finding: { title: 'Deadline' } }
+            ]
+        }
+    };
+
+    test('JSON responses are pulled out of prose and code fences', () => {
+        expect(parseJsonResponse('Here you go:\n```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+        expect(() => parseJsonResponse('no json here')).toThrow(ProviderError);
+        expect(() => parseJsonResponse('{"a": }')).toThrow(/not valid JSON/);
+    });
+
+    test('The mock provider answers deterministically from its fixtures', async () => {
+        const provider = createMockProvider({ fixtures });
+        const streamed = [];
+        const options = { task: 'analysis', document: 'Pay asap. Liability is unlimited.', onText: delta => streamed.push(delta) };
+
+        const result = await provider.completeJson('prompt', options);
+        expect(result).toEqual({
+            complianceScore: 60,
+            riskLevel: 'Medium',
+            issues: [{ title: 'Uncapped', quote: 'unlimited', start: 23 }],
+            suggestions: [{ title: 'Deadline', quote: 'asap', start: 4, replacement: 'within 5 days' }]
+        });
+        expect(JSON.parse(streamed.join(''))).toEqual(result);
+        expect(await provider.completeJson('prompt', { ...options, onText: undefined })).toEqual(result);
+    });
+
+    test('Providers are chosen from the environment', () => {
+        expect(createProviderFromEnv({})).toBeNull();
+        expect(createProviderFromEnv({ MOCK_AI: 'true' }, `${__dirname}/..`).name).toBe('mock');
+        expect(createProviderFromEnv({ ANTHROPIC_API_KEY: 'sk-test', ANTHROPIC_MODEL: 'claude-x' }).model).toBe('claude-x');
+        expect(() => createProviderFromEnv({ LLM_PROVIDER: 'anthropic' })).toThrow(/requires ANTHROPIC_API_KEY/);
+        expect(() => createProviderFromEnv({ LLM_PROVIDER: 'other' })).toThrow(/Unknown LLM_PROVIDER/);
+    });
+
+    test('The in-memory collection ranks by embedding distance and honours filters', async () => {
+        const provider = createMockProvider({ fixtures });
+        const collection = createMemoryCollection(texts => provider.embed(texts));
+        await collection.upsert({
+            ids: ['a0', 'b0'],
+            documents: ['liability cap is twelve months of fees', 'invoices are payable within thirty days'],
+            metadatas: [{ policy_id: 'a' }, { policy_id: 'b' }]
+        });
+
+        const ranked = await collection.query({ queryTexts: ['what is the liability cap'], nResults: 2 });
+        expect(ranked.ids[0]).toEqual(['a0', 'b0']);
+        expect(ranked.distances[0][0]).toBeLessThan(ranked.distances[0][1]);
+
+        const filtered = await collection.query({ queryTexts: ['liability'], where: { policy_id: { $in: ['b'] } } });
+        expect(filtered.ids[0]).toEqual(['b0']);
+
+        await collection.delete({ where: { policy_id: 'a' } });
+        expect((await collection.get({})).ids).toEqual(['b0']);
+    });
+});
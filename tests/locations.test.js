@@ -0,0 +1,59 @@
+const { buildSpan, findSpans, resolveQuotedSpan, buildEdits, attachModelLocations } = require('../lib/locations');
+
+describe('Finding locations', () => {
+    const text = 'Parties\r\rThe Supplier shall deliver.\rThe Customer shall pay within 30 days.';
+
+    test('Spans carry offset, length, quoted text and paragraph index', () => {
+        const spans = findSpans(text, /\bshall\b/gi);
+
+        expect(spans).toHaveLength(2);
+        expect(spans[1]).toEqual({
+            start: text.lastIndexOf('shall'),
+            length: 5,
+            text: 'shall',
+            paragraphIndex: 3
+        });
+    });
+
+    test('Model quotes are verified against the document text', () => {
+        const quote = 'The Customer shall pay';
+        const actual = text.indexOf(quote);
+
+        expect(resolveQuotedSpan(text, quote, actual)).toEqual(buildSpan(text, actual, quote.length));
+        expect(resolveQuotedSpan(text, quote, 3).start).toBe(actual);
+        expect(resolveQuotedSpan(text, 'The  Customer\nshall pay', -1).start).toBe(actual);
+        expect(resolveQuotedSpan(text, 'The Vendor shall indemnify', 10)).toBeNull();
+    });
+
+    test('Unverifiable model locations are dropped and flagged', () => {
+        const [verified, invented] = attachModelLocations(text, [
+            { title: 'Ambiguous', quote: 'Supplier shall deliver', start: 0 },
+            { title: 'Made up', quote: 'unlimited liability', start: 12 }
+        ]);
+
+        expect(verified.locationVerified).toBe(true);
+        expect(verified.locations[0].text).toBe('Supplier shall deliver');
+        expect(verified).not.toHaveProperty('quote');
+        expect(invented.locationVerified).toBe(false);
+        expect(invented.locations).toEqual([]);
+    });
+
+    test('Edits carry a concrete replacement that keeps the original casing', () => {
+        const contract = 'The parties Hereby agree. Supplier SHALL deliver.';
+        const [hereby] = buildEdits(contract, findSpans(contract, /\bhereby\b/gi), '');
+        const [shall] = buildEdits(contract, findSpans(contract, /\bshall\b/gi), 'will');
+
+        expect(hereby).toMatchObject({ text: 'Hereby ', length: 7, replacement: '' });
+        expect(shall).toMatchObject({ text: 'SHALL', replacement: 'WILL' });
+    });
+
+    test('Model replacements become edits only for verified quotes', () => {
+        const [located, unlocated] = attachModelLocations(text, [
+            { title: 'Clarify', quote: 'Customer shall pay', start: 0, replacement: 'Customer must pay' },
+            { title: 'Clarify', quote: 'Vendor shall pay', start: 0, replacement: 'Vendor must pay' }
+        ]);
+
+        expect(located.edits).toEqual([{ ...located.locations[0], replacement: 'Customer must pay' }]);
+        expect(unlocated.edits).toEqual([]);
+    });
+});
@@ -0,0 +1,175 @@
+const path = require('path');
+const fs = require('fs');
+const request = require('supertest');
+const { extractTermsWithRules, mergeTerms } = require('../lib/terms');
+const { addDuration, buildObligationRegister, renderObligationRegister } = require('../lib/obligations');
+
+process.env.DATABASE_URL = 'sqlite::memory:';
+// Access control is covered in auth.test.js
+process.env.ENABLE_AUTH = 'false';
+process.env.MOCK_AI = 'true';
+delete process.env.ANTHROPIC_API_KEY;
+const app = require('../server');
+
+const contract = `SERVICES AGREEMENT
+
+This Agreement is made on 15 January 2025 between Acme Widgets Inc. ("Supplier") and Beta Ltd. ("Customer").
+
+1. Term. The initial term of this Agreement is 12 months. It will automatically renew for successive periods of 12 months unless either party gives sixty (60) days' written notice of termination.
+2. Delivery. The Supplier shall deliver the implementation plan within thirty (30) days of the Effective Date, and the Customer shall approve it by March 31, 2025.
+3. Reporting. The Supplier shall provide a service report monthly. The Customer shall pay each invoice within 30 days of receipt of the invoice.
+4. Subcontracting. The Supplier must not subcontract the Services without the Customer's consent.
+5. Renewal. Either party must give notice of non-renewal at least 90 days before the end of the then-current Term.
+6. Law. This Agreement shall be governed by the laws of England.`;
+
+function registerFor(text, options = {}) {
+    return buildObligationRegister(text, { terms: mergeTerms(extractTermsWithRules(text)), ...options });
+}
+
+describe('Obligation extraction', () => {
+    test('Each obligation records the party, action, trigger, deadline and span', () => {
+        const register = registerFor(contract);
+
+        expect(register.obligations.map(item => [item.party, item.kind, item.action])).toEqual([
+            ['Supplier', 'obligation', 'deliver the implementation plan'],
+            ['Customer', 'obligation', 'approve it'],
+            ['Supplier', 'obligation', 'provide a service report monthly'],
+            ['Customer', 'obligation', 'pay each invoice'],
+            ['Supplier', 'prohibition', 'subcontract the Services without the Customer\'s consent'],
+            ['Either party', 'obligation', 'give notice of non-renewal']
+        ]);
+
+        const [delivery, approval, reporting, payment] = register.obligations;
+        expect(delivery).toMatchObject({
+            trigger: 'the Effective Date',
+            deadline: { type: 'relative', amount: 30, unit: 'days', direction: 'after' },
+            dueDate: '2025-02-14',
+            dueDateBasis: 'effectiveDate'
+        });
+        expect(contract.substr(delivery.location.start, delivery.location.length))
+            .toBe('The Supplier shall deliver the implementation plan within thirty (30) days of the Effective Date');
+        expect(approval).toMatchObject({ deadline: { type: 'absolute', date: '2025-03-31' }, dueDate: '2025-03-31' });
+        expect(reporting).toMatchObject({ deadline: null, recurrence: { unit: 'months', interval: 1 } });
+        // Receipt of an invoice is not a date the contract fixes
+        expect(payment).toMatchObject({ trigger: 'receipt of the invoice', dueDate: null });
+        expect(register.summary).toEqual({ obligations: 5, prohibitions: 1, scheduled: 3, unscheduled: 1 });
+    });
+
+    test('Term-end deadlines, renewals and notice windows come from the key terms', () => {
+        const register = registerFor(contract);
+
+        expect(register.anchors).toEqual({ effectiveDate: '2025-01-15', expiryDate: '2026-01-14', renewalDate: '2026-01-15' });
+        expect(register.obligations[5]).toMatchObject({ dueDate: '2025-10-16', dueDateBasis: 'expiryDate' });
+        expect(register.milestones.map(({ id, date, recurrence }) => [id, date, recurrence])).toEqual([
+            ['renewal', '2026-01-15', { unit: 'months', interval: 12 }],
+            ['notice-deadline', '2025-11-15', { unit: 'months', interval: 12 }]
+        ]);
+
+        const moved = registerFor(contract, { effectiveDate: '2025-02-01' });
+        expect(moved.obligations[0].dueDate).toBe('2025-03-03');
+        expect(registerFor('The Supplier shall deliver the plan within 30 days of the Effective Date.').obligations[0])
+            .toMatchObject({ dueDate: null, dueDateBasis: null });
+    });
+
+    test('Date arithmetic handles business days and short months', () => {
+        expect(addDuration('2025-06-30', { amount: 5, unit: 'business days' }, -1)).toBe('2025-06-23');
+        expect(addDuration('2025-01-31', { amount: 1, unit: 'months' })).toBe('2025-02-28');
+        expect(addDuration('2024-02-29', { amount: 1, unit: 'years' })).toBe('2025-02-28');
+        expect(addDuration('2025-01-15', { perpetual: true })).toBeNull();
+        expect(addDuration('2025-W05-1', { amount: 30, unit: 'days' })).toBeNull();
+    });
+
+    test('The register exports as iCalendar and CSV', () => {
+        const register = { id: 'reg1', createdAt: '2025-01-20T09:30:00.000Z', ...registerFor(contract) };
+
+        const ics = renderObligationRegister(register, 'ics').body;
+        const lines = ics.split('\r\n');
+        expect(lines[0]).toBe('BEGIN:VCALENDAR');
+        expect(lines.every(line => Buffer.byteLength(line, 'utf8') <= 75)).toBe(true);
+        const unfolded = ics.replace(/\r\n /g, '');
+        expect(unfolded.match(/BEGIN:VEVENT/g)).toHaveLength(5);
+        expect(unfolded).toContain('UID:obligation-1.reg1@smart-contract-editor\r\nDTSTAMP:20250120T093000Z\r\n' +
+            'DTSTART;VALUE=DATE:20250214\r\nDTEND;VALUE=DATE:20250215\r\nSUMMARY:Supplier: deliver the implementation plan');
+        expect(unfolded).toContain('DESCRIPTION:the Customer shall approve it by March 31\\, 2025\\nDeadline: by 2025-03-31');
+        expect(unfolded).toContain('SUMMARY:Contract renews automatically for 12 months\r\nDESCRIPTION:');
+        expect(unfolded).toContain('RRULE:FREQ=MONTHLY;INTERVAL=12');
+        expect(unfolded).toContain('TRIGGER:-P7D');
+        expect(renderObligationRegister(register, 'ics', { reminderDays: 0 }).body).not.toContain('VALARM');
+
+        const csv = renderObligationRegister(register, 'csv');
+        expect(csv.contentType).toBe('text/csv; charset=utf-8');
+        const rows = csv.body.trim().split('\r\n');
+        expect(rows[0]).toBe('id,type,party,obligation,deadline,due_date,due_date_basis,recurrence,clause');
+        expect(rows[1]).toBe('obligation-1,obligation,Supplier,deliver the implementation plan,30 days after the Effective Date,' +
+            '2025-02-14,effectiveDate,,The Supplier shall deliver the implementation plan within thirty (30) days of the Effective Date');
+        expect(rows).toHaveLength(1 + 6 + 2);
+    });
+});
+
+describe('Obligations API', () => {
+    afterAll(() => {
+        fs.rmSync(path.join(__dirname, '..', 'uploads', 'workspaces', 'legal-ops'), { recursive: true, force: true });
+        fs.rmSync(path.join(__dirname, '..', 'rules', 'workspaces', 'legal-ops'), { recursive: true, force: true });
+    });
+
+    test('Registers are built from text or corrected terms, stored and exported', async () => {
+        await request(app).post('/api/obligations').send({}).expect(400);
+        await request(app).post('/api/obligations').send({ resultId: 'missing' }).expect(404);
+        for (const effectiveDate of ['soon', '2025-W05-1', '2025-045', '2025', '2025-02', '2025-02-30', '2025-02-01T10:00:00Z']) {
+            await request(app).post('/api/obligations').send({ documentText: contract, effectiveDate }).expect(400);
+        }
+
+        const response = await request(app).post('/api/obligations').send({ documentText: contract }).expect(200);
+        const register = response.body.register;
+        expect(register.obligations).toHaveLength(6);
+        expect(register.summary.scheduled).toBe(3);
+
+        // A corrected effective date moves the deadlines that depend on it
+        const terms = await request(app).post('/api/terms').send({ documentText: contract, options: { useModel: false } }).expect(200);
+        await request(app)
+            .patch(`/api/terms/${terms.body.extraction.id}`)
+            .send({ fields: { effectiveDate: '2025-02-01' } })
+            .expect(200);
+        const corrected = await request(app)
+            .post('/api/obligations')
+            .send({ documentText: contract, termsId: terms.body.extraction.id })
+            .expect(200);
+        expect(corrected.body.register.obligations[0].dueDate).toBe('2025-03-03');
+
+        const stored = await request(app).get(`/api/obligations/${register.id}`).expect(200);
+        expect(stored.body.register).toEqual(register);
+        await request(app).get('/api/obligations/missing').expect(404);
+
+        const ics = await request(app).get(`/api/obligations/${register.id}/export`).expect(200);
+        expect(ics.headers['content-type']).toMatch(/^text\/calendar/);
+        expect(ics.headers['content-disposition']).toContain(`obligations-${register.id}.ics`);
+        expect(ics.text).toContain('DTSTART;VALUE=DATE:20250214');
+        const csv = await request(app).get(`/api/obligations/${register.id}/export?format=csv&reminderDays=3`).expect(200);
+        expect(csv.text).toMatch(/^id,type,party/);
+        await request(app).get(`/api/obligations/${register.id}/export?format=pdf`).expect(400);
+
+        const log = await request(app).get('/api/audit?action=obligations.export').expect(200);
+        expect(log.body.entries.map(entry => entry.details)).toEqual([
+            { registerId: register.id, format: 'csv' },
+            { registerId: register.id, format: 'ics' }
+        ]);
+    });
+
+    test('Term extractions and registers of another workspace are not found', async () => {
+        await request(app).post('/api/workspaces').send({ id: 'legal-ops', name: 'Legal Ops' }).expect(201);
+
+        const terms = await request(app)
+            .post('/api/terms')
+            .set('X-Workspace', 'legal-ops')
+            .send({ documentText: contract, options: { useModel: false } })
+            .expect(200);
+        await request(app)
+            .post('/api/obligations')
+            .send({ documentText: contract, termsId: terms.body.extraction.id })
+            .expect(404);
+
+        const register = await request(app).post('/api/obligations').send({ documentText: contract }).expect(200);
+        await request(app).get(`/api/obligations/${register.body.register.id}?workspace=legal-ops`).expect(404);
+        await request(app).get(`/api/obligations/${register.body.register.id}/export?workspace=legal-ops`).expect(404);
+    });
+});
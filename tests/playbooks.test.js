@@ -0,0 +1,127 @@
+const path = require('path');
+const fs = require('fs');
+const request = require('supertest');
+const { validatePlaybook, assessClause, reviewContract } = require('../lib/playbooks');
+
+process.env.DATABASE_URL = 'sqlite::memory:';
+// Access control is covered in auth.test.js
+process.env.ENABLE_AUTH = 'false';
+process.env.MOCK_AI = 'true';
+process.env.RETRIEVAL_SIMILARITY_THRESHOLD = '0.5';
+delete process.env.ANTHROPIC_API_KEY;
+const app = require('../server');
+
+const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'playbook.json'), 'utf8'));
+
+const contract = `SERVICES AGREEMENT
+
+1. Services
+The Supplier will provide the services described in the order form.
+
+2. Limitation of Liability
+The Supplier's total liability shall not exceed 100% of the fees paid in the preceding twelve months.
+
+3. Termination
+Either party may terminate this Agreement for convenience on ninety (90) days' written notice.`;
+
+describe('Playbook review', () => {
+    const playbook = { id: 'pb', version: 1, ...validatePlaybook(fixture) };
+    const liability = playbook.clauses[0];
+
+    test('Each clause is classified and matched to the best tier it meets', () => {
+        const review = reviewContract(contract, playbook);
+
+        expect(review.clauses.map(clause => [clause.clauseType, clause.tier, clause.fallbackLevel])).toEqual([
+            ['liability', 'fallback', 2],
+            ['termination', 'fallback', 1]
+        ]);
+        const [cap] = review.clauses;
+        expect(contract.substr(cap.location.start, cap.location.length)).toMatch(/^2\. Limitation of Liability/);
+        expect(cap.unmet).toEqual(['requires /unlimited/', 'requires /200\\s*%/']);
+        // Short of the first fallback, the first fallback is what to propose next
+        expect(cap.proposal).toMatchObject({ tier: 'fallback', level: 1, language: expect.stringMatching(/150%/) });
+        expect(review.clauses[1].proposal).toBeNull();
+
+        expect(review.missing).toEqual([expect.objectContaining({
+            clauseType: 'governing-law',
+            proposal: expect.objectContaining({ tier: 'preferred', language: expect.stringMatching(/England and Wales/) })
+        })]);
+        expect(review.summary).toMatchObject({ clausesReviewed: 2, fallback: 2, missing: 1, escalations: 0 });
+    });
+
+    test('Clauses below the walk-away terms are escalated', () => {
+        expect(assessClause('The Supplier shall have unlimited liability and 200% of fees.', liability)).toMatchObject({
+            tier: 'preferred',
+            proposal: null
+        });
+        expect(assessClause('Liability is capped at the fees paid.', liability)).toMatchObject({
+            tier: 'walk_away',
+            proposal: { level: 1 }
+        });
+        expect(assessClause('The Supplier excludes all liability.', liability)).toMatchObject({
+            tier: 'unacceptable',
+            escalate: true,
+            escalationContact: 'general.counsel@example.com'
+        });
+    });
+
+    test('Invalid playbooks list every problem', () => {
+        expect(() => validatePlaybook({
+            name: 'Broken',
+            clauses: [
+                { clauseType: 'Liability Cap', title: 'Cap', keywords: ['cap'], preferred: { language: 'x', requires: ['('] } }
+            ]
+        })).toThrow(/clauseType.*pattern[\s\S]*"\(" is not a valid regular expression/);
+    });
+});
+
+describe('Playbooks API', () => {
+    let playbookId;
+
+    beforeAll(() => {
+        fs.mkdirSync(path.join(__dirname, '..', 'uploads', 'policies'), { recursive: true });
+    });
+
+    test('Playbooks can be created, reviewed against and versioned', async () => {
+        await request(app).post('/api/playbooks').send({ name: 'Empty', clauses: [] }).expect(400);
+
+        const created = await request(app).post('/api/playbooks').send(fixture).expect(201);
+        playbookId = created.body.playbook.id;
+        expect(created.body.playbook).toMatchObject({ name: 'Supplier MSA', version: 1 });
+
+        const list = await request(app).get('/api/playbooks').expect(200);
+        expect(list.body.playbooks).toEqual([
+            expect.objectContaining({ id: playbookId, clauseTypes: ['liability', 'termination', 'governing-law'] })
+        ]);
+
+        const review = await request(app).post(`/api/playbooks/${playbookId}/review`).send({ documentText: contract }).expect(200);
+        expect(review.body.review).toMatchObject({ playbookId, playbookVersion: 1, summary: { fallback: 2, missing: 1 } });
+
+        const updated = await request(app).put(`/api/playbooks/${playbookId}`).send({ ...fixture, name: 'Supplier MSA 2025' }).expect(200);
+        expect(updated.body.playbook).toMatchObject({ name: 'Supplier MSA 2025', version: 2 });
+    });
+
+    test('Analysis in playbook mode attaches the review to the stored result', async () => {
+        await request(app)
+            .post('/api/policies/upload')
+            .attach('policies', path.join(__dirname, 'fixtures', 'policy.txt'))
+            .expect(200);
+
+        await request(app)
+            .post('/api/analyze')
+            .send({ documentText: contract, options: { playbookId: 'no-such-playbook' } })
+            .expect(400);
+
+        const analysis = await request(app)
+            .post('/api/analyze')
+            .send({ documentText: contract, options: { playbookId } })
+            .expect(200);
+        expect(analysis.body.result.playbook).toMatchObject({ playbookId, playbookVersion: 2 });
+
+        const stored = await request(app).get(`/api/results/${analysis.body.result.id}`).expect(200);
+        expect(stored.body.result.playbook.clauses).toHaveLength(2);
+
+        await request(app).delete(`/api/playbooks/${playbookId}`).expect(200);
+        await request(app).get(`/api/playbooks/${playbookId}`).expect(404);
+    });
+});
@@ -0,0 +1,203 @@
+const path = require('path');
+const fs = require('fs');
+const request = require('supertest');
+
+// Full RAG path offline: the mock provider answers from fixtures/mock-ai.json and brings an
+// in-memory vector store in place of ChromaDB
+process.env.DATABASE_URL = 'sqlite::memory:';
+// Access control is covered in auth.test.js
+process.env.ENABLE_AUTH = 'false';
+process.env.MOCK_AI = 'true';
+// The hashed mock embeddings score lower than real ones, so relax the relevance cut-off
+process.env.RETRIEVAL_SIMILARITY_THRESHOLD = '0.5';
+delete process.env.ANTHROPIC_API_KEY;
+
+// Count the embedding requests, and fail the next one on demand
+const llm = require('../lib/llm');
+const embedding = { calls: 0, failNext: false };
+const createProviderFromEnv = llm.createProviderFromEnv;
+llm.createProviderFromEnv = (...args) => {
+    const provider = createProviderFromEnv(...args);
+    const embed = provider.embed;
+    provider.embed = async (texts) => {
+        embedding.calls++;
+        if (embedding.failNext) {
+            embedding.failNext = false;
+            throw new Error('vector store unavailable');
+        }
+        return embed.call(provider, texts);
+    };
+    return provider;
+};
+const app = require('../server');
+
+describe('RAG analysis with the mock provider', () => {
+    let policyId;
+
+    beforeAll(async () => {
+        fs.mkdirSync(path.join(__dirname, '..', 'uploads', 'policies'), { recursive: true });
+        const upload = await request(app)
+            .post('/api/policies/upload')
+            .attach('policies', path.join(__dirname, 'fixtures', 'policy.txt'))
+            .expect(200);
+        policyId = upload.body.policies[0].id;
+    });
+
+    afterAll(async () => {
+        await request(app).delete(`/api/policies/${policyId}`).expect(200);
+    });
+
+    test('Analysis retrieves policy sections and returns located model findings', async () => {
+        const documentText = 'The Supplier accepts unlimited liability.\nRecords are retained and the Supplier will use best efforts to deliver.';
+        const response = await request(app)
+            .post('/api/analyze')
+            .send({ documentText })
+            .expect(200);
+
+        const result = response.body.result;
+        expect(result.analysis).toMatchObject({ aiAnalyzed: true, ragUsed: true });
+        expect(result.complianceScore).toBe(70);
+        expect(result.degraded).toBeNull();
+        expect(result.policiesConsulted).toEqual([
+            expect.objectContaining({ policyId, policyName: 'policy.txt', chunkIndexes: [0], sections: ['Retention Policy'] })
+        ]);
+        expect(result.provenance).toMatchObject({ engine: 'rag', model: 'mock/mock', retrievedChunks: 1 });
+        expect(result.retrieval).toMatchObject({ clausesSearched: 1, clausesMatched: 1, chunksIncluded: 1, similarityThreshold: 0.5 });
+        expect(result.retrieval.trace).toEqual([expect.objectContaining({
+            clauseIndex: 0,
+            policyId,
+            heading: 'Retention Policy',
+            keywordScore: 1,
+            included: true
+        })]);
+
+        const liability = result.issues.find(issue => issue.title === 'Uncapped liability');
+        expect(liability.locationVerified).toBe(true);
+        expect(liability.locations[0].start).toBe(documentText.indexOf('unlimited liability'));
+
+        const retention = result.issues.find(issue => issue.title === 'Retention period not stated');
+        expect(retention.citations).toEqual([{
+            chunkId: `${policyId}_chunk_0`,
+            policyId,
+            policyName: 'policy.txt',
+            heading: 'Retention Policy',
+            chunkIndex: 0,
+            passage: 'Retention Policy\n\nRecords must be retained for seven years.'
+        }]);
+        expect(retention.rejectedCitations).toBeUndefined();
+
+        const efforts = result.suggestions.find(suggestion => suggestion.title === 'Replace "best efforts"');
+        expect(efforts.edits).toEqual([expect.objectContaining({
+            text: 'best efforts',
+            replacement: 'commercially reasonable efforts',
+            paragraphIndex: 1
+        })]);
+    });
+
+    test('Every clause is searched and unrelated clauses retrieve nothing', async () => {
+        const clauses = [
+            '1. Payment\nInvoices are payable within thirty days of receipt by the Customer.',
+            '2. Governing Law\nThis Agreement is governed by the laws of England and Wales.',
+            '3. Records\nAll records are retained for seven years after termination.'
+        ];
+        const response = await request(app)
+            .post('/api/analyze')
+            .send({ documentText: clauses.join('\n\n') })
+            .expect(200);
+
+        const retrieval = response.body.result.retrieval;
+        expect(retrieval.clausesSearched).toBe(3);
+        expect(retrieval.trace.map(match => [match.clauseIndex, match.clauseHeading])).toEqual([[2, '3 Records']]);
+        expect(response.body.result.policiesConsulted).toEqual([
+            expect.objectContaining({ policyId, sections: ['Retention Policy'] })
+        ]);
+    });
+
+    test('Clauses are searched in one batch; a failed vector search falls back to keywords and is reported', async () => {
+        const documentText = ['1. Payment\nInvoices are payable within thirty days.', '2. Records\nRecords are retained by the Supplier.',
+            '3. Records\nRecords are kept in the archive.'].join('\n\n');
+
+        embedding.calls = 0;
+        const searched = await request(app).post('/api/analyze').send({ documentText }).expect(200);
+        // One vector query for the clauses, one to score keyword matches it did not return
+        expect(embedding.calls).toBeLessThanOrEqual(2);
+        expect(searched.body.result.retrieval).toMatchObject({ clausesSearched: 3, clausesWithoutVectorSearch: 0 });
+
+        embedding.failNext = true;
+        const failed = await request(app).post('/api/analyze').send({ documentText }).expect(200);
+        expect(failed.body.result.retrieval).toMatchObject({ clausesSearched: 3, clausesWithoutVectorSearch: 3 });
+    });
+
+    test('Streaming analysis reports every stage and the model findings', async () => {
+        const response = await request(app)
+            .post('/api/analyze/stream')
+            .send({ documentText: 'Either party may indemnify the other against claims. Records are retained for the term.' })
+            .buffer(true)
+            .parse((res, callback) => {
+                let data = '';
+                res.on('data', chunk => { data += chunk; });
+                res.on('end', () => callback(null, data));
+            })
+            .expect(200);
+
+        const events = response.body.trim().split('\n\n').map(block => {
+            const [eventLine, dataLine] = block.split('\n');
+            return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+        });
+
+        const stages = [...new Set(events.filter(e => e.event === 'stage').map(e => e.data.stage))];
+        expect(stages).toEqual(['chunking', 'retrieval', 'model', 'rules', 'scoring']);
+        expect(events.find(e => e.event === 'stage' && e.data.stage === 'retrieval' && e.data.status === 'completed').data.policyChunksFound).toBe(1);
+        expect(events.some(e => e.event === 'finding' && e.data.source === 'model' &&
+            e.data.finding.title === 'Indemnity clause needs review')).toBe(true);
+    });
+
+    test('Search and grammar checks go through the provider', async () => {
+        const search = await request(app)
+            .get('/api/search')
+            .query({ q: 'how long are records retained' })
+            .expect(200);
+        expect(search.body.mode).toBe('semantic');
+        expect(search.body.passages[0]).toMatchObject({ policyId, heading: 'Retention Policy' });
+
+        const grammar = await request(app)
+            .post('/api/grammar-check')
+            .send({ text: 'We will recieve teh goods.' })
+            .expect(200);
+        expect(grammar.body).toMatchObject({ checker: 'ai', degraded: null });
+        expect(grammar.body.issues.map(issue => issue.suggestion)).toEqual(['the', 'receive']);
+    });
+
+    test('Key terms combine the rules with the model and accept corrections', async () => {
+        const documentText = 'This Agreement is between Acme Inc. and Beta Ltd.\n' +
+            'Invoices are payable within thirty (30) days of receipt.\n' +
+            'This Agreement is governed by the laws of the State of New York.';
+        const response = await request(app)
+            .post('/api/terms')
+            .send({ documentText })
+            .expect(200);
+
+        const { extraction } = response.body;
+        expect(extraction).toMatchObject({ extractor: 'rules+model', degraded: null });
+        const byField = Object.fromEntries(extraction.terms.map(term => [term.field, term]));
+        expect(byField.governingLaw).toMatchObject({ value: 'New York', source: 'rules+model' });
+        expect(byField.paymentTerms).toMatchObject({ value: { amount: 30, unit: 'days' }, source: 'rules+model' });
+        expect(byField.parties).toMatchObject({ value: ['Acme Inc.', 'Beta Ltd.'], source: 'rules' });
+        expect(byField.term.value).toBeNull();
+
+        const edited = await request(app)
+            .patch(`/api/terms/${extraction.id}`)
+            .send({ fields: { term: '3 years' } })
+            .expect(200);
+        expect(edited.body.extraction.terms.find(term => term.field === 'term')).toMatchObject({ value: { amount: 3, unit: 'years' }, source: 'user' });
+
+        const stored = await request(app).get(`/api/terms/${extraction.id}`).expect(200);
+        expect(stored.body.extraction.terms).toEqual(edited.body.extraction.terms);
+
+        const invalid = await request(app)
+            .patch(`/api/terms/${extraction.id}`)
+            .send({ fields: { effectiveDate: 'soon' } })
+            .expect(400);
+        expect(invalid.body.errors[0]).toMatch(/Effective date/);
+    });
+});
@@ -0,0 +1,172 @@
+const path = require('path');
+const fs = require('fs');
+const request = require('supertest');
+const llm = require('../lib/llm');
+const { redactText, validateRedactionPolicy } = require('../lib/redaction');
+
+process.env.DATABASE_URL = 'sqlite::memory:';
+// Access control is covered in auth.test.js
+process.env.ENABLE_AUTH = 'false';
+process.env.MOCK_AI = 'true';
+process.env.RETRIEVAL_SIMILARITY_THRESHOLD = '0.5';
+delete process.env.ANTHROPIC_API_KEY;
+
+// Keep every prompt and embedding input the server sends, to check what left the building
+const prompts = [];
+const embedded = [];
+const createProviderFromEnv = llm.createProviderFromEnv;
+llm.createProviderFromEnv = (...args) => {
+    const provider = createProviderFromEnv(...args);
+    const complete = provider.complete;
+    provider.complete = (prompt, options) => {
+        prompts.push(prompt);
+        return complete.call(provider, prompt, options);
+    };
+    const embed = provider.embed;
+    provider.embed = (texts) => {
+        embedded.push(...texts);
+        return embed.call(provider, texts);
+    };
+    return provider;
+};
+const app = require('../server');
+
+const contract = 'This Agreement is between Acme Widgets Inc. ("Acme") and Beta Ltd., 10 Downing Street, London SW1A 2AA.\n' +
+    'Acme accepts unlimited liability. Fees of USD 250,000 are paid to IBAN GB29 NWBK 6016 1331 9268 19.\n' +
+    'Acme will use best efforts to deliver. Contact jane.doe@acme.com or Tel: +44 20 7946 0958.';
+
+describe('Redaction', () => {
+    const defaults = validateRedactionPolicy({});
+
+    test('Entities become stable placeholders and short names share their company\'s', () => {
+        const redaction = redactText(contract, defaults);
+
+        expect(redaction.text).toBe('This Agreement is between PARTY_A ("PARTY_A") and PARTY_B, ADDRESS_1.\n' +
+            'PARTY_A accepts unlimited liability. Fees of AMOUNT_1 are paid to IBAN IBAN_1.\n' +
+            'PARTY_A will use best efforts to deliver. Contact EMAIL_1 or Tel: PHONE_1.');
+        expect(redaction.replacements.map(({ placeholder, type, value, occurrences }) => [placeholder, type, value, occurrences])).toEqual([
+            ['PARTY_A', 'party', 'Acme Widgets Inc.', 4],
+            ['PARTY_B', 'party', 'Beta Ltd.', 1],
+            ['ADDRESS_1', 'address', '10 Downing Street, London SW1A 2AA', 1],
+            ['AMOUNT_1', 'amount', 'USD 250,000', 1],
+            ['IBAN_1', 'iban', 'GB29 NWBK 6016 1331 9268 19', 1],
+            ['EMAIL_1', 'email', 'jane.doe@acme.com', 1],
+            ['PHONE_1', 'phone', '+44 20 7946 0958', 1]
+        ]);
+        expect(redactText(contract, defaults).text).toBe(redaction.text);
+    });
+
+    test('Quotes and offsets of the redacted text map back onto the original', () => {
+        const redaction = redactText(contract, defaults);
+        const quote = 'PARTY_A accepts unlimited liability';
+
+        expect(redaction.restoreQuote(quote, redaction.text.indexOf(quote))).toEqual({
+            quote: 'Acme accepts unlimited liability',
+            start: contract.indexOf('Acme accepts')
+        });
+        expect(redaction.restore({ description: 'Cap PARTY_B at AMOUNT_1, not AMOUNT_10' })).toEqual({
+            description: 'Cap Beta Ltd. at USD 250,000, not AMOUNT_10'
+        });
+        const span = redaction.originalSpan(redaction.text.indexOf('AMOUNT_1') + 2, 3);
+        expect(contract.substr(span.start, span.length)).toBe('USD 250,000');
+        const redactedSpan = redaction.redactedSpan(contract.indexOf('Acme accepts'), 'Acme accepts unlimited liability. Fees of USD'.length);
+        expect(redaction.text.substr(redactedSpan.start, redactedSpan.length)).toBe('PARTY_A accepts unlimited liability. Fees of AMOUNT_1');
+    });
+
+    test('Policies choose the entities and add terms and patterns of their own', () => {
+        const policy = validateRedactionPolicy({
+            entities: ['amount'],
+            terms: ['Project Falcon'],
+            patterns: [{ label: 'CUSTOMER_ID', pattern: 'CUST-\\d{6}' }]
+        });
+        expect(redactText('Acme Inc. pays $5,000 for project falcon (CUST-123456).', policy).text)
+            .toBe('Acme Inc. pays AMOUNT_1 for TERM_1 (CUSTOMER_ID_1).');
+        expect(redactText(contract, validateRedactionPolicy({ enabled: false })).text).toBe(contract);
+
+        expect(() => validateRedactionPolicy({ entities: ['ssn'], patterns: [{ label: 'id', pattern: '(' }] }))
+            .toThrow(/entities\[0\]" must be one of[\s\S]*upper-case[\s\S]*"\(" is not a valid regular expression/);
+    });
+});
+
+describe('Redaction before model calls', () => {
+    beforeAll(async () => {
+        fs.mkdirSync(path.join(__dirname, '..', 'uploads', 'policies'), { recursive: true });
+        await request(app)
+            .post('/api/policies/upload')
+            .attach('policies', path.join(__dirname, 'fixtures', 'policy.txt'))
+            .expect(200);
+    });
+
+    beforeEach(() => {
+        prompts.length = 0;
+        embedded.length = 0;
+    });
+
+    test('The model sees placeholders; findings come back with the original text and offsets', async () => {
+        const response = await request(app).post('/api/analyze').send({ documentText: contract }).expect(200);
+        const result = response.body.result;
+
+        expect(prompts).toHaveLength(1);
+        for (const value of ['Acme', 'Beta Ltd.', 'Downing', '250,000', 'GB29', 'jane.doe', '7946']) {
+            expect(prompts[0]).not.toContain(value);
+        }
+        expect(prompts[0]).toContain('PARTY_A accepts unlimited liability');
+        // Retrieval queries are embedded by the provider as well
+        expect(embedded.length).toBeGreaterThan(0);
+        for (const value of ['Acme', 'Beta Ltd.', '250,000', 'GB29', 'jane.doe']) {
+            expect(embedded.join('\n')).not.toContain(value);
+        }
+        expect(embedded.join('\n')).toContain('PARTY_A accepts unlimited liability');
+
+        const liability = result.issues.find(issue => issue.title === 'Uncapped liability');
+        expect(liability.locations[0].start).toBe(contract.indexOf('unlimited liability'));
+        const efforts = result.suggestions.find(suggestion => suggestion.title === 'Replace "best efforts"');
+        expect(efforts.edits[0]).toMatchObject({ text: 'best efforts', start: contract.indexOf('best efforts') });
+
+        expect(result.redaction.replacements).toEqual(expect.arrayContaining([
+            expect.objectContaining({ placeholder: 'PARTY_A', value: 'Acme Widgets Inc.' }),
+            expect.objectContaining({ placeholder: 'IBAN_1', type: 'iban' })
+        ]));
+        const stored = await request(app).get(`/api/results/${result.id}`).expect(200);
+        expect(stored.body.result.redaction).toEqual(result.redaction);
+    });
+
+    test('Grammar checks and key terms are redacted and restored too', async () => {
+        const grammar = await request(app)
+            .post('/api/grammar-check')
+            .send({ text: 'Acme Widgets Inc. will recieve teh goods.' })
+            .expect(200);
+        expect(prompts[0]).not.toContain('Acme');
+        const typo = grammar.body.issues.find(issue => issue.suggestion === 'the');
+        expect('Acme Widgets Inc. will recieve teh goods.'.substr(typo.position, typo.length)).toBe('teh');
+        expect(grammar.body.redaction.replacements).toHaveLength(1);
+
+        const terms = await request(app)
+            .post('/api/terms')
+            .send({ documentText: 'Acme Inc. total liability shall not exceed USD 1,000,000.' })
+            .expect(200);
+        expect(prompts[1]).toContain('shall not exceed AMOUNT_1');
+        const cap = terms.body.extraction.terms.find(term => term.field === 'liabilityCap');
+        expect(cap).toMatchObject({ source: 'rules+model', value: { amount: 1000000, currency: 'USD' } });
+    });
+
+    test('Each workspace sets its own policy', async () => {
+        const initial = await request(app).get('/api/workspaces/default/redaction').expect(200);
+        expect(initial.body.redaction).toMatchObject({ source: 'default', policy: { enabled: true } });
+
+        const invalid = await request(app).put('/api/workspaces/default/redaction').send({ entities: ['ssn'] }).expect(400);
+        expect(invalid.body.errors[0]).toMatch(/must be one of/);
+
+        await request(app)
+            .put('/api/workspaces/default/redaction')
+            .send({ entities: ['iban'], terms: ['best efforts'] })
+            .expect(200);
+        const preview = await request(app).post('/api/redaction/preview').send({ text: contract }).expect(200);
+        expect(preview.body.text).toContain('Acme Widgets Inc.');
+        expect(preview.body.text).toContain('IBAN IBAN_1');
+        expect(preview.body.text).toContain('will use TERM_1 to deliver');
+
+        const reset = await request(app).delete('/api/workspaces/default/redaction').expect(200);
+        expect(reset.body.redaction.source).toBe('default');
+    });
+});
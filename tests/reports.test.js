@@ -0,0 +1,57 @@
+const { buildReport, renderReport } = require('../lib/reports');
+
+describe('Analysis reports', () => {
+    const branding = { organization: 'Acme Legal', title: 'Vendor Review', accentColor: '#aa0000', footer: 'Internal only' };
+    const result = {
+        id: 'result1',
+        analysisDate: '2025-02-01T09:00:00.000Z',
+        complianceScore: 62,
+        riskLevel: 'Medium',
+        wordCount: 120,
+        issues: [
+            { type: 'Language Issue', severity: 'low', title: 'Ambiguous "shall"', description: 'Found 1 instance(s)', clauses: ['The Supplier shall deliver.'] },
+            { type: 'Policy Compliance', severity: 'high', title: '=HYPERLINK("x")', description: 'Missing cap', locations: [{ text: 'liability' }] }
+        ],
+        suggestions: [
+            { title: 'Use "will"', priority: 'medium', description: '', edits: [{ text: 'shall', replacement: 'will' }] }
+        ],
+        policiesConsulted: [{ policyId: 'p1', policyName: 'Liability Policy', chunkIndexes: [0, 3] }],
+        provenance: { engine: 'rag', model: 'claude-test', rulePacks: ['default@1.0.0'], retrievedChunks: 2 },
+        analysis: { aiAnalyzed: true, ragUsed: true }
+    };
+
+    test('Issues are grouped by severity with their quoted clauses', () => {
+        const report = buildReport(result, branding);
+
+        expect(report.issueGroups.map(group => group.severity)).toEqual(['high', 'low']);
+        expect(report.issueGroups[0].items[0].clauses).toEqual(['liability']);
+        expect(report.issueGroups[1].items[0].clauses).toEqual(['The Supplier shall deliver.']);
+        expect(report.policies).toEqual([{ name: 'Liability Policy', detail: 'Section(s) 1, 4 retrieved' }]);
+        expect(report.provenance).toContainEqual(['AI model', 'claude-test']);
+    });
+
+    test('HTML and CSV carry the branding, findings and provenance', async () => {
+        const html = await renderReport(result, 'html', branding);
+        expect(html.contentType).toMatch(/text\/html/);
+        expect(html.body).toContain('Acme Legal');
+        expect(html.body).toContain('#aa0000');
+        expect(html.body).toContain('<blockquote>The Supplier shall deliver.</blockquote>');
+        expect(html.body).toContain('Replace &quot;shall&quot; with &quot;will&quot;');
+        expect(html.body).toContain('AI analysis with policy retrieval (RAG)');
+
+        const csv = await renderReport(result, 'csv', branding);
+        const lines = csv.body.trim().split('\r\n');
+        expect(lines[0]).toBe('section,level,title,description,clauses');
+        expect(lines).toContain('issue,high,"\'=HYPERLINK(""x"")",Missing cap,liability');
+        expect(lines).toContain('policy,,Liability Policy,"Section(s) 1, 4 retrieved",');
+    });
+
+    test('DOCX and PDF render to binary documents', async () => {
+        const docx = await renderReport(result, 'docx', branding);
+        expect(docx.extension).toBe('docx');
+        expect(docx.body.subarray(0, 2).toString()).toBe('PK');
+
+        const pdf = await renderReport(result, 'pdf', branding);
+        expect(pdf.body.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+});
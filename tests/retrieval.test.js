@@ -0,0 +1,47 @@
+const { estimateTokens, mergeClauseHits, packContext } = require('../lib/retrieval');
+
+function hit(id, text, scores) {
+    return { id, text, policyId: id.split('_')[0], policyName: `Policy ${id[0]}`, chunkIndex: 0, ...scores };
+}
+
+describe('Hybrid retrieval', () => {
+    test('Vector and keyword hits are merged per chunk and weak hits dropped', () => {
+        const merged = mergeClauseHits(
+            [hit('a_chunk_0', 'cap', { vectorScore: 0.9 }), hit('b_chunk_0', 'fees', { vectorScore: 0.4 })],
+            [hit('a_chunk_0', 'cap', { keywordScore: 1 }), hit('c_chunk_0', 'term', { keywordScore: 0.5 })],
+            { vectorWeight: 0.7, threshold: 0.2 }
+        );
+
+        expect(merged.map(entry => [entry.id, entry.score])).toEqual([
+            ['a_chunk_0', 0.93],
+            ['b_chunk_0', 0.28]
+        ]);
+        expect(merged[0]).toMatchObject({ vectorScore: 0.9, keywordScore: 1 });
+    });
+
+    test('Context packing covers every clause first and respects the token budget', () => {
+        const long = 'x'.repeat(400);
+        const clauses = [
+            { clauseIndex: 0, heading: '1. Fees', start: 0, hits: [
+                { ...hit('a_chunk_0', long, { vectorScore: 1, keywordScore: 1 }), score: 0.95 },
+                { ...hit('a_chunk_1', long, { vectorScore: 1, keywordScore: 1 }), score: 0.9 },
+                { ...hit('b_chunk_0', long, { vectorScore: 1, keywordScore: 1 }), score: 0.85 }
+            ] },
+            { clauseIndex: 1, heading: '9. Records', start: 500, hits: [
+                { ...hit('a_chunk_0', long, { vectorScore: 1, keywordScore: 1 }), score: 0.8 },
+                { ...hit('c_chunk_0', long, { vectorScore: 1, keywordScore: 1 }), score: 0.75 }
+            ] },
+            { clauseIndex: 2, heading: '12. Notices', start: 900, hits: [] }
+        ];
+
+        const { selected, trace, usedTokens } = packContext(clauses, { budgetTokens: 300 });
+
+        expect(estimateTokens(long)).toBe(100);
+        expect(selected.map(entry => entry.id)).toEqual(['a_chunk_0', 'a_chunk_1', 'b_chunk_0']);
+        expect(usedTokens).toBe(300);
+        expect(trace).toHaveLength(5);
+        expect(trace.filter(match => match.included).map(match => match.chunkId))
+            .toEqual(['a_chunk_0', 'a_chunk_1', 'b_chunk_0', 'a_chunk_0']);
+        expect(trace[4]).toMatchObject({ clauseIndex: 1, clauseHeading: '9. Records', chunkId: 'c_chunk_0', included: false });
+    });
+});
@@ -0,0 +1,111 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { createRuleEngine, validateRule, RuleValidationError } = require('../lib/rules');
+
+const bannedPhrase = {
+    id: 'best-efforts',
+    scope: 'analysis',
+    type: 'pattern',
+    pattern: '\\bbest efforts\\b',
+    flags: 'gi',
+    severity: 'high',
+    penalty: 5,
+    message: "Firm policy bans 'best efforts'",
+    suggestion: "Use 'commercially reasonable efforts'",
+    replacement: 'commercially reasonable efforts',
+    enabled: false
+};
+
+describe('Rule engine', () => {
+    let tmpDir;
+    let engine;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+        fs.copyFileSync(path.join(__dirname, '..', 'rules', 'default.json'), path.join(tmpDir, 'default.json'));
+        engine = createRuleEngine({ directory: tmpDir });
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('Default pack reproduces the built-in language and structure checks', () => {
+        const result = engine.analyze('The Supplier shall hereby deliver the goods.');
+        const titles = result.issues.map(issue => issue.title);
+
+        expect(titles).toEqual(expect.arrayContaining([
+            "Use of 'shall' - ambiguous legal term",
+            "Unnecessary use of 'hereby'",
+            'Missing Parties section'
+        ]));
+        expect(result.penalty).toBe(2 + 1 + 10 + 10 + 10);
+    });
+
+    test('Rules are validated before they are stored', () => {
+        expect(validateRule({ ...bannedPhrase, severity: 'critical', pattern: '(' })).toEqual([
+            'severity must be one of low, medium, high',
+            expect.stringMatching(/not a valid regular expression/)
+        ]);
+        expect(() => engine.createRule({ ...bannedPhrase, id: 'shall-ambiguous' })).toThrow(RuleValidationError);
+        for (const pack of ['../escaped', 'nested/pack', '', 'x'.repeat(65), 42]) {
+            expect(() => engine.createRule(bannedPhrase, pack)).toThrow(/pack must be/);
+        }
+        expect(fs.readdirSync(path.dirname(tmpDir)).some(name => name.startsWith('escaped'))).toBe(false);
+    });
+
+    test('New rules go to a versioned custom pack and only run once enabled', () => {
+        const text = 'The parties will use best efforts for the term until termination.';
+        engine.createRule(bannedPhrase);
+
+        expect(engine.analyze(text).issues).toHaveLength(0);
+
+        engine.updateRule('best-efforts', { enabled: true });
+        const [issue] = engine.analyze(text).issues;
+        expect(issue.ruleId).toBe('best-efforts');
+
+        const saved = JSON.parse(fs.readFileSync(path.join(tmpDir, 'custom.json'), 'utf8'));
+        expect(saved.version).toBe('0.0.2');
+        expect(saved.rules[0].enabled).toBe(true);
+
+        const reloaded = createRuleEngine({ directory: tmpDir });
+        expect(reloaded.getRule('best-efforts').pack).toBe('custom');
+    });
+
+    test('Testing a rule reports matches and edits without enabling it', () => {
+        const result = engine.testRule(bannedPhrase, 'Use Best Efforts here.');
+
+        expect(result.valid).toBe(true);
+        expect(result.matches).toEqual([{ start: 4, length: 12, text: 'Best Efforts', paragraphIndex: 0 }]);
+        expect(result.suggestions[0].edits[0].replacement).toBe('Commercially reasonable efforts');
+        expect(engine.getRule('best-efforts')).toBeNull();
+    });
+
+    test('Jurisdiction-specific rules only apply to matching analyses', () => {
+        engine.createRule({
+            ...bannedPhrase,
+            id: 'uk-shall',
+            pattern: '\\bhereinafter\\b',
+            enabled: true,
+            jurisdictions: ['UK']
+        });
+
+        const text = 'Acme Ltd (hereinafter the Supplier)';
+        expect(engine.analyze(text, { jurisdiction: 'uk' }).issues.some(i => i.ruleId === 'uk-shall')).toBe(true);
+        expect(engine.analyze(text, { jurisdiction: 'US' }).issues.some(i => i.ruleId === 'uk-shall')).toBe(false);
+        expect(engine.analyze(text, {}).issues.some(i => i.ruleId === 'uk-shall')).toBe(false);
+        expect(engine.analyze(text).issues.some(i => i.ruleId === 'uk-shall')).toBe(false);
+
+        engine.createRule({
+            ...bannedPhrase,
+            id: 'uk-spelling',
+            scope: 'grammar',
+            pattern: '\\bcolor\\b',
+            enabled: true,
+            jurisdictions: ['UK']
+        });
+        expect(engine.checkGrammar('The color blue.', { jurisdiction: 'UK' }).map(i => i.ruleId)).toContain('uk-spelling');
+        expect(engine.checkGrammar('The color blue.').map(i => i.ruleId)).not.toContain('uk-spelling');
+    });
+});
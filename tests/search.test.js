@@ -0,0 +1,38 @@
+const { parseTags, filterPolicies, bm25Search, distanceToSimilarity, surroundingContext } = require('../lib/search');
+
+describe('Policy search', () => {
+    const passages = [
+        { id: 1, text: 'The liability cap is limited to the fees paid in the previous twelve months.' },
+        { id: 2, text: 'Payment is due within thirty days of the invoice date.' },
+        { id: 3, text: 'Liability for gross negligence is not limited. Liability caps do not apply to data breaches.' }
+    ];
+
+    test('BM25 ranks passages by the query terms they contain', () => {
+        const results = bm25Search(passages, 'What is our limit on liability?');
+
+        expect(results.map(result => result.id)).toEqual([3, 1]);
+        expect(results[0].score).toBe(1);
+        expect(results[1].score).toBeLessThan(1);
+        expect(bm25Search(passages, 'the of and')).toEqual([]);
+    });
+
+    test('Policies are filtered by id, every requested tag and upload date', () => {
+        const policies = [
+            { id: 'a', tags: ['liability', 'vendor'], uploadDate: '2024-03-01T10:00:00.000Z' },
+            { id: 'b', tags: ['vendor'], uploadDate: '2025-01-15T10:00:00.000Z' }
+        ];
+
+        expect(filterPolicies(policies, { tag: 'Vendor' }).map(p => p.id)).toEqual(['a', 'b']);
+        expect(filterPolicies(policies, { tag: 'vendor,liability' }).map(p => p.id)).toEqual(['a']);
+        expect(filterPolicies(policies, { uploadedAfter: '2025-01-01' }).map(p => p.id)).toEqual(['b']);
+        expect(filterPolicies(policies, { policyId: 'a', uploadedBefore: '2024-01-01' })).toEqual([]);
+    });
+
+    test('Tags, similarity and context helpers', () => {
+        expect(parseTags(' Liability, vendor,,liability ')).toEqual(['liability', 'vendor']);
+        expect(distanceToSimilarity(0)).toBe(1);
+        expect(distanceToSimilarity(1)).toBe(0.5);
+        expect(surroundingContext(['a', 'b', 'c'], 0)).toEqual({ before: null, after: 'b' });
+        expect(surroundingContext(['a', 'b', 'c'], 2)).toEqual({ before: 'b', after: null });
+    });
+});
@@ -0,0 +1,77 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { createStore, resolveDatabasePath, migrations } = require('../lib/store');
+
+describe('Persistent store', () => {
+    let tmpDir;
+    let databaseUrl;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+        databaseUrl = `sqlite:${path.join(tmpDir, 'app.db')}`;
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('Resolves sqlite URLs relative to the base directory', () => {
+        expect(resolveDatabasePath('sqlite:./data/app.db', '/srv/app')).toBe(path.join('/srv/app', 'data', 'app.db'));
+        expect(resolveDatabasePath('sqlite::memory:', '/srv/app')).toBe(':memory:');
+        expect(() => resolveDatabasePath('postgres://localhost/app', '/srv/app')).toThrow(/Unsupported DATABASE_URL/);
+    });
+
+    test('Migrations run once and policies survive a reopen with a stable id and hash', () => {
+        const first = createStore({ databaseUrl });
+        expect(first.appliedMigrations).toEqual(migrations.map(m => m.version));
+
+        const inserted = first.insertPolicy({
+            id: 'policy1',
+            name: 'Privacy.docx',
+            filename: '1_Privacy.docx',
+            path: '/tmp/1_Privacy.docx',
+            content: 'Personal data must be encrypted.',
+            extractor: 'docx',
+            keywords: ['personal', 'data'],
+            size: 120,
+            uploadDate: '2024-01-01T00:00:00.000Z'
+        });
+        first.markPolicyIndexed('policy1', inserted.contentHash);
+        first.close();
+
+        const second = createStore({ databaseUrl });
+        expect(second.appliedMigrations).toEqual([]);
+
+        const policy = second.getPolicyByFilename('1_Privacy.docx');
+        expect(policy.id).toBe('policy1');
+        expect(policy.keywords).toEqual(['personal', 'data']);
+        expect(policy.indexedHash).toBe(inserted.contentHash);
+
+        const updated = second.updatePolicyContent('policy1', { content: 'Changed text', keywords: [] });
+        expect(updated.contentHash).not.toBe(inserted.contentHash);
+        expect(updated.indexedHash).toBeNull();
+        second.close();
+    });
+
+    test('Analysis history is kept beyond 100 results and listed newest first', () => {
+        const store = createStore({ databaseUrl });
+
+        for (let i = 0; i < 120; i++) {
+            store.saveAnalysisResult({
+                id: `result${i}`,
+                analysisDate: new Date(Date.UTC(2024, 0, 1, 0, 0, i)).toISOString(),
+                complianceScore: i % 100,
+                riskLevel: 'Low',
+                wordCount: 10,
+                documentLength: 60,
+                issues: []
+            });
+        }
+
+        expect(store.countAnalysisResults()).toBe(120);
+        expect(store.listAnalysisResults({ limit: 1 })[0].id).toBe('result119');
+        expect(store.getAnalysisResult('result0').complianceScore).toBe(0);
+        store.close();
+    });
+});
@@ -0,0 +1,109 @@
+const path = require('path');
+const fs = require('fs');
+const request = require('supertest');
+const llm = require('../lib/llm');
+const { createFindingExtractor } = require('../lib/streaming');
+
+process.env.DATABASE_URL = 'sqlite::memory:';
+// Access control is covered in auth.test.js
+process.env.ENABLE_AUTH = 'false';
+process.env.MOCK_AI = 'true';
+delete process.env.ANTHROPIC_API_KEY;
+
+// The first analysis response of a test is streamed as usual but fails validation afterwards
+let corruptNextAnalysis = false;
+const createProviderFromEnv = llm.createProviderFromEnv;
+llm.createProviderFromEnv = (...args) => {
+    const provider = createProviderFromEnv(...args);
+    const complete = provider.complete;
+    provider.complete = async (prompt, options = {}) => {
+        const text = await complete.call(provider, prompt, options);
+        if (options.task !== 'analysis' || !corruptNextAnalysis) {
+            return text;
+        }
+        corruptNextAnalysis = false;
+        return text.replace(/"complianceScore": \d+/, '"complianceScore": 140');
+    };
+    return provider;
+};
+const app = require('../server');
+
+function parseEvents(res, callback) {
+    let data = '';
+    res.on('data', chunk => { data += chunk; });
+    res.on('end', () => callback(null, data.trim().split('\n\n').map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    })));
+}
+
+describe('Streaming finding extractor', () => {
+    test('Emits each finding once its object is complete', () => {
+        const json = 'Here is the analysis:\n```json\n{"complianceScore": 70, "issues": [{"title": "Uses {braces} and \\"quotes\\"", "severity": "low"}, ' +
+            '{"title": "Second"}], "notes": [{"title": "ignored"}], "suggestions": [{"title": "Fix", "replacement": "]"}]}\n```';
+        const extractor = createFindingExtractor();
+        const found = [];
+
+        // Feed the response a few characters at a time, as the model streams it
+        for (let i = 0; i < json.length; i += 7) {
+            found.push(...extractor.push(json.slice(i, i + 7)));
+        }
+
+        expect(found).toEqual([
+            { kind: 'issues', finding: { title: 'Uses {braces} and "quotes"', severity: 'low' } },
+            { kind: 'issues', finding: { title: 'Second' } },
+            { kind: 'suggestions', finding: { title: 'Fix', replacement: ']' } }
+        ]);
+        expect(extractor.text).toBe(json);
+    });
+});
+
+describe('Streaming analysis', () => {
+    const documentText = 'The Supplier accepts unlimited liability and will use best efforts to deliver.';
+
+    beforeAll(async () => {
+        fs.mkdirSync(path.join(__dirname, '..', 'uploads', 'policies'), { recursive: true });
+        await request(app)
+            .post('/api/policies/upload')
+            .attach('policies', path.join(__dirname, 'fixtures', 'policy.txt'))
+            .expect(200);
+    });
+
+    test('Findings of a response that needs repairing are withdrawn before the validated ones', async () => {
+        corruptNextAnalysis = true;
+        const response = await request(app)
+            .post('/api/analyze/stream')
+            .send({ documentText })
+            .buffer(true)
+            .parse(parseEvents)
+            .expect(200);
+        const events = response.body;
+
+        const reset = events.findIndex(e => e.event === 'reset');
+        expect(events[reset].data).toEqual({ source: 'model' });
+        const modelFindings = (from, to) => events.slice(from, to)
+            .filter(e => e.event === 'finding' && e.data.source === 'model')
+            .map(e => e.data.finding.title);
+        expect(modelFindings(0, reset)).toContain('Uncapped liability');
+        expect(events.slice(reset).some(e => e.event === 'stage' && e.data.status === 'repairing')).toBe(true);
+
+        // What is left after the reset is exactly what the stored result holds
+        const { result } = events[events.length - 1].data;
+        const modelIssues = result.issues.filter(issue => !issue.ruleId).map(issue => issue.title);
+        const modelSuggestions = result.suggestions.filter(suggestion => !suggestion.ruleId).map(suggestion => suggestion.title);
+        expect(modelFindings(reset)).toEqual([...modelIssues, ...modelSuggestions]);
+        expect(modelIssues).toContain('Uncapped liability');
+    });
+
+    test('A valid response is streamed once, without a reset', async () => {
+        const response = await request(app)
+            .post('/api/analyze/stream')
+            .send({ documentText })
+            .buffer(true)
+            .parse(parseEvents)
+            .expect(200);
+
+        expect(response.body.some(e => e.event === 'reset')).toBe(false);
+        expect(response.body.filter(e => e.event === 'finding' && e.data.finding.title === 'Uncapped liability')).toHaveLength(1);
+    });
+});
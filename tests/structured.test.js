@@ -0,0 +1,89 @@
+const { analysisSchema, grammarSchema, validateStructured, requestStructured, StructuredOutputError } = require('../lib/structured');
+
+// A provider that returns the queued responses in order and records the prompts it was sent
+function scriptedProvider(responses) {
+    const prompts = [];
+    return {
+        name: 'scripted',
+        prompts,
+        async complete(prompt) {
+            prompts.push(prompt);
+            return responses.shift();
+        }
+    };
+}
+
+const validAnalysis = {
+    complianceScore: 72.4,
+    riskLevel: 'medium',
+    issues: [{ type: 'Liability', severity: 'HIGH', title: 'Uncapped liability', quote: 'unlimited' }],
+    suggestions: [{ type: 'Wording', priority: 'low', title: 'Tighten deadline', replacement: 'within 5 days' }]
+};
+
+describe('Structured model output', () => {
+    test('Valid analyses are normalised and missing optional fields filled in', () => {
+        const { value, errors } = validateStructured(analysisSchema, validAnalysis);
+        expect(errors).toEqual([]);
+        expect(value.complianceScore).toBe(72);
+        expect(value.riskLevel).toBe('Medium');
+        expect(value.issues[0]).toMatchObject({ severity: 'high', description: '', start: -1 });
+        expect(value.suggestions[0]).toMatchObject({ priority: 'low', quote: '', replacement: 'within 5 days' });
+    });
+
+    test('Enums, score bounds and required fields are enforced', () => {
+        const { value, errors } = validateStructured(analysisSchema, {
+            complianceScore: 140,
+            riskLevel: 'Severe',
+            issues: [{ type: 'Liability', severity: 'critical' }]
+        });
+        expect(value).toBeNull();
+        expect(errors).toEqual(expect.arrayContaining([
+            expect.stringMatching(/complianceScore/),
+            expect.stringMatching(/riskLevel/),
+            expect.stringMatching(/severity/),
+            expect.stringMatching(/title/),
+            expect.stringMatching(/suggestions/)
+        ]));
+
+        expect(validateStructured(grammarSchema, { issues: [{ position: -1, length: 0, issue: 'x' }] }).errors).toHaveLength(2);
+    });
+
+    test('Fenced JSON is accepted on the first attempt', async () => {
+        const provider = scriptedProvider(['Sure:\n```json\n' + JSON.stringify(validAnalysis) + '\n```\n{ignored}']);
+        const { value, attempts } = await requestStructured(provider, 'Analyze', analysisSchema);
+        expect(attempts).toBe(1);
+        expect(value.riskLevel).toBe('Medium');
+    });
+
+    test('Invalid output is sent back with its errors for one repair attempt', async () => {
+        const provider = scriptedProvider([
+            JSON.stringify({ ...validAnalysis, riskLevel: 'Severe' }),
+            JSON.stringify(validAnalysis)
+        ]);
+        const repairs = [];
+
+        const { value, attempts } = await requestStructured(provider, 'Analyze', analysisSchema, {
+            onRepair: errors => repairs.push(errors)
+        });
+        expect(attempts).toBe(2);
+        expect(value.complianceScore).toBe(72);
+        expect(repairs).toEqual([[expect.stringMatching(/riskLevel/)]]);
+        expect(provider.prompts[1]).toMatch(/^Analyze\n/);
+        expect(provider.prompts[1]).toContain('"riskLevel":"Severe"');
+        expect(provider.prompts[1]).toMatch(/- "riskLevel" must be one of/);
+    });
+
+    test('Repairs are bounded and the last errors are reported', async () => {
+        const provider = scriptedProvider(['not json', '{"issues": "none"}', JSON.stringify(validAnalysis)]);
+
+        const error = await requestStructured(provider, 'Analyze', analysisSchema, { maxRepairs: 1 }).catch(caught => caught);
+        expect(error).toBeInstanceOf(StructuredOutputError);
+        expect(error.attempts).toBe(2);
+        expect(error.errors).toEqual(expect.arrayContaining([expect.stringMatching(/complianceScore/)]));
+        expect(provider.prompts).toHaveLength(2);
+
+        const noRepair = scriptedProvider(['not json']);
+        await expect(requestStructured(noRepair, 'Analyze', analysisSchema, { maxRepairs: 0 }))
+            .rejects.toThrow(/did not contain a JSON object/);
+    });
+});
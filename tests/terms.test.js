@@ -0,0 +1,83 @@
+const { extractTermsWithRules, readModelTerms, mergeTerms, applyTermEdits, parseTermValue, formatTermValue } = require('../lib/terms');
+
+const contract = `MASTER SERVICES AGREEMENT
+
+This Agreement is made on 1 March 2024 between Acme Inc., a Delaware corporation ("Customer"), and Beta Ltd. ("Supplier").
+
+1. Term
+The initial term of this Agreement is two (2) years. It will automatically renew for successive one-year periods.
+
+2. Termination
+Either party may terminate this Agreement on ninety (90) days' prior written notice.
+
+3. Payment
+Invoices are payable within thirty (30) days of receipt.
+
+4. Liability
+The Supplier's total liability shall not exceed USD 2 million.
+
+5. Confidentiality
+The confidentiality obligations survive for five years after termination.
+
+6. Governing Law
+This Agreement is governed by the laws of England and Wales.`;
+
+describe('Key-term extraction', () => {
+    test('Rules extract typed values with the span they came from', () => {
+        const terms = mergeTerms(extractTermsWithRules(contract));
+        const byField = Object.fromEntries(terms.map(term => [term.field, term]));
+
+        expect(byField.parties.value).toEqual(['Acme Inc.', 'Beta Ltd.']);
+        expect(byField.effectiveDate.value).toBe('2024-03-01');
+        expect(byField.term.value).toEqual({ amount: 2, unit: 'years' });
+        expect(byField.renewal.value).toEqual({ automatic: true, period: { amount: 1, unit: 'years' } });
+        expect(byField.terminationNotice.value).toEqual({ amount: 90, unit: 'days' });
+        expect(byField.paymentTerms).toMatchObject({ value: { amount: 30, unit: 'days' }, display: '30 days', source: 'rules' });
+        expect(byField.liabilityCap.value).toMatchObject({ unlimited: false, amount: 2000000, currency: 'USD' });
+        expect(byField.confidentialityDuration.value).toEqual({ amount: 5, unit: 'years' });
+        expect(byField.governingLaw.value).toBe('England and Wales');
+
+        const location = byField.terminationNotice.location;
+        expect(contract.substr(location.start, location.length)).toBe("ninety (90) days' prior written notice");
+        expect(location.paragraphIndex).toBe(8);
+    });
+
+    test('Missing terms are reported empty, not guessed', () => {
+        const terms = mergeTerms(extractTermsWithRules('The Supplier will deliver the goods.'));
+        expect(terms.every(term => term.value === null && term.confidence === 0)).toBe(true);
+    });
+
+    test('Model values are parsed and merged with the rules', () => {
+        const { found, rejected } = readModelTerms(contract, [
+            { field: 'governingLaw', value: 'England and Wales', quote: 'laws of England and Wales', confidence: 0.9 },
+            { field: 'paymentTerms', value: '45 days', quote: 'not in the contract', confidence: 0.8 },
+            { field: 'effectiveDate', value: 'sometime soon', quote: '', confidence: 0.9 }
+        ]);
+        expect(rejected).toEqual([expect.objectContaining({ field: 'effectiveDate' })]);
+        expect(found.paymentTerms).toMatchObject({ confidence: 0.4, location: null });
+
+        const byField = Object.fromEntries(mergeTerms(extractTermsWithRules(contract), found).map(term => [term.field, term]));
+        // Agreement raises the confidence
+        expect(byField.governingLaw).toMatchObject({ source: 'rules+model', confidence: 0.99 });
+        // The model's unlocated answer loses to the rules but is kept as an alternative
+        expect(byField.paymentTerms).toMatchObject({ source: 'rules', value: { amount: 30, unit: 'days' } });
+        expect(byField.paymentTerms.alternatives).toEqual([{ value: { amount: 45, unit: 'days' }, display: '45 days', source: 'model' }]);
+    });
+
+    test('User corrections are parsed per type and keep the extracted value', () => {
+        const terms = mergeTerms(extractTermsWithRules(contract));
+        const edited = applyTermEdits(terms, { paymentTerms: 'Net 60 business days', governingLaw: '' });
+        const byField = Object.fromEntries(edited.map(term => [term.field, term]));
+
+        expect(byField.paymentTerms).toMatchObject({
+            value: { amount: 60, unit: 'business days' },
+            source: 'user',
+            confidence: 1,
+            extracted: { value: { amount: 30, unit: 'days' }, source: 'rules' }
+        });
+        expect(byField.governingLaw).toMatchObject({ value: null, source: 'user' });
+
+        expect(() => applyTermEdits(terms, { effectiveDate: 'next week', colour: 'blue' })).toThrow(/could not read "next week".*unknown field "colour"/);
+        expect(formatTermValue('renewal', parseTermValue('renewal', 'Automatic, 1 year'))).toBe('Automatic, 1 year');
+    });
+});
@@ -0,0 +1,187 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const request = require('supertest');
+const { diffPolicyVersions, diffFindings } = require('../lib/versions');
+
+process.env.DATABASE_URL = 'sqlite::memory:';
+// Access control is covered in auth.test.js
+process.env.ENABLE_AUTH = 'false';
+process.env.MOCK_AI = 'true';
+process.env.RETRIEVAL_SIMILARITY_THRESHOLD = '0.5';
+delete process.env.ANTHROPIC_API_KEY;
+const app = require('../server');
+
+// Two uploads of "retention.txt" from different directories, so they share a name
+function writeVersion(label, content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), `policy-${label}-`));
+    const file = path.join(dir, 'retention.txt');
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+describe('Policy version comparisons', () => {
+    test('Line diff reports added and removed lines and trims long unchanged runs', () => {
+        const from = { id: 'a', version: 1, contentHash: 'x', content: 'Title\none\ntwo\nthree\nfour\nfive\nRecords are kept for seven years.\n' };
+        const to = { id: 'b', version: 2, contentHash: 'y', content: 'Title\none\ntwo\nthree\nfour\nfive\nRecords are kept for ten years.\n' };
+
+        const diff = diffPolicyVersions(from, to);
+        expect(diff.identical).toBe(false);
+        expect(diff.summary).toEqual({ addedLines: 1, removedLines: 1, unchangedLines: 6 });
+        expect(diff.changes).toEqual([
+            { type: 'unchanged', lines: ['Title', 'one', 'four', 'five'], skippedLines: 2 },
+            { type: 'removed', lines: ['Records are kept for seven years.'] },
+            { type: 'added', lines: ['Records are kept for ten years.'] }
+        ]);
+    });
+
+    test('Findings are matched by rule id or by type and title', () => {
+        const before = {
+            complianceScore: 70,
+            riskLevel: 'Medium',
+            issues: [{ ruleId: 'liability', type: 'Liability', title: 'Uncapped' }, { type: 'Records', title: 'Retention', severity: 'medium' }],
+            suggestions: []
+        };
+        const after = {
+            complianceScore: 85,
+            riskLevel: 'Low',
+            issues: [{ ruleId: 'liability', type: 'Liability', title: 'Uncapped liability' }],
+            suggestions: [{ type: 'Wording', title: 'Be specific', priority: 'low' }]
+        };
+
+        expect(diffFindings(before, after)).toEqual({
+            scoreBefore: 70,
+            scoreAfter: 85,
+            scoreChange: 15,
+            riskBefore: 'Medium',
+            riskAfter: 'Low',
+            issues: {
+                appeared: [],
+                disappeared: [{ title: 'Retention', type: 'Records', severity: 'medium' }],
+                unchanged: 1
+            },
+            suggestions: {
+                appeared: [{ title: 'Be specific', type: 'Wording', severity: 'low' }],
+                disappeared: [],
+                unchanged: 0
+            }
+        });
+    });
+});
+
+describe('Policy versioning API', () => {
+    const documentText = 'Records are retained by the Supplier.';
+    let first;
+    let second;
+
+    beforeAll(() => {
+        fs.mkdirSync(path.join(__dirname, '..', 'uploads', 'policies'), { recursive: true });
+    });
+
+    test('A re-upload under the same name becomes the next version and supersedes the first', async () => {
+        const v1 = await request(app)
+            .post('/api/policies/upload')
+            .field('uploadedBy', 'legal@example.com')
+            .attach('policies', writeVersion('v1', 'Retention Policy\n\nRecords must be retained for seven years.\n'))
+            .expect(200);
+        first = v1.body.policies[0];
+        expect(first).toMatchObject({ version: 1, status: 'active', uploadedBy: 'legal@example.com', previousVersionId: null });
+        expect(first.familyId).toBe(first.id);
+
+        const analysis = await request(app).post('/api/analyze').send({ documentText }).expect(200);
+        expect(analysis.body.result.policiesConsulted).toEqual([
+            expect.objectContaining({ policyId: first.id, version: 1 })
+        ]);
+
+        const v2 = await request(app)
+            .post('/api/policies/upload')
+            .attach('policies', writeVersion('v2', 'Retention Policy\n\nRecords must be retained for ten years.\n'))
+            .expect(200);
+        second = v2.body.policies[0];
+        expect(second).toMatchObject({ familyId: first.id, version: 2, status: 'active', previousVersionId: first.id });
+
+        const active = await request(app).get('/api/policies').expect(200);
+        expect(active.body.policies.map(policy => policy.id)).toEqual([second.id]);
+
+        const all = await request(app).get('/api/policies?include=all').expect(200);
+        expect(all.body.policies.find(policy => policy.id === first.id).status).toBe('superseded');
+
+        const versions = await request(app).get(`/api/policies/${first.id}/versions`).expect(200);
+        expect(versions.body.versions.map(version => [version.version, version.status])).toEqual([[1, 'superseded'], [2, 'active']]);
+    });
+
+    test('Versions can be diffed and stored analyses re-run against the new version', async () => {
+        const diff = await request(app).get(`/api/policies/${second.id}/diff`).expect(200);
+        expect(diff.body.diff.from.version).toBe(1);
+        expect(diff.body.diff.summary).toMatchObject({ addedLines: 1, removedLines: 1 });
+
+        await request(app).get(`/api/policies/${first.id}/diff`).expect(404);
+        await request(app).get(`/api/policies/${first.id}/diff?against=2`).expect(200);
+
+        const rerun = await request(app).post(`/api/policies/${second.id}/reanalyze`).send({}).expect(200);
+        expect(rerun.body.comparisons).toHaveLength(1);
+        const comparison = rerun.body.comparisons[0];
+        expect(comparison).toMatchObject({ scoreChange: 0, issues: { appeared: [], disappeared: [] } });
+        expect(comparison.issues.unchanged).toBeGreaterThan(0);
+
+        const stored = await request(app).get(`/api/results/${comparison.newResultId}`).expect(200);
+        expect(stored.body.result).toMatchObject({ reanalysisOf: comparison.resultId });
+        expect(stored.body.result.policiesConsulted).toEqual([
+            expect.objectContaining({ policyId: second.id, version: 2 })
+        ]);
+    });
+
+    test('Re-analysis repeats the options of the original analysis', async () => {
+        const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'playbook.json'), 'utf8'));
+        const playbook = await request(app).post('/api/playbooks').send(fixture).expect(201);
+        const contract = 'The Supplier accepts unlimited liability. Records are retained by the Supplier.';
+        const analysis = await request(app)
+            .post('/api/analyze')
+            .send({ documentText: contract, options: { playbookId: playbook.body.playbook.id, jurisdiction: 'UK' } })
+            .expect(200);
+        expect(analysis.body.result.playbook).toBeTruthy();
+
+        const rerun = await request(app)
+            .post(`/api/policies/${second.id}/reanalyze`)
+            .send({ resultIds: [analysis.body.result.id] })
+            .expect(200);
+        const stored = await request(app).get(`/api/results/${rerun.body.comparisons[0].newResultId}`).expect(200);
+        expect(stored.body.result.playbook).toEqual(analysis.body.result.playbook);
+        expect(rerun.body.comparisons[0]).toMatchObject({ issues: { appeared: [], disappeared: [] } });
+    });
+
+    test('A future effective date schedules the version; archiving the active one restores its predecessor', async () => {
+        const scheduled = await request(app)
+            .post('/api/policies/upload')
+            .field('familyId', first.familyId)
+            .field('effectiveDate', '2999-01-01')
+            .attach('policies', writeVersion('v3', 'Retention Policy\n\nRecords must be retained for twelve years.\n'))
+            .expect(200);
+        expect(scheduled.body.policies[0]).toMatchObject({ version: 3, status: 'scheduled' });
+
+        const archived = await request(app).delete(`/api/policies/${second.id}`).expect(200);
+        expect(archived.body.restoredVersion).toMatchObject({ id: first.id, status: 'active' });
+
+        const active = await request(app).get('/api/policies').expect(200);
+        expect(active.body.policies.map(policy => policy.id)).toEqual([first.id]);
+
+        await request(app).delete(`/api/policies/${scheduled.body.policies[0].id}`).expect(200);
+        await request(app).delete(`/api/policies/${first.id}`).expect(200);
+        await request(app).delete(`/api/policies/${first.id}`).expect(404);
+    });
+
+    test('Version uploads validate the effective date and family', async () => {
+        await request(app)
+            .post('/api/policies/upload')
+            .field('effectiveDate', 'next tuesday')
+            .attach('policies', writeVersion('bad', 'Text'))
+            .expect(400);
+
+        const unknown = await request(app)
+            .post('/api/policies/upload')
+            .field('familyId', 'no-such-family')
+            .attach('policies', writeVersion('unknown', 'Text'))
+            .expect(400);
+        expect(unknown.body.rejected[0].error).toMatch(/Unknown policy family/);
+    });
+});
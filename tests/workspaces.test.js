@@ -0,0 +1,165 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const request = require('supertest');
+
+// Rule packs are written per workspace, so they go to a scratch copy of the shipped packs
+const rulesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-rules-'));
+fs.copyFileSync(path.join(__dirname, '..', 'rules', 'default.json'), path.join(rulesDir, 'default.json'));
+
+process.env.DATABASE_URL = 'sqlite::memory:';
+// Access control is covered in auth.test.js
+process.env.ENABLE_AUTH = 'false';
+process.env.MOCK_AI = 'true';
+process.env.RETRIEVAL_SIMILARITY_THRESHOLD = '0.5';
+process.env.RULES_DIR = rulesDir;
+delete process.env.ANTHROPIC_API_KEY;
+const app = require('../server');
+
+const uploadsDir = path.join(__dirname, '..', 'uploads');
+const documentText = 'The Supplier accepts unlimited liability.\nRecords are retained and the Supplier will use best efforts to deliver.';
+
+describe('Workspaces', () => {
+    let policyId;
+    let resultId;
+
+    beforeAll(() => {
+        fs.mkdirSync(path.join(uploadsDir, 'policies'), { recursive: true });
+    });
+
+    afterAll(() => {
+        fs.rmSync(rulesDir, { recursive: true, force: true });
+        for (const id of ['procurement', 'procurement-2025']) {
+            fs.rmSync(path.join(uploadsDir, 'workspaces', id), { recursive: true, force: true });
+        }
+    });
+
+    test('Policies, analyses and results stay inside their workspace', async () => {
+        const created = await request(app).post('/api/workspaces').send({ name: 'Procurement' }).expect(201);
+        expect(created.body.workspace).toMatchObject({ id: 'procurement', status: 'active', policyCount: 0 });
+        await request(app).post('/api/workspaces').send({ name: 'Procurement' }).expect(409);
+        await request(app).post('/api/workspaces').send({ name: 'Bad', id: 'Not Valid' }).expect(400);
+
+        const upload = await request(app)
+            .post('/api/policies/upload')
+            .set('X-Workspace', 'procurement')
+            .attach('policies', path.join(__dirname, 'fixtures', 'policy.txt'))
+            .expect(200);
+        policyId = upload.body.policies[0].id;
+        expect(fs.readdirSync(path.join(uploadsDir, 'workspaces', 'procurement', 'policies'))).toHaveLength(1);
+
+        const defaultPolicies = await request(app).get('/api/policies').expect(200);
+        expect(defaultPolicies.body.policies.map(policy => policy.id)).not.toContain(policyId);
+        await request(app).get(`/api/policies/${policyId}/versions`).expect(404);
+        await request(app).post('/api/analyze').send({ documentText }).expect(400);
+
+        const analysis = await request(app)
+            .post('/api/analyze')
+            .set('X-Workspace', 'procurement')
+            .send({ documentText })
+            .expect(200);
+        resultId = analysis.body.result.id;
+        expect(analysis.body.result).toMatchObject({ workspaceId: 'procurement', provenance: { workspace: 'procurement', engine: 'rag' } });
+        expect(analysis.body.result.policiesConsulted.map(policy => policy.policyId)).toEqual([policyId]);
+
+        await request(app).get(`/api/results/${resultId}`).expect(404);
+        await request(app).get(`/api/results/${resultId}?workspace=procurement`).expect(200);
+        const history = await request(app).get('/api/results').set('X-Workspace', 'procurement').expect(200);
+        expect(history.body.results.map(result => result.id)).toEqual([resultId]);
+
+        await request(app).get('/api/policies').set('X-Workspace', 'no-such-workspace').expect(404);
+    });
+
+    test('Key-term extractions stay inside their workspace', async () => {
+        const extracted = await request(app)
+            .post('/api/terms')
+            .set('X-Workspace', 'procurement')
+            .send({ documentText: 'Invoices are payable within 30 days of receipt.', options: { useModel: false } })
+            .expect(200);
+        const id = extracted.body.extraction.id;
+        expect(extracted.body.extraction.workspaceId).toBe('procurement');
+
+        await request(app).get(`/api/terms/${id}`).expect(404);
+        await request(app).patch(`/api/terms/${id}`).send({ fields: { paymentTerms: '45 days' } }).expect(404);
+        const own = await request(app).get(`/api/terms/${id}?workspace=procurement`).expect(200);
+        expect(own.body.extraction.terms.find(term => term.field === 'paymentTerms').display).toBe('30 days');
+    });
+
+    test('Each workspace has its own rule packs', async () => {
+        await request(app)
+            .post('/api/rules')
+            .set('X-Workspace', 'procurement')
+            .send({ id: 'po-number', scope: 'analysis', type: 'required', pattern: 'purchase order', severity: 'medium', message: 'Reference the purchase order' })
+            .expect(201);
+
+        expect(fs.existsSync(path.join(rulesDir, 'workspaces', 'procurement', 'custom.json'))).toBe(true);
+        await request(app).get('/api/rules/po-number').expect(404);
+        await request(app).get('/api/rules/po-number').set('X-Workspace', 'procurement').expect(200);
+    });
+
+    test('Playbooks belong to their workspace', async () => {
+        const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'playbook.json'), 'utf8'));
+        const created = await request(app).post('/api/playbooks').set('X-Workspace', 'procurement').send(fixture).expect(201);
+        const playbookId = created.body.playbook.id;
+        expect(created.body.playbook.workspaceId).toBe('procurement');
+
+        const defaults = await request(app).get('/api/playbooks').expect(200);
+        expect(defaults.body.playbooks.map(playbook => playbook.id)).not.toContain(playbookId);
+        await request(app).get(`/api/playbooks/${playbookId}`).expect(404);
+        await request(app).put(`/api/playbooks/${playbookId}`).send(fixture).expect(404);
+        await request(app).post(`/api/playbooks/${playbookId}/review`).send({ documentText }).expect(404);
+        await request(app)
+            .post('/api/analyze/stream')
+            .send({ documentText, options: { playbookId } })
+            .expect(400);
+        await request(app).get(`/api/playbooks/${playbookId}?workspace=procurement`).expect(200);
+    });
+
+    test('A copy that cannot read a policy file leaves nothing behind', async () => {
+        const policyDir = path.join(uploadsDir, 'workspaces', 'procurement', 'policies');
+        const [filename] = fs.readdirSync(policyDir);
+        fs.renameSync(path.join(policyDir, filename), path.join(policyDir, `${filename}.hidden`));
+        try {
+            await request(app)
+                .post('/api/workspaces/procurement/copy')
+                .send({ id: 'procurement-2025', name: 'Procurement 2025' })
+                .expect(409);
+        } finally {
+            fs.renameSync(path.join(policyDir, `${filename}.hidden`), path.join(policyDir, filename));
+        }
+        await request(app).get('/api/workspaces/procurement-2025').expect(404);
+        expect(fs.existsSync(path.join(uploadsDir, 'workspaces', 'procurement-2025'))).toBe(false);
+        expect(fs.existsSync(path.join(rulesDir, 'workspaces', 'procurement-2025'))).toBe(false);
+    });
+
+    test('Copies bring policies and rules into a fresh index; archived workspaces are read-only', async () => {
+        const copy = await request(app)
+            .post('/api/workspaces/procurement/copy')
+            .send({ id: 'procurement-2025', name: 'Procurement 2025' })
+            .expect(201);
+        expect(copy.body.workspace).toMatchObject({ copiedFrom: 'procurement', policyCount: 1, resultCount: 0 });
+        const [original] = (await request(app).get('/api/policies?workspace=procurement').expect(200)).body.policies;
+        const [copied] = (await request(app).get('/api/policies?workspace=procurement-2025').expect(200)).body.policies;
+        expect(copied.effectiveDate).toBe(original.effectiveDate);
+
+        const search = await request(app)
+            .get('/api/search?q=records retained&workspace=procurement-2025')
+            .expect(200);
+        expect(search.body.mode).toBe('semantic');
+        expect(search.body.passages[0].policyName).toBe('policy.txt');
+        expect(search.body.passages[0].policyId).not.toBe(policyId);
+        await request(app).get('/api/rules/po-number').set('X-Workspace', 'procurement-2025').expect(200);
+        const playbooks = await request(app).get('/api/playbooks?workspace=procurement-2025').expect(200);
+        expect(playbooks.body.playbooks.map(playbook => playbook.name)).toEqual(['Supplier MSA']);
+
+        await request(app).delete('/api/workspaces/default').expect(400);
+        await request(app).delete('/api/workspaces/procurement').expect(200);
+        await request(app).post('/api/analyze').set('X-Workspace', 'procurement').send({ documentText }).expect(409);
+        await request(app).get(`/api/results/${resultId}`).set('X-Workspace', 'procurement').expect(200);
+
+        const active = await request(app).get('/api/workspaces').expect(200);
+        expect(active.body.workspaces.map(workspace => workspace.id)).toEqual(['default', 'procurement-2025']);
+        const all = await request(app).get('/api/workspaces?include=all').expect(200);
+        expect(all.body.workspaces.find(workspace => workspace.id === 'procurement')).toMatchObject({ status: 'archived', resultCount: 1 });
+    });
+});